@@ -9,12 +9,16 @@ import BlogPage from "./pages/BlogPage";
 import PostPage from "./pages/PostPage";
 import CreatePostPage from "./pages/CreatePostPage";
 import HabitsPage from "./pages/HabitsPage";
+import HabitDetailPage from "./pages/HabitDetailPage";
+import SettingsPage from "./pages/SettingsPage";
 
 // Import application initialization
 import { initializeApplication, isAppInitialized } from "./init/appInitializer";
+import { backupService } from "./data/backupService";
 
 // Import initialization component
 import InitializationScreen from "./components/system/InitializationScreen";
+import ReminderAlerts from "./components/habits/ReminderAlerts";
 
 // Import CSS
 import "./styles/main.css";
@@ -22,6 +26,7 @@ import "./styles/habits.css";
 import "./styles/enhanced-blog.css";
 import "./styles/post-creation.css";
 import "./styles/initialization.css";
+import "./styles/settings.css";
 
 function App() {
   const [appState, setAppState] = useState({
@@ -69,25 +74,11 @@ function App() {
 
     const initApp = async () => {
       try {
-        // Environment detection stage
         logUpdate("environment", 0, "Starting application initialization");
-        logUpdate("environment", 20, "Detecting browser capabilities");
 
-        // Progress through initialization stages
-        setTimeout(() => {
-          logUpdate("storage", 30, "Setting up storage systems");
-        }, 500);
-
-        setTimeout(() => {
-          logUpdate("migration", 50, "Checking for data migration needs");
-        }, 1000);
-
-        setTimeout(() => {
-          logUpdate("services", 70, "Initializing application services");
-        }, 1500);
-
-        // Perform the actual initialization
-        const result = await initializeApplication();
+        // Perform the actual initialization, reporting each phase (including
+        // schema migrations) as it runs
+        const result = await initializeApplication({ onProgress: logUpdate });
 
         setTimeout(() => {
           logUpdate("ready", 100, "Application initialization completed");
@@ -189,6 +180,18 @@ function App() {
             >
               Refresh and Try Again
             </button>
+            <button
+              onClick={() =>
+                backupService
+                  .downloadBackup()
+                  .catch((error) =>
+                    alert(`Could not create a backup: ${error.message}`)
+                  )
+              }
+              className="retry-button"
+            >
+              Download Backup
+            </button>
             <button
               onClick={() => {
                 localStorage.clear();
@@ -221,7 +224,11 @@ function App() {
           <Route path="/blog/:id" element={<PostPage />} />
           <Route path="/create" element={<CreatePostPage />} />
           <Route path="/habits" element={<HabitsPage />} />
+          <Route path="/habits/:id" element={<HabitDetailPage />} />
+          <Route path="/settings" element={<SettingsPage />} />
         </Routes>
+        {/* Outside the routes, so reminders stay up across pages */}
+        <ReminderAlerts />
       </AppContextProvider>
     </Router>
   );
@@ -0,0 +1,184 @@
+// Live habit charts inside a post's body
+import React, { useEffect, useState } from "react";
+import { createPortal } from "react-dom";
+import { Link } from "react-router-dom";
+import HabitChart from "../habits/HabitChart";
+import HabitHeatmap from "../habits/HabitHeatmap";
+import {
+  enhancedHabitService,
+  getHabitEndDate,
+  getHabitResults,
+} from "../../data/enhancedHabitService";
+import { settingsService } from "../../data/settingsService";
+import { getHabitGoal } from "../../data/habitTypes";
+import { getHabitSchedule, getStreakUnit } from "../../data/habitSchedule";
+import { getHabitVacations } from "../../data/habitExcuses";
+import { isAvoidHabit } from "../../data/habitSlips";
+import { useDataRefresh } from "../../hooks/useLifecycle";
+import { HABIT_WIDGETS, parseHabitWidget } from "../../utils/mdParser";
+
+// Current and longest streak side by side; habits to avoid count days clean
+const HabitStreak = ({ results, unit }) => (
+  <div className="habit-widget-streak">
+    <div>
+      <span className="stat-value">{results.streak}</span>
+      <span className="stat-label">
+        {unit ? `Current ${unit} streak` : "Days clean"}
+      </span>
+    </div>
+    <div>
+      <span className="stat-value">{results.longestStreak}</span>
+      <span className="stat-label">
+        {unit ? `Longest ${unit} streak` : "Longest clean run"}
+      </span>
+    </div>
+  </div>
+);
+
+/**
+ * One habit widget, drawn read-only from the habit's current data
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.widget Widget from parseHabitWidget
+ * @param {Object} props.habit The habit, or undefined if it's gone
+ * @param {Array} props.vacations Vacations for all habits
+ */
+const HabitWidget = ({ widget, habit, vacations }) => {
+  // A habit deleted since the post was written leaves a note behind
+  if (!habit) {
+    return (
+      <p className="habit-widget-missing">
+        {HABIT_WIDGETS[widget.widget].label}: this habit no longer exists.
+      </p>
+    );
+  }
+
+  const schedule = getHabitSchedule(habit);
+  const habitVacations = getHabitVacations(habit, vacations);
+  const avoid = isAvoidHabit(habit);
+
+  return (
+    <>
+      <div className="habit-widget-header">
+        <Link to={`/habits/${habit.id}`}>{habit.name}</Link>
+        {widget.days && (
+          <span className="habit-widget-range">Last {widget.days} days</span>
+        )}
+      </div>
+
+      {widget.widget === "habit-chart" && (
+        <HabitChart
+          history={habit.history}
+          days={widget.days}
+          goal={getHabitGoal(habit)}
+          schedule={schedule}
+          vacations={habitVacations}
+        />
+      )}
+
+      {widget.widget === "habit-heatmap" && (
+        <HabitHeatmap
+          history={habit.history}
+          goal={getHabitGoal(habit)}
+          schedule={schedule}
+          vacations={habitVacations}
+          endDate={getHabitEndDate(habit)}
+          weeks={Math.ceil(widget.days / 7)}
+        />
+      )}
+
+      {widget.widget === "habit-streak" && (
+        <HabitStreak
+          results={getHabitResults(habit, vacations)}
+          unit={avoid ? null : getStreakUnit(schedule)}
+        />
+      )}
+    </>
+  );
+};
+
+/**
+ * HabitWidgets Component
+ *
+ * Like saplings planted in the clearing a post describes: finds the habit
+ * widget placeholders processMarkdown left in the post's body and grows
+ * the live charts into them. Until the habits load the placeholders
+ * show their static description.
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.containerRef Ref to the element holding the body
+ * @param {string} props.html The body's HTML, so widgets are found again
+ *   when it changes
+ */
+const HabitWidgets = ({ containerRef, html }) => {
+  const [slots, setSlots] = useState([]);
+  const [habits, setHabits] = useState(null);
+  const [vacations, setVacations] = useState([]);
+
+  // Follow the habits as they are completed elsewhere
+  const [habitsVersion] = useDataRefresh("habits");
+
+  // Collect the placeholders, checking them again in case one was
+  // written by hand as HTML
+  useEffect(() => {
+    const elements = containerRef.current
+      ? [...containerRef.current.querySelectorAll("[data-habit-widget]")]
+      : [];
+
+    setSlots(
+      elements
+        .map((element) => ({
+          element,
+          widget: parseHabitWidget({
+            widget: element.dataset.habitWidget,
+            id: element.dataset.habitId,
+            range: element.dataset.range,
+          }),
+        }))
+        .filter((slot) => slot.widget)
+    );
+  }, [containerRef, html]);
+
+  const hasSlots = slots.length > 0;
+
+  useEffect(() => {
+    if (!hasSlots) return undefined;
+    let cancelled = false;
+
+    const fetchHabits = async () => {
+      try {
+        const [all, preferences] = await Promise.all([
+          enhancedHabitService.getHabits(),
+          settingsService.getPreferences(),
+        ]);
+        if (cancelled) return;
+        setHabits(all);
+        setVacations(preferences.vacations);
+      } catch (err) {
+        // The placeholders keep their static description
+        console.error("Error loading habits for widgets:", err);
+      }
+    };
+
+    fetchHabits();
+    return () => {
+      cancelled = true;
+    };
+  }, [hasSlots, habitsVersion]);
+
+  if (!habits) return null;
+
+  return slots.map(({ element, widget }, index) =>
+    createPortal(
+      <HabitWidget
+        widget={widget}
+        habit={habits.find((habit) => habit.id === widget.id)}
+        vacations={vacations}
+      />,
+      element,
+      `${widget.widget}-${widget.id}-${index}`
+    )
+  );
+};
+
+export default HabitWidgets;
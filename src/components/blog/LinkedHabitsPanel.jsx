@@ -0,0 +1,72 @@
+// Panel showing the habits a post is about
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { enhancedHabitService } from "../../data/enhancedHabitService";
+import { getHabitSchedule, getStreakUnit } from "../../data/habitSchedule";
+import { isAvoidHabit } from "../../data/habitSlips";
+import { useDataRefresh } from "../../hooks/useLifecycle";
+
+/**
+ * LinkedHabitsPanel Component
+ *
+ * Like a trail marker pointing from a clearing back to the trees it
+ * describes: lists the habits a post links in its frontmatter with how
+ * they are growing now. Habits deleted since the post was written are
+ * left out.
+ *
+ * @param {Object} props Component props
+ * @param {Array<string>} props.habitIds IDs of the linked habits
+ */
+const LinkedHabitsPanel = ({ habitIds }) => {
+  const [habits, setHabits] = useState([]);
+
+  // Follow the habits as they are completed elsewhere
+  const [habitsVersion] = useDataRefresh("habits");
+  const idsKey = habitIds.join(",");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // Habits come up to date as they load, so streaks are current
+    const fetchHabits = async () => {
+      const all = await enhancedHabitService.getHabits();
+      const linked = idsKey
+        .split(",")
+        .map((id) => all.find((habit) => habit.id === id))
+        .filter(Boolean);
+      if (!cancelled) setHabits(linked);
+    };
+
+    fetchHabits();
+    return () => {
+      cancelled = true;
+    };
+  }, [idsKey, habitsVersion]);
+
+  if (habits.length === 0) return null;
+
+  return (
+    <aside className="linked-habits">
+      <h3>Habits in this post</h3>
+      <ul>
+        {habits.map((habit) => {
+          const avoid = isAvoidHabit(habit);
+          return (
+            <li key={habit.id}>
+              <Link to={`/habits/${habit.id}`}>{habit.name}</Link>
+              <span className="linked-habit-streak">
+                {habit.streak}{" "}
+                {avoid
+                  ? "days clean"
+                  : `${getStreakUnit(getHabitSchedule(habit))} streak`}
+                {!avoid && habit.completedToday && " · done today"}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </aside>
+  );
+};
+
+export default LinkedHabitsPanel;
@@ -1,10 +1,13 @@
 // Full content display component for blog posts
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { Link } from "react-router-dom";
 import { formatDate } from "../../utils/dateFormatter";
 import { useMarkdown } from "../../hooks/useMarkdown";
 import { useDataRefresh } from "../../hooks/useLifecycle";
+import { extractHabitIds } from "../../data/habitReflections";
+import LinkedHabitsPanel from "./LinkedHabitsPanel";
+import HabitWidgets from "./HabitWidgets";
 
 /**
  * PostContent Component
@@ -26,7 +29,7 @@ import { useDataRefresh } from "../../hooks/useLifecycle";
  */
 const PostContent = ({ post }) => {
   // Get refresh trigger from lifecycle hook
-  const refreshPost = useDataRefresh("posts");
+  const [refreshPost] = useDataRefresh("posts");
 
   // Track reading progress (like tracing a path through the plant)
   const [readingProgress, setReadingProgress] = useState(0);
@@ -34,6 +37,9 @@ const PostContent = ({ post }) => {
   // Track if table of contents is visible
   const [tocVisible, setTocVisible] = useState(false);
 
+  // Body element, where habit widgets are hydrated
+  const bodyRef = useRef(null);
+
   // Set up scroll tracking for reading progress
   useEffect(() => {
     const updateReadingProgress = () => {
@@ -88,6 +94,9 @@ const PostContent = ({ post }) => {
   // Extract metadata from frontmatter or use defaults
   const { author, category, tags } = metadata || {};
 
+  // Habits the post is about (posts saved before habit links have none)
+  const habitIds = post?.habitIds || extractHabitIds(content);
+
   // Check for updated content
   const wasUpdated = updatedAt && date !== updatedAt;
 
@@ -199,9 +208,19 @@ const PostContent = ({ post }) => {
         )}
 
         {/* Main body content (like the plant's full structure) */}
-        <div className="post-body" dangerouslySetInnerHTML={{ __html: html }} />
+        <div
+          ref={bodyRef}
+          className="post-body"
+          dangerouslySetInnerHTML={{ __html: html }}
+        />
+
+        {/* Live habit charts (like saplings growing in the clearing) */}
+        <HabitWidgets containerRef={bodyRef} html={html} />
       </div>
 
+      {/* Linked habits (like the trees this clearing looks out on) */}
+      {habitIds.length > 0 && <LinkedHabitsPanel habitIds={habitIds} />}
+
       {/* Post footer with tags (like ecological relationships) */}
       <footer className="post-footer">
         {tags && (
@@ -1,8 +1,41 @@
 // Component for displaying a list of blog posts
-import React from "react";
+import React, { useEffect, useRef } from "react";
 import PostCard from "./PostCard";
 
-const PostList = ({ posts }) => {
+/**
+ * @param {Object} props Component props
+ * @param {Array} props.posts Posts to display
+ * @param {boolean} props.hasMore Whether another page of posts can be loaded
+ * @param {boolean} props.isLoadingMore Whether the next page is loading
+ * @param {Function} props.onLoadMore Called to load the next page
+ */
+const PostList = ({
+  posts,
+  hasMore = false,
+  isLoadingMore = false,
+  onLoadMore,
+}) => {
+  const sentinelRef = useRef(null);
+
+  // Infinite scroll: load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!hasMore || !onLoadMore || !sentinel) return;
+    if (!("IntersectionObserver" in window)) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          onLoadMore();
+        }
+      },
+      { rootMargin: "200px" }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, onLoadMore]);
+
   if (!posts || posts.length === 0) {
     return (
       <div className="no-posts">
@@ -18,6 +51,18 @@ const PostList = ({ posts }) => {
           <PostCard key={post.id} post={post} />
         ))}
       </div>
+
+      {hasMore && (
+        <div className="post-list-more" ref={sentinelRef}>
+          <button
+            className="button load-more-button"
+            onClick={onLoadMore}
+            disabled={isLoadingMore}
+          >
+            {isLoadingMore ? "Loading..." : "Load more posts"}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
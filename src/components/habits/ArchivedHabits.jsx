@@ -0,0 +1,87 @@
+// Archived habits with their final results
+import React, { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { getHabitResults } from "../../data/enhancedHabitService";
+import { getHabitSchedule, getStreakUnit } from "../../data/habitSchedule";
+import { toLocalDateString } from "../../utils/localDate";
+import { formatDate } from "../../utils/dateFormatter";
+
+// Finished by reaching the end date, or put away by hand before it
+const describeEnd = (habit) => {
+  const archivedOn = habit.archivedAt
+    ? toLocalDateString(habit.archivedAt)
+    : null;
+  if (habit.endDate && (!archivedOn || habit.endDate < archivedOn)) {
+    return `Ended on ${formatDate(habit.endDate)}`;
+  }
+  return `Archived on ${formatDate(habit.archivedAt)}`;
+};
+
+/**
+ * Archived Habits
+ *
+ * The dormant part of the forest: habits that are no longer tracked,
+ * whether archived by hand or past their end date, each with how it went
+ * in the end. Hidden until opened; each habit can be restored to the
+ * tracker, and its name leads to its full history.
+ *
+ * @param {Object} props Component props
+ * @param {Array} props.habits Archived habits
+ * @param {Array} props.vacations Vacations for all habits
+ * @param {Function} props.onRestore Called with a habit ID to restore it
+ */
+const ArchivedHabits = ({ habits, vacations = [], onRestore }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const results = useMemo(
+    () =>
+      new Map(
+        habits.map((habit) => [habit.id, getHabitResults(habit, vacations)])
+      ),
+    [habits, vacations]
+  );
+
+  if (habits.length === 0) return null;
+
+  return (
+    <section className="archived-habits">
+      <button
+        className="archived-habits-toggle"
+        onClick={() => setIsOpen((open) => !open)}
+        aria-expanded={isOpen}
+      >
+        {isOpen ? "Hide" : "Show"} archived habits ({habits.length})
+      </button>
+
+      {isOpen && (
+        <ul className="archived-habits-list">
+          {habits.map((habit) => {
+            const { longestStreak, completionRate, totalCompletions } =
+              results.get(habit.id);
+            const unit = getStreakUnit(getHabitSchedule(habit));
+
+            return (
+              <li key={habit.id} className="archived-habit">
+                <div>
+                  <h3 className="habit-name">
+                    <Link to={`/habits/${habit.id}`}>{habit.name}</Link>
+                  </h3>
+                  <p className="archived-habit-end">{describeEnd(habit)}</p>
+                  <p className="archived-habit-results">
+                    Longest {unit} streak: {longestStreak} · Completion rate:{" "}
+                    {completionRate === null ? "–" : `${completionRate}%`} ·
+                    Done {totalCompletions}{" "}
+                    {totalCompletions === 1 ? "time" : "times"}
+                  </p>
+                </div>
+                <button onClick={() => onRestore(habit.id)}>Restore</button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default ArchivedHabits;
@@ -0,0 +1,91 @@
+// Menu of actions on a single habit
+import React, { useEffect, useRef, useState } from "react";
+
+/**
+ * Habit Actions Menu
+ *
+ * The tools kept at the foot of each tree: a small "more" button that
+ * opens the actions for one habit. Actions without a handler are left out.
+ * Closes on a choice, a click elsewhere or Escape.
+ *
+ * @param {Object} props Component props
+ * @param {string} props.habitName Name of the habit, for screen readers
+ * @param {Function} props.onEdit Called to edit the habit
+ * @param {Function} props.onDuplicate Called to copy the habit
+ * @param {Function} props.onArchive Called to archive the habit
+ * @param {Function} props.onDelete Called to delete the habit
+ */
+const HabitActionsMenu = ({
+  habitName,
+  onEdit,
+  onDuplicate,
+  onArchive,
+  onDelete,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    const handleKey = (e) => {
+      if (e.key === "Escape") setIsOpen(false);
+    };
+
+    document.addEventListener("mousedown", handleClick);
+    document.addEventListener("keydown", handleKey);
+    return () => {
+      document.removeEventListener("mousedown", handleClick);
+      document.removeEventListener("keydown", handleKey);
+    };
+  }, [isOpen]);
+
+  const actions = [
+    { label: "Edit", handler: onEdit },
+    { label: "Duplicate", handler: onDuplicate },
+    { label: "Archive", handler: onArchive },
+    { label: "Delete", handler: onDelete, className: "danger" },
+  ].filter((action) => action.handler);
+
+  if (actions.length === 0) return null;
+
+  return (
+    <div className="habit-actions-menu" ref={menuRef}>
+      <button
+        type="button"
+        className="habit-actions-toggle"
+        onClick={() => setIsOpen((open) => !open)}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        aria-label={`Actions for ${habitName}`}
+      >
+        ⋯
+      </button>
+
+      {isOpen && (
+        <ul className="habit-actions-list" role="menu">
+          {actions.map(({ label, handler, className }) => (
+            <li key={label} role="none">
+              <button
+                type="button"
+                role="menuitem"
+                className={className}
+                onClick={() => {
+                  setIsOpen(false);
+                  handler();
+                }}
+              >
+                {label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HabitActionsMenu;
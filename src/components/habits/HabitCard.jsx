@@ -1,10 +1,60 @@
 // Component for displaying an individual habit
-import React from 'react';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { formatDate } from '../../utils/dateFormatter';
 import HabitChart from './HabitChart';
+import HabitValueControl from './HabitValueControl';
+import HabitActionsMenu from './HabitActionsMenu';
+import HabitNotePrompt from './HabitNotePrompt';
+import { HABIT_TYPES, getHabitGoal, isMeasured } from '../../data/habitTypes';
+import {
+  describeSchedule,
+  getHabitSchedule,
+  getStreakUnit,
+} from '../../data/habitSchedule';
+import { getHabitVacations } from '../../data/habitExcuses';
+import { getHabitReminders } from '../../data/habitReminders';
+import { getLastSlip } from '../../data/habitSlips';
+import { getMood } from '../../data/habitJournal';
+import { getToday } from '../../utils/localDate';
 
-const HabitCard = ({ habit, onToggleCompletion }) => {
+const HabitCard = ({
+  habit,
+  onToggleCompletion,
+  onRecordValue,
+  onAdjustValue,
+  onToggleDay,
+  editableSince,
+  vacations,
+  onSelectTag,
+  onEdit,
+  onDuplicate,
+  onArchive,
+  onDelete,
+  onSaveNote,
+  dragHandle,
+}) => {
+  const [isNoting, setIsNoting] = useState(false);
   const { id, name, description, streak, lastCompleted, completedToday, history } = habit;
+  const goal = getHabitGoal(habit);
+  const schedule = getHabitSchedule(habit);
+  const reminders = getHabitReminders(habit);
+  const avoid = goal.type === HABIT_TYPES.AVOID;
+  const lastSlip = avoid ? getLastSlip(history) : null;
+  const todayEntry = history.find((entry) => entry.date === getToday());
+  const todayMood = getMood(todayEntry?.mood);
+
+  // Offer a quick note once the habit is done (or a slip is logged)
+  const handleToggle = () => {
+    const turningOn = avoid ? completedToday : !completedToday;
+    onToggleCompletion(id);
+    setIsNoting(turningOn && Boolean(onSaveNote));
+  };
+
+  const handleSaveNote = (journal) => {
+    onSaveNote(id, journal);
+    setIsNoting(false);
+  };
   
   // Calculate streak color based on length (visual motivation)
   const getStreakColor = (streak) => {
@@ -16,32 +66,121 @@ const HabitCard = ({ habit, onToggleCompletion }) => {
   
   return (
     <div className="habit-card">
+      {dragHandle}
+      <HabitActionsMenu
+        habitName={name}
+        onEdit={onEdit}
+        onDuplicate={onDuplicate}
+        onArchive={onArchive}
+        onDelete={onDelete}
+      />
+
       <div className="habit-info">
-        <h3 className="habit-name">{name}</h3>
+        <h3 className="habit-name">
+          <Link to={`/habits/${id}`}>{name}</Link>
+        </h3>
         {description && <p className="habit-description">{description}</p>}
+        {habit.tags?.length > 0 && (
+          <div className="habit-tags">
+            {habit.tags.map((tag) => (
+              <button
+                key={tag}
+                className="habit-tag"
+                onClick={() => onSelectTag?.(tag)}
+                disabled={!onSelectTag}
+                title={`Show habits tagged #${tag}`}
+              >
+                #{tag}
+              </button>
+            ))}
+          </div>
+        )}
         <div className="habit-streak" style={{ color: getStreakColor(streak) }}>
           <span className="streak-count">{streak}</span>
-          <span className="streak-label">day streak</span>
+          <span className="streak-label">
+            {avoid ? 'days clean' : `${getStreakUnit(schedule)} streak`}
+          </span>
+          {habit.freezeTokens > 0 && (
+            <span
+              className="freeze-tokens"
+              title="Streak freezes cover missed days automatically"
+            >
+              ❄ {habit.freezeTokens}
+            </span>
+          )}
+        </div>
+        <div className="habit-schedule">
+          {describeSchedule(schedule)}
+          {reminders.length > 0 && ` · ⏰ ${reminders.join(', ')}`}
+          {habit.endDate && ` · Ends ${formatDate(habit.endDate)}`}
         </div>
       </div>
       
       {/* Add the habit chart */}
-      <HabitChart history={history} days={7} />
+      <HabitChart
+        history={history}
+        days={7}
+        goal={goal}
+        schedule={schedule}
+        onToggleDay={onToggleDay && ((date) => onToggleDay(id, date))}
+        editableSince={editableSince}
+        vacations={getHabitVacations(habit, vacations)}
+      />
       
       <div className="habit-completion">
-        <button 
-          className={`completion-button ${completedToday ? 'completed' : ''}`}
-          onClick={() => onToggleCompletion(id)}
-        >
-          {completedToday ? 'Completed' : 'Complete'}
-        </button>
+        {/* Habits to avoid are done by default; the button logs a slip */}
+        {avoid ? (
+          <button
+            className={`completion-button slip-button ${completedToday ? '' : 'slipped'}`}
+            onClick={handleToggle}
+            aria-pressed={!completedToday}
+          >
+            {completedToday ? 'Log a slip' : 'Slipped today · Undo'}
+          </button>
+        ) : !isMeasured(goal) ? (
+          <button 
+            className={`completion-button ${completedToday ? 'completed' : ''}`}
+            onClick={handleToggle}
+          >
+            {completedToday ? 'Completed' : 'Complete'}
+          </button>
+        ) : (
+          <HabitValueControl
+            habit={habit}
+            goal={goal}
+            onRecordValue={onRecordValue}
+            onAdjustValue={onAdjustValue}
+          />
+        )}
         
-        {lastCompleted && (
+        {avoid ? (
+          <div className="last-completed">
+            {lastSlip ? `Last slip: ${formatDate(lastSlip)}` : 'No slips yet'}
+          </div>
+        ) : lastCompleted && (
           <div className="last-completed">
             Last: {formatDate(lastCompleted)}
           </div>
         )}
       </div>
+
+      {isNoting ? (
+        <HabitNotePrompt
+          habitName={name}
+          entry={todayEntry}
+          onSave={handleSaveNote}
+          onClose={() => setIsNoting(false)}
+        />
+      ) : onSaveNote && (
+        <button
+          className="habit-note-toggle"
+          onClick={() => setIsNoting(true)}
+          title={todayEntry?.note || 'Add a note for today'}
+        >
+          {todayMood && <span aria-hidden="true">{todayMood.emoji} </span>}
+          {todayEntry?.note || todayMood ? 'Edit today\'s note' : 'Add a note'}
+        </button>
+      )}
     </div>
   );
 };
@@ -1,5 +1,31 @@
 // Visualization component for habit tracking statistics
 import React, { useMemo } from "react";
+import {
+  formatCalendarDate,
+  getRecentDates,
+  getToday,
+} from "../../utils/localDate";
+import {
+  HABIT_TYPES,
+  formatHabitValue,
+  getEntryValue,
+  isMeasured,
+} from "../../data/habitTypes";
+import {
+  EVERY_DAY,
+  getCompletionRate,
+  getDailyWeight,
+} from "../../data/habitSchedule";
+import { getExcuse } from "../../data/habitExcuses";
+import { isSlip } from "../../data/habitSlips";
+
+// How excused days are described
+const EXCUSE_LABELS = {
+  skipped: "Skipped",
+  excused: "Excused",
+  frozen: "Covered by a streak freeze",
+  vacation: "Vacation",
+};
 
 /**
  * Simple chart component to visualize habit completion over time
@@ -8,68 +34,169 @@ import React, { useMemo } from "react";
  * @param {Object} props Component props
  * @param {Array} props.history Array of habit completion records
  * @param {number} props.days Number of days to show in the chart (default: 14)
+ * @param {Object} props.goal Goal of a measured habit (from getHabitGoal);
+ *   bars then show progress towards the target. For habits to avoid the
+ *   chart is turned around: slips stand out and clean days stay low
+ * @param {Object} props.schedule The habit's schedule (from getHabitSchedule);
+ *   without one every day is expected
+ * @param {Function} props.onToggleDay Called with a date when a day is
+ *   clicked; without it the chart is read-only
+ * @param {string} props.editableSince Earliest date that can be clicked
+ *   (the backfill window); later days up to today are editable
+ * @param {Array} props.vacations Vacation ranges that apply to the habit
  */
-const HabitChart = ({ history, days = 14 }) => {
+const HabitChart = ({
+  history,
+  days = 14,
+  goal = null,
+  schedule = null,
+  onToggleDay = null,
+  editableSince = null,
+  vacations = [],
+}) => {
+  const measured = goal && isMeasured(goal);
+  const avoid = goal?.type === HABIT_TYPES.AVOID;
+
   // Process history data for the chart
   const chartData = useMemo(() => {
-    // Start with an empty array for the last 'days' days
-    const result = [];
-    const today = new Date();
-
-    // Create array of dates for the chart (most recent first)
-    for (let i = 0; i < days; i++) {
-      const date = new Date(today);
-      date.setDate(today.getDate() - i);
-      const dateStr = date.toISOString().split("T")[0];
-
+    // The user's calendar days, oldest first, ending today
+    return getRecentDates(days).map((dateStr) => {
       // Find if this date exists in history
       const historyEntry = history?.find((entry) => entry.date === dateStr);
 
-      result.unshift({
+      return {
         date: dateStr,
         completed: historyEntry ? historyEntry.completed : false,
+        slipped: isSlip(historyEntry),
+        backfilled: Boolean(historyEntry?.backfilled),
+        // Skipped, excused, frozen or vacation days aren't expected
+        excuse: getExcuse(history || [], dateStr, vacations),
+        // 1 on scheduled days, 0 on rest days, in between for flexible
+        // schedules like "3 times a week"
+        weight: schedule ? getDailyWeight(schedule, dateStr) : 1,
+        value: measured ? getEntryValue(goal, historyEntry) : null,
         // Format date as "Mon 01" (abbreviated day name and date)
-        display: new Date(dateStr).toLocaleDateString("en-US", {
-          weekday: "short",
-          day: "2-digit",
-        }),
-      });
-    }
-
-    return result;
-  }, [history, days]);
+        display: formatCalendarDate(
+          dateStr,
+          { weekday: "short", day: "2-digit" },
+          "en-US"
+        ),
+      };
+    });
+  }, [history, days, goal, measured, schedule, vacations]);
 
-  // Calculate completion percentage
+  // Completions against what the schedule expects over these days,
+  // leaving out excused ones
   const completionRate = useMemo(() => {
     if (!chartData.length) return 0;
 
-    const completedDays = chartData.filter((day) => day.completed).length;
-    return Math.round((completedDays / chartData.length) * 100);
-  }, [chartData]);
+    return getCompletionRate(
+      schedule || EVERY_DAY,
+      history || [],
+      chartData
+        .filter((day) => day.completed || !day.excuse)
+        .map((day) => day.date)
+    );
+  }, [chartData, history, schedule]);
+
+  // Days to avoid something are clean or slipped once they're tracked
+  const slips = chartData.filter((day) => day.slipped).length;
+  const cleanDays = chartData.filter((day) => day.completed).length;
+  const cleanRate = Math.round((cleanDays / (cleanDays + slips || 1)) * 100);
+
+  // Measured habits fill the bar towards the target; habits to avoid show
+  // their slips as full bars
+  const getBarHeight = (day) => {
+    if (avoid) return day.slipped ? "100%" : "20%";
+    if (day.completed) return "100%";
+    if (!measured || day.value <= 0) return "20%";
+    return `${Math.max(20, Math.round((day.value / goal.target) * 100))}%`;
+  };
+
+  // Rest days and days of flexible schedules aren't missed, just open;
+  // neither is today until it's over
+  const isMissed = (day) =>
+    !avoid && !day.completed && day.weight === 1 && day.date < getToday();
+
+  const getDayStatus = (day) => {
+    if (avoid && day.completed) return "Clean";
+    if (day.slipped) return "Slipped";
+    if (day.completed) return "Completed";
+    if (day.excuse) return EXCUSE_LABELS[day.excuse];
+    if (day.weight === 0) return "Rest day";
+    return isMissed(day) ? "Missed" : "Open";
+  };
+
+  // Days in the backfill window can be changed, like retracing a trail
+  const isEditable = (day) =>
+    Boolean(onToggleDay) &&
+    day.date <= getToday() &&
+    (!editableSince || day.date >= editableSince);
+
+  const getDayTitle = (day) => {
+    let status = getDayStatus(day);
+    if (day.backfilled) status += ", filled in later";
+    if (isEditable(day)) status += "; click to change";
+    return measured
+      ? `${day.display}: ${formatHabitValue(goal, day.value)} (${status})`
+      : `${day.display}: ${status}`;
+  };
+
+  const getDayClass = (day) => {
+    if (avoid && day.completed) return "clean";
+    if (day.slipped) return "slipped";
+    if (day.completed) return "completed";
+    if (measured && day.value > 0) return "partial";
+    if (day.excuse) return day.excuse;
+    if (day.weight === 0) return "rest";
+    return isMissed(day) ? "missed" : "open";
+  };
 
   return (
     <div className="habit-chart">
       <div className="chart-header">
         <span className="chart-title">Last {days} Days</span>
-        <span className="completion-rate">{completionRate}% Complete</span>
+        <span className="completion-rate">
+          {avoid
+            ? `${slips} ${slips === 1 ? "slip" : "slips"} · ${cleanRate}% clean`
+            : `${completionRate}% Complete`}
+        </span>
       </div>
 
       <div className="chart-grid">
-        {chartData.map((day, index) => (
-          <div
-            key={day.date}
-            className={`chart-day ${day.completed ? "completed" : "missed"}`}
-            title={`${day.display}: ${day.completed ? "Completed" : "Missed"}`}
-          >
-            <div
-              className="day-bar"
-              style={{
-                height: day.completed ? "100%" : "20%",
-              }}
-            ></div>
-            <div className="day-label">{day.display}</div>
-          </div>
-        ))}
+        {chartData.map((day) => {
+          const editable = isEditable(day);
+          const Day = editable ? "button" : "div";
+          const className = [
+            "chart-day",
+            getDayClass(day),
+            editable && "editable",
+            day.backfilled && "backfilled",
+          ]
+            .filter(Boolean)
+            .join(" ");
+
+          return (
+            <Day
+              key={day.date}
+              className={className}
+              title={getDayTitle(day)}
+              {...(editable && {
+                type: "button",
+                onClick: () => onToggleDay(day.date),
+                "aria-pressed": avoid ? day.slipped : day.completed,
+              })}
+            >
+              <div
+                className="day-bar"
+                style={{
+                  height: getBarHeight(day),
+                }}
+              ></div>
+              <div className="day-label">{day.display}</div>
+            </Day>
+          );
+        })}
       </div>
     </div>
   );
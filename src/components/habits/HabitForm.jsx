@@ -1,13 +1,117 @@
 // Form for creating or editing habits
 import React, { useState } from "react";
+import {
+  HABIT_TYPES,
+  HABIT_TYPE_OPTIONS,
+  getHabitGoal,
+  isMeasured,
+  validateHabitGoal,
+} from "../../data/habitTypes";
+import {
+  EVERY_DAY,
+  SCHEDULE_TYPES,
+  SCHEDULE_TYPE_OPTIONS,
+  describeSchedule,
+  getHabitSchedule,
+  validateSchedule,
+} from "../../data/habitSchedule";
+import { validateVacations } from "../../data/habitExcuses";
+import {
+  getHabitReminders,
+  validateReminderTimes,
+} from "../../data/habitReminders";
+import {
+  SUGGESTED_CATEGORIES,
+  normalizeTags,
+  validateHabitGrouping,
+} from "../../data/habitCategories";
+import { AVOID_SCHEDULE, isAvoidHabit } from "../../data/habitSlips";
+import { getToday } from "../../utils/localDate";
+import VacationRangesEditor from "./VacationRangesEditor";
+
+// Number inputs hold strings; empty optional fields become null
+const toNumber = (value) => (value === "" ? null : Number(value));
+const toInputValue = (value) => (value === null ? "" : String(value));
+
+// Suggested quota when switching to a "times per ..." schedule
+const DEFAULT_TIMES = {
+  [SCHEDULE_TYPES.TIMES_PER_WEEK]: "3",
+  [SCHEDULE_TYPES.TIMES_PER_MONTH]: "2",
+};
+
+const DAYS_OF_MONTH = Array.from({ length: 31 }, (_, i) => i + 1);
+
+// Time suggested for a newly added reminder
+const DEFAULT_REMINDER_TIME = "09:00";
+
+// Form fields for every schedule type, filled from the habit's schedule
+const toScheduleFields = (schedule) => ({
+  scheduleType: schedule.type,
+  targetDays:
+    schedule.type === SCHEDULE_TYPES.WEEKDAYS ? schedule.days : EVERY_DAY,
+  times: String(schedule.times ?? DEFAULT_TIMES[schedule.type] ?? ""),
+  every: String(schedule.every ?? 2),
+  startDate: schedule.startDate ?? getToday(),
+  monthDays: schedule.type === SCHEDULE_TYPES.MONTH_DAYS ? schedule.days : [1],
+});
+
+// Schedule described by the form fields of its type
+const toSchedule = ({
+  scheduleType,
+  targetDays,
+  times,
+  every,
+  startDate,
+  monthDays,
+}) => {
+  switch (scheduleType) {
+    case SCHEDULE_TYPES.TIMES_PER_WEEK:
+    case SCHEDULE_TYPES.TIMES_PER_MONTH:
+      return { type: scheduleType, times: Number(times) };
+    case SCHEDULE_TYPES.INTERVAL:
+      return { type: scheduleType, every: Number(every), startDate };
+    case SCHEDULE_TYPES.MONTH_DAYS:
+      return { type: scheduleType, days: monthDays };
+    default:
+      return { type: SCHEDULE_TYPES.WEEKDAYS, days: targetDays };
+  }
+};
+
+// Add a value to a list, or remove it if it's already there
+const toggleInList = (list, value) =>
+  list.includes(value)
+    ? list.filter((item) => item !== value)
+    : [...list, value].sort((a, b) => a - b);
 
 const HabitForm = ({ habit, onSave, onCancel }) => {
+  const goal = getHabitGoal(habit);
   const [formData, setFormData] = useState({
     name: habit?.name || "",
     description: habit?.description || "",
-    targetDays: habit?.targetDays || [0, 1, 2, 3, 4, 5, 6], // Default to every day
-    reminderTime: habit?.reminderTime || "",
+    category: habit?.category || "",
+    tags: (habit?.tags || []).join(", "),
+    ...toScheduleFields(getHabitSchedule(habit)), // Default to every day
+    reminders: getHabitReminders(habit),
+    vacations: habit?.vacations || [],
+    endDate: habit?.endDate || "",
+    type: goal.type,
+    target: toInputValue(goal.target),
+    unit: goal.unit,
+    min: toInputValue(goal.min),
+    max: toInputValue(goal.max),
   });
+  const [groupingErrors, setGroupingErrors] = useState([]);
+  const [goalErrors, setGoalErrors] = useState([]);
+  const [scheduleErrors, setScheduleErrors] = useState([]);
+  const [vacationErrors, setVacationErrors] = useState([]);
+  const [reminderErrors, setReminderErrors] = useState([]);
+  // Habits to avoid are tracked every day
+  const isAvoiding = formData.type === HABIT_TYPES.AVOID;
+  const schedule = isAvoiding ? AVOID_SCHEDULE : toSchedule(formData);
+  // An existing habit can't switch to or from avoiding
+  const typeOptions = Object.entries(HABIT_TYPE_OPTIONS).filter(
+    ([type]) => !habit || (type === HABIT_TYPES.AVOID) === isAvoidHabit(habit)
+  );
 
   const daysOfWeek = [
     { value: 0, label: "Sun" },
@@ -27,27 +131,107 @@ const HabitForm = ({ habit, onSave, onCancel }) => {
     }));
   };
 
+  // Start a new type from its own defaults
+  const handleTypeChange = (e) => {
+    const type = e.target.value;
+    const options = HABIT_TYPE_OPTIONS[type];
+    setFormData((prev) => ({
+      ...prev,
+      type,
+      target: String(options.defaultTarget),
+      unit: options.defaultUnit,
+      min: "",
+      max: "",
+    }));
+    setGoalErrors([]);
+  };
+
+  const handleScheduleTypeChange = (e) => {
+    const scheduleType = e.target.value;
+    setFormData((prev) => ({
+      ...prev,
+      scheduleType,
+      times: DEFAULT_TIMES[scheduleType] ?? prev.times,
+    }));
+    setScheduleErrors([]);
+  };
+
   const handleDayToggle = (day) => {
-    setFormData((prev) => {
-      const targetDays = [...prev.targetDays];
-      const index = targetDays.indexOf(day);
-
-      if (index === -1) {
-        targetDays.push(day);
-      } else {
-        targetDays.splice(index, 1);
-      }
-
-      return {
-        ...prev,
-        targetDays,
-      };
-    });
+    setFormData((prev) => ({
+      ...prev,
+      targetDays: toggleInList(prev.targetDays, day),
+    }));
+  };
+
+  const handleMonthDayToggle = (day) => {
+    setFormData((prev) => ({
+      ...prev,
+      monthDays: toggleInList(prev.monthDays, day),
+    }));
+  };
+
+  const updateReminders = (update) => {
+    setFormData((prev) => ({ ...prev, reminders: update(prev.reminders) }));
+    setReminderErrors([]);
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSave(formData);
+
+    const {
+      name,
+      description,
+      category,
+      tags,
+      reminders,
+      vacations,
+      endDate,
+      type,
+      target,
+      unit,
+      min,
+      max,
+    } = formData;
+    const base = {
+      name,
+      description,
+      category,
+      tags: normalizeTags(tags),
+      reminders,
+      schedule,
+      vacations,
+      endDate: endDate || null,
+    };
+    const habitData = isMeasured({ type })
+      ? {
+          ...base,
+          type,
+          target: toNumber(target),
+          unit: unit.trim(),
+          min: toNumber(min),
+          max: toNumber(max),
+        }
+      : { ...base, type };
+
+    const invalidGrouping = validateHabitGrouping(habitData);
+    const errors = validateHabitGoal(habitData);
+    const invalidSchedule = validateSchedule(schedule);
+    const invalidVacations = validateVacations(vacations);
+    const invalidReminders = validateReminderTimes(reminders);
+    setGroupingErrors(invalidGrouping);
+    setGoalErrors(errors);
+    setScheduleErrors(invalidSchedule);
+    setVacationErrors(invalidVacations);
+    setReminderErrors(invalidReminders);
+    if (
+      invalidGrouping.length === 0 &&
+      errors.length === 0 &&
+      invalidSchedule.length === 0 &&
+      invalidVacations.length === 0 &&
+      invalidReminders.length === 0
+    ) {
+      onSave(habitData);
+    }
   };
 
   return (
@@ -76,33 +260,333 @@ const HabitForm = ({ habit, onSave, onCancel }) => {
         />
       </div>
 
+      <div className="form-group grouping-fields">
+        <label>
+          Category (optional)
+          <input
+            type="text"
+            name="category"
+            value={formData.category}
+            onChange={handleChange}
+            list="habit-categories"
+            placeholder="e.g., Health"
+          />
+          <datalist id="habit-categories">
+            {SUGGESTED_CATEGORIES.map((category) => (
+              <option key={category} value={category} />
+            ))}
+          </datalist>
+        </label>
+        <label>
+          Tags (optional)
+          <input
+            type="text"
+            name="tags"
+            value={formData.tags}
+            onChange={handleChange}
+            placeholder="e.g., morning, outdoors"
+          />
+        </label>
+        <p className="form-hint">Separate tags with commas.</p>
+        {groupingErrors.length > 0 && (
+          <ul className="form-errors" role="alert">
+            {groupingErrors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+
       <div className="form-group">
-        <label>Target Days</label>
-        <div className="day-selector">
-          {daysOfWeek.map((day) => (
-            <button
-              key={day.value}
-              type="button"
-              className={`day-button ${
-                formData.targetDays.includes(day.value) ? "selected" : ""
-              }`}
-              onClick={() => handleDayToggle(day.value)}
-            >
-              {day.label}
-            </button>
+        <label htmlFor="type">Habit Type</label>
+        <select
+          id="type"
+          name="type"
+          value={formData.type}
+          onChange={handleTypeChange}
+          disabled={typeOptions.length === 1}
+        >
+          {typeOptions.map(([type, options]) => (
+            <option key={type} value={type}>
+              {options.label}
+            </option>
           ))}
-        </div>
+        </select>
+        <p className="form-hint">
+          {HABIT_TYPE_OPTIONS[formData.type].description}
+        </p>
       </div>
 
+      {isMeasured({ type: formData.type }) && (
+        <div className="form-group goal-fields">
+          <label>Daily Goal</label>
+          <div className="goal-inputs">
+            <label>
+              Target
+              <input
+                type="number"
+                name="target"
+                value={formData.target}
+                onChange={handleChange}
+                min="0"
+                step="any"
+                required
+              />
+            </label>
+            <label>
+              Unit
+              <input
+                type="text"
+                name="unit"
+                value={formData.unit}
+                onChange={handleChange}
+                placeholder="e.g., glasses, km"
+                disabled={formData.type === HABIT_TYPES.DURATION}
+              />
+            </label>
+            <label>
+              Min (optional)
+              <input
+                type="number"
+                name="min"
+                value={formData.min}
+                onChange={handleChange}
+                step="any"
+              />
+            </label>
+            <label>
+              Max (optional)
+              <input
+                type="number"
+                name="max"
+                value={formData.max}
+                onChange={handleChange}
+                step="any"
+              />
+            </label>
+          </div>
+          {goalErrors.length > 0 && (
+            <ul className="form-errors" role="alert">
+              {goalErrors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {!isAvoiding && (
+        <div className="form-group schedule-fields">
+          <label htmlFor="scheduleType">Schedule</label>
+          <select
+            id="scheduleType"
+            name="scheduleType"
+            value={formData.scheduleType}
+            onChange={handleScheduleTypeChange}
+          >
+            {Object.entries(SCHEDULE_TYPE_OPTIONS).map(([type, options]) => (
+              <option key={type} value={type}>
+                {options.label}
+              </option>
+            ))}
+          </select>
+
+          {formData.scheduleType === SCHEDULE_TYPES.WEEKDAYS && (
+            <div className="day-selector">
+              {daysOfWeek.map((day) => (
+                <button
+                  key={day.value}
+                  type="button"
+                  className={`day-button ${
+                    formData.targetDays.includes(day.value) ? "selected" : ""
+                  }`}
+                  onClick={() => handleDayToggle(day.value)}
+                >
+                  {day.label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {formData.scheduleType === SCHEDULE_TYPES.TIMES_PER_WEEK && (
+            <label className="schedule-inputs">
+              <input
+                type="number"
+                name="times"
+                value={formData.times}
+                onChange={handleChange}
+                min="1"
+                max="7"
+                required
+              />
+              times a week, on any days
+            </label>
+          )}
+
+          {formData.scheduleType === SCHEDULE_TYPES.TIMES_PER_MONTH && (
+            <label className="schedule-inputs">
+              <input
+                type="number"
+                name="times"
+                value={formData.times}
+                onChange={handleChange}
+                min="1"
+                max="31"
+                required
+              />
+              times a month, on any days
+            </label>
+          )}
+
+          {formData.scheduleType === SCHEDULE_TYPES.INTERVAL && (
+            <div className="schedule-inputs">
+              <label>
+                Every
+                <input
+                  type="number"
+                  name="every"
+                  value={formData.every}
+                  onChange={handleChange}
+                  min="1"
+                  required
+                />
+                days
+              </label>
+              <label>
+                starting
+                <input
+                  type="date"
+                  name="startDate"
+                  value={formData.startDate}
+                  onChange={handleChange}
+                  required
+                />
+              </label>
+            </div>
+          )}
+
+          {formData.scheduleType === SCHEDULE_TYPES.MONTH_DAYS && (
+            <div className="day-selector month-days">
+              {DAYS_OF_MONTH.map((day) => (
+                <button
+                  key={day}
+                  type="button"
+                  className={`day-button ${
+                    formData.monthDays.includes(day) ? "selected" : ""
+                  }`}
+                  onClick={() => handleMonthDayToggle(day)}
+                >
+                  {day}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {validateSchedule(schedule).length === 0 && (
+            <p className="form-hint">{describeSchedule(schedule)}</p>
+          )}
+          {scheduleErrors.length > 0 && (
+            <ul className="form-errors" role="alert">
+              {scheduleErrors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       <div className="form-group">
-        <label htmlFor="reminderTime">Reminder Time (optional)</label>
+        <label htmlFor="endDate">End Date (optional)</label>
         <input
-          type="time"
-          id="reminderTime"
-          name="reminderTime"
-          value={formData.reminderTime}
+          type="date"
+          id="endDate"
+          name="endDate"
+          value={formData.endDate}
           onChange={handleChange}
         />
+        <p className="form-hint">
+          For challenges like "30 days of yoga". After this day the habit moves
+          to the archive with its final results.
+        </p>
+      </div>
+
+      <div className="form-group">
+        <label>Time Off (optional)</label>
+        <p className="form-hint">
+          Days off don't break this habit's streak. Vacations for all habits are
+          set in Settings.
+        </p>
+        <VacationRangesEditor
+          vacations={formData.vacations}
+          onChange={(vacations) =>
+            setFormData((prev) => ({ ...prev, vacations }))
+          }
+        />
+        {vacationErrors.length > 0 && (
+          <ul className="form-errors" role="alert">
+            {vacationErrors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label>Reminders (optional)</label>
+        <div className="reminder-times">
+          {formData.reminders.map((time, index) => (
+            <div className="reminder-time" key={index}>
+              <input
+                type="time"
+                value={time}
+                onChange={(e) =>
+                  updateReminders((reminders) =>
+                    reminders.map((other, i) =>
+                      i === index ? e.target.value : other
+                    )
+                  )
+                }
+                aria-label={`Reminder ${index + 1}`}
+                required
+              />
+              <button
+                type="button"
+                className="reminder-remove"
+                onClick={() =>
+                  updateReminders((reminders) =>
+                    reminders.filter((_, i) => i !== index)
+                  )
+                }
+                aria-label="Remove this reminder"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="reminder-add"
+            onClick={() =>
+              updateReminders((reminders) => [
+                ...reminders,
+                DEFAULT_REMINDER_TIME,
+              ])
+            }
+          >
+            Add reminder
+          </button>
+        </div>
+        <p className="form-hint">
+          Reminders only come on days the habit is due and not yet done. Allow
+          notifications in Settings to receive them.
+        </p>
+        {reminderErrors.length > 0 && (
+          <ul className="form-errors" role="alert">
+            {reminderErrors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
       </div>
 
       <div className="form-actions">
@@ -0,0 +1,69 @@
+// Collapsible section of the habit dashboard holding one category
+import React from "react";
+import { countsForToday } from "../../data/enhancedHabitService";
+import { UNCATEGORIZED_LABEL } from "../../data/habitCategories";
+
+/**
+ * Habit Group
+ *
+ * One stand of trees: the habits of a category under a heading that
+ * tells how many are done of those due today. The heading folds the group
+ * away.
+ *
+ * @param {Object} props Component props
+ * @param {string} props.category Category, or "" for habits without one
+ * @param {Array} props.habits Habits in the group
+ * @param {Array} props.vacations Vacations for all habits
+ * @param {boolean} props.isCollapsed Whether the cards are hidden
+ * @param {Function} props.onToggle Called to collapse or expand the group
+ * @param {React.ReactNode} props.children Habit cards
+ */
+const HabitGroup = ({
+  category,
+  habits,
+  vacations = [],
+  isCollapsed,
+  onToggle,
+  children,
+}) => {
+  // Same counting as the summary: habits not due today don't count
+  const completedToday = habits.filter((habit) => habit.completedToday).length;
+  const dueToday = habits.filter((habit) =>
+    countsForToday(habit, vacations)
+  ).length;
+  const rate = dueToday ? Math.round((completedToday / dueToday) * 100) : 100;
+
+  return (
+    <section className="habit-group">
+      <h2 className="habit-group-heading">
+        <button
+          className="habit-group-header"
+          onClick={onToggle}
+          aria-expanded={!isCollapsed}
+        >
+          <span className="habit-group-toggle" aria-hidden="true">
+            {isCollapsed ? "▸" : "▾"}
+          </span>
+          <span className="habit-group-name">
+            {category || UNCATEGORIZED_LABEL}
+          </span>
+          <span className="habit-group-count">
+            {habits.length} {habits.length === 1 ? "habit" : "habits"}
+          </span>
+          <span className="habit-group-summary">
+            {dueToday > 0
+              ? `${completedToday}/${dueToday} done today`
+              : "Nothing due today"}
+          </span>
+          <span className="habit-group-progress" aria-hidden="true">
+            <span style={{ width: `${rate}%` }}></span>
+          </span>
+        </button>
+      </h2>
+
+      {!isCollapsed && <div className="habits-container">{children}</div>}
+    </section>
+  );
+};
+
+export default HabitGroup;
@@ -0,0 +1,176 @@
+// Year-long calendar heatmap of a habit's days
+import React, { useMemo } from "react";
+import {
+  addDays,
+  formatCalendarDate,
+  getDayOfWeek,
+  getToday,
+} from "../../utils/localDate";
+import {
+  HABIT_TYPES,
+  formatHabitValue,
+  getEntryValue,
+  isMeasured,
+} from "../../data/habitTypes";
+import { getDailyWeight } from "../../data/habitSchedule";
+import { getExcuse } from "../../data/habitExcuses";
+import { isSlip } from "../../data/habitSlips";
+
+const STATUS_LABELS = {
+  completed: "Completed",
+  clean: "Clean",
+  slipped: "Slipped",
+  partial: "Partly done",
+  skipped: "Skipped",
+  excused: "Excused",
+  frozen: "Covered by a streak freeze",
+  vacation: "Vacation",
+  rest: "Rest day",
+  missed: "Missed",
+  open: "Open",
+  future: "",
+};
+
+// Rows run Monday to Sunday, like schedule weeks; only some are labelled
+const WEEKDAY_LABELS = ["Mon", "", "Wed", "", "Fri", "", ""];
+
+// Skipped, frozen and vacation days share the colour of excused ones
+const LEGEND = ["completed", "partial", "excused", "missed", "rest"];
+
+// Habits to avoid are turned around: slips stand out from clean days
+const AVOID_LEGEND = ["clean", "slipped", "excused"];
+
+/**
+ * Habit Heatmap
+ *
+ * Growth rings laid out flat: one square per day over the last year, a
+ * column per week, coloured like the days of the habit chart.
+ *
+ * @param {Object} props Component props
+ * @param {Array} props.history The habit's history entries
+ * @param {Object} props.goal Goal from getHabitGoal
+ * @param {Object} props.schedule Schedule from getHabitSchedule
+ * @param {Array} props.vacations Vacation ranges that apply to the habit
+ * @param {string} props.endDate Last day the habit was tracked, if it ended
+ * @param {number} props.weeks Number of weeks to show (default: 53)
+ */
+const HabitHeatmap = ({
+  history = [],
+  goal,
+  schedule,
+  vacations = [],
+  endDate = null,
+  weeks = 53,
+}) => {
+  const measured = goal && isMeasured(goal);
+  const avoid = goal?.type === HABIT_TYPES.AVOID;
+  const today = getToday();
+
+  const days = useMemo(() => {
+    // Start on the Monday of the first week shown
+    const offset = (getDayOfWeek(today) + 6) % 7;
+    const start = addDays(today, -offset - (weeks - 1) * 7);
+    const entries = new Map(history.map((entry) => [entry.date, entry]));
+
+    return Array.from({ length: weeks * 7 }, (_, index) => {
+      const date = addDays(start, index);
+      const entry = entries.get(date);
+      const value = measured ? getEntryValue(goal, entry) : null;
+
+      let status;
+      if (date > today || (endDate && date > endDate)) status = "future";
+      else if (avoid && entry?.completed) status = "clean";
+      else if (isSlip(entry)) status = "slipped";
+      else if (entry?.completed) status = "completed";
+      else if (measured && value > 0) status = "partial";
+      else status = getExcuse(history, date, vacations);
+
+      if (!status) {
+        const weight = getDailyWeight(schedule, date);
+        if (weight === 0) status = "rest";
+        // Days before a habit to avoid was started weren't tracked
+        else if (avoid) status = "open";
+        else status = weight === 1 && date < today ? "missed" : "open";
+      }
+
+      return { date, status, value };
+    });
+  }, [
+    history,
+    goal,
+    measured,
+    avoid,
+    schedule,
+    vacations,
+    endDate,
+    weeks,
+    today,
+  ]);
+
+  // Label the columns where a new month begins
+  const monthLabels = useMemo(
+    () =>
+      Array.from({ length: weeks }, (_, week) => {
+        const monday = days[week * 7].date;
+        const previous = week > 0 ? days[(week - 1) * 7].date : null;
+        return previous && previous.slice(0, 7) === monday.slice(0, 7)
+          ? ""
+          : formatCalendarDate(monday, { month: "short" }, "en-US");
+      }),
+    [days, weeks]
+  );
+
+  const getTitle = (day) => {
+    const display = formatCalendarDate(
+      day.date,
+      { weekday: "short", month: "short", day: "numeric", year: "numeric" },
+      "en-US"
+    );
+    if (day.status === "future") return display;
+    return measured && day.value > 0
+      ? `${display}: ${formatHabitValue(goal, day.value)} (${STATUS_LABELS[day.status]})`
+      : `${display}: ${STATUS_LABELS[day.status]}`;
+  };
+
+  return (
+    <div className="habit-heatmap">
+      <div className="heatmap-body">
+        <div className="heatmap-weekdays" aria-hidden="true">
+          <span></span>
+          {WEEKDAY_LABELS.map((label, index) => (
+            <span key={index}>{label}</span>
+          ))}
+        </div>
+        <div className="heatmap-scroll">
+          <div className="heatmap-months" aria-hidden="true">
+            {monthLabels.map((label, week) => (
+              <span key={week}>{label}</span>
+            ))}
+          </div>
+          <div className="heatmap-grid">
+            {days.map((day) => (
+              <div
+                key={day.date}
+                className={`heatmap-day ${day.status}`}
+                title={getTitle(day)}
+              ></div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="heatmap-legend">
+        {(avoid ? AVOID_LEGEND : LEGEND)
+          .filter((status) => measured || status !== "partial")
+          .map((status) => (
+            <span key={status} className="heatmap-legend-item">
+              <span className={`heatmap-day ${status}`}></span>
+              {STATUS_LABELS[status]}
+            </span>
+          ))}
+      </div>
+    </div>
+  );
+};
+
+export default HabitHeatmap;
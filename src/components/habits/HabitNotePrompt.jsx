@@ -0,0 +1,83 @@
+// Quick note and mood for today's entry of a habit
+import React, { useState } from "react";
+import { MAX_NOTE_LENGTH, MOODS } from "../../data/habitJournal";
+
+/**
+ * Habit Note Prompt
+ *
+ * A field notebook opened right after a habit is ticked off: one line
+ * about how it went and a mood from 1 to 5, both optional. Saving an
+ * empty note and no mood clears them.
+ *
+ * @param {Object} props Component props
+ * @param {string} props.habitName Name of the habit
+ * @param {Object} props.entry Today's history entry, if any
+ * @param {Function} props.onSave Called with { note, mood }
+ * @param {Function} props.onClose Called when the prompt is dismissed
+ */
+const HabitNotePrompt = ({ habitName, entry, onSave, onClose }) => {
+  const [note, setNote] = useState(entry?.note || "");
+  const [mood, setMood] = useState(entry?.mood || null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({ note, mood });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  return (
+    <form
+      className="habit-note-prompt"
+      onSubmit={handleSubmit}
+      onKeyDown={handleKeyDown}
+    >
+      <input
+        type="text"
+        className="habit-note-input"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        maxLength={MAX_NOTE_LENGTH}
+        placeholder="How did it go? (optional)"
+        aria-label={`Note for ${habitName} today`}
+        autoFocus
+      />
+
+      <div className="habit-moods" role="group" aria-label="Mood">
+        {MOODS.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            className={`habit-mood ${mood === option.value ? "selected" : ""}`}
+            onClick={() =>
+              setMood((current) =>
+                current === option.value ? null : option.value
+              )
+            }
+            aria-pressed={mood === option.value}
+            aria-label={option.label}
+            title={option.label}
+          >
+            {option.emoji}
+          </button>
+        ))}
+      </div>
+
+      <div className="habit-note-actions">
+        <button type="submit" className="habit-note-save">
+          Save
+        </button>
+        <button type="button" className="habit-note-skip" onClick={onClose}>
+          Skip
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default HabitNotePrompt;
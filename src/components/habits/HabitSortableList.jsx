@@ -0,0 +1,152 @@
+// List of habit cards the user can put in their own order
+import React, { useEffect, useId, useRef, useState } from "react";
+import { moveItem } from "../../data/habitOrder";
+
+/**
+ * Habit Sortable List
+ *
+ * Lets the user replant the trees of a stand in the order they like: a
+ * card is dragged by its handle, or moved one place at a time with the
+ * arrow keys while its handle has focus. Each move is announced for
+ * screen readers. When sorting is off the cards are shown as they come.
+ *
+ * @param {Object} props Component props
+ * @param {Array} props.habits Habits in their current order
+ * @param {boolean} props.isSortable Whether the cards can be moved
+ * @param {Function} props.onReorder Called with the habit IDs in their new
+ *   order
+ * @param {Function} props.renderHabit (habit, dragHandle) => habit card
+ */
+const HabitSortableList = ({ habits, isSortable, onReorder, renderHabit }) => {
+  const [grabbedId, setGrabbedId] = useState(null);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+  const instructionsId = useId();
+
+  const handleRefs = useRef(new Map());
+  const focusIdRef = useRef(null);
+
+  const ids = habits.map((habit) => habit.id);
+
+  // Keep the focus on the handle of a card moved with the keyboard
+  useEffect(() => {
+    if (!focusIdRef.current) return;
+    handleRefs.current.get(focusIdRef.current)?.focus();
+    focusIdRef.current = null;
+  }, [habits]);
+
+  const move = (from, to) => {
+    if (to < 0 || to >= ids.length || from === to) return;
+
+    const habit = habits[from];
+    onReorder(moveItem(ids, from, to));
+    setAnnouncement(
+      `Moved ${habit.name} to position ${to + 1} of ${ids.length}`
+    );
+  };
+
+  const endDrag = () => {
+    setGrabbedId(null);
+    setDraggedId(null);
+    setDropIndex(null);
+  };
+
+  const handleDragStart = (event, id) => {
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", id);
+    setDraggedId(id);
+  };
+
+  const handleDragOver = (event, index) => {
+    if (!draggedId) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "move";
+    setDropIndex(index);
+  };
+
+  const handleDrop = (event, index) => {
+    if (!draggedId) return;
+    event.preventDefault();
+    move(ids.indexOf(draggedId), index);
+    endDrag();
+  };
+
+  const handleKeyDown = (event, index) => {
+    const to = {
+      ArrowUp: index - 1,
+      ArrowDown: index + 1,
+      Home: 0,
+      End: ids.length - 1,
+    }[event.key];
+    if (to === undefined) return;
+
+    event.preventDefault();
+    focusIdRef.current = ids[index];
+    move(index, to);
+  };
+
+  if (!isSortable) {
+    return habits.map((habit) => (
+      <React.Fragment key={habit.id}>{renderHabit(habit, null)}</React.Fragment>
+    ));
+  }
+
+  return (
+    <>
+      {habits.map((habit, index) => {
+        const dragHandle = (
+          <button
+            ref={(element) => {
+              if (element) handleRefs.current.set(habit.id, element);
+              else handleRefs.current.delete(habit.id);
+            }}
+            className="habit-drag-handle"
+            onPointerDown={() => setGrabbedId(habit.id)}
+            onPointerUp={() => setGrabbedId(null)}
+            onKeyDown={(event) => handleKeyDown(event, index)}
+            aria-label={`Move ${habit.name}`}
+            aria-describedby={instructionsId}
+            title="Drag, or use the arrow keys, to move"
+          >
+            ⠿
+          </button>
+        );
+
+        // A card can only be dragged by its handle, so its text stays
+        // selectable
+        return (
+          <div
+            key={habit.id}
+            className={[
+              "habit-sortable-item",
+              draggedId === habit.id ? "dragging" : "",
+              dropIndex === index && draggedId !== habit.id
+                ? "drop-target"
+                : "",
+            ]
+              .filter(Boolean)
+              .join(" ")}
+            draggable={grabbedId === habit.id}
+            onDragStart={(event) => handleDragStart(event, habit.id)}
+            onDragOver={(event) => handleDragOver(event, index)}
+            onDrop={(event) => handleDrop(event, index)}
+            onDragEnd={endDrag}
+          >
+            {renderHabit(habit, dragHandle)}
+          </div>
+        );
+      })}
+
+      <p id={instructionsId} className="visually-hidden">
+        Use the up and down arrow keys to move the habit, or Home and End to
+        move it to the top or bottom.
+      </p>
+      <p className="visually-hidden" role="status" aria-live="polite">
+        {announcement}
+      </p>
+    </>
+  );
+};
+
+export default HabitSortableList;
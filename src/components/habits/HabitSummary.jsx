@@ -1,18 +1,28 @@
 // Summary component showing overall habit statistics
 import React from "react";
+import { Link } from "react-router-dom";
+import { formatCalendarDate, getToday } from "../../utils/localDate";
+import { countsForToday } from "../../data/enhancedHabitService";
+import {
+  getReflectionLink,
+  getReflectionPeriod,
+} from "../../data/habitReflections";
 
 /**
- * Summary component to display overall habit tracking statistics
+ * Summary component to display overall habit tracking statistics, with a
+ * link to write a blog post reflecting on the last week of every habit
  *
  * @param {Object} props Component props
  * @param {Array} props.habits Array of habit objects
+ * @param {Array} props.vacations Vacations for all habits
  */
-const HabitSummary = ({ habits }) => {
+const HabitSummary = ({ habits, vacations = [] }) => {
   // Calculate summary statistics
   const stats = React.useMemo(() => {
     if (!habits || habits.length === 0) {
       return {
         totalHabits: 0,
+        dueToday: 0,
         completedToday: 0,
         completionRate: 0,
         totalStreak: 0,
@@ -24,18 +34,26 @@ const HabitSummary = ({ habits }) => {
     const completedToday = habits.filter(
       (habit) => habit.completedToday
     ).length;
-    const completionRate = Math.round((completedToday / totalHabits) * 100);
+    // Habits off schedule, skipped or on vacation today don't count
+    // against today's progress
+    const dueToday = habits.filter((habit) =>
+      countsForToday(habit, vacations)
+    ).length;
+    const completionRate = dueToday
+      ? Math.round((completedToday / dueToday) * 100)
+      : 100;
     const totalStreak = habits.reduce((sum, habit) => sum + habit.streak, 0);
     const averageStreak = Math.round(totalStreak / totalHabits);
 
     return {
       totalHabits,
+      dueToday,
       completedToday,
       completionRate,
       totalStreak,
       averageStreak,
     };
-  }, [habits]);
+  }, [habits, vacations]);
 
   // Define color based on completion rate
   const getCompletionColor = (rate) => {
@@ -52,12 +70,16 @@ const HabitSummary = ({ habits }) => {
       <div className="summary-header">
         <h2>Habit Summary</h2>
         <div className="today-date">
-          {new Date().toLocaleDateString("en-US", {
-            weekday: "long",
-            year: "numeric",
-            month: "long",
-            day: "numeric",
-          })}
+          {formatCalendarDate(
+            getToday(),
+            {
+              weekday: "long",
+              year: "numeric",
+              month: "long",
+              day: "numeric",
+            },
+            "en-US"
+          )}
         </div>
       </div>
 
@@ -88,13 +110,13 @@ const HabitSummary = ({ habits }) => {
         <div className="stat-details">
           <div className="stat-item">
             <div className="stat-value">
-              {stats.completedToday}/{stats.totalHabits}
+              {stats.completedToday}/{stats.dueToday}
             </div>
-            <div className="stat-label">Habits Completed</div>
+            <div className="stat-label">Completed Today</div>
           </div>
           <div className="stat-item">
             <div className="stat-value">{stats.totalStreak}</div>
-            <div className="stat-label">Total Streak Days</div>
+            <div className="stat-label">Total Streak</div>
           </div>
           <div className="stat-item">
             <div className="stat-value">{stats.averageStreak}</div>
@@ -102,6 +124,19 @@ const HabitSummary = ({ habits }) => {
           </div>
         </div>
       </div>
+
+      {habits?.length > 0 && (
+        <div className="summary-actions">
+          <Link
+            to={getReflectionLink(
+              habits.map((habit) => habit.id),
+              getReflectionPeriod(getToday())
+            )}
+          >
+            Write a reflection on the week
+          </Link>
+        </div>
+      )}
     </div>
   );
 };
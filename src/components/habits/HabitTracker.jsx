@@ -5,9 +5,60 @@ import HabitCard from "./HabitCard";
 import HabitForm from "./HabitForm";
 import HabitChart from "./HabitChart";
 import HabitSummary from "./HabitSummary";
-import { enhancedHabitService } from "../../data/enhancedHabitService";
+import ArchivedHabits from "./ArchivedHabits";
+import HabitGroup from "./HabitGroup";
+import HabitSortableList from "./HabitSortableList";
+import {
+  enhancedHabitService,
+  isHabitArchived,
+  isTodayTargetDay,
+} from "../../data/enhancedHabitService";
+import { settingsService } from "../../data/settingsService";
+import { getAllTags, groupHabitsByCategory } from "../../data/habitCategories";
+import { isAvoidHabit } from "../../data/habitSlips";
+import {
+  SORT_MODES,
+  SORT_MODE_OPTIONS,
+  assignOrders,
+  sortHabits,
+} from "../../data/habitOrder";
+import { addDays, getToday } from "../../utils/localDate";
 import { useDataRefresh } from "../../hooks/useLifecycle";
 
+// How long a deleted or archived habit can be brought back
+const UNDO_TIMEOUT = 8000;
+
+// Collapsed category groups are remembered on this device
+const COLLAPSED_GROUPS_KEY = "forest_ecosystem_collapsed_groups";
+
+function loadCollapsedGroups() {
+  try {
+    const groups = JSON.parse(localStorage.getItem(COLLAPSED_GROUPS_KEY));
+    return Array.isArray(groups) ? groups : [];
+  } catch (error) {
+    console.error("Error reading collapsed groups:", error);
+    return [];
+  }
+}
+
+function saveCollapsedGroups(groups) {
+  try {
+    localStorage.setItem(COLLAPSED_GROUPS_KEY, JSON.stringify(groups));
+  } catch (error) {
+    console.error("Error saving collapsed groups:", error);
+  }
+}
+
+// Clicking a day cycles it: not done -> done -> skipped -> excused -> not done;
+// a day of a habit to avoid switches between clean and slipped
+const getNextDayState = (habit, entry) => {
+  if (isAvoidHabit(habit)) return { completed: !entry?.completed };
+  if (entry?.completed) return { status: "skipped" };
+  if (entry?.status === "skipped") return { status: "excused" };
+  if (entry?.status === "excused") return { status: null };
+  return { completed: true };
+};
+
 /**
  * HabitTracker Component
  *
@@ -30,12 +81,20 @@ import { useDataRefresh } from "../../hooks/useLifecycle";
 const HabitTracker = () => {
   // Core state management (like the forest's current condition)
   const [habits, setHabits] = useState([]);
+  const [archivedHabits, setArchivedHabits] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
   // UI state management (like the forest's visible appearance)
   const [isCreating, setIsCreating] = useState(false);
   const [editingHabitId, setEditingHabitId] = useState(null);
+  const [backfillDays, setBackfillDays] = useState(0);
+  const [vacations, setVacations] = useState([]);
+  const [undo, setUndo] = useState(null);
+  const [collapsedGroups, setCollapsedGroups] = useState(loadCollapsedGroups);
+  const [tagFilter, setTagFilter] = useState(null);
+  const [taggedIds, setTaggedIds] = useState(null);
+  const [sortMode, setSortMode] = useState(SORT_MODES.MANUAL);
   const [habitStats, setHabitStats] = useState({
     total: 0,
     completedToday: 0,
@@ -44,7 +103,7 @@ const HabitTracker = () => {
   });
 
   // Get refresh trigger from lifecycle hook
-  const refreshData = useDataRefresh("habits");
+  const [habitsVersion] = useDataRefresh("habits");
 
   // Fetch habits data (like gathering environmental data from the forest)
   const fetchHabits = useCallback(async () => {
@@ -57,7 +116,19 @@ const HabitTracker = () => {
 
       // Verify we received an array (defensive programming)
       if (Array.isArray(userHabits)) {
-        setHabits(userHabits);
+        // Archived habits rest apart from the ones still tracked
+        const today = getToday();
+        setHabits(userHabits.filter((habit) => !isHabitArchived(habit, today)));
+        setArchivedHabits(
+          userHabits.filter((habit) => isHabitArchived(habit, today))
+        );
+
+        // How far back past days can be filled in, and time off for all
+        // habits
+        const preferences = await settingsService.getPreferences();
+        setBackfillDays(preferences.backfillDays);
+        setVacations(preferences.vacations);
+        setSortMode(preferences.habitSortMode);
 
         // Calculate summary statistics
         const stats = await enhancedHabitService.getHabitStats();
@@ -84,7 +155,28 @@ const HabitTracker = () => {
   // Load habits on component mount and when data refreshes
   useEffect(() => {
     fetchHabits();
-  }, [fetchHabits, refreshData]);
+  }, [fetchHabits, habitsVersion]);
+
+  // Look up the habits with the chosen tag through the tags index
+  useEffect(() => {
+    if (!tagFilter) return;
+
+    let cancelled = false;
+    enhancedHabitService.getHabitsByTag(tagFilter).then((tagged) => {
+      if (!cancelled) setTaggedIds(new Set(tagged.map((habit) => habit.id)));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [tagFilter, habitsVersion]);
+
+  // The chance to undo passes after a while (like footprints fading)
+  useEffect(() => {
+    if (!undo) return;
+
+    const timerId = setTimeout(() => setUndo(null), UNDO_TIMEOUT);
+    return () => clearTimeout(timerId);
+  }, [undo]);
 
   // Handle habit creation (like introducing a new species to the forest)
   const handleCreateHabit = async (habitData) => {
@@ -94,8 +186,8 @@ const HabitTracker = () => {
       // Create habit through service
       const newHabit = await enhancedHabitService.createHabit(habitData);
 
-      // Update local state with new habit
-      setHabits((prev) => [newHabit, ...prev]);
+      // Update local state with new habit, which goes last
+      setHabits((prev) => [...prev, newHabit]);
 
       // Update summary statistics
       setHabitStats((prev) => ({
@@ -126,12 +218,17 @@ const HabitTracker = () => {
         habitData
       );
 
-      // Update local state with modified habit
-      setHabits((prev) =>
-        prev.map((habit) =>
-          habit.id === editingHabitId ? updatedHabit : habit
-        )
-      );
+      // Update local state with modified habit; an end date in the past
+      // moves it to the archive
+      if (isHabitArchived(updatedHabit)) {
+        await fetchHabits();
+      } else {
+        setHabits((prev) =>
+          prev.map((habit) =>
+            habit.id === editingHabitId ? updatedHabit : habit
+          )
+        );
+      }
 
       // Reset UI state
       setEditingHabitId(null);
@@ -143,32 +240,171 @@ const HabitTracker = () => {
     }
   };
 
+  // Open the edit form, which sits above the habits
+  const handleEditHabit = (id) => {
+    setIsCreating(false);
+    setEditingHabitId(id);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  // Take a habit off the tracker, offering to undo it instead of asking
+  // for confirmation first
+  const removeHabit = async (id, remove, undoAction, message) => {
+    const habit = habits.find((h) => h.id === id);
+
+    try {
+      setIsLoading(true);
+      const result = await remove(id);
+
+      // Update local state by removing habit
+      setHabits((prev) => prev.filter((h) => h.id !== id));
+
+      // Update summary statistics
+      setHabitStats((prev) => ({
+        ...prev,
+        total: prev.total - 1,
+      }));
+
+      setUndo({ message, action: () => undoAction(habit) });
+      return result;
+    } catch (error) {
+      console.error("Error removing habit:", error);
+      setError(`Failed to remove habit: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   // Handle habit deletion (like species leaving the ecosystem)
-  const handleDeleteHabit = async (id) => {
-    if (window.confirm("Are you sure you want to delete this habit?")) {
-      try {
-        setIsLoading(true);
-
-        // Delete habit through service
-        await enhancedHabitService.deleteHabit(id);
-
-        // Update local state by removing habit
-        setHabits((prev) => prev.filter((habit) => habit.id !== id));
-
-        // Update summary statistics
-        setHabitStats((prev) => ({
-          ...prev,
-          total: prev.total - 1,
-        }));
-      } catch (error) {
-        console.error("Error deleting habit:", error);
-        setError(`Failed to delete habit: ${error.message}`);
-      } finally {
-        setIsLoading(false);
-      }
+  const handleDeleteHabit = (id) =>
+    removeHabit(
+      id,
+      enhancedHabitService.deleteHabit,
+      enhancedHabitService.undeleteHabit,
+      `Deleted "${habits.find((h) => h.id === id)?.name}".`
+    );
+
+  // Handle habit archiving (like a tree going dormant for good)
+  const handleArchiveHabit = async (id) => {
+    const archived = await removeHabit(
+      id,
+      enhancedHabitService.archiveHabit,
+      (habit) => enhancedHabitService.restoreHabit(habit.id),
+      `Archived "${habits.find((h) => h.id === id)?.name}".`
+    );
+    if (archived) {
+      setArchivedHabits((prev) => [archived, ...prev]);
     }
   };
 
+  // Handle habit restoring (like a dormant tree leafing out again)
+  const handleRestoreHabit = async (id) => {
+    try {
+      setIsLoading(true);
+      const restored = await enhancedHabitService.restoreHabit(id);
+
+      setArchivedHabits((prev) => prev.filter((habit) => habit.id !== id));
+      setHabits((prev) => [...prev, restored]);
+      setHabitStats((prev) => ({
+        ...prev,
+        total: prev.total + 1,
+      }));
+    } catch (error) {
+      console.error("Error restoring habit:", error);
+      setError(`Failed to restore habit: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Bring back the habit that was just deleted or archived
+  const handleUndo = async () => {
+    const { action } = undo;
+    setUndo(null);
+
+    try {
+      await action();
+      await fetchHabits();
+    } catch (error) {
+      console.error("Error undoing habit removal:", error);
+      setError(`Failed to undo: ${error.message}`);
+    }
+  };
+
+  // Handle habit duplication (like a cutting taken from a healthy plant)
+  const handleDuplicateHabit = async (id) => {
+    try {
+      setIsLoading(true);
+      const copy = await enhancedHabitService.duplicateHabit(id);
+
+      // Show the copy right after the original
+      setHabits((prev) => {
+        const index = prev.findIndex((habit) => habit.id === id);
+        return [...prev.slice(0, index + 1), copy, ...prev.slice(index + 1)];
+      });
+      setHabitStats((prev) => ({
+        ...prev,
+        total: prev.total + 1,
+      }));
+    } catch (error) {
+      console.error("Error duplicating habit:", error);
+      setError(`Failed to duplicate habit: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Handle a habit being moved (like replanting a tree elsewhere in its
+  // stand): show the new order at once, then save it
+  const handleReorder = async (ids) => {
+    const orders = assignOrders(habits, ids);
+    setHabits((prev) =>
+      prev.map((habit) => ({ ...habit, order: orders.get(habit.id) }))
+    );
+
+    try {
+      const reordered = await enhancedHabitService.reorderHabits(ids);
+      setHabits(reordered.filter((habit) => !isHabitArchived(habit)));
+    } catch (error) {
+      console.error("Error reordering habits:", error);
+      setError(`Failed to move habit: ${error.message}`);
+      await fetchHabits();
+    }
+  };
+
+  // Choose how habits are sorted; the choice is kept in the preferences
+  const handleSortModeChange = async (mode) => {
+    setSortMode(mode);
+
+    try {
+      await settingsService.updatePreferences({ habitSortMode: mode });
+    } catch (error) {
+      console.error("Error saving sort mode:", error);
+      setError(`Failed to save sort order: ${error.message}`);
+    }
+  };
+
+  // Replace a habit in local state and carry its changes into the summary
+  const applyHabitUpdate = (previous, updatedHabit) => {
+    setHabits((prev) =>
+      prev.map((habit) => (habit.id === updatedHabit.id ? updatedHabit : habit))
+    );
+
+    if (!previous) return;
+
+    // Update summary statistics
+    const completionDelta =
+      Number(updatedHabit.completedToday) - Number(previous.completedToday);
+    const streakDelta = updatedHabit.streak - previous.streak;
+
+    setHabitStats((prev) => ({
+      ...prev,
+      completedToday: prev.completedToday + completionDelta,
+      streakSum: prev.streakSum + streakDelta,
+      longestStreak: Math.max(prev.longestStreak, updatedHabit.streak),
+    }));
+  };
+
   // Handle habit completion toggle (like seasonal behavior changes)
   const handleToggleCompletion = async (id) => {
     try {
@@ -182,27 +418,80 @@ const HabitTracker = () => {
 
       // Toggle completion through service
       const updatedHabit = await enhancedHabitService.toggleHabitCompletion(id);
+      applyHabitUpdate(habitToToggle, updatedHabit);
+    } catch (error) {
+      console.error("Error toggling habit completion:", error);
+      setError(`Failed to update habit: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
 
-      // Update local state with toggled habit
-      setHabits((prev) =>
-        prev.map((habit) => (habit.id === id ? updatedHabit : habit))
+  // Handle a recorded value (like reading a rain gauge)
+  const handleRecordValue = async (id, value) => {
+    const previous = habits.find((h) => h.id === id);
+
+    try {
+      const updatedHabit = await enhancedHabitService.recordHabitValue(
+        id,
+        value
       );
+      applyHabitUpdate(previous, updatedHabit);
+    } catch (error) {
+      console.error("Error recording habit value:", error);
+      setError(`Failed to update habit: ${error.message}`);
+    }
+  };
 
-      // Update summary statistics
-      const completionDelta = updatedHabit.completedToday ? 1 : -1;
-      const streakDelta = updatedHabit.streak - habitToToggle.streak;
+  // Handle an increment or decrement of today's value
+  const handleAdjustValue = async (id, delta) => {
+    const previous = habits.find((h) => h.id === id);
 
-      setHabitStats((prev) => ({
-        ...prev,
-        completedToday: prev.completedToday + completionDelta,
-        streakSum: prev.streakSum + streakDelta,
-        longestStreak: Math.max(prev.longestStreak, updatedHabit.streak),
-      }));
+    try {
+      const updatedHabit = await enhancedHabitService.adjustHabitValue(
+        id,
+        delta
+      );
+      applyHabitUpdate(previous, updatedHabit);
     } catch (error) {
-      console.error("Error toggling habit completion:", error);
+      console.error("Error adjusting habit value:", error);
       setError(`Failed to update habit: ${error.message}`);
-    } finally {
-      setIsLoading(false);
+    }
+  };
+
+  // Handle a click on a day (like retracing footprints on the trail):
+  // each click moves it on to the next state
+  const handleToggleDay = async (id, date) => {
+    const previous = habits.find((h) => h.id === id);
+    const entry = previous?.history.find((record) => record.date === date);
+
+    try {
+      const updatedHabit = await enhancedHabitService.setHabitEntry(
+        id,
+        date,
+        getNextDayState(previous, entry)
+      );
+      applyHabitUpdate(previous, updatedHabit);
+    } catch (error) {
+      console.error("Error changing habit entry:", error);
+      setError(`Failed to update habit: ${error.message}`);
+    }
+  };
+
+  // Handle a note and mood for today (like a line in the field notebook)
+  const handleSaveNote = async (id, journal) => {
+    const previous = habits.find((h) => h.id === id);
+
+    try {
+      const updatedHabit = await enhancedHabitService.setHabitEntry(
+        id,
+        getToday(),
+        journal
+      );
+      applyHabitUpdate(previous, updatedHabit);
+    } catch (error) {
+      console.error("Error saving habit note:", error);
+      setError(`Failed to save note: ${error.message}`);
     }
   };
 
@@ -212,6 +501,28 @@ const HabitTracker = () => {
       ? Math.round((habitStats.completedToday / habits.length) * 100)
       : 0;
 
+  // Fold a category group away, or open it again
+  const toggleGroup = (category) => {
+    const groups = collapsedGroups.includes(category)
+      ? collapsedGroups.filter((other) => other !== category)
+      : [...collapsedGroups, category];
+    setCollapsedGroups(groups);
+    saveCollapsedGroups(groups);
+  };
+
+  // Show the habits with a tag, or all habits again
+  const selectTag = (tag) => {
+    setTaggedIds(null);
+    setTagFilter((current) => (current === tag ? null : tag));
+  };
+
+  const tags = getAllTags(habits);
+  const visibleHabits = sortHabits(
+    tagFilter ? habits.filter((habit) => taggedIds?.has(habit.id)) : habits,
+    sortMode,
+    { isDueToday: (habit) => isTodayTargetDay(habit, vacations) }
+  );
+
   return (
     <div className="habit-tracker">
       {/* Header section - like the forest canopy */}
@@ -235,7 +546,7 @@ const HabitTracker = () => {
       )}
 
       {/* Summary section - like the forest overview */}
-      <HabitSummary habits={habits} />
+      <HabitSummary habits={habits} vacations={vacations} />
 
       {/* Stats section - like seasonal indicators */}
       <div className="habit-stats">
@@ -289,8 +600,57 @@ const HabitTracker = () => {
         </div>
       )}
 
-      {/* Main habits display - like the diverse species in the forest */}
-      <div className="habits-container">
+      {habits.length > 0 && (
+        <div className="habit-toolbar">
+          {/* Tag filter - like following one trail through the forest */}
+          {(tags.length > 0 || tagFilter) && (
+            <div
+              className="habit-tag-filter"
+              role="group"
+              aria-label="Filter habits by tag"
+            >
+              <button
+                className={!tagFilter ? "selected" : ""}
+                onClick={() => selectTag(null)}
+                aria-pressed={!tagFilter}
+              >
+                All
+              </button>
+              {[...new Set([...tags, ...(tagFilter ? [tagFilter] : [])])].map(
+                (tag) => (
+                  <button
+                    key={tag}
+                    className={tagFilter === tag ? "selected" : ""}
+                    onClick={() => selectTag(tag)}
+                    aria-pressed={tagFilter === tag}
+                  >
+                    #{tag}
+                  </button>
+                )
+              )}
+            </div>
+          )}
+
+          {/* Sort order - like choosing which way to walk the trail */}
+          <label className="habit-sort">
+            Sort by
+            <select
+              value={sortMode}
+              onChange={(e) => handleSortModeChange(e.target.value)}
+            >
+              {SORT_MODE_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {/* Main habits display - like the diverse species in the forest,
+          grouped into stands by category */}
+      <div className="habit-groups">
         {isLoading && habits.length === 0 ? (
           // Loading state - like waiting for visibility in a foggy forest
           <div className="loading-state">
@@ -300,7 +660,11 @@ const HabitTracker = () => {
         ) : habits.length === 0 ? (
           // Empty state - like a clearing awaiting new growth
           <div className="no-habits">
-            <p>You haven't created any habits yet.</p>
+            <p>
+              {archivedHabits.length > 0
+                ? "No habits are being tracked right now."
+                : "You haven't created any habits yet."}
+            </p>
             {!isCreating && (
               <button
                 className="start-button"
@@ -310,19 +674,65 @@ const HabitTracker = () => {
               </button>
             )}
           </div>
+        ) : tagFilter && taggedIds && visibleHabits.length === 0 ? (
+          <div className="no-habits">
+            <p>No habits are tagged #{tagFilter}.</p>
+          </div>
         ) : (
           // Display habits - like showcasing the forest's diverse species
-          habits.map((habit) => (
-            <HabitCard
-              key={habit.id}
-              habit={habit}
-              onToggleCompletion={handleToggleCompletion}
-              onEdit={() => setEditingHabitId(habit.id)}
-              onDelete={() => handleDeleteHabit(habit.id)}
-            />
-          ))
+          groupHabitsByCategory(visibleHabits).map(
+            ({ category, habits: groupHabits }) => (
+              <HabitGroup
+                key={category}
+                category={category}
+                habits={groupHabits}
+                vacations={vacations}
+                isCollapsed={collapsedGroups.includes(category)}
+                onToggle={() => toggleGroup(category)}
+              >
+                <HabitSortableList
+                  habits={groupHabits}
+                  isSortable={sortMode === SORT_MODES.MANUAL}
+                  onReorder={handleReorder}
+                  renderHabit={(habit, dragHandle) => (
+                    <HabitCard
+                      habit={habit}
+                      onToggleCompletion={handleToggleCompletion}
+                      onRecordValue={handleRecordValue}
+                      onAdjustValue={handleAdjustValue}
+                      onToggleDay={handleToggleDay}
+                      editableSince={addDays(getToday(), -backfillDays)}
+                      vacations={vacations}
+                      onSelectTag={selectTag}
+                      onEdit={() => handleEditHabit(habit.id)}
+                      onDuplicate={() => handleDuplicateHabit(habit.id)}
+                      onArchive={() => handleArchiveHabit(habit.id)}
+                      onDelete={() => handleDeleteHabit(habit.id)}
+                      onSaveNote={handleSaveNote}
+                      dragHandle={dragHandle}
+                    />
+                  )}
+                />
+              </HabitGroup>
+            )
+          )
         )}
       </div>
+
+      {/* Archived habits - like dormant trees, history intact */}
+      <ArchivedHabits
+        habits={archivedHabits}
+        vacations={vacations}
+        onRestore={handleRestoreHabit}
+      />
+
+      {/* Undo notice - like a trail that can still be retraced */}
+      {undo && (
+        <div className="undo-toast" role="status">
+          <span>{undo.message}</span>
+          <button onClick={handleUndo}>Undo</button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,103 @@
+// Controls for recording today's value of a measured habit
+import React, { useEffect, useState } from "react";
+import {
+  HABIT_TYPES,
+  formatHabitValue,
+  getEntryValue,
+} from "../../data/habitTypes";
+import { getToday } from "../../utils/localDate";
+
+/**
+ * Habit Value Control
+ *
+ * Like a rain gauge filling up through the day: shows how much of the
+ * daily target has been reached, with +/- buttons for counts and
+ * durations and a number field for entering any value directly.
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.habit The habit being recorded
+ * @param {Object} props.goal The habit's goal (from getHabitGoal)
+ * @param {Function} props.onRecordValue Called with (id, value)
+ * @param {Function} props.onAdjustValue Called with (id, delta)
+ */
+const HabitValueControl = ({ habit, goal, onRecordValue, onAdjustValue }) => {
+  const today = getToday();
+  const value = getEntryValue(
+    goal,
+    habit.history?.find((entry) => entry.date === today)
+  );
+  const [draft, setDraft] = useState(String(value));
+
+  // Follow the stored value when it changes elsewhere (buttons, other tabs)
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  const showSteppers = goal.type !== HABIT_TYPES.NUMERIC;
+  const progress = Math.min(100, Math.round((value / goal.target) * 100));
+
+  const commitDraft = () => {
+    const number = Number(draft);
+    if (draft.trim() === "" || isNaN(number)) {
+      setDraft(String(value));
+    } else if (number !== value) {
+      onRecordValue(habit.id, number);
+    }
+  };
+
+  return (
+    <div className="habit-value">
+      <div className="habit-value-controls">
+        {showSteppers && (
+          <button
+            type="button"
+            className="value-button"
+            onClick={() => onAdjustValue(habit.id, -goal.step)}
+            disabled={value <= (goal.min ?? 0)}
+            aria-label={`Subtract ${goal.step}`}
+          >
+            −
+          </button>
+        )}
+        <input
+          type="number"
+          className="value-input"
+          value={draft}
+          min={goal.min ?? 0}
+          max={goal.max ?? undefined}
+          step="any"
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={commitDraft}
+          onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+          aria-label={`Today's ${goal.unit || "value"}`}
+        />
+        {showSteppers && (
+          <button
+            type="button"
+            className="value-button"
+            onClick={() => onAdjustValue(habit.id, goal.step)}
+            disabled={goal.max !== null && value >= goal.max}
+            aria-label={`Add ${goal.step}`}
+          >
+            +
+          </button>
+        )}
+      </div>
+
+      <div className="habit-value-target">
+        {formatHabitValue(goal, value)} of {formatHabitValue(goal, goal.target)}
+      </div>
+      <div
+        className={`habit-value-progress ${progress >= 100 ? "met" : ""}`}
+        role="progressbar"
+        aria-valuenow={progress}
+        aria-valuemin={0}
+        aria-valuemax={100}
+      >
+        <div style={{ width: `${progress}%` }}></div>
+      </div>
+    </div>
+  );
+};
+
+export default HabitValueControl;
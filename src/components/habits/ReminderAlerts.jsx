@@ -0,0 +1,93 @@
+// In-app alerts for habit reminders, with snooze
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { useLifecycleEvent } from "../../hooks/useLifecycle";
+import { lifecycleEvents } from "../../core/lifecycleEvents";
+import {
+  REMINDER_EVENTS,
+  reminderScheduler,
+} from "../../core/reminderScheduler";
+import { enhancedHabitService } from "../../data/enhancedHabitService";
+import { isAvoidHabit } from "../../data/habitSlips";
+import { getToday } from "../../utils/localDate";
+
+/**
+ * Reminder Alerts
+ *
+ * A birdcall that waits for an answer: every reminder delivered as a
+ * notification also appears here until it is snoozed, dismissed, or the
+ * habit gets done.
+ */
+const ReminderAlerts = () => {
+  const [alerts, setAlerts] = useState([]);
+
+  useLifecycleEvent(REMINDER_EVENTS.SHOWN, (reminder) => {
+    setAlerts((prev) => [
+      ...prev.filter((alert) => alert.key !== reminder.key),
+      reminder,
+    ]);
+  });
+
+  // Habits done meanwhile (here or in another tab) need no more reminding;
+  // habits to avoid are done all day, so their reminders stay. Only the
+  // habits with an alert are read, and only if the change can touch them.
+  useLifecycleEvent(lifecycleEvents.EVENTS.DATA_CHANGED, async (change) => {
+    if (change.collection !== "habits") return;
+
+    const ids = [...new Set(alerts.map((alert) => alert.habitId))].filter(
+      (id) => change.id == null || id === change.id
+    );
+    if (ids.length === 0) return;
+
+    const today = getToday();
+    const habits = await Promise.all(
+      ids.map((id) => enhancedHabitService.getHabitById(id))
+    );
+    const done = new Set(
+      habits
+        .filter(
+          (habit) =>
+            habit &&
+            !isAvoidHabit(habit) &&
+            habit.history.some(
+              (entry) => entry.date === today && entry.completed
+            )
+        )
+        .map((habit) => habit.id)
+    );
+    setAlerts((prev) => prev.filter((alert) => !done.has(alert.habitId)));
+  });
+
+  const dismiss = (key) => {
+    setAlerts((prev) => prev.filter((alert) => alert.key !== key));
+  };
+
+  const snooze = async (key) => {
+    await reminderScheduler.snooze(key);
+    dismiss(key);
+  };
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="reminder-alerts" role="status">
+      {alerts.map((alert) => (
+        <div className="reminder-alert" key={alert.key}>
+          <span className="reminder-alert-text">
+            ⏰ Time for <Link to="/habits">{alert.habitName}</Link>
+          </span>
+          <button onClick={() => snooze(alert.key)}>Snooze</button>
+          <button
+            className="reminder-dismiss"
+            onClick={() => dismiss(alert.key)}
+            aria-label="Dismiss reminder"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReminderAlerts;
@@ -0,0 +1,91 @@
+// Editor for a list of vacation date ranges
+import React from "react";
+import { addDays, getToday } from "../../utils/localDate";
+
+/**
+ * Vacation Ranges Editor
+ *
+ * Like marking the weeks a trail is closed: a list of date ranges, each
+ * with a start and an optional end (an empty end means "until I'm back").
+ * Used for vacations of all habits in the settings and for a single
+ * habit's time off in the habit form.
+ *
+ * @param {Object} props Component props
+ * @param {Array} props.vacations Ranges as { start, end }
+ * @param {Function} props.onChange Called with the changed ranges
+ * @param {boolean} props.disabled Whether editing is disabled
+ */
+const VacationRangesEditor = ({ vacations, onChange, disabled = false }) => {
+  const updateRange = (index, changes) => {
+    onChange(
+      vacations.map((vacation, i) =>
+        i === index ? { ...vacation, ...changes } : vacation
+      )
+    );
+  };
+
+  const removeRange = (index) => {
+    onChange(vacations.filter((_, i) => i !== index));
+  };
+
+  const addRange = () => {
+    const today = getToday();
+    onChange([...vacations, { start: today, end: addDays(today, 6) }]);
+  };
+
+  return (
+    <div className="vacation-ranges">
+      {vacations.length === 0 && (
+        <p className="vacation-empty">No time off planned.</p>
+      )}
+
+      {vacations.map((vacation, index) => (
+        <div className="vacation-range" key={index}>
+          <label>
+            From
+            <input
+              type="date"
+              value={vacation.start || ""}
+              onChange={(e) => updateRange(index, { start: e.target.value })}
+              disabled={disabled}
+              required
+            />
+          </label>
+          <label>
+            to
+            <input
+              type="date"
+              value={vacation.end || ""}
+              min={vacation.start || undefined}
+              onChange={(e) =>
+                updateRange(index, { end: e.target.value || null })
+              }
+              disabled={disabled}
+            />
+          </label>
+          {!vacation.end && <span className="vacation-ongoing">ongoing</span>}
+          <button
+            type="button"
+            className="vacation-remove"
+            onClick={() => removeRange(index)}
+            disabled={disabled}
+            aria-label="Remove this time off"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        className="vacation-add"
+        onClick={addRange}
+        disabled={disabled}
+      >
+        Add time off
+      </button>
+    </div>
+  );
+};
+
+export default VacationRangesEditor;
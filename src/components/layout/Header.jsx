@@ -113,6 +113,14 @@ const Header = ({ scrollPosition = 0 }) => {
                   New Post
                 </Link>
               </li>
+              <li>
+                <Link
+                  to="/settings"
+                  className={isActivePath("/settings") ? "active" : ""}
+                >
+                  Settings
+                </Link>
+              </li>
             </ul>
           </nav>
 
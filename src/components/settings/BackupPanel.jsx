@@ -0,0 +1,248 @@
+// Panel for exporting and restoring a full backup of the app's data
+import React, { useState } from "react";
+import { backupService } from "../../data/backupService";
+
+// Human-readable labels for the stores in a backup
+const STORE_LABELS = {
+  posts: "Posts",
+  habits: "Habits",
+  settings: "Settings",
+};
+
+/**
+ * Backup Panel
+ *
+ * A backup is the forest's seed bank: everything needed to regrow the
+ * posts and habits elsewhere, or after the ground has been cleared.
+ * Restoring shows what would change before anything is written.
+ */
+const BackupPanel = () => {
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [summary, setSummary] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [overwriteConflicts, setOverwriteConflicts] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleExport = async () => {
+    setIsBusy(true);
+    setMessage(null);
+    try {
+      const exported = await backupService.downloadBackup();
+      const counts = Object.entries(exported.data)
+        .map(([store, records]) => `${records.length} ${store}`)
+        .join(", ");
+      setMessage({ type: "success", text: `Backup downloaded (${counts}).` });
+    } catch (error) {
+      setMessage({ type: "error", text: `Export failed: ${error.message}` });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleExportNotes = async () => {
+    setIsBusy(true);
+    setMessage(null);
+    try {
+      const count = await backupService.downloadHabitNotes();
+      setMessage({
+        type: "success",
+        text: `Habit notes downloaded (${count} noted days).`,
+      });
+    } catch (error) {
+      setMessage({ type: "error", text: `Export failed: ${error.message}` });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Read and validate the chosen file, then preview the changes
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setBackup(null);
+    setSummary(null);
+    setMessage(null);
+    if (!file) return;
+
+    setFileName(file.name);
+    setIsBusy(true);
+    try {
+      const parsed = backupService.parseBackup(await file.text());
+      const diff = await backupService.diffBackup(parsed);
+      setBackup(parsed);
+      setSummary(backupService.summarizeDiff(diff));
+    } catch (error) {
+      setMessage({ type: "error", text: error.message });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!backup) return;
+
+    if (
+      mode === "replace" &&
+      !window.confirm(
+        "Replace all current posts, habits and settings with this backup? Anything not in the backup will be deleted."
+      )
+    ) {
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      const result = await backupService.importBackup(backup, {
+        mode,
+        overwriteConflicts,
+      });
+      const written = Object.values(result.written).reduce((a, b) => a + b, 0);
+      const removed = Object.values(result.removed).reduce((a, b) => a + b, 0);
+
+      setMessage({
+        type: "success",
+        text: `Backup restored: ${written} records written, ${removed} removed.`,
+      });
+      setBackup(null);
+      setSummary(null);
+      setFileName("");
+    } catch (error) {
+      setMessage({ type: "error", text: `Import failed: ${error.message}` });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <section className="settings-panel backup-panel">
+      <h2>Backup &amp; Restore</h2>
+      <p className="settings-description">
+        Download all posts, habits and settings as a single JSON file, or
+        restore them from a previous backup. Habit notes and moods are part of
+        the backup, and can also be downloaded on their own as a CSV file.
+      </p>
+
+      <div className="settings-actions">
+        <button
+          className="settings-button"
+          onClick={handleExport}
+          disabled={isBusy}
+        >
+          Download Backup
+        </button>
+
+        <button
+          className="settings-button secondary"
+          onClick={handleExportNotes}
+          disabled={isBusy}
+        >
+          Download Habit Notes
+        </button>
+
+        <label className="settings-button secondary file-button">
+          {fileName || "Choose Backup File..."}
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            disabled={isBusy}
+          />
+        </label>
+      </div>
+
+      {message && (
+        <div className={`settings-message ${message.type}`} role="status">
+          {message.text}
+        </div>
+      )}
+
+      {summary && (
+        <div className="backup-preview">
+          <h3>Changes in this backup</h3>
+          <p className="settings-description">
+            Made on {new Date(backup.exportedAt).toLocaleString()} (schema
+            version {backup.schemaVersion})
+          </p>
+
+          <table className="backup-diff">
+            <thead>
+              <tr>
+                <th></th>
+                <th>New</th>
+                <th>Updated</th>
+                <th>Conflicting</th>
+                <th>Unchanged</th>
+                <th>Only here</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(summary).map(([store, counts]) => (
+                <tr key={store}>
+                  <th scope="row">{STORE_LABELS[store] || store}</th>
+                  <td>{counts.added}</td>
+                  <td>{counts.updated}</td>
+                  <td className={counts.conflicting ? "has-conflicts" : ""}>
+                    {counts.conflicting}
+                  </td>
+                  <td>{counts.unchanged}</td>
+                  <td>{counts.localOnly}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="settings-hint">
+            Conflicting records were edited here after the backup was made.
+            "Only here" records are kept by a merge and deleted by a replace.
+          </p>
+
+          <fieldset className="backup-options">
+            <legend>Restore mode</legend>
+            <label>
+              <input
+                type="radio"
+                name="backup-mode"
+                value="merge"
+                checked={mode === "merge"}
+                onChange={() => setMode("merge")}
+              />
+              Merge with current data
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="backup-mode"
+                value="replace"
+                checked={mode === "replace"}
+                onChange={() => setMode("replace")}
+              />
+              Replace all current data
+            </label>
+            {mode === "merge" && (
+              <label>
+                <input
+                  type="checkbox"
+                  checked={overwriteConflicts}
+                  onChange={(e) => setOverwriteConflicts(e.target.checked)}
+                />
+                Overwrite conflicting records with the backup
+              </label>
+            )}
+          </fieldset>
+
+          <div className="settings-actions">
+            <button
+              className={`settings-button ${mode === "replace" ? "danger" : ""}`}
+              onClick={handleImport}
+              disabled={isBusy}
+            >
+              {mode === "replace" ? "Replace With Backup" : "Merge Backup"}
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default BackupPanel;
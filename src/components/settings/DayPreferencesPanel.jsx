@@ -0,0 +1,142 @@
+// Panel for the time zone, day-start hour and backfill window of habits
+import React, { useEffect, useState } from "react";
+import { settingsService } from "../../data/settingsService";
+import { getSystemTimeZone, getToday } from "../../utils/localDate";
+import { formatDate } from "../../utils/dateFormatter";
+
+// Every time zone the browser knows, if it can list them
+const TIME_ZONES =
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : [];
+
+// Label an hour of the morning, e.g. 3 -> "3:00 AM"
+const formatHour = (hour) => (hour === 0 ? "Midnight" : `${hour}:00 AM`);
+
+const DAY_START_HOURS = Array.from({ length: 12 }, (_, hour) => hour);
+
+// Choices for how many past days can still be filled in
+const BACKFILL_DAY_OPTIONS = [0, 1, 3, 7, 14, 30, 90];
+
+const formatBackfillDays = (days) => {
+  if (days === 0) return "Today only";
+  return days === 1 ? "Yesterday" : `The last ${days} days`;
+};
+
+/**
+ * Day Preferences Panel
+ *
+ * Every tree keeps its own daylight: lets the user pick the time zone
+ * their habit days follow and the hour at which a new day begins, so a
+ * late-night completion still counts for the day it belongs to. Also sets
+ * how many past days can still be filled in from the habit charts.
+ */
+const DayPreferencesPanel = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    settingsService.getPreferences().then(setPreferences);
+  }, []);
+
+  const handleChange = async (changes) => {
+    setIsBusy(true);
+    setMessage(null);
+    try {
+      setPreferences(await settingsService.updatePreferences(changes));
+      setMessage({
+        type: "success",
+        text: `Saved. Today is ${formatDate(getToday())} for your habits.`,
+      });
+    } catch (error) {
+      setMessage({ type: "error", text: error.message });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!preferences) return null;
+
+  const backfillOptions = BACKFILL_DAY_OPTIONS.includes(
+    preferences.backfillDays
+  )
+    ? BACKFILL_DAY_OPTIONS
+    : [...BACKFILL_DAY_OPTIONS, preferences.backfillDays].sort((a, b) => a - b);
+
+  const timeZoneOptions =
+    preferences.timeZone && !TIME_ZONES.includes(preferences.timeZone)
+      ? [preferences.timeZone, ...TIME_ZONES]
+      : TIME_ZONES;
+
+  return (
+    <section className="settings-panel day-preferences-panel">
+      <h2>Habit Days</h2>
+      <p className="settings-description">
+        Choose which calendar your habits follow. Completions count for the day
+        they happen in this time zone, and a day only ends at the hour you pick.
+        Forgot to log a day? Click it in a habit's chart to fill it in.
+      </p>
+
+      <div className="settings-fields">
+        <label className="settings-field">
+          <span>Time zone</span>
+          <select
+            value={preferences.timeZone || ""}
+            onChange={(e) => handleChange({ timeZone: e.target.value || null })}
+            disabled={isBusy}
+          >
+            <option value="">Device time zone ({getSystemTimeZone()})</option>
+            {timeZoneOptions.map((timeZone) => (
+              <option key={timeZone} value={timeZone}>
+                {timeZone}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="settings-field">
+          <span>My day ends at</span>
+          <select
+            value={preferences.dayStartHour}
+            onChange={(e) =>
+              handleChange({ dayStartHour: Number(e.target.value) })
+            }
+            disabled={isBusy}
+          >
+            {DAY_START_HOURS.map((hour) => (
+              <option key={hour} value={hour}>
+                {formatHour(hour)}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="settings-field">
+          <span>Missed days I can fill in</span>
+          <select
+            value={preferences.backfillDays}
+            onChange={(e) =>
+              handleChange({ backfillDays: Number(e.target.value) })
+            }
+            disabled={isBusy}
+          >
+            {backfillOptions.map((days) => (
+              <option key={days} value={days}>
+                {formatBackfillDays(days)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {message && (
+        <div className={`settings-message ${message.type}`} role="status">
+          {message.text}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default DayPreferencesPanel;
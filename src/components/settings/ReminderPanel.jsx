@@ -0,0 +1,170 @@
+// Panel for habit reminders: notification permission, quiet hours and snooze
+import React, { useEffect, useState } from "react";
+import { settingsService } from "../../data/settingsService";
+import { reminderScheduler } from "../../core/reminderScheduler";
+import { SNOOZE_MINUTE_OPTIONS } from "../../data/habitReminders";
+
+// Quiet hours suggested when they are turned on
+const DEFAULT_QUIET_HOURS = { start: "22:00", end: "07:00" };
+
+const PERMISSION_TEXT = {
+  granted: "Notifications are allowed in this browser.",
+  default: "This browser needs your permission to show reminders.",
+  denied:
+    "Notifications are blocked for this site. Allow them in your browser's site settings to get reminders.",
+  unsupported: "This browser can't show notifications.",
+};
+
+/**
+ * Reminder Panel
+ *
+ * Sets when the forest may call out: asks the browser for permission to
+ * show notifications, turns habit reminders on or off, and keeps them
+ * quiet at night. Reminder times themselves belong to each habit.
+ */
+const ReminderPanel = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [permission, setPermission] = useState(reminderScheduler.getPermission);
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    settingsService.getPreferences().then(setPreferences);
+  }, []);
+
+  const handleChange = async (changes) => {
+    setIsBusy(true);
+    setMessage(null);
+    try {
+      setPreferences(await settingsService.updatePreferences(changes));
+      setMessage({ type: "success", text: "Reminder settings saved." });
+    } catch (error) {
+      setMessage({ type: "error", text: error.message });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleAllow = async () => {
+    const result = await reminderScheduler.requestPermission();
+    setPermission(result);
+    if (result === "granted") {
+      reminderScheduler.check();
+    }
+  };
+
+  if (!preferences) return null;
+
+  const { remindersEnabled, quietHours, snoozeMinutes } = preferences;
+
+  return (
+    <section className="settings-panel reminder-panel">
+      <h2>Reminders</h2>
+      <p className="settings-description">
+        Habits with reminder times send a notification at each time on days they
+        are due, until they're done. Reminders come while the app is open in a
+        tab.
+      </p>
+
+      <p className="settings-hint">{PERMISSION_TEXT[permission]}</p>
+      {permission === "default" && (
+        <div className="settings-actions">
+          <button className="settings-button" onClick={handleAllow}>
+            Allow notifications
+          </button>
+        </div>
+      )}
+
+      <div className="settings-fields">
+        <label className="settings-checkbox">
+          <input
+            type="checkbox"
+            checked={remindersEnabled}
+            onChange={(e) =>
+              handleChange({ remindersEnabled: e.target.checked })
+            }
+            disabled={isBusy}
+          />
+          Remind me of my habits
+        </label>
+
+        <label className="settings-field">
+          <span>Snooze for</span>
+          <select
+            value={snoozeMinutes}
+            onChange={(e) =>
+              handleChange({ snoozeMinutes: Number(e.target.value) })
+            }
+            disabled={isBusy || !remindersEnabled}
+          >
+            {[...new Set([...SNOOZE_MINUTE_OPTIONS, snoozeMinutes])]
+              .sort((a, b) => a - b)
+              .map((minutes) => (
+                <option key={minutes} value={minutes}>
+                  {minutes} minutes
+                </option>
+              ))}
+          </select>
+        </label>
+      </div>
+
+      <h3>Quiet hours</h3>
+      <div className="settings-fields">
+        <label className="settings-checkbox">
+          <input
+            type="checkbox"
+            checked={quietHours !== null}
+            onChange={(e) =>
+              handleChange({
+                quietHours: e.target.checked ? DEFAULT_QUIET_HOURS : null,
+              })
+            }
+            disabled={isBusy || !remindersEnabled}
+          />
+          No reminders between
+        </label>
+        {quietHours && (
+          <div className="quiet-hours">
+            <input
+              type="time"
+              value={quietHours.start}
+              onChange={(e) =>
+                handleChange({
+                  quietHours: { ...quietHours, start: e.target.value },
+                })
+              }
+              disabled={isBusy || !remindersEnabled}
+              aria-label="Quiet hours start"
+            />
+            and
+            <input
+              type="time"
+              value={quietHours.end}
+              onChange={(e) =>
+                handleChange({
+                  quietHours: { ...quietHours, end: e.target.value },
+                })
+              }
+              disabled={isBusy || !remindersEnabled}
+              aria-label="Quiet hours end"
+            />
+          </div>
+        )}
+      </div>
+      {quietHours && (
+        <p className="settings-hint">
+          A reminder due during quiet hours comes when they end, if that's still
+          the same day.
+        </p>
+      )}
+
+      {message && (
+        <div className={`settings-message ${message.type}`} role="status">
+          {message.text}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ReminderPanel;
@@ -0,0 +1,170 @@
+// Panel listing automatic snapshots with one-click restore
+import React, { useCallback, useEffect, useState } from "react";
+import { snapshotService } from "../../data/snapshotService";
+import {
+  formatDateTime,
+  getRelativeTimeString,
+} from "../../utils/dateFormatter";
+
+// Labels for what triggered each snapshot
+const REASON_LABELS = {
+  daily: "Daily",
+  shutdown: "End of session",
+  migration: "Before upgrade",
+  "before-restore": "Before restore",
+  manual: "Manual",
+};
+
+// Format a byte count as a short human-readable size
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Snapshot Panel
+ *
+ * Shows the rings of the tree: every automatic snapshot with its date,
+ * record counts and size, and lets the user roll all data back to one.
+ */
+const SnapshotPanel = () => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadSnapshots = useCallback(async () => {
+    setSnapshots(await snapshotService.listSnapshots());
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadSnapshots();
+  }, [loadSnapshots]);
+
+  const handleCreate = async () => {
+    setBusyId("new");
+    setMessage(null);
+    const snapshot = await snapshotService.createSnapshot("manual");
+    setMessage(
+      snapshot
+        ? { type: "success", text: "Snapshot saved." }
+        : { type: "info", text: "Nothing changed since the last snapshot." }
+    );
+    await loadSnapshots();
+    setBusyId(null);
+  };
+
+  const handleRestore = async (snapshot) => {
+    if (
+      !window.confirm(
+        `Restore all data to ${formatDateTime(snapshot.createdAt)}? Current data is snapshotted first, so this can be undone.`
+      )
+    ) {
+      return;
+    }
+
+    setBusyId(snapshot.id);
+    setMessage(null);
+    try {
+      await snapshotService.restoreSnapshot(snapshot.id);
+      setMessage({
+        type: "success",
+        text: `Restored data from ${formatDateTime(snapshot.createdAt)}.`,
+      });
+    } catch (error) {
+      setMessage({ type: "error", text: `Restore failed: ${error.message}` });
+    } finally {
+      await loadSnapshots();
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (snapshot) => {
+    setBusyId(snapshot.id);
+    try {
+      await snapshotService.deleteSnapshot(snapshot.id);
+    } catch (error) {
+      setMessage({ type: "error", text: `Delete failed: ${error.message}` });
+    } finally {
+      await loadSnapshots();
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <section className="settings-panel snapshot-panel">
+      <h2>Snapshots</h2>
+      <p className="settings-description">
+        A copy of all data is saved automatically each day, at the end of a
+        session and before upgrades. The most recent ones are kept.
+      </p>
+
+      <div className="settings-actions">
+        <button
+          className="settings-button secondary"
+          onClick={handleCreate}
+          disabled={busyId !== null}
+        >
+          {busyId === "new" ? "Saving..." : "Take Snapshot Now"}
+        </button>
+      </div>
+
+      {message && (
+        <div className={`settings-message ${message.type}`} role="status">
+          {message.text}
+        </div>
+      )}
+
+      {isLoading && <p className="settings-hint">Loading snapshots...</p>}
+
+      {!isLoading && snapshots.length === 0 && (
+        <p className="settings-hint">No snapshots yet.</p>
+      )}
+
+      {snapshots.length > 0 && (
+        <ul className="snapshot-list">
+          {snapshots.map((snapshot) => (
+            <li key={snapshot.id} className="snapshot-item">
+              <div className="snapshot-info">
+                <span
+                  className="snapshot-date"
+                  title={formatDateTime(snapshot.createdAt)}
+                >
+                  {getRelativeTimeString(snapshot.createdAt)}
+                </span>
+                <span className="snapshot-reason">
+                  {REASON_LABELS[snapshot.reason] || snapshot.reason}
+                </span>
+                <span className="snapshot-meta">
+                  {snapshot.counts.posts} posts · {snapshot.counts.habits}{" "}
+                  habits · {formatSize(snapshot.size)}
+                </span>
+              </div>
+              <div className="snapshot-actions">
+                <button
+                  className="settings-button"
+                  onClick={() => handleRestore(snapshot)}
+                  disabled={busyId !== null}
+                >
+                  {busyId === snapshot.id ? "Working..." : "Restore"}
+                </button>
+                <button
+                  className="settings-button secondary"
+                  onClick={() => handleDelete(snapshot)}
+                  disabled={busyId !== null}
+                  aria-label="Delete snapshot"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default SnapshotPanel;
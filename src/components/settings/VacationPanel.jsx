@@ -0,0 +1,138 @@
+// Panel for vacations that pause every habit
+import React, { useEffect, useState } from "react";
+import { settingsService } from "../../data/settingsService";
+import { isOnVacation, validateVacations } from "../../data/habitExcuses";
+import { addDays, getToday } from "../../utils/localDate";
+import { formatDate } from "../../utils/dateFormatter";
+import VacationRangesEditor from "../habits/VacationRangesEditor";
+
+/**
+ * Vacation Panel
+ *
+ * The whole forest goes dormant: while a vacation runs, no habit is
+ * expected, so streaks wait instead of breaking. Vacations can be planned
+ * as date ranges, or started now and ended on return.
+ */
+const VacationPanel = () => {
+  const [vacations, setVacations] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    settingsService
+      .getPreferences()
+      .then((preferences) => setVacations(preferences.vacations));
+  }, []);
+
+  const save = async (next, successText) => {
+    const errors = validateVacations(next);
+    if (errors.length > 0) {
+      setMessage({ type: "error", text: errors.join(". ") });
+      return;
+    }
+
+    setIsBusy(true);
+    setMessage(null);
+    try {
+      const preferences = await settingsService.updatePreferences({
+        vacations: next,
+      });
+      setVacations(preferences.vacations);
+      setMessage({ type: "success", text: successText });
+    } catch (error) {
+      setMessage({ type: "error", text: error.message });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!vacations) return null;
+
+  const today = getToday();
+  const onVacation = isOnVacation(today, vacations);
+
+  const handleStart = () =>
+    save(
+      [...vacations, { start: today, end: null }],
+      "Vacation started. Enjoy your time off!"
+    );
+
+  // Current vacations end yesterday; one started today is dropped
+  const handleEnd = () =>
+    save(
+      vacations
+        .filter(
+          (vacation) =>
+            !(isOnVacation(today, [vacation]) && vacation.start === today)
+        )
+        .map((vacation) =>
+          isOnVacation(today, [vacation])
+            ? { ...vacation, end: addDays(today, -1) }
+            : vacation
+        ),
+      "Welcome back! Your habits are expected again from today."
+    );
+
+  return (
+    <section className="settings-panel vacation-panel">
+      <h2>Vacation</h2>
+      <p className="settings-description">
+        Days on vacation don't count against any habit. To give a single habit
+        time off, edit the habit instead.
+      </p>
+
+      <div className="settings-actions">
+        {onVacation ? (
+          <button
+            className="settings-button"
+            onClick={handleEnd}
+            disabled={isBusy}
+          >
+            End vacation
+          </button>
+        ) : (
+          <button
+            className="settings-button"
+            onClick={handleStart}
+            disabled={isBusy}
+          >
+            Start vacation now
+          </button>
+        )}
+      </div>
+      {onVacation && (
+        <p className="settings-hint">
+          On vacation since{" "}
+          {formatDate(
+            vacations.find((vacation) => isOnVacation(today, [vacation])).start
+          )}
+          .
+        </p>
+      )}
+
+      <h3>Planned time off</h3>
+      <VacationRangesEditor
+        vacations={vacations}
+        onChange={setVacations}
+        disabled={isBusy}
+      />
+      <div className="settings-actions">
+        <button
+          className="settings-button secondary"
+          onClick={() => save(vacations, "Vacations saved.")}
+          disabled={isBusy}
+        >
+          Save vacations
+        </button>
+      </div>
+
+      {message && (
+        <div className={`settings-message ${message.type}`} role="status">
+          {message.text}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default VacationPanel;
@@ -71,6 +71,12 @@ const InitializationScreen = ({ status, onDebugToggle }) => {
   const currentStageIndex = getCurrentStageIndex();
   const currentStage = stages[currentStageIndex];
 
+  // Most recent log line, e.g. the schema migration currently being applied
+  const latestMessage =
+    status && status.logs && status.logs.length > 0
+      ? status.logs[0].message
+      : null;
+
   // Handle debug toggle
   const handleDebugToggle = () => {
     setShowDebug(!showDebug);
@@ -87,6 +93,9 @@ const InitializationScreen = ({ status, onDebugToggle }) => {
         <div className="loading-indicator">
           <div className="loading-spinner"></div>
           <p>{currentStage.description}</p>
+          {currentStage.id === "migration" && latestMessage && (
+            <p className="loading-detail">{latestMessage}</p>
+          )}
         </div>
 
         {/* Stage indicators */}
@@ -6,7 +6,11 @@ import { useNavigate, useLocation } from "react-router-dom";
 // Import core systems
 import { lifecycleEvents } from "../core/lifecycleEvents";
 import { dataChangeObserver } from "../core/dataChangeObserver";
+import { snapshotScheduler } from "../core/snapshotScheduler";
+import { reminderScheduler } from "../core/reminderScheduler";
+import { crossTabSync } from "../core/crossTabSync";
 import { initializeApplication } from "../init/appInitializer";
+import { settingsService } from "../data/settingsService";
 
 /**
  * Application Context
@@ -101,6 +105,20 @@ export function AppContextProvider({ children }) {
     };
   }, []);
 
+  // Re-apply preferences whenever settings change (in this tab, another
+  // tab or through a restore), then let habit views recount their days
+  useEffect(() => {
+    return lifecycleEvents.on(
+      lifecycleEvents.EVENTS.DATA_CHANGED,
+      async (change) => {
+        if (change.collection !== "settings") return;
+
+        await settingsService.loadPreferences();
+        dataChangeObserver.notifyChange("habits", { reason: "preferences" });
+      }
+    );
+  }, []);
+
   // Helper function to apply theme class to document body
   const setThemeClass = (theme) => {
     // Remove any existing theme classes
@@ -169,8 +187,22 @@ export function AppContextProvider({ children }) {
         const result = await initializeApplication();
 
         if (result.success) {
-          // Initialize data change observer
-          dataChangeObserver.initialize({ interval: 30000 });
+          // Connect to other open tabs and join the leader election
+          crossTabSync.initialize();
+
+          // Initialize data change notifications, reconciling every few
+          // minutes for writes that bypass the services
+          dataChangeObserver.initialize({ reconcileInterval: 5 * 60 * 1000 });
+
+          // Automatic snapshots need IndexedDB's capacity; copies of all
+          // data would quickly exhaust the localStorage quota. Only the
+          // leader tab takes them.
+          if (result.appContext.features.storageAdapter === "indexedDB") {
+            crossTabSync.runWhileLeader(() => snapshotScheduler.initialize());
+          }
+
+          // Habit reminders, shown by one tab only
+          crossTabSync.runWhileLeader(() => reminderScheduler.initialize());
 
           // Emit initialization complete event
           lifecycleEvents.emit(lifecycleEvents.EVENTS.INIT_COMPLETE, {
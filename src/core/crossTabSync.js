@@ -0,0 +1,252 @@
+// Cross-tab synchronization and leader election
+
+import { changeFeed } from "../data/changeFeed";
+
+/**
+ * Cross-Tab Sync
+ *
+ * Every open tab is a separate tree drawing from the same soil (IndexedDB).
+ * Like trees signalling each other through their shared root network, tabs
+ * tell each other about changes over a BroadcastChannel:
+ *
+ * 1. Every write published on the data layer's change feed is relayed to
+ *    the other tabs, which re-emit it locally (see dataChangeObserver)
+ * 2. One tab is elected leader to run background jobs (polling, automatic
+ *    snapshots) so they don't run once per tab
+ *
+ * Leader election uses the Web Locks API when available: the leader holds
+ * a lock for as long as it lives, and the browser hands it to a waiting
+ * tab when the leader closes. Without Web Locks, tabs fall back to
+ * heartbeats over the channel, and without BroadcastChannel the single
+ * tab simply leads itself.
+ */
+
+const CHANNEL_NAME = "blog-habit-tracker-sync";
+const LEADER_LOCK_NAME = "blog-habit-tracker-leader";
+
+// Heartbeat fallback timing
+const HEARTBEAT_INTERVAL = 2000;
+const LEADER_TIMEOUT = 5000;
+
+// Unique per tab; also breaks ties when two tabs both claim leadership
+const tabId = `${Date.now().toString(36)}-${Math.random()
+  .toString(36)
+  .slice(2, 8)}`;
+
+let channel = null;
+let isLeader = false;
+let initialized = false;
+let unsubscribeFeed = null;
+let releaseLeaderLock = null;
+let lockRequest = null;
+let heartbeatTimer = null;
+let lastLeaderHeartbeat = 0;
+
+const remoteListeners = new Set();
+const leaderTasks = new Set();
+
+// Send a message to the other tabs
+function post(message) {
+  if (!channel) return;
+
+  try {
+    channel.postMessage({ ...message, sourceTabId: tabId });
+  } catch (error) {
+    console.error("Error posting cross-tab message:", error);
+  }
+}
+
+// Start or stop the leader-only tasks when leadership changes
+function setLeader(leader) {
+  if (isLeader === leader) return;
+  isLeader = leader;
+
+  leaderTasks.forEach((task) => {
+    if (leader) {
+      task.stop = task.start() || null;
+    } else if (task.stop) {
+      task.stop();
+      task.stop = null;
+    }
+  });
+}
+
+function handleMessage(event) {
+  const message = event.data;
+  if (!message || message.sourceTabId === tabId) return;
+
+  switch (message.type) {
+    case "change":
+      remoteListeners.forEach((listener) => {
+        try {
+          listener(message.change);
+        } catch (error) {
+          console.error("Error in remote change listener:", error);
+        }
+      });
+      break;
+
+    case "heartbeat":
+      lastLeaderHeartbeat = Date.now();
+      // Two leaders: the tab with the lower ID keeps the role
+      if (isLeader && message.sourceTabId < tabId) {
+        setLeader(false);
+      }
+      break;
+
+    case "resign":
+      // Let the next heartbeat check claim leadership right away
+      lastLeaderHeartbeat = 0;
+      break;
+
+    default:
+      break;
+  }
+}
+
+// Hold the leader lock until this tab closes
+function electWithLocks() {
+  lockRequest = new AbortController();
+
+  navigator.locks
+    .request(LEADER_LOCK_NAME, { signal: lockRequest.signal }, () => {
+      setLeader(true);
+      return new Promise((resolve) => {
+        releaseLeaderLock = resolve;
+      });
+    })
+    .catch((error) => {
+      // Aborted when this tab leaves before it got the lock
+      if (error.name !== "AbortError") {
+        console.error("Leader election failed:", error);
+      }
+    });
+}
+
+// Claim leadership when no leader heartbeat has been seen for a while
+function electWithHeartbeats() {
+  lastLeaderHeartbeat = Date.now();
+
+  heartbeatTimer = setInterval(() => {
+    if (isLeader) {
+      post({ type: "heartbeat" });
+    } else if (Date.now() - lastLeaderHeartbeat > LEADER_TIMEOUT) {
+      setLeader(true);
+      post({ type: "heartbeat" });
+    }
+  }, HEARTBEAT_INTERVAL);
+}
+
+/**
+ * Connect this tab to the other tabs and join the leader election
+ */
+function initializeCrossTabSync() {
+  if (initialized) return;
+  initialized = true;
+
+  if (typeof BroadcastChannel === "undefined") {
+    console.warn("BroadcastChannel not supported; tabs will not sync");
+    setLeader(true);
+    return;
+  }
+
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = handleMessage;
+
+  // Relay every local write to the other tabs
+  unsubscribeFeed = changeFeed.subscribe((change) => {
+    post({ type: "change", change });
+  });
+
+  if (typeof navigator !== "undefined" && navigator.locks) {
+    electWithLocks();
+  } else {
+    electWithHeartbeats();
+  }
+
+  window.addEventListener("pagehide", closeCrossTabSync);
+  window.addEventListener("pageshow", handlePageShow);
+}
+
+// Rejoin when the page comes back from the back/forward cache
+function handlePageShow(event) {
+  if (event.persisted) {
+    initializeCrossTabSync();
+  }
+}
+
+/**
+ * Leave the election and disconnect from the other tabs
+ */
+function closeCrossTabSync() {
+  if (!initialized) return;
+
+  if (isLeader && !releaseLeaderLock) {
+    post({ type: "resign" });
+  }
+  setLeader(false);
+
+  if (releaseLeaderLock) {
+    releaseLeaderLock();
+    releaseLeaderLock = null;
+  } else if (lockRequest) {
+    lockRequest.abort();
+  }
+  lockRequest = null;
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+
+  if (unsubscribeFeed) {
+    unsubscribeFeed();
+    unsubscribeFeed = null;
+  }
+  if (channel) {
+    channel.close();
+    channel = null;
+  }
+
+  window.removeEventListener("pagehide", closeCrossTabSync);
+  initialized = false;
+}
+
+/**
+ * Subscribe to changes made in other tabs
+ *
+ * @param {Function} listener - Called with each remote change message
+ * @returns {Function} Unsubscribe function
+ */
+function onRemoteChange(listener) {
+  remoteListeners.add(listener);
+  return () => remoteListeners.delete(listener);
+}
+
+/**
+ * Run a background job only while this tab is the leader
+ *
+ * @param {Function} start - Starts the job and returns a function that
+ *   stops it; called each time this tab becomes leader
+ * @returns {Function} Function that unregisters (and stops) the job
+ */
+function runWhileLeader(start) {
+  const task = { start, stop: null };
+  leaderTasks.add(task);
+
+  if (isLeader) {
+    task.stop = start() || null;
+  }
+
+  return () => {
+    leaderTasks.delete(task);
+    if (task.stop) task.stop();
+  };
+}
+
+// Export the cross-tab sync API
+export const crossTabSync = {
+  initialize: initializeCrossTabSync,
+  close: closeCrossTabSync,
+  onRemoteChange,
+  runWhileLeader,
+  isLeader: () => isLeader,
+  getTabId: () => tabId,
+};
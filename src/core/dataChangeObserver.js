@@ -1,6 +1,8 @@
 // System for tracking data changes across the application
 
 import { lifecycleEvents } from "./lifecycleEvents";
+import { crossTabSync } from "./crossTabSync";
+import { changeFeed } from "../data/changeFeed";
 import { enhancedPostService } from "../data/enhancedPostService";
 import { enhancedHabitService } from "../data/enhancedHabitService";
 
@@ -24,14 +26,23 @@ import { enhancedHabitService } from "../data/enhancedHabitService";
  * This observer centralizes data change detection and broadcasts
  * these changes through the lifecycle event system, allowing
  * components to efficiently respond without direct coupling.
+ *
+ * Changes are pushed, not discovered: every service write is announced on
+ * the change feed with its record ID, operation and changed fields, and is
+ * re-emitted here as a DATA_CHANGED event. Changes made in other tabs
+ * arrive through crossTabSync the same way, with `remote: true`.
+ *
+ * Checksum reconciliation is an optional fallback for writes that bypass
+ * the services (e.g. editing IndexedDB in devtools). It is off unless a
+ * `reconcileInterval` is given, and only the leader tab runs it.
  */
 
-// Last known states of different data collections
+// Last reconciled states of different data collections
 const dataStates = {
   posts: {
     lastUpdated: null,
     count: 0,
-    checksum: null, // Optional: For more sophisticated change detection
+    checksum: null,
   },
   habits: {
     lastUpdated: null,
@@ -44,6 +55,11 @@ const dataStates = {
   },
 };
 
+// Collections with pushed changes since the last reconciliation. Their
+// subscribers have already re-read, so the next pass only takes a new
+// baseline instead of announcing the difference again.
+const pushedSinceReconcile = new Set();
+
 /**
  * Generate a simple checksum for an array of objects
  * Used to detect changes in collections without deep comparison
@@ -58,7 +74,9 @@ function generateChecksum(items) {
   // In a real app, you might use a more sophisticated hashing algorithm
   const idString = items
     .map((item) => {
-      return `${item.id}:${item.updatedAt || item.lastCompleted || "0"}`;
+      return `${item.id}:${item.version || 0}:${
+        item.updatedAt || item.lastCompleted || "0"
+      }`;
     })
     .join("|");
 
@@ -102,6 +120,8 @@ async function checkPostChanges() {
 
       return {
         collection: "posts",
+        id: null,
+        operation: "reconcile",
         hasChanged,
         oldState,
         newState: dataStates.posts,
@@ -155,6 +175,8 @@ async function checkHabitChanges() {
 
       return {
         collection: "habits",
+        id: null,
+        operation: "reconcile",
         hasChanged,
         oldState,
         newState: dataStates.habits,
@@ -181,11 +203,14 @@ async function checkHabitChanges() {
  * @returns {Promise<Array>} Array of change results
  */
 async function checkAllChanges() {
+  const skipped = new Set(pushedSinceReconcile);
+  pushedSinceReconcile.clear();
+
   const results = await Promise.all([checkPostChanges(), checkHabitChanges()]);
 
-  // Emit events for changed collections
+  // Emit events for collections that changed without being announced
   results.forEach((result) => {
-    if (result.hasChanged) {
+    if (result.hasChanged && !skipped.has(result.collection)) {
       lifecycleEvents.emit(lifecycleEvents.EVENTS.DATA_CHANGED, result);
     }
   });
@@ -193,36 +218,103 @@ async function checkAllChanges() {
   return results;
 }
 
+// The running notifications, shared by every caller of initialize:
+// { reconcileInterval, callers, stop }, or null while stopped
+let activeNotifications = null;
+
+// Re-emit a change feed message as a DATA_CHANGED event
+function emitChange(change, remote) {
+  pushedSinceReconcile.add(change.collection);
+
+  lifecycleEvents.emit(lifecycleEvents.EVENTS.DATA_CHANGED, {
+    ...change,
+    hasChanged: true,
+    remote,
+  });
+}
+
 /**
- * Initialize polling for data changes
+ * Initialize change notifications from this tab, other tabs and
+ * (optionally) periodic reconciliation
+ *
+ * The page keeps one set of subscriptions however many times this runs.
+ * Each caller gets its own stop function, and the subscriptions end once
+ * every caller has stopped. A later call can't change the reconcile
+ * interval of the running notifications.
  *
  * @param {Object} options - Configuration options
- * @param {number} options.interval - Polling interval in milliseconds
+ * @param {number|null} options.reconcileInterval - Checksum reconciliation
+ *   interval in milliseconds, or null to rely on pushed changes only
+ * @returns {Function} Function that stops change notifications
  */
-function initializePolling({ interval = 30000 } = {}) {
-  // Perform initial check
-  checkAllChanges();
+function initializeChangeNotifications({ reconcileInterval = null } = {}) {
+  if (activeNotifications) {
+    if (activeNotifications.reconcileInterval !== reconcileInterval) {
+      console.warn(
+        `Change notifications already run with reconcileInterval ${activeNotifications.reconcileInterval}; ignoring ${reconcileInterval}`
+      );
+    }
+  } else {
+    activeNotifications = {
+      reconcileInterval,
+      callers: 0,
+      stop: startChangeNotifications(reconcileInterval),
+    };
+  }
+
+  const notifications = activeNotifications;
+  notifications.callers += 1;
 
-  // Set up polling
-  const pollerId = setInterval(checkAllChanges, interval);
+  // Return function to stop change notifications for this caller
+  let stopped = false;
+  return () => {
+    if (stopped) return;
+    stopped = true;
 
-  // Set up event listeners
-  lifecycleEvents.on(lifecycleEvents.EVENTS.FOCUS_GAINED, () => {
-    // Check for changes when app regains focus
-    checkAllChanges();
+    notifications.callers -= 1;
+    if (notifications.callers === 0) {
+      notifications.stop();
+      if (activeNotifications === notifications) activeNotifications = null;
+    }
+  };
+}
+
+// Subscribe to change sources; returns a function that unsubscribes
+function startChangeNotifications(reconcileInterval) {
+  // Announce writes made in this tab
+  const unsubscribeLocal = changeFeed.subscribe((change) => {
+    emitChange(change, false);
   });
 
-  lifecycleEvents.on(lifecycleEvents.EVENTS.ROUTE_CHANGED, () => {
-    // Check for changes on route change
-    checkAllChanges();
+  // Re-emit changes made in other tabs so this tab updates immediately
+  const unsubscribeRemote = crossTabSync.onRemoteChange((change) => {
+    emitChange(change, true);
   });
 
-  // Return function to stop polling
-  return () => clearInterval(pollerId);
+  // Set up reconciliation (leader tab only)
+  const stopReconciling = reconcileInterval
+    ? crossTabSync.runWhileLeader(() => {
+        // The first pass only records the baseline
+        Object.keys(dataStates).forEach((collection) =>
+          pushedSinceReconcile.add(collection)
+        );
+        checkAllChanges();
+
+        const reconcilerId = setInterval(checkAllChanges, reconcileInterval);
+        return () => clearInterval(reconcilerId);
+      })
+    : () => {};
+
+  return () => {
+    unsubscribeLocal();
+    unsubscribeRemote();
+    stopReconciling();
+  };
 }
 
 /**
- * Force a data refresh check
+ * Force a reconciliation pass, announcing any collection whose contents
+ * differ from the last pass
  *
  * @returns {Promise<Array>} Change results
  */
@@ -247,7 +339,7 @@ function notifyChange(collection, data = {}) {
 
 // Export the data change observer
 export const dataChangeObserver = {
-  initialize: initializePolling,
+  initialize: initializeChangeNotifications,
   forceRefresh,
   notifyChange,
   getDataState: () => ({ ...dataStates }),
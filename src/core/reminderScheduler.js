@@ -0,0 +1,237 @@
+// Delivers habit reminders as browser notifications
+
+import { lifecycleEvents } from "./lifecycleEvents";
+import {
+  enhancedHabitService,
+  isHabitArchived,
+  isTodayTargetDay,
+} from "../data/enhancedHabitService";
+import { settingsService } from "../data/settingsService";
+import { getDueReminders } from "../data/habitReminders";
+import { isAvoidHabit } from "../data/habitSlips";
+import { now } from "../utils/clock";
+import {
+  getLocalDatePreferences,
+  getToday,
+  toLocalTimeString,
+} from "../utils/localDate";
+
+/**
+ * Reminder Scheduler
+ *
+ * Like birdsong at dawn, a reminder calls each habit at its time of day.
+ * While the app is open, the scheduler checks every CHECK_INTERVAL (and
+ * whenever the tab regains focus, since browsers slow down timers in
+ * background tabs) for reminders that are due, and shows them:
+ *
+ * - as a notification, through the service worker's registration when
+ *   there is one (required on mobile browsers), or the Notification API
+ * - in the app, via the REMINDER_EVENTS.SHOWN event, where they can be
+ *   snoozed or dismissed
+ *
+ * Only habits due today and not yet done are reminded, and only if the
+ * user turned reminders on and allowed notifications. Which reminders were
+ * delivered or snoozed is device state, kept in localStorage for the
+ * current habit day; only the leader tab runs the scheduler, so each
+ * reminder is shown once however many tabs are open.
+ */
+
+// How often due reminders are looked for
+const CHECK_INTERVAL = 30 * 1000;
+
+// Delivered and snoozed reminders on this device
+const STATE_STORAGE_KEY = "forest_ecosystem_reminders";
+
+export const REMINDER_EVENTS = {
+  SHOWN: "reminder:shown", // A reminder was delivered
+};
+
+let stopScheduler = null;
+
+/**
+ * Get whether this browser may show notifications
+ *
+ * @returns {string} "granted", "denied", "default" (not asked yet) or
+ *   "unsupported"
+ */
+export function getNotificationPermission() {
+  return typeof Notification === "undefined"
+    ? "unsupported"
+    : Notification.permission;
+}
+
+/**
+ * Ask the user for permission to show notifications
+ *
+ * Browsers only show the prompt in response to a click.
+ *
+ * @returns {Promise<string>} Permission after asking
+ */
+async function requestPermission() {
+  if (getNotificationPermission() === "unsupported") return "unsupported";
+  return Notification.requestPermission();
+}
+
+// Delivery state for today, starting afresh on a new habit day
+function loadState(date) {
+  try {
+    const state = JSON.parse(localStorage.getItem(STATE_STORAGE_KEY));
+    if (state?.date === date) return state;
+  } catch (error) {
+    console.error("Error reading reminder state:", error);
+  }
+  return { date, delivered: [], snoozes: {} };
+}
+
+function saveState(state) {
+  try {
+    localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(state));
+  } catch (error) {
+    console.error("Error saving reminder state:", error);
+  }
+}
+
+// Show a notification outside the page
+async function notify(reminder) {
+  const { habit } = reminder;
+  const title = `Time for ${habit.name}`;
+  const options = {
+    body: reminder.snoozed
+      ? "Snoozed reminder: this habit is still waiting for today."
+      : habit.description || "This habit is still waiting for today.",
+    tag: reminder.key,
+    icon: "/favicon.svg",
+    data: { habitId: habit.id, key: reminder.key },
+  };
+
+  const registration = await navigator.serviceWorker?.getRegistration?.();
+  if (registration) {
+    await registration.showNotification(title, options);
+    return;
+  }
+
+  const notification = new Notification(title, options);
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+  };
+}
+
+/**
+ * Deliver the reminders that are due now
+ *
+ * @returns {Promise<Array>} Reminders delivered
+ */
+async function checkReminders() {
+  try {
+    const preferences = await settingsService.getPreferences();
+    if (
+      !preferences.remindersEnabled ||
+      getNotificationPermission() !== "granted"
+    ) {
+      return [];
+    }
+
+    // Habits to avoid count as done all day, but their reminders are the
+    // nudge that keeps them that way
+    const date = getToday();
+    const habits = (await enhancedHabitService.getHabits()).filter(
+      (habit) =>
+        !isHabitArchived(habit, date) &&
+        (isAvoidHabit(habit) || !habit.completedToday) &&
+        isTodayTargetDay(habit, preferences.vacations)
+    );
+
+    const state = loadState(date);
+    const due = getDueReminders(habits, {
+      date,
+      time: toLocalTimeString(),
+      now: now(),
+      dayStartHour: getLocalDatePreferences().dayStartHour,
+      quietHours: preferences.quietHours,
+      delivered: state.delivered,
+      snoozes: state.snoozes,
+    });
+    if (due.length === 0) return [];
+
+    // Recorded before showing, so a slow notification isn't shown twice
+    due.forEach(({ key }) => {
+      delete state.snoozes[key];
+      if (!state.delivered.includes(key)) state.delivered.push(key);
+    });
+    saveState(state);
+
+    for (const reminder of due) {
+      try {
+        await notify(reminder);
+      } catch (error) {
+        console.error("Error showing reminder notification:", error);
+      }
+      lifecycleEvents.emit(REMINDER_EVENTS.SHOWN, {
+        key: reminder.key,
+        habitId: reminder.habit.id,
+        habitName: reminder.habit.name,
+        time: reminder.time,
+      });
+    }
+    return due;
+  } catch (error) {
+    console.error("Error checking reminders:", error);
+    return [];
+  }
+}
+
+/**
+ * Put a delivered reminder off for the snooze duration
+ *
+ * @param {string} key - Reminder key
+ * @returns {Promise<string>} Time (ISO string) the reminder comes back
+ */
+async function snoozeReminder(key) {
+  const { snoozeMinutes } = await settingsService.getPreferences();
+  const until = new Date(now().getTime() + snoozeMinutes * 60 * 1000);
+
+  const state = loadState(getToday());
+  state.snoozes[key] = until.toISOString();
+  saveState(state);
+  return state.snoozes[key];
+}
+
+/**
+ * Start delivering reminders
+ *
+ * @returns {Function} Function that stops the scheduler
+ */
+function initializeReminders() {
+  // Only one scheduler per page, however many times initialization runs
+  if (stopScheduler) return stopScheduler;
+
+  checkReminders();
+
+  const timerId = setInterval(checkReminders, CHECK_INTERVAL);
+
+  const unsubscribeFocus = lifecycleEvents.on(
+    lifecycleEvents.EVENTS.FOCUS_GAINED,
+    () => {
+      checkReminders();
+    }
+  );
+
+  stopScheduler = () => {
+    clearInterval(timerId);
+    unsubscribeFocus();
+    stopScheduler = null;
+  };
+
+  return stopScheduler;
+}
+
+// Export the reminder scheduler
+export const reminderScheduler = {
+  initialize: initializeReminders,
+  stop: () => stopScheduler && stopScheduler(),
+  check: checkReminders,
+  snooze: snoozeReminder,
+  requestPermission,
+  getPermission: getNotificationPermission,
+};
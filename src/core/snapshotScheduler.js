@@ -0,0 +1,62 @@
+// Triggers for automatic data snapshots
+
+import { lifecycleEvents } from "./lifecycleEvents";
+import { snapshotService } from "../data/snapshotService";
+
+/**
+ * Snapshot Scheduler
+ *
+ * Like tree rings recording each season's growth, snapshots record the
+ * state of the forest at regular points in time. The scheduler decides
+ * when a ring is laid down:
+ *
+ * - At startup and hourly afterwards, a daily snapshot is taken if the
+ *   latest one is more than a day old
+ * - When the application begins shutting down, the session's changes are
+ *   captured (best effort: the browser may close before the write lands)
+ *
+ * Migration snapshots are taken by the schema upgrade itself.
+ */
+
+// How often an open tab checks whether the daily snapshot is due
+const DAILY_CHECK_INTERVAL = 60 * 60 * 1000;
+
+let stopScheduler = null;
+
+/**
+ * Start taking automatic snapshots
+ *
+ * @returns {Function} Function that stops the scheduler
+ */
+function initializeSnapshots() {
+  // Only one scheduler per page, however many times initialization runs
+  if (stopScheduler) return stopScheduler;
+
+  snapshotService.ensureDailySnapshot();
+
+  const timerId = setInterval(
+    () => snapshotService.ensureDailySnapshot(),
+    DAILY_CHECK_INTERVAL
+  );
+
+  const unsubscribeShutdown = lifecycleEvents.on(
+    lifecycleEvents.EVENTS.SHUTDOWN_START,
+    () => {
+      snapshotService.createSnapshot("shutdown");
+    }
+  );
+
+  stopScheduler = () => {
+    clearInterval(timerId);
+    unsubscribeShutdown();
+    stopScheduler = null;
+  };
+
+  return stopScheduler;
+}
+
+// Export the snapshot scheduler
+export const snapshotScheduler = {
+  initialize: initializeSnapshots,
+  stop: () => stopScheduler && stopScheduler(),
+};
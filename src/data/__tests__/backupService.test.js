@@ -0,0 +1,286 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { createMemoryAdapter } from "../memoryAdapter";
+import { storage } from "../storageAdapter";
+import { backupService, BACKUP_FORMAT } from "../backupService";
+import {
+  MIGRATION_RECORD_ID,
+  SCHEMA_VERSION,
+  STORES,
+} from "../schemaMigrations";
+import { createFakeClock, setClock, resetClock } from "../../utils/clock";
+
+const clock = createFakeClock("2025-03-10T12:00:00Z");
+
+const post = (id, overrides = {}) => ({
+  id,
+  title: `Post ${id}`,
+  content: `# Post ${id}`,
+  date: "2025-03-01T10:00:00.000Z",
+  updatedAt: null,
+  tags: [],
+  habitIds: [],
+  ...overrides,
+});
+
+const habit = (id, overrides = {}) => ({
+  id,
+  name: `Habit ${id}`,
+  targetDays: [0, 1, 2, 3, 4, 5, 6],
+  history: [],
+  streak: 0,
+  created: "2025-03-01T08:00:00.000Z",
+  lastCompleted: null,
+  completedToday: false,
+  category: "",
+  tags: [],
+  ...overrides,
+});
+
+describe("backupService", () => {
+  beforeEach(() => {
+    clock.set("2025-03-10T12:00:00Z");
+    setClock(clock.now);
+    storage.setAdapter(
+      createMemoryAdapter({
+        [STORES.POSTS]: [post("p1"), post("p2")],
+        [STORES.HABITS]: [habit("h1")],
+        [STORES.SETTINGS]: [
+          { id: MIGRATION_RECORD_ID, version: SCHEMA_VERSION, applied: [] },
+          { id: "theme", value: "dark" },
+        ],
+      }),
+      "memory"
+    );
+  });
+
+  afterEach(() => {
+    resetClock();
+  });
+
+  it("exports every store except internal records", async () => {
+    const backup = await backupService.exportData();
+
+    expect(backup.format).toBe(BACKUP_FORMAT);
+    expect(backup.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(backup.exportedAt).toBe("2025-03-10T12:00:00.000Z");
+    expect(backup.data.posts).toHaveLength(2);
+    expect(backup.data.habits).toHaveLength(1);
+    expect(backup.data.settings.map((record) => record.id)).toEqual(["theme"]);
+  });
+
+  it("round-trips through JSON", async () => {
+    const backup = await backupService.exportData();
+    const parsed = backupService.parseBackup(JSON.stringify(backup));
+
+    expect(parsed).toEqual(backup);
+  });
+
+  it("rejects files that are not usable backups", () => {
+    expect(() => backupService.parseBackup("not json")).toThrow(
+      "not valid JSON"
+    );
+    expect(() =>
+      backupService.parseBackup(JSON.stringify({ format: "other" }))
+    ).toThrow("Invalid backup");
+
+    const { valid, errors } = backupService.validateBackup({
+      format: BACKUP_FORMAT,
+      formatVersion: 1,
+      schemaVersion: SCHEMA_VERSION + 1,
+      exportedAt: "2025-03-10T12:00:00.000Z",
+      data: { posts: [{ id: "x" }] },
+    });
+    expect(valid).toBe(false);
+    expect(errors).toHaveLength(2);
+  });
+
+  it("rejects habits with unusable history entries", async () => {
+    const backup = await backupService.exportData();
+    backup.data.habits = [
+      habit("h1", { history: [null] }),
+      habit("h2", { history: [{ completed: true }] }),
+      habit("h3", { history: [{ date: "March 9", completed: true }] }),
+      habit("h4", { history: [{ date: "2025-03-09", completed: true }] }),
+    ];
+
+    expect(backupService.validateBackup(backup).errors).toEqual([
+      "habits[0] (h1) has missing or invalid fields",
+      "habits[1] (h2) has missing or invalid fields",
+      "habits[2] (h3) has missing or invalid fields",
+    ]);
+  });
+
+  it("rejects preferences that Settings wouldn't accept", async () => {
+    const backup = await backupService.exportData();
+    backup.data.settings = [
+      { id: "preferences", timeZone: "Nowhere/Land", dayStartHour: 3 },
+    ];
+
+    expect(backupService.validateBackup(backup).errors).toEqual([
+      "settings[0] (preferences) has missing or invalid fields",
+    ]);
+
+    backup.data.settings[0].timeZone = "Europe/Paris";
+    expect(backupService.validateBackup(backup).valid).toBe(true);
+  });
+
+  it("classifies new, updated and conflicting records", async () => {
+    const backup = await backupService.exportData();
+    backup.data.posts = [
+      post("p1", { title: "Renamed" }),
+      post("p2", { title: "Also renamed" }),
+      post("p3"),
+    ];
+
+    // p2 is edited locally after the backup was made
+    clock.advanceDays(1);
+    await storage.update(STORES.POSTS, "p2", {
+      title: "Local edit",
+      updatedAt: clock.now().toISOString(),
+    });
+
+    const summary = backupService.summarizeDiff(
+      await backupService.diffBackup(backup)
+    );
+
+    expect(summary.posts).toEqual({
+      added: 1,
+      updated: 1,
+      conflicting: 1,
+      unchanged: 0,
+      localOnly: 0,
+    });
+    expect(summary.habits.unchanged).toBe(1);
+  });
+
+  it("merges without overwriting local edits by default", async () => {
+    const backup = await backupService.exportData();
+    backup.data.posts = [
+      post("p1", { title: "Renamed" }),
+      post("p2", { title: "From backup" }),
+      post("p3"),
+    ];
+
+    clock.advanceDays(1);
+    await storage.update(STORES.POSTS, "p2", {
+      title: "Local edit",
+      updatedAt: clock.now().toISOString(),
+    });
+
+    const result = await backupService.importBackup(backup);
+
+    expect(result.written.posts).toBe(2);
+    expect((await storage.getById(STORES.POSTS, "p1")).title).toBe("Renamed");
+    expect((await storage.getById(STORES.POSTS, "p2")).title).toBe(
+      "Local edit"
+    );
+    expect(await storage.getById(STORES.POSTS, "p3")).not.toBeNull();
+
+    await backupService.importBackup(backup, { overwriteConflicts: true });
+    expect((await storage.getById(STORES.POSTS, "p2")).title).toBe(
+      "From backup"
+    );
+  });
+
+  it("replaces all user data but keeps the migration record", async () => {
+    const backup = await backupService.exportData();
+    backup.data.posts = [post("p9")];
+    backup.data.habits = [];
+
+    const result = await backupService.importBackup(backup, {
+      mode: "replace",
+    });
+
+    expect(result.removed.posts).toBe(2);
+    expect(
+      (await storage.getAll(STORES.POSTS)).map((record) => record.id)
+    ).toEqual(["p9"]);
+    expect(await storage.countRecords(STORES.HABITS)).toBe(0);
+    expect(
+      await storage.getById(STORES.SETTINGS, MIGRATION_RECORD_ID)
+    ).not.toBeNull();
+  });
+
+  it("fills in habit categories and tags from older backups", async () => {
+    const backup = await backupService.exportData();
+    const { category: _category, tags: _tags, ...older } = habit("h2");
+    backup.schemaVersion = 3;
+    backup.data.habits = [older];
+
+    await backupService.importBackup(backup);
+
+    expect(await storage.getById(STORES.HABITS, "h2")).toMatchObject({
+      category: "",
+      tags: [],
+    });
+  });
+
+  it("fills in the habits linked by posts from older backups", async () => {
+    const backup = await backupService.exportData();
+    const { habitIds: _habitIds, ...older } = post("p2", {
+      content: "---\nhabits: h1, h2\n---\n\nA good week",
+    });
+    backup.schemaVersion = 4;
+    backup.data.posts = [older];
+
+    await backupService.importBackup(backup);
+
+    expect((await storage.getById(STORES.POSTS, "p2")).habitIds).toEqual([
+      "h1",
+      "h2",
+    ]);
+  });
+
+  it("leaves data untouched when an import fails part-way", async () => {
+    const backup = await backupService.exportData();
+    backup.data.posts = [post("p9")];
+
+    const failingAdapter = createMemoryAdapter({
+      [STORES.POSTS]: [post("p1")],
+    });
+    storage.setAdapter(
+      {
+        ...failingAdapter,
+        create: (storeName, data, tx) => {
+          if (storeName === STORES.HABITS) throw new Error("disk full");
+          return failingAdapter.create(storeName, data, tx);
+        },
+      },
+      "memory"
+    );
+
+    await expect(
+      backupService.importBackup(backup, { mode: "replace" })
+    ).rejects.toThrow("disk full");
+    expect(
+      (await storage.getAll(STORES.POSTS)).map((record) => record.id)
+    ).toEqual(["p1"]);
+  });
+
+  it("exports habit notes as CSV", () => {
+    const { csv, count } = backupService.exportHabitNotes([
+      habit("h1", {
+        name: "Run",
+        history: [
+          { date: "2025-03-08", completed: true, mood: 5 },
+          { date: "2025-03-09", completed: false },
+          {
+            date: "2025-03-10",
+            completed: true,
+            note: 'Rain, "knee" sore',
+            mood: 2,
+            notedAt: "2025-03-10T12:00:00.000Z",
+          },
+        ],
+      }),
+      habit("h2"),
+    ]);
+
+    expect(count).toBe(2);
+    expect(csv.split("\r\n")).toEqual([
+      "habit,date,completed,mood,note,notedAt",
+      'Run,2025-03-10,yes,Low,"Rain, ""knee"" sore",2025-03-10T12:00:00.000Z',
+      "Run,2025-03-08,yes,Great,,",
+    ]);
+  });
+});
@@ -0,0 +1,1293 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { createMemoryAdapter } from "../memoryAdapter";
+import { storage } from "../storageAdapter";
+import { changeFeed } from "../changeFeed";
+import {
+  enhancedHabitService,
+  calculateLongestStreak,
+  calculateStreak,
+  countsForToday,
+  getHabitResults,
+  isHabitArchived,
+  isTodayTargetDay,
+  rebucketHistory,
+} from "../enhancedHabitService";
+import { SCHEDULE_TYPES } from "../habitSchedule";
+import { settingsService } from "../settingsService";
+import { createFakeClock, setClock, resetClock } from "../../utils/clock";
+import { configureLocalDate, resetLocalDate } from "../../utils/localDate";
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Monday 10 March 2025
+const clock = createFakeClock("2025-03-10T12:00:00Z");
+
+const completed = (...dates) =>
+  dates.map((date) => ({ date, completed: true }));
+
+describe("calculateStreak", () => {
+  beforeEach(() => {
+    clock.set("2025-03-10T12:00:00Z");
+    setClock(clock.now);
+    configureLocalDate({ timeZone: "UTC" });
+  });
+
+  afterEach(() => {
+    resetClock();
+    resetLocalDate();
+  });
+
+  it("counts consecutive completed days up to yesterday", () => {
+    const history = completed("2025-03-09", "2025-03-08", "2025-03-07");
+    expect(calculateStreak(history, EVERY_DAY)).toBe(3);
+  });
+
+  it("includes today once it is completed", () => {
+    const history = completed("2025-03-10", "2025-03-09");
+    expect(calculateStreak(history, EVERY_DAY)).toBe(2);
+  });
+
+  it("stops at the first missed target day", () => {
+    const history = completed("2025-03-09", "2025-03-07");
+    expect(calculateStreak(history, EVERY_DAY)).toBe(1);
+  });
+
+  it("skips days that are not target days", () => {
+    // Friday and Thursday completed, weekend not scheduled
+    const history = completed("2025-03-07", "2025-03-06");
+    expect(calculateStreak(history, WEEKDAYS)).toBe(2);
+  });
+
+  it("counts days in the user's time zone", () => {
+    // 8:30pm on Monday 10 March in Denver
+    clock.set("2025-03-11T02:30:00Z");
+    configureLocalDate({ timeZone: "America/Denver" });
+
+    const history = completed("2025-03-10", "2025-03-09");
+    expect(calculateStreak(history, EVERY_DAY)).toBe(2);
+  });
+
+  it("returns zero when the habit has no target days", () => {
+    expect(calculateStreak(completed("2025-03-09"), [])).toBe(0);
+  });
+
+  it("counts weeks that met a times-per-week quota", () => {
+    const schedule = { type: SCHEDULE_TYPES.TIMES_PER_WEEK, times: 2 };
+    const history = completed(
+      // This week, not met yet
+      "2025-03-10",
+      // Previous three weeks
+      "2025-03-08",
+      "2025-03-03",
+      "2025-02-26",
+      "2025-02-24",
+      "2025-02-22",
+      "2025-02-17"
+    );
+
+    expect(calculateStreak(history, schedule)).toBe(3);
+
+    // Meeting this week's quota adds it to the streak
+    const metThisWeek = [...history, ...completed("2025-03-11")];
+    expect(calculateStreak(metThisWeek, schedule)).toBe(4);
+  });
+
+  it("counts months that met a times-per-month quota", () => {
+    const schedule = { type: SCHEDULE_TYPES.TIMES_PER_MONTH, times: 2 };
+    const history = completed(
+      "2025-03-02",
+      "2025-03-09",
+      "2025-02-14",
+      "2025-02-01",
+      "2025-01-20"
+    );
+
+    expect(calculateStreak(history, schedule)).toBe(2);
+  });
+
+  it("counts intervals with a completion on any of their days", () => {
+    const schedule = {
+      type: SCHEDULE_TYPES.INTERVAL,
+      every: 2,
+      startDate: "2025-03-01",
+    };
+
+    // Intervals: 1-2, 3-4, 5-6, 7-8, 9-10 (today, still open)
+    const history = completed("2025-03-08", "2025-03-05", "2025-03-04");
+    expect(calculateStreak(history, schedule)).toBe(3);
+    expect(
+      calculateStreak(completed("2025-03-08", "2025-03-04"), schedule)
+    ).toBe(1);
+  });
+
+  it("counts scheduled days of the month", () => {
+    const schedule = { type: SCHEDULE_TYPES.MONTH_DAYS, days: [1, 15] };
+    const history = completed("2025-03-01", "2025-02-15", "2025-02-01");
+
+    expect(calculateStreak(history, schedule)).toBe(3);
+  });
+});
+
+describe("calculateLongestStreak", () => {
+  beforeEach(() => {
+    clock.set("2025-03-10T12:00:00Z");
+    setClock(clock.now);
+    configureLocalDate({ timeZone: "UTC" });
+  });
+
+  afterEach(() => {
+    resetClock();
+    resetLocalDate();
+  });
+
+  it("finds the longest run of met periods in the history", () => {
+    const history = completed(
+      "2025-03-09",
+      "2025-03-08",
+      "2025-03-05",
+      "2025-03-04",
+      "2025-03-03",
+      "2025-03-02"
+    );
+    expect(calculateLongestStreak(history, EVERY_DAY)).toBe(4);
+  });
+
+  it("doesn't let today's open day end the current run", () => {
+    const history = completed("2025-03-09", "2025-03-08", "2025-03-07");
+    expect(calculateLongestStreak(history, EVERY_DAY)).toBe(3);
+  });
+});
+
+describe("enhancedHabitService", () => {
+  beforeEach(() => {
+    clock.set("2025-03-10T12:00:00Z");
+    setClock(clock.now);
+    configureLocalDate({ timeZone: "UTC" });
+    storage.setAdapter(createMemoryAdapter(), "memory");
+  });
+
+  afterEach(() => {
+    resetClock();
+    resetLocalDate();
+  });
+
+  it("stamps new habits with the injected clock", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+    });
+
+    expect(habit.created).toBe("2025-03-10T12:00:00.000Z");
+    expect(habit.streak).toBe(0);
+  });
+
+  it("stores reminder times, keeping the first as reminderTime", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+      reminders: ["20:00", "08:00"],
+    });
+    expect(habit.reminders).toEqual(["08:00", "20:00"]);
+    expect(habit.reminderTime).toBe("08:00");
+
+    const legacy = await enhancedHabitService.updateHabit(habit.id, {
+      reminderTime: "07:15",
+    });
+    expect(legacy.reminders).toEqual(["07:15"]);
+
+    await expect(
+      enhancedHabitService.updateHabit(habit.id, { reminders: ["8am"] })
+    ).rejects.toThrow("Reminder 1 needs a time");
+  });
+
+  it("archives and restores habits, keeping their history", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+      history: completed("2025-03-09"),
+    });
+
+    const archived = await enhancedHabitService.archiveHabit(habit.id);
+    expect(archived.archivedAt).toBe("2025-03-10T12:00:00.000Z");
+    expect(archived.history).toHaveLength(1);
+    expect((await enhancedHabitService.getHabitStats()).totalHabits).toBe(0);
+
+    const restored = await enhancedHabitService.restoreHabit(habit.id);
+    expect(restored.archivedAt).toBeNull();
+    expect((await enhancedHabitService.getHabitStats()).totalHabits).toBe(1);
+  });
+
+  it("finds habits by tag and category through the indexes", async () => {
+    const run = await enhancedHabitService.createHabit({
+      name: "Run",
+      targetDays: EVERY_DAY,
+      category: "fitness",
+      tags: "Morning, outdoors",
+    });
+    await enhancedHabitService.createHabit({
+      name: "Read",
+      targetDays: EVERY_DAY,
+      tags: ["evening"],
+    });
+    expect(run).toMatchObject({
+      category: "Fitness",
+      tags: ["morning", "outdoors"],
+    });
+
+    const byTag = await enhancedHabitService.getHabitsByTag("#Morning");
+    expect(byTag.map((habit) => habit.name)).toEqual(["Run"]);
+    const uncategorized = await enhancedHabitService.getHabitsByCategory("");
+    expect(uncategorized.map((habit) => habit.name)).toEqual(["Read"]);
+
+    const updated = await enhancedHabitService.updateHabit(run.id, {
+      tags: ["evening"],
+    });
+    expect(updated).toMatchObject({ category: "Fitness", tags: ["evening"] });
+    expect(await enhancedHabitService.getHabitsByTag("morning")).toEqual([]);
+  });
+
+  it("duplicates a habit's settings without its progress", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      description: "Ten minutes",
+      targetDays: [1, 3, 5],
+      reminders: ["08:00"],
+      history: completed("2025-03-07"),
+    });
+
+    const copy = await enhancedHabitService.duplicateHabit(habit.id);
+    expect(copy).toMatchObject({
+      name: "Stretch (copy)",
+      description: "Ten minutes",
+      targetDays: [1, 3, 5],
+      reminders: ["08:00"],
+      history: [],
+      streak: 0,
+    });
+    expect(copy.id).not.toBe(habit.id);
+    expect(await enhancedHabitService.getHabits()).toHaveLength(2);
+  });
+
+  it("keeps habits in the order the user puts them in", async () => {
+    const create = (name) =>
+      enhancedHabitService.createHabit({ name, targetDays: EVERY_DAY });
+    const read = await create("Read");
+    await create("Run");
+    const walk = await create("Walk");
+    expect(walk.order).toBe(2);
+
+    await enhancedHabitService.duplicateHabit(read.id);
+    const names = async () =>
+      (await enhancedHabitService.getHabits()).map((habit) => habit.name);
+    expect(await names()).toEqual(["Read", "Read (copy)", "Run", "Walk"]);
+
+    // Moving some habits leaves the others where they are
+    const reordered = await enhancedHabitService.reorderHabits([
+      walk.id,
+      read.id,
+    ]);
+    expect(reordered.map((habit) => habit.name)).toEqual([
+      "Walk",
+      "Read (copy)",
+      "Run",
+      "Read",
+    ]);
+    expect(await names()).toEqual(["Walk", "Read (copy)", "Run", "Read"]);
+  });
+
+  it("puts back a deleted habit with its history", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+      history: completed("2025-03-09"),
+    });
+    await enhancedHabitService.deleteHabit(habit.id);
+    expect(await enhancedHabitService.getHabitById(habit.id)).toBeNull();
+
+    await enhancedHabitService.undeleteHabit(habit);
+    const restored = await enhancedHabitService.getHabitById(habit.id);
+    expect(restored.name).toBe("Stretch");
+    expect(restored.history).toEqual(habit.history);
+  });
+
+  it("announces a delete and its undo to the habit's page", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+      history: completed("2025-03-09"),
+    });
+    const changes = [];
+    const unsubscribe = changeFeed.subscribe((change) => changes.push(change));
+
+    // The page refetches on each change to its habit: missing while the
+    // undo notice shows, then back with its statistics
+    await enhancedHabitService.deleteHabit(habit.id);
+    expect(await enhancedHabitService.getHabitStatistics(habit.id)).toBeNull();
+
+    await enhancedHabitService.undeleteHabit(habit);
+    unsubscribe();
+
+    expect(
+      changes.map(({ collection, id, operation }) => ({
+        collection,
+        id,
+        operation,
+      }))
+    ).toEqual([
+      { collection: "habits", id: habit.id, operation: "delete" },
+      { collection: "habits", id: habit.id, operation: "create" },
+    ]);
+    const stats = await enhancedHabitService.getHabitStatistics(habit.id);
+    expect(stats.currentStreak).toBe(1);
+  });
+
+  it("archives habits past their end date with their final results", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "30 days of yoga",
+      targetDays: EVERY_DAY,
+      created: "2025-03-01T08:00:00Z",
+      endDate: "2025-03-05",
+      history: completed(
+        "2025-03-05",
+        "2025-03-04",
+        "2025-03-03",
+        "2025-03-02",
+        "2025-03-01"
+      ),
+    });
+    expect(isHabitArchived(habit)).toBe(true);
+    expect(isHabitArchived(habit, "2025-03-05")).toBe(false);
+    expect((await enhancedHabitService.getHabitStats()).totalHabits).toBe(0);
+
+    // Days after the end aren't misses
+    const stats = await enhancedHabitService.getHabitStatistics(habit.id);
+    expect(stats).toMatchObject({
+      currentStreak: 5,
+      longestStreak: 5,
+      totalCompletions: 5,
+      completionRate: 100,
+    });
+
+    // Restoring drops the end date and catches up on the days since
+    const restored = await enhancedHabitService.restoreHabit(habit.id);
+    expect(restored.endDate).toBeNull();
+    expect(restored.streak).toBe(0);
+    expect(isHabitArchived(restored)).toBe(false);
+  });
+
+  it("keeps the results of habits as they were when archived", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+      history: completed("2025-03-09", "2025-03-08", "2025-03-07"),
+    });
+    await enhancedHabitService.archiveHabit(habit.id);
+
+    clock.set("2025-03-20T12:00:00Z");
+    const [archived] = await enhancedHabitService.getHabits();
+    expect(getHabitResults(archived)).toEqual({
+      streak: 3,
+      longestStreak: 3,
+      totalCompletions: 3,
+      completionRate: 100,
+    });
+  });
+
+  it("rejects invalid end dates", async () => {
+    await expect(
+      enhancedHabitService.createHabit({
+        name: "Stretch",
+        targetDays: EVERY_DAY,
+        endDate: "next week",
+      })
+    ).rejects.toThrow("End date must be a date");
+  });
+
+  it("gathers the statistics of one habit", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+      history: [
+        { date: "2025-03-09", completed: true, note: "Easy" },
+        ...completed("2025-03-08", "2025-03-06", "2025-03-05", "2025-03-04"),
+      ],
+    });
+
+    const stats = await enhancedHabitService.getHabitStatistics(habit.id);
+    expect(stats).toMatchObject({
+      currentStreak: 2,
+      longestStreak: 3,
+      totalCompletions: 5,
+      trackedSince: "2025-03-04",
+      completionRate: 83,
+      notes: [{ date: "2025-03-09", note: "Easy" }],
+    });
+    expect(stats.weeklyRates.map((week) => week.start)).toEqual([
+      "2025-03-03",
+      "2025-03-10",
+    ]);
+    expect(stats.worst).toBe(5);
+    expect(await enhancedHabitService.getHabitStatistics("missing")).toBeNull();
+  });
+
+  it("toggles today's completion and updates the streak", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+      history: completed("2025-03-09", "2025-03-08"),
+    });
+
+    const done = await enhancedHabitService.toggleHabitCompletion(habit.id);
+    expect(done.completedToday).toBe(true);
+    expect(done.lastCompleted).toBe("2025-03-10T12:00:00.000Z");
+    expect(done.history[0]).toEqual({
+      date: "2025-03-10",
+      completed: true,
+      completedAt: "2025-03-10T12:00:00.000Z",
+    });
+    expect(done.streak).toBe(3);
+
+    const undone = await enhancedHabitService.toggleHabitCompletion(habit.id);
+    expect(undone.completedToday).toBe(false);
+    expect(undone.history).toHaveLength(3);
+    expect(undone.streak).toBe(2);
+  });
+
+  it("resets completedToday when the day rolls over", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+    });
+    await enhancedHabitService.toggleHabitCompletion(habit.id);
+
+    clock.advanceDays(1);
+    const habits = await enhancedHabitService.getHabits();
+    const stored = habits.find((h) => h.id === habit.id);
+
+    expect(stored.completedToday).toBe(false);
+  });
+
+  it("credits evening completions to the user's own day", async () => {
+    // 8:30pm on Monday 10 March in Denver, already Tuesday in UTC
+    clock.set("2025-03-11T02:30:00Z");
+    configureLocalDate({ timeZone: "America/Denver" });
+
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+      history: completed("2025-03-09"),
+    });
+    const done = await enhancedHabitService.toggleHabitCompletion(habit.id);
+
+    expect(done.history[0].date).toBe("2025-03-10");
+    expect(done.streak).toBe(2);
+  });
+
+  it("keeps completions before the day-start hour on the previous day", async () => {
+    // 1:30am on Tuesday, but the user's day ends at 3am
+    clock.set("2025-03-11T01:30:00Z");
+    configureLocalDate({ dayStartHour: 3 });
+
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+    });
+    const done = await enhancedHabitService.toggleHabitCompletion(habit.id);
+    expect(done.history[0].date).toBe("2025-03-10");
+
+    // Still the same day at 2:59am, a new one at 3am
+    clock.set("2025-03-11T02:59:00Z");
+    let [stored] = await enhancedHabitService.getHabits();
+    expect(stored.completedToday).toBe(true);
+
+    clock.set("2025-03-11T03:00:00Z");
+    [stored] = await enhancedHabitService.getHabits();
+    expect(stored.completedToday).toBe(false);
+  });
+
+  it("moves UTC-dated history to local dates once", async () => {
+    configureLocalDate({ timeZone: "America/Denver" });
+    await storage.create(storage.STORES.HABITS, {
+      id: "utc",
+      name: "Stretch",
+      created: "2025-03-01T08:00:00Z",
+      targetDays: EVERY_DAY,
+      streak: 1,
+      completedToday: true,
+      // Completed at 8:30pm on 9 March in Denver, recorded as the 10th
+      lastCompleted: "2025-03-10T02:30:00Z",
+      history: [
+        { date: "2025-03-10", completed: true },
+        { date: "2025-03-09", completed: false },
+        { date: "2025-03-08", completed: true },
+      ],
+    });
+
+    expect(await enhancedHabitService.repairHistoryDates()).toBe(1);
+    const repaired = await enhancedHabitService.getHabitById("utc");
+    expect(repaired.history).toEqual(completed("2025-03-09", "2025-03-08"));
+    expect(repaired.completedToday).toBe(false);
+    expect(repaired.streak).toBe(2);
+
+    expect(await enhancedHabitService.repairHistoryDates()).toBe(0);
+  });
+
+  it("merges history entries that land on the same local day", () => {
+    configureLocalDate({ timeZone: "Asia/Tokyo" });
+
+    const history = rebucketHistory({
+      lastCompleted: null,
+      history: [
+        {
+          date: "2025-03-09",
+          completed: true,
+          completedAt: "2025-03-09T20:00:00Z",
+        },
+        { date: "2025-03-10", completed: false },
+      ],
+    });
+
+    expect(history).toEqual([
+      {
+        date: "2025-03-10",
+        completed: true,
+        completedAt: "2025-03-09T20:00:00Z",
+      },
+    ]);
+  });
+
+  it("stores a schedule and recalculates the streak when it changes", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Run",
+      targetDays: EVERY_DAY,
+    });
+    expect(habit.schedule).toEqual({
+      type: SCHEDULE_TYPES.WEEKDAYS,
+      days: EVERY_DAY,
+    });
+
+    await enhancedHabitService.toggleHabitCompletion(habit.id);
+    const weekly = await enhancedHabitService.updateHabit(habit.id, {
+      schedule: { type: SCHEDULE_TYPES.TIMES_PER_WEEK, times: 1 },
+    });
+
+    expect(weekly.targetDays).toEqual(EVERY_DAY);
+    expect(weekly.streak).toBe(1);
+    expect(isTodayTargetDay(weekly)).toBe(true);
+
+    const weekdays = await enhancedHabitService.updateHabit(habit.id, {
+      targetDays: [2],
+    });
+    expect(weekdays.schedule).toEqual({
+      type: SCHEDULE_TYPES.WEEKDAYS,
+      days: [2],
+    });
+    expect(weekdays.streak).toBe(0);
+
+    await expect(
+      enhancedHabitService.updateHabit(habit.id, {
+        schedule: { type: SCHEDULE_TYPES.TIMES_PER_WEEK, times: 0 },
+      })
+    ).rejects.toThrow("Times per week");
+  });
+
+  it("recalculates the streak when fewer target days are chosen", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Swim",
+      targetDays: EVERY_DAY,
+      history: completed("2025-03-07", "2025-03-05", "2025-03-03"),
+    });
+    expect(habit.streak).toBe(0);
+
+    // The days in between are rest days now, so the streak holds
+    const updated = await enhancedHabitService.updateHabit(habit.id, {
+      targetDays: [1, 3, 5],
+    });
+    expect(updated.streak).toBe(3);
+  });
+
+  it("only counts habits due today in today's completion rate", async () => {
+    // Monday: the weekend habit isn't due
+    const hike = await enhancedHabitService.createHabit({
+      name: "Hike",
+      targetDays: [0, 6],
+    });
+    const daily = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+    });
+    await enhancedHabitService.toggleHabitCompletion(daily.id);
+
+    const stats = await enhancedHabitService.getHabitStats();
+    expect(stats.dueToday).toBe(1);
+    expect(stats.completionRate).toBe(100);
+    expect(countsForToday(hike)).toBe(false);
+
+    // Done anyway, it counts
+    const hiked = await enhancedHabitService.toggleHabitCompletion(hike.id);
+    expect(countsForToday(hiked)).toBe(true);
+    expect((await enhancedHabitService.getHabitStats()).dueToday).toBe(2);
+  });
+
+  it("preserves tracking fields when a habit is edited", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+    });
+    await enhancedHabitService.toggleHabitCompletion(habit.id);
+
+    const updated = await enhancedHabitService.updateHabit(habit.id, {
+      name: "Stretch daily",
+      streak: 99,
+    });
+
+    expect(updated.name).toBe("Stretch daily");
+    expect(updated.streak).toBe(1);
+    expect(updated.completedToday).toBe(true);
+  });
+
+  it("versions each write and publishes it on the change feed", async () => {
+    const changes = [];
+    const unsubscribe = changeFeed.subscribe((change) => changes.push(change));
+
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+    });
+    const toggled = await enhancedHabitService.toggleHabitCompletion(habit.id);
+    await enhancedHabitService.deleteHabit(habit.id);
+    unsubscribe();
+
+    expect(habit.version).toBe(1);
+    expect(toggled.version).toBe(2);
+    expect(
+      changes.map(({ collection, id, operation, version }) => ({
+        collection,
+        id,
+        operation,
+        version,
+      }))
+    ).toEqual([
+      { collection: "habits", id: habit.id, operation: "create", version: 1 },
+      { collection: "habits", id: habit.id, operation: "update", version: 2 },
+      {
+        collection: "habits",
+        id: habit.id,
+        operation: "delete",
+        version: null,
+      },
+    ]);
+  });
+
+  it("does not lose concurrent toggles", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+    });
+
+    await Promise.all([
+      enhancedHabitService.toggleHabitCompletion(habit.id),
+      enhancedHabitService.toggleHabitCompletion(habit.id),
+      enhancedHabitService.toggleHabitCompletion(habit.id),
+    ]);
+
+    const stored = await enhancedHabitService.getHabitById(habit.id);
+    expect(stored.completedToday).toBe(true);
+    expect(stored.history).toEqual([
+      {
+        date: "2025-03-10",
+        completed: true,
+        completedAt: "2025-03-10T12:00:00.000Z",
+      },
+    ]);
+    expect(stored.version).toBe(4);
+  });
+});
+
+describe("measured habits", () => {
+  beforeEach(() => {
+    clock.set("2025-03-10T12:00:00Z");
+    setClock(clock.now);
+    configureLocalDate({ timeZone: "UTC" });
+    storage.setAdapter(createMemoryAdapter(), "memory");
+  });
+
+  afterEach(() => {
+    resetClock();
+    resetLocalDate();
+  });
+
+  const createWaterHabit = () =>
+    enhancedHabitService.createHabit({
+      name: "Drink water",
+      targetDays: EVERY_DAY,
+      type: "count",
+      target: 8,
+      unit: "glasses",
+      max: 20,
+    });
+
+  it("completes the habit once the recorded value meets the target", async () => {
+    const habit = await createWaterHabit();
+
+    const partial = await enhancedHabitService.recordHabitValue(habit.id, 5);
+    expect(partial.completedToday).toBe(false);
+    expect(partial.history[0]).toEqual({
+      date: "2025-03-10",
+      completed: false,
+      value: 5,
+    });
+
+    clock.advance(60 * 60 * 1000);
+    const met = await enhancedHabitService.recordHabitValue(habit.id, 8);
+    expect(met.completedToday).toBe(true);
+    expect(met.streak).toBe(1);
+    expect(met.lastCompleted).toBe("2025-03-10T13:00:00.000Z");
+
+    // Going past the target keeps the original completion time
+    clock.advance(60 * 60 * 1000);
+    const more = await enhancedHabitService.recordHabitValue(habit.id, 9);
+    expect(more.history[0].completedAt).toBe("2025-03-10T13:00:00.000Z");
+    expect(more.lastCompleted).toBe("2025-03-10T13:00:00.000Z");
+  });
+
+  it("adds up concurrent increments and keeps values within bounds", async () => {
+    const habit = await createWaterHabit();
+
+    await Promise.all(
+      Array.from({ length: 8 }, () =>
+        enhancedHabitService.adjustHabitValue(habit.id, 1)
+      )
+    );
+    let stored = await enhancedHabitService.getHabitById(habit.id);
+    expect(stored.history[0].value).toBe(8);
+    expect(stored.completedToday).toBe(true);
+
+    stored = await enhancedHabitService.adjustHabitValue(habit.id, -10);
+    expect(stored.history[0].value).toBe(0);
+    expect(stored.completedToday).toBe(false);
+
+    stored = await enhancedHabitService.recordHabitValue(habit.id, 50);
+    expect(stored.history[0].value).toBe(20);
+  });
+
+  it("re-derives completion when the target changes", async () => {
+    const habit = await createWaterHabit();
+    await enhancedHabitService.recordHabitValue(habit.id, 6);
+
+    const lowered = await enhancedHabitService.updateHabit(habit.id, {
+      target: 6,
+    });
+    expect(lowered.completedToday).toBe(true);
+    expect(lowered.history[0].completed).toBe(true);
+    expect(lowered.streak).toBe(1);
+  });
+
+  it("rejects invalid goals", async () => {
+    await expect(
+      enhancedHabitService.createHabit({
+        name: "Run",
+        targetDays: EVERY_DAY,
+        type: "numeric",
+        target: 0,
+        unit: "km",
+      })
+    ).rejects.toThrow("Target must be greater than zero");
+  });
+});
+
+describe("backfilling past days", () => {
+  beforeEach(() => {
+    clock.set("2025-03-10T12:00:00Z");
+    setClock(clock.now);
+    configureLocalDate({ timeZone: "UTC" });
+    storage.setAdapter(createMemoryAdapter(), "memory");
+  });
+
+  afterEach(() => {
+    resetClock();
+    resetLocalDate();
+  });
+
+  it("fills in a forgotten day and repairs the streak", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Journal",
+      targetDays: EVERY_DAY,
+      history: completed("2025-03-09", "2025-03-07", "2025-03-06"),
+      streak: 1,
+    });
+
+    const updated = await enhancedHabitService.setHabitEntry(
+      habit.id,
+      "2025-03-08",
+      { completed: true, note: " Wrote before bed " }
+    );
+
+    expect(updated.streak).toBe(4);
+    expect(updated.completedToday).toBe(false);
+    expect(updated.history.map((entry) => entry.date)).toEqual([
+      "2025-03-09",
+      "2025-03-08",
+      "2025-03-07",
+      "2025-03-06",
+    ]);
+    expect(updated.history[1]).toEqual({
+      date: "2025-03-08",
+      completed: true,
+      note: "Wrote before bed",
+      notedAt: "2025-03-10T12:00:00.000Z",
+      backfilled: true,
+      backfilledAt: "2025-03-10T12:00:00.000Z",
+    });
+
+    const undone = await enhancedHabitService.setHabitEntry(
+      habit.id,
+      "2025-03-08",
+      { completed: false }
+    );
+    expect(undone.streak).toBe(1);
+    expect(undone.history[1].note).toBe("Wrote before bed");
+  });
+
+  it("derives completion from a backfilled value", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Walk",
+      targetDays: EVERY_DAY,
+      type: "duration",
+      target: 30,
+    });
+
+    const updated = await enhancedHabitService.setHabitEntry(
+      habit.id,
+      "2025-03-09",
+      { value: 45 }
+    );
+
+    expect(updated.history[0]).toMatchObject({
+      date: "2025-03-09",
+      completed: true,
+      value: 45,
+      backfilled: true,
+    });
+    expect(updated.streak).toBe(1);
+  });
+
+  it("records today's entry like a normal completion", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+    });
+
+    const updated = await enhancedHabitService.setHabitEntry(
+      habit.id,
+      "2025-03-10",
+      { completed: true }
+    );
+
+    expect(updated.completedToday).toBe(true);
+    expect(updated.history[0].backfilled).toBeUndefined();
+  });
+
+  it("only changes days within the backfill window", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Stretch",
+      targetDays: EVERY_DAY,
+    });
+
+    await expect(
+      enhancedHabitService.setHabitEntry(habit.id, "2025-03-02", {
+        completed: true,
+      })
+    ).rejects.toThrow("Only the last 7 days");
+    await expect(
+      enhancedHabitService.setHabitEntry(habit.id, "2025-03-11", {
+        completed: true,
+      })
+    ).rejects.toThrow("ahead of time");
+
+    await settingsService.updatePreferences({ backfillDays: 30 });
+    const updated = await enhancedHabitService.setHabitEntry(
+      habit.id,
+      "2025-03-02",
+      { completed: true }
+    );
+    expect(updated.history[0].date).toBe("2025-03-02");
+  });
+});
+
+describe("skipped, excused and vacation days", () => {
+  beforeEach(() => {
+    clock.set("2025-03-10T12:00:00Z");
+    setClock(clock.now);
+    configureLocalDate({ timeZone: "UTC" });
+    storage.setAdapter(createMemoryAdapter(), "memory");
+  });
+
+  afterEach(() => {
+    resetClock();
+    resetLocalDate();
+  });
+
+  it("passes over skipped and excused days", () => {
+    const history = [
+      ...completed("2025-03-09"),
+      { date: "2025-03-08", completed: false, status: "skipped" },
+      { date: "2025-03-07", completed: false, status: "excused" },
+      ...completed("2025-03-06"),
+    ];
+
+    expect(calculateStreak(history, EVERY_DAY)).toBe(2);
+  });
+
+  it("passes over vacations", () => {
+    const history = completed("2025-03-09", "2025-03-03", "2025-03-02");
+    const vacations = [{ start: "2025-03-04", end: "2025-03-08" }];
+
+    expect(calculateStreak(history, EVERY_DAY)).toBe(1);
+    expect(calculateStreak(history, EVERY_DAY, vacations)).toBe(3);
+  });
+
+  it("lowers a period's quota to the days left after excused ones", () => {
+    const schedule = { type: SCHEDULE_TYPES.TIMES_PER_WEEK, times: 3 };
+    // Last week: away Monday to Friday, went twice at the weekend
+    const history = completed("2025-03-09", "2025-03-08");
+    const vacations = [{ start: "2025-03-03", end: "2025-03-07" }];
+
+    expect(calculateStreak(history, schedule)).toBe(0);
+    expect(calculateStreak(history, schedule, vacations)).toBe(1);
+  });
+
+  it("marks days skipped and leaves them out of today's rate", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Run",
+      targetDays: EVERY_DAY,
+      history: completed("2025-03-08"),
+    });
+
+    const skipped = await enhancedHabitService.setHabitEntry(
+      habit.id,
+      "2025-03-09",
+      { status: "skipped" }
+    );
+    expect(skipped.history[0]).toMatchObject({
+      date: "2025-03-09",
+      completed: false,
+      status: "skipped",
+    });
+    expect(skipped.streak).toBe(1);
+
+    await enhancedHabitService.setHabitEntry(habit.id, "2025-03-10", {
+      status: "excused",
+    });
+    const stats = await enhancedHabitService.getHabitStats();
+    expect(stats.dueToday).toBe(0);
+
+    // Completing the day clears its status
+    const done = await enhancedHabitService.setHabitEntry(
+      habit.id,
+      "2025-03-09",
+      { completed: true }
+    );
+    expect(done.history[1].status).toBeUndefined();
+    expect(done.streak).toBe(2);
+
+    await expect(
+      enhancedHabitService.setHabitEntry(habit.id, "2025-03-09", {
+        status: "frozen",
+      })
+    ).rejects.toThrow("Unknown day status");
+  });
+
+  it("applies global and per-habit vacations", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Swim",
+      targetDays: EVERY_DAY,
+      history: completed("2025-03-05"),
+      vacations: [{ start: "2025-03-06", end: "2025-03-07" }],
+    });
+    await settingsService.updatePreferences({
+      vacations: [{ start: "2025-03-08", end: null }],
+    });
+
+    const [stored] = await enhancedHabitService.getHabits();
+    expect(stored.streak).toBe(1);
+    expect(isTodayTargetDay(stored)).toBe(true);
+    expect(isTodayTargetDay(stored, [{ start: "2025-03-08", end: null }])).toBe(
+      false
+    );
+
+    await expect(
+      enhancedHabitService.updateHabit(habit.id, {
+        vacations: [{ start: "someday" }],
+      })
+    ).rejects.toThrow("needs a start date");
+  });
+});
+
+describe("streak freezes", () => {
+  beforeEach(() => {
+    clock.set("2025-03-10T12:00:00Z");
+    setClock(clock.now);
+    configureLocalDate({ timeZone: "UTC" });
+    storage.setAdapter(createMemoryAdapter(), "memory");
+  });
+
+  afterEach(() => {
+    resetClock();
+    resetLocalDate();
+  });
+
+  it("earns a freeze every seven periods of streak", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Floss",
+      targetDays: EVERY_DAY,
+      history: completed(
+        "2025-03-09",
+        "2025-03-08",
+        "2025-03-07",
+        "2025-03-06",
+        "2025-03-05",
+        "2025-03-04"
+      ),
+      streak: 6,
+    });
+
+    const updated = await enhancedHabitService.toggleHabitCompletion(habit.id);
+    expect(updated.streak).toBe(7);
+    expect(updated.freezeTokens).toBe(1);
+
+    // Undoing and redoing the day doesn't earn another
+    await enhancedHabitService.toggleHabitCompletion(habit.id);
+    const again = await enhancedHabitService.toggleHabitCompletion(habit.id);
+    expect(again.freezeTokens).toBe(1);
+  });
+
+  it("spends freezes on missed days that would end a streak", async () => {
+    await enhancedHabitService.createHabit({
+      name: "Floss",
+      targetDays: EVERY_DAY,
+      history: completed("2025-03-10", "2025-03-09", "2025-03-08"),
+      streak: 3,
+      freezeTokens: 1,
+    });
+
+    // Missed Tuesday; it's Wednesday now
+    clock.advanceDays(2);
+    const [frozen] = await enhancedHabitService.getHabits();
+
+    expect(frozen.freezeTokens).toBe(0);
+    expect(frozen.streak).toBe(3);
+    expect(frozen.history[0]).toMatchObject({
+      date: "2025-03-11",
+      completed: false,
+      status: "frozen",
+    });
+
+    // Missing Wednesday too, with no freezes left, ends the streak
+    clock.advanceDays(1);
+    const [broken] = await enhancedHabitService.getHabits();
+    expect(broken.streak).toBe(0);
+  });
+
+  it("keeps freezes when they can't save the streak", async () => {
+    await enhancedHabitService.createHabit({
+      name: "Floss",
+      targetDays: EVERY_DAY,
+      history: completed("2025-03-10"),
+      streak: 1,
+      freezeTokens: 1,
+    });
+
+    clock.advanceDays(3);
+    const [habit] = await enhancedHabitService.getHabits();
+
+    expect(habit.freezeTokens).toBe(1);
+    expect(habit.streak).toBe(0);
+  });
+});
+
+describe("habits to avoid", () => {
+  beforeEach(() => {
+    clock.set("2025-03-10T12:00:00Z");
+    setClock(clock.now);
+    configureLocalDate({ timeZone: "UTC" });
+    storage.setAdapter(createMemoryAdapter(), "memory");
+  });
+
+  afterEach(() => {
+    resetClock();
+    resetLocalDate();
+  });
+
+  const createAvoidHabit = () =>
+    enhancedHabitService.createHabit({
+      name: "No sugar",
+      type: "avoid",
+      targetDays: [1],
+    });
+
+  it("counts every day as clean until a slip is logged", async () => {
+    const habit = await createAvoidHabit();
+    expect(habit).toMatchObject({
+      completedToday: true,
+      streak: 1,
+      targetDays: EVERY_DAY,
+      history: [{ date: "2025-03-10", completed: true }],
+    });
+
+    clock.set("2025-03-13T12:00:00Z");
+    const [later] = await enhancedHabitService.getHabits();
+    expect(later.history.map((entry) => entry.date)).toEqual([
+      "2025-03-13",
+      "2025-03-12",
+      "2025-03-11",
+      "2025-03-10",
+    ]);
+    expect(later.streak).toBe(4);
+
+    // A slip ends the streak at once
+    const slipped = await enhancedHabitService.toggleHabitCompletion(habit.id);
+    expect(slipped.completedToday).toBe(false);
+    expect(slipped.streak).toBe(0);
+    expect(slipped.history[0]).toEqual({
+      date: "2025-03-13",
+      completed: false,
+      slipped: true,
+      slippedAt: "2025-03-13T12:00:00.000Z",
+    });
+    expect(slipped.freezeTokens || 0).toBe(0);
+
+    const stats = await enhancedHabitService.getHabitStats();
+    expect(stats).toMatchObject({
+      avoidHabits: 1,
+      slippedToday: 1,
+      completedToday: 0,
+    });
+
+    clock.set("2025-03-15T12:00:00Z");
+    const [recovered] = await enhancedHabitService.getHabits();
+    expect(recovered.completedToday).toBe(true);
+    expect(recovered.streak).toBe(2);
+    expect(
+      (await enhancedHabitService.getHabitStats()).longestCleanStreak
+    ).toBe(2);
+  });
+
+  it("keeps a relapse history", async () => {
+    const habit = await createAvoidHabit();
+    clock.set("2025-03-14T12:00:00Z");
+    await enhancedHabitService.getHabits();
+    await enhancedHabitService.setHabitEntry(habit.id, "2025-03-12", {
+      completed: false,
+      note: "Birthday cake",
+    });
+
+    const stats = await enhancedHabitService.getHabitStatistics(habit.id);
+    expect(stats.currentStreak).toBe(2);
+    expect(stats.longestStreak).toBe(2);
+    expect(stats.lastSlip).toBe("2025-03-12");
+    expect(stats.relapses).toEqual([
+      { date: "2025-03-12", cleanDays: 2, note: "Birthday cake" },
+    ]);
+  });
+
+  it("keeps avoid habits and habits to build apart", async () => {
+    const habit = await createAvoidHabit();
+    await expect(
+      enhancedHabitService.updateHabit(habit.id, { type: "checkbox" })
+    ).rejects.toThrow("can't be switched");
+
+    const updated = await enhancedHabitService.updateHabit(habit.id, {
+      targetDays: [1, 3],
+    });
+    expect(updated.targetDays).toEqual(EVERY_DAY);
+  });
+});
+
+describe("journaling", () => {
+  beforeEach(() => {
+    clock.set("2025-03-10T12:00:00Z");
+    setClock(clock.now);
+    configureLocalDate({ timeZone: "UTC" });
+    storage.setAdapter(createMemoryAdapter(), "memory");
+  });
+
+  afterEach(() => {
+    resetClock();
+    resetLocalDate();
+  });
+
+  it("keeps today's note and mood when the habit is toggled", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Run",
+      targetDays: EVERY_DAY,
+    });
+    await enhancedHabitService.toggleHabitCompletion(habit.id);
+
+    clock.set("2025-03-10T12:05:00Z");
+    const noted = await enhancedHabitService.setHabitEntry(
+      habit.id,
+      "2025-03-10",
+      { note: "Ran in the rain, knee sore", mood: 4 }
+    );
+    expect(noted.history[0]).toEqual({
+      date: "2025-03-10",
+      completed: true,
+      completedAt: "2025-03-10T12:00:00.000Z",
+      note: "Ran in the rain, knee sore",
+      mood: 4,
+      notedAt: "2025-03-10T12:05:00.000Z",
+    });
+
+    clock.set("2025-03-10T12:10:00Z");
+    const undone = await enhancedHabitService.toggleHabitCompletion(habit.id);
+    expect(undone.history[0]).toMatchObject({
+      completed: false,
+      note: "Ran in the rain, knee sore",
+      mood: 4,
+      notedAt: "2025-03-10T12:05:00.000Z",
+    });
+
+    const cleared = await enhancedHabitService.setHabitEntry(
+      habit.id,
+      "2025-03-10",
+      { note: "", mood: null }
+    );
+    expect(cleared.history[0]).not.toHaveProperty("note");
+    expect(cleared.history[0]).not.toHaveProperty("mood");
+    expect(cleared.history[0]).not.toHaveProperty("notedAt");
+  });
+
+  it("rejects unknown moods and overlong notes", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Run",
+      targetDays: EVERY_DAY,
+    });
+
+    await expect(
+      enhancedHabitService.setHabitEntry(habit.id, "2025-03-10", { mood: 6 })
+    ).rejects.toThrow("Unknown mood: 6");
+    await expect(
+      enhancedHabitService.setHabitEntry(habit.id, "2025-03-10", {
+        note: "x".repeat(501),
+      })
+    ).rejects.toThrow("Notes can be at most 500 characters");
+  });
+
+  it("lists notes and moods in the habit's statistics", async () => {
+    const habit = await enhancedHabitService.createHabit({
+      name: "Run",
+      targetDays: EVERY_DAY,
+    });
+    await enhancedHabitService.setHabitEntry(habit.id, "2025-03-09", {
+      completed: true,
+      mood: 2,
+    });
+
+    const { notes } = await enhancedHabitService.getHabitStatistics(habit.id);
+    expect(notes).toEqual([
+      { date: "2025-03-09", mood: 2, notedAt: "2025-03-10T12:00:00.000Z" },
+    ]);
+  });
+});
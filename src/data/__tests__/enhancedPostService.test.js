@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { createMemoryAdapter } from "../memoryAdapter";
+import { storage } from "../storageAdapter";
+import { changeFeed } from "../changeFeed";
+import { enhancedPostService } from "../enhancedPostService";
+import { createFakeClock, setClock, resetClock } from "../../utils/clock";
+
+const clock = createFakeClock("2025-03-10T12:00:00Z");
+
+const content = `---
+title: Testing in the forest
+tags: testing, react
+---
+
+# Testing in the forest
+
+Every tree gets a test.`;
+
+describe("enhancedPostService", () => {
+  beforeEach(() => {
+    clock.set("2025-03-10T12:00:00Z");
+    setClock(clock.now);
+    storage.setAdapter(createMemoryAdapter(), "memory");
+  });
+
+  afterEach(() => {
+    resetClock();
+  });
+
+  it("seeds sample posts into an empty store", async () => {
+    const posts = await enhancedPostService.getPosts();
+    expect(posts.length).toBeGreaterThan(0);
+    expect(await enhancedPostService.getPostCount()).toBe(posts.length);
+  });
+
+  it("creates, reads, updates and deletes a post", async () => {
+    const created = await enhancedPostService.createPost({
+      title: "Testing in the forest",
+      content,
+    });
+    expect(created.date).toBe("2025-03-10T12:00:00.000Z");
+    expect(created.tags).toEqual(["testing", "react"]);
+    expect(created.excerpt).toBeTruthy();
+
+    const fetched = await enhancedPostService.getPostById(created.id);
+    expect(fetched).toEqual(created);
+
+    clock.advance(60 * 60 * 1000);
+    const updated = await enhancedPostService.updatePost(created.id, {
+      content: content.replace("tags: testing, react", "tags: testing"),
+    });
+    expect(updated.updatedAt).toBe("2025-03-10T13:00:00.000Z");
+    expect(updated.tags).toEqual(["testing"]);
+    expect(updated.title).toBe("Testing in the forest");
+    expect(updated.version).toBe(created.version + 1);
+
+    await enhancedPostService.deletePost(created.id);
+    expect(await enhancedPostService.getPostById(created.id)).toBeNull();
+  });
+
+  it("publishes the fields an update changed and skips no-op updates", async () => {
+    const created = await enhancedPostService.createPost({
+      title: "Testing in the forest",
+      content,
+    });
+
+    const changes = [];
+    const unsubscribe = changeFeed.subscribe((change) => changes.push(change));
+
+    clock.advance(60 * 60 * 1000);
+    const retitled = await enhancedPostService.updatePost(created.id, {
+      title: "Testing among the trees",
+    });
+    const unchanged = await enhancedPostService.updatePost(created.id, {
+      title: "Testing among the trees",
+    });
+    unsubscribe();
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      collection: "posts",
+      id: created.id,
+      operation: "update",
+      version: 2,
+    });
+    expect(changes[0].changedFields.sort()).toEqual(["title", "updatedAt"]);
+    expect(unchanged).toEqual(retitled);
+  });
+
+  it("finds posts by tag", async () => {
+    const created = await enhancedPostService.createPost({
+      title: "Testing in the forest",
+      content,
+    });
+
+    const tagged = await enhancedPostService.getPostsByTag("react");
+    expect(tagged.map((post) => post.id)).toEqual([created.id]);
+  });
+
+  it("finds posts about a habit", async () => {
+    const reflection = await enhancedPostService.createPost({
+      title: "A week of running",
+      content: "---\nhabits: run, read\n---\n\nMostly in the rain.",
+    });
+    expect(reflection.habitIds).toEqual(["run", "read"]);
+
+    await enhancedPostService.updatePost(reflection.id, {
+      content: "---\nhabits: read\n---\n\nMostly reading.",
+    });
+    expect(await enhancedPostService.getPostsByHabit("run")).toEqual([]);
+    expect(
+      (await enhancedPostService.getPostsByHabit("read")).map((post) => post.id)
+    ).toEqual([reflection.id]);
+  });
+
+  it("returns the newest posts first in pages", async () => {
+    await enhancedPostService.getPosts();
+    const total = await enhancedPostService.getPostCount();
+
+    clock.advanceDays(1);
+    const latest = await enhancedPostService.createPost({
+      title: "Latest",
+      content: "# Latest",
+    });
+
+    const { posts, nextCursor } = await enhancedPostService.getPosts({
+      limit: 1,
+    });
+    expect(posts.map((post) => post.id)).toEqual([latest.id]);
+    expect(nextCursor).not.toBeNull();
+
+    const rest = await enhancedPostService.getPosts({
+      limit: total,
+      cursor: nextCursor,
+    });
+    expect(rest.posts).toHaveLength(total);
+    expect(rest.nextCursor).toBeNull();
+  });
+});
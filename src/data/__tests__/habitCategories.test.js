@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import {
+  getAllTags,
+  getCategories,
+  getHabitGrouping,
+  groupHabitsByCategory,
+  normalizeCategory,
+  normalizeTags,
+  validateHabitGrouping,
+} from "../habitCategories";
+
+const habit = (id, category, tags = []) => ({ id, category, tags });
+
+describe("habitCategories", () => {
+  it("spells categories like the suggested ones", () => {
+    expect(normalizeCategory("  health ")).toBe("Health");
+    expect(normalizeCategory("Side   projects")).toBe("Side projects");
+    expect(normalizeCategory(undefined)).toBe("");
+  });
+
+  it("normalizes tags from a list or a comma-separated string", () => {
+    expect(normalizeTags("Morning, #outdoors,, morning ")).toEqual([
+      "morning",
+      "outdoors",
+    ]);
+    expect(normalizeTags(["Deep Work", 3])).toEqual(["deep-work"]);
+    expect(normalizeTags(undefined)).toEqual([]);
+    expect(getHabitGrouping({})).toEqual({ category: "", tags: [] });
+  });
+
+  it("validates category and tag lengths", () => {
+    expect(validateHabitGrouping({ category: "Health", tags: ["a"] })).toEqual(
+      []
+    );
+    expect(
+      validateHabitGrouping({
+        category: "x".repeat(41),
+        tags: Array.from({ length: 11 }, (_, i) => `tag${i}`),
+      })
+    ).toEqual([
+      "Category can be at most 40 characters long",
+      "A habit can have at most 10 tags",
+    ]);
+  });
+
+  it("groups suggested categories first and uncategorized habits last", () => {
+    const habits = [
+      habit("1", ""),
+      habit("2", "Work"),
+      habit("3", "Garden"),
+      habit("4", "Health"),
+      habit("5", "work"),
+      habit("6", "books"),
+    ];
+
+    expect(
+      groupHabitsByCategory(habits).map(({ category, habits }) => [
+        category,
+        habits.map((h) => h.id),
+      ])
+    ).toEqual([
+      ["Health", ["4"]],
+      ["Work", ["2", "5"]],
+      ["books", ["6"]],
+      ["Garden", ["3"]],
+      ["", ["1"]],
+    ]);
+    expect(getCategories(habits)).toEqual([
+      "Health",
+      "Work",
+      "books",
+      "Garden",
+    ]);
+  });
+
+  it("lists the tags in use", () => {
+    expect(
+      getAllTags([habit("1", "", ["morning", "outdoors"]), habit("2", "")])
+    ).toEqual(["morning", "outdoors"]);
+  });
+});
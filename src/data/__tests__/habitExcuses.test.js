@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import {
+  PERIOD_STATUSES,
+  earnStreakFreeze,
+  getExcuse,
+  getPeriodStatus,
+  isOnVacation,
+  validateVacations,
+} from "../habitExcuses";
+
+const week = { start: "2025-03-03", end: "2025-03-09", quota: 3 };
+
+describe("habitExcuses", () => {
+  it("finds days on vacation, including ongoing ones", () => {
+    const vacations = [
+      { start: "2025-03-01", end: "2025-03-03" },
+      { start: "2025-03-20", end: null },
+    ];
+
+    expect(isOnVacation("2025-03-03", vacations)).toBe(true);
+    expect(isOnVacation("2025-03-04", vacations)).toBe(false);
+    expect(isOnVacation("2026-01-01", vacations)).toBe(true);
+  });
+
+  it("gives the reason a day is excused", () => {
+    const history = [
+      { date: "2025-03-04", completed: false, status: "skipped" },
+    ];
+
+    expect(getExcuse(history, "2025-03-04")).toBe("skipped");
+    expect(
+      getExcuse(history, "2025-03-05", [{ start: "2025-03-05", end: null }])
+    ).toBe("vacation");
+    expect(getExcuse(history, "2025-03-06")).toBeNull();
+  });
+
+  it("judges periods with excused days", () => {
+    const twice = [
+      { date: "2025-03-08", completed: true },
+      { date: "2025-03-09", completed: true },
+    ];
+    const awayMostOfTheWeek = [{ start: "2025-03-03", end: "2025-03-07" }];
+
+    expect(getPeriodStatus(week, twice)).toBe(PERIOD_STATUSES.MISSED);
+    expect(getPeriodStatus(week, twice, awayMostOfTheWeek)).toBe(
+      PERIOD_STATUSES.MET
+    );
+    expect(
+      getPeriodStatus(week, [], [{ start: "2025-03-01", end: "2025-03-10" }])
+    ).toBe(PERIOD_STATUSES.NEUTRAL);
+    expect(
+      getPeriodStatus(week, [
+        { date: "2025-03-09", completed: false, status: "frozen" },
+      ])
+    ).toBe(PERIOD_STATUSES.NEUTRAL);
+  });
+
+  it("earns a freeze at each milestone, once a day and up to the limit", () => {
+    const habit = { streak: 6, freezeTokens: 0 };
+
+    expect(earnStreakFreeze(habit, 7, "2025-03-10")).toEqual({
+      freezeTokens: 1,
+      freezeEarnedOn: "2025-03-10",
+    });
+    expect(earnStreakFreeze(habit, 6, "2025-03-10")).toEqual({});
+    expect(
+      earnStreakFreeze(
+        { ...habit, freezeEarnedOn: "2025-03-10" },
+        7,
+        "2025-03-10"
+      )
+    ).toEqual({});
+    expect(
+      earnStreakFreeze({ streak: 13, freezeTokens: 2 }, 14, "2025-03-10")
+    ).toEqual({});
+  });
+
+  it("validates vacation ranges", () => {
+    expect(validateVacations([{ start: "2025-03-01", end: null }])).toEqual([]);
+    expect(
+      validateVacations([
+        { start: "" },
+        { start: "2025-03-05", end: "2025-03-01" },
+      ])
+    ).toEqual([
+      "Vacation 1 needs a start date",
+      "Vacation 2 ends before it starts",
+    ]);
+  });
+});
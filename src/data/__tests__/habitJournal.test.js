@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import {
+  searchHabitNotes,
+  validateJournal,
+  withJournal,
+} from "../habitJournal";
+
+const NOON = "2025-03-10T12:00:00.000Z";
+const EVENING = "2025-03-10T20:00:00.000Z";
+
+describe("habitJournal", () => {
+  it("timestamps a note or mood only when it changes", () => {
+    const entry = { date: "2025-03-10", completed: true };
+
+    const noted = withJournal(entry, { note: " Knee sore ", mood: 2 }, NOON);
+    expect(noted).toEqual({
+      ...entry,
+      note: "Knee sore",
+      mood: 2,
+      notedAt: NOON,
+    });
+    expect(withJournal(noted, { note: "Knee sore" }, EVENING).notedAt).toBe(
+      NOON
+    );
+    expect(withJournal(noted, { mood: 3 }, EVENING).notedAt).toBe(EVENING);
+    expect(withJournal(noted, { note: "", mood: null }, EVENING)).toEqual(
+      entry
+    );
+  });
+
+  it("validates notes and moods", () => {
+    expect(validateJournal({ note: "Fine", mood: 3 })).toEqual([]);
+    expect(validateJournal({ mood: null })).toEqual([]);
+    expect(validateJournal({ mood: 0 })).toEqual(["Unknown mood: 0"]);
+    expect(validateJournal({ note: 42 })).toEqual(["Note must be text"]);
+  });
+
+  it("searches notes by text, mood and date", () => {
+    const notes = [
+      { date: "2025-03-10", note: "Ran in the rain, knee sore", mood: 2 },
+      { date: "2025-03-08", note: "Easy run in the sun", mood: 5 },
+      { date: "2025-02-27", mood: 4 },
+    ];
+
+    expect(searchHabitNotes(notes, "  ")).toBe(notes);
+    expect(searchHabitNotes(notes, "RAIN knee")).toEqual([notes[0]]);
+    expect(searchHabitNotes(notes, "great")).toEqual([notes[1]]);
+    expect(searchHabitNotes(notes, "2025-03")).toEqual([notes[0], notes[1]]);
+  });
+});
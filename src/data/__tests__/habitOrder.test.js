@@ -0,0 +1,98 @@
+import { describe, it, expect } from "vitest";
+import {
+  SORT_MODES,
+  assignOrders,
+  compareByOrder,
+  getNextOrder,
+  getOrderAfter,
+  moveItem,
+  sortHabits,
+} from "../habitOrder";
+
+const ids = (habits) => habits.map((habit) => habit.id);
+
+describe("habitOrder", () => {
+  it("puts habits without an order first, by creation", () => {
+    const habits = [
+      { id: "b", order: 1 },
+      { id: "legacy-2", created: "2025-02-01T00:00:00Z" },
+      { id: "a", order: 0 },
+      { id: "legacy-1", created: "2025-01-01T00:00:00Z" },
+    ];
+
+    expect(ids([...habits].sort(compareByOrder))).toEqual([
+      "legacy-1",
+      "legacy-2",
+      "a",
+      "b",
+    ]);
+    expect(getNextOrder(habits)).toBe(2);
+    expect(getNextOrder([{ id: "legacy" }])).toBe(1);
+  });
+
+  it("places a habit between another and the one after it", () => {
+    const habits = [
+      { id: "a", order: 0 },
+      { id: "b", order: 1 },
+    ];
+
+    expect(getOrderAfter(habits, habits[0])).toBe(0.5);
+    expect(getOrderAfter(habits, habits[1])).toBe(2);
+  });
+
+  it("reorders some habits within the places they hold", () => {
+    const habits = [
+      { id: "a", order: 0 },
+      { id: "b", order: 1 },
+      { id: "c", order: 2 },
+      { id: "d", order: 3 },
+    ];
+
+    expect(Object.fromEntries(assignOrders(habits, ["d", "b"]))).toEqual({
+      a: 0,
+      d: 1,
+      c: 2,
+      b: 3,
+    });
+  });
+
+  it("moves an item to another position", () => {
+    expect(moveItem(["a", "b", "c"], 0, 2)).toEqual(["b", "c", "a"]);
+    expect(moveItem(["a", "b", "c"], 2, 1)).toEqual(["a", "c", "b"]);
+  });
+
+  it("sorts habits automatically, keeping the user's order for ties", () => {
+    const habits = [
+      { id: "a", order: 0, streak: 2, completedToday: true },
+      { id: "b", order: 1, streak: 5, reminders: ["20:00"] },
+      { id: "c", order: 2, streak: 2, reminders: ["07:30", "21:00"] },
+      { id: "d", order: 3, streak: 0 },
+    ];
+
+    expect(ids(sortHabits(habits, SORT_MODES.MANUAL))).toEqual([
+      "a",
+      "b",
+      "c",
+      "d",
+    ]);
+    expect(ids(sortHabits(habits, SORT_MODES.TIME_OF_DAY))).toEqual([
+      "c",
+      "b",
+      "a",
+      "d",
+    ]);
+    expect(
+      ids(
+        sortHabits(habits, SORT_MODES.PENDING_FIRST, {
+          isDueToday: (habit) => habit.id !== "b",
+        })
+      )
+    ).toEqual(["c", "d", "a", "b"]);
+    expect(ids(sortHabits(habits, SORT_MODES.STREAK))).toEqual([
+      "b",
+      "a",
+      "c",
+      "d",
+    ]);
+  });
+});
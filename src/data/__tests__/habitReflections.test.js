@@ -0,0 +1,136 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildCompletionTable,
+  createReflectionDraft,
+  extractHabitIds,
+  getReflectionLink,
+  getReflectionPeriod,
+  parseReflectionPeriod,
+} from "../habitReflections";
+import { extractFrontmatter } from "../../utils/mdParser";
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Monday 3 to Sunday 9 March 2025
+const period = { start: "2025-03-03", end: "2025-03-09" };
+
+const habit = (overrides = {}) => ({
+  id: "h1",
+  name: "Read",
+  targetDays: WEEKDAYS,
+  created: "2025-03-01T08:00:00.000Z",
+  history: [],
+  ...overrides,
+});
+
+describe("habitReflections", () => {
+  it("reads the linked habit IDs from the frontmatter", () => {
+    expect(extractHabitIds("---\nhabits: 1, abc-2, 1\n---\n\nText")).toEqual([
+      "1",
+      "abc-2",
+    ]);
+    expect(extractHabitIds("No frontmatter")).toEqual([]);
+  });
+
+  it("links to a draft of the last week", () => {
+    expect(getReflectionPeriod("2025-03-09")).toEqual(period);
+    expect(getReflectionLink(["h1", "h2"], period)).toBe(
+      "/create?habits=h1%2Ch2&from=2025-03-03&to=2025-03-09"
+    );
+  });
+
+  it("reads the period of a link, up to a year long", () => {
+    expect(
+      parseReflectionPeriod("2025-01-01", "2025-03-09", "2025-03-20")
+    ).toEqual({ start: "2025-01-01", end: "2025-03-09" });
+    expect(
+      parseReflectionPeriod("2024-03-09", "2025-03-09", "2025-03-09")
+    ).toEqual({ start: "2024-03-09", end: "2025-03-09" });
+
+    const lastWeek = getReflectionPeriod("2025-03-20");
+    expect(
+      parseReflectionPeriod("2000-01-01", "2025-03-09", "2025-03-20")
+    ).toEqual(lastWeek);
+    expect(
+      parseReflectionPeriod("2025-03-09", "2025-03-01", "2025-03-20")
+    ).toEqual(lastWeek);
+    expect(parseReflectionPeriod("soon", null, "2025-03-20")).toEqual(lastWeek);
+  });
+
+  it("tables each day of the period", () => {
+    const table = buildCompletionTable(
+      [
+        habit({
+          name: "Read | write",
+          history: [
+            { date: "2025-03-03", completed: true },
+            { date: "2025-03-04", completed: false, status: "skipped" },
+            { date: "2025-03-05", completed: true },
+          ],
+        }),
+      ],
+      period,
+      { vacations: [{ start: "2025-03-06", end: "2025-03-06" }] }
+    );
+
+    expect(table.split("\n")).toEqual([
+      "| Habit | Mon, Mar 3 | Tue, Mar 4 | Wed, Mar 5 | Thu, Mar 6 | Fri, Mar 7 | Sat, Mar 8 | Sun, Mar 9 | Rate |",
+      "| --- | :-: | :-: | :-: | :-: | :-: | :-: | :-: | --: |",
+      "| [Read \\| write](/habits/h1) | ✓ | skipped | ✓ | vacation | ✗ | – | – | 67% |",
+    ]);
+  });
+
+  it("drafts a post linking the habits, with the period's notes", () => {
+    const { title, content } = createReflectionDraft(
+      [
+        habit({
+          history: [
+            {
+              date: "2025-03-05",
+              completed: true,
+              note: "Finished it",
+              mood: 5,
+            },
+            { date: "2025-02-28", completed: true, note: "Too early" },
+          ],
+        }),
+        habit({ id: "h2", name: "Run" }),
+      ],
+      period
+    );
+
+    expect(title).toBe("Habit reflection: Mar 3 – Mar 9, 2025");
+    expect(extractFrontmatter(content).metadata).toEqual({
+      habits: "h1, h2",
+      tags: "habits, reflection",
+    });
+    expect(content).toContain("- **Read**, Mar 5 😄: Finished it");
+    expect(content).not.toContain("Too early");
+  });
+
+  it("keeps names and notes from breaking the markdown", () => {
+    const name = "Read [slowly] *_or_* <b>skim</b>";
+    const { content } = createReflectionDraft(
+      [
+        habit({
+          name,
+          history: [
+            {
+              date: "2025-03-05",
+              completed: true,
+              note: "Good chapter\n\n## Not a heading\r\n| not | a row |",
+            },
+          ],
+        }),
+      ],
+      period
+    );
+
+    const escaped = "Read \\[slowly\\] \\*\\_or\\_\\* \\<b\\>skim\\</b\\>";
+    expect(content).toContain(`| [${escaped}](/habits/h1) |`);
+    expect(content).toContain(
+      `- **${escaped}**, Mar 5: Good chapter ## Not a heading | not | a row |`
+    );
+    expect(content).not.toMatch(/^## Not a heading/m);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect } from "vitest";
+import {
+  getDueReminders,
+  getHabitReminders,
+  getReminderKey,
+  isInQuietHours,
+  validateQuietHours,
+  validateReminderTimes,
+} from "../habitReminders";
+
+const habit = { id: "h1", name: "Stretch", reminders: ["08:00", "20:00"] };
+const at = (time, options = {}) => ({
+  date: "2025-03-10",
+  time,
+  now: new Date(`2025-03-10T${time}:00Z`),
+  ...options,
+});
+
+describe("habitReminders", () => {
+  it("reads several reminders, or the older single reminder time", () => {
+    expect(
+      getHabitReminders({ reminders: ["20:00", "08:00", "08:00"] })
+    ).toEqual(["08:00", "20:00"]);
+    expect(getHabitReminders({ reminderTime: "07:30" })).toEqual(["07:30"]);
+    expect(getHabitReminders({ reminderTime: "" })).toEqual([]);
+  });
+
+  it("validates reminder times and quiet hours", () => {
+    expect(validateReminderTimes(["08:00", ""])).toEqual([
+      "Reminder 2 needs a time",
+    ]);
+    expect(validateQuietHours(null)).toEqual([]);
+    expect(validateQuietHours({ start: "22:00" })).toHaveLength(1);
+    expect(validateQuietHours({ start: "22:00", end: "22:00" })).toHaveLength(
+      1
+    );
+  });
+
+  it("keeps quiet hours across midnight", () => {
+    const night = { start: "22:00", end: "07:00" };
+
+    expect(isInQuietHours("23:30", night)).toBe(true);
+    expect(isInQuietHours("06:59", night)).toBe(true);
+    expect(isInQuietHours("07:00", night)).toBe(false);
+    expect(isInQuietHours("13:00", { start: "12:00", end: "14:00" })).toBe(
+      true
+    );
+  });
+
+  it("delivers each reminder once, from its time until the grace ends", () => {
+    const morning = getReminderKey("h1", "2025-03-10", "08:00");
+
+    expect(getDueReminders([habit], at("07:59"))).toEqual([]);
+    expect(getDueReminders([habit], at("08:30"))).toEqual([
+      { key: morning, habit, time: "08:00", snoozed: false },
+    ]);
+    expect(
+      getDueReminders([habit], at("08:30", { delivered: [morning] }))
+    ).toEqual([]);
+    expect(getDueReminders([habit], at("09:30"))).toEqual([]);
+  });
+
+  it("brings snoozed reminders back when the snooze ends", () => {
+    const morning = getReminderKey("h1", "2025-03-10", "08:00");
+    const snoozes = { [morning]: "2025-03-10T08:10:00Z" };
+
+    expect(
+      getDueReminders([habit], at("08:05", { delivered: [morning], snoozes }))
+    ).toEqual([]);
+    expect(
+      getDueReminders([habit], at("08:10", { delivered: [morning], snoozes }))
+    ).toEqual([{ key: morning, habit, time: "08:00", snoozed: true }]);
+  });
+
+  it("holds reminders in quiet hours until they end on the same day", () => {
+    const quietHours = { start: "07:00", end: "08:30" };
+
+    expect(getDueReminders([habit], at("08:00", { quietHours }))).toEqual([]);
+    expect(
+      getDueReminders([habit], at("08:30", { quietHours })).map(
+        (reminder) => reminder.time
+      )
+    ).toEqual(["08:00"]);
+
+    // Held until 07:00, which is already the next day
+    const night = { start: "19:00", end: "07:00" };
+    expect(
+      getDueReminders([habit], at("20:30", { quietHours: night }))
+    ).toEqual([]);
+  });
+
+  it("places reminders after midnight in the habit day they belong to", () => {
+    const lateHabit = { id: "h2", reminders: ["01:00"] };
+
+    expect(
+      getDueReminders([lateHabit], at("01:15", { dayStartHour: 3 }))
+    ).toHaveLength(1);
+    expect(
+      getDueReminders([lateHabit], at("23:30", { dayStartHour: 3 }))
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect } from "vitest";
+import {
+  SCHEDULE_TYPES,
+  describeSchedule,
+  getCompletionRate,
+  getDailyWeight,
+  getHabitSchedule,
+  getPeriod,
+  getPreviousPeriod,
+  getScheduleTargetDays,
+  isDueOn,
+  validateSchedule,
+} from "../habitSchedule";
+
+const completed = (...dates) =>
+  dates.map((date) => ({ date, completed: true }));
+
+describe("habitSchedule", () => {
+  it("reads targetDays of older habits as a weekdays schedule", () => {
+    expect(getHabitSchedule({ targetDays: [1, 3] })).toEqual({
+      type: SCHEDULE_TYPES.WEEKDAYS,
+      days: [1, 3],
+    });
+    expect(
+      getHabitSchedule({
+        targetDays: [0, 1, 2, 3, 4, 5, 6],
+        schedule: { type: SCHEDULE_TYPES.TIMES_PER_WEEK, times: 3 },
+      }).type
+    ).toBe(SCHEDULE_TYPES.TIMES_PER_WEEK);
+  });
+
+  it("splits weeks Monday to Sunday and months by the calendar", () => {
+    // Wednesday 12 March 2025
+    expect(
+      getPeriod({ type: SCHEDULE_TYPES.TIMES_PER_WEEK, times: 3 }, "2025-03-12")
+    ).toEqual({ start: "2025-03-10", end: "2025-03-16", quota: 3 });
+    expect(
+      getPeriod(
+        { type: SCHEDULE_TYPES.TIMES_PER_MONTH, times: 2 },
+        "2024-02-10"
+      )
+    ).toEqual({ start: "2024-02-01", end: "2024-02-29", quota: 2 });
+  });
+
+  it("counts intervals from their start date", () => {
+    const schedule = {
+      type: SCHEDULE_TYPES.INTERVAL,
+      every: 3,
+      startDate: "2025-03-01",
+    };
+
+    expect(getPeriod(schedule, "2025-03-05")).toEqual({
+      start: "2025-03-04",
+      end: "2025-03-06",
+      quota: 1,
+    });
+    expect(getPeriod(schedule, "2025-02-28")).toBeNull();
+    expect(
+      getPreviousPeriod(schedule, getPeriod(schedule, "2025-03-02"))
+    ).toBeNull();
+  });
+
+  it("moves month days past the end of a month to its last day", () => {
+    const schedule = { type: SCHEDULE_TYPES.MONTH_DAYS, days: [1, 31] };
+
+    expect(getPeriod(schedule, "2025-02-28")).not.toBeNull();
+    expect(getPeriod(schedule, "2025-03-30")).toBeNull();
+    expect(
+      getPreviousPeriod(schedule, getPeriod(schedule, "2025-03-01")).start
+    ).toBe("2025-02-28");
+  });
+
+  it("is due on any day until the period's quota is met", () => {
+    const schedule = { type: SCHEDULE_TYPES.TIMES_PER_WEEK, times: 2 };
+    const history = completed("2025-03-10", "2025-03-11");
+
+    expect(isDueOn(schedule, "2025-03-12", completed("2025-03-10"))).toBe(true);
+    expect(isDueOn(schedule, "2025-03-12", history)).toBe(false);
+    // A day with a completion stays due, so it counts as done
+    expect(isDueOn(schedule, "2025-03-11", history)).toBe(true);
+    expect(isDueOn([1, 2, 3, 4, 5], "2025-03-15")).toBe(false);
+  });
+
+  it("measures completion against what the schedule expects", () => {
+    const dates = [
+      "2025-03-10",
+      "2025-03-11",
+      "2025-03-12",
+      "2025-03-13",
+      "2025-03-14",
+      "2025-03-15",
+      "2025-03-16",
+    ];
+    const weekly = { type: SCHEDULE_TYPES.TIMES_PER_WEEK, times: 3 };
+
+    expect(getDailyWeight(weekly, "2025-03-12")).toBeCloseTo(3 / 7);
+    expect(getDailyWeight([1, 2, 3, 4, 5], "2025-03-15")).toBe(0);
+    expect(
+      getCompletionRate(
+        weekly,
+        completed("2025-03-10", "2025-03-12", "2025-03-14"),
+        dates
+      )
+    ).toBe(100);
+    expect(
+      getCompletionRate([1, 2, 3, 4, 5], completed("2025-03-10"), dates)
+    ).toBe(20);
+  });
+
+  it("validates schedules", () => {
+    expect(
+      validateSchedule({ type: SCHEDULE_TYPES.TIMES_PER_WEEK, times: 8 })
+    ).toHaveLength(1);
+    expect(
+      validateSchedule({ type: SCHEDULE_TYPES.INTERVAL, every: 0 })
+    ).toHaveLength(2);
+    expect(
+      validateSchedule({ type: SCHEDULE_TYPES.MONTH_DAYS, days: [] })
+    ).toHaveLength(1);
+    expect(validateSchedule({ type: "hourly" })).toEqual([
+      "Unknown schedule type: hourly",
+    ]);
+  });
+
+  it("describes schedules and the weekdays they cover", () => {
+    expect(
+      describeSchedule({ type: SCHEDULE_TYPES.MONTH_DAYS, days: [15, 1] })
+    ).toBe("On the 1st and 15th");
+    expect(
+      describeSchedule({ type: SCHEDULE_TYPES.TIMES_PER_MONTH, times: 2 })
+    ).toBe("2 times a month");
+    expect(
+      getScheduleTargetDays({ type: SCHEDULE_TYPES.WEEKDAYS, days: [5, 1] })
+    ).toEqual([1, 5]);
+    expect(
+      getScheduleTargetDays({ type: SCHEDULE_TYPES.TIMES_PER_WEEK, times: 3 })
+    ).toEqual([0, 1, 2, 3, 4, 5, 6]);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import {
+  fillCleanDays,
+  getLastSlip,
+  getRelapseHistory,
+  isAvoidHabit,
+  isSlip,
+} from "../habitSlips";
+
+const slip = (date) => ({ date, completed: false, slipped: true });
+const clean = (date) => ({ date, completed: true });
+
+describe("habitSlips", () => {
+  it("recognizes habits to avoid and their slips", () => {
+    expect(isAvoidHabit({ type: "avoid" })).toBe(true);
+    expect(isAvoidHabit({ type: "checkbox" })).toBe(false);
+    expect(isAvoidHabit({})).toBe(false);
+    expect(isSlip(slip("2025-03-10"))).toBe(true);
+    expect(isSlip({ date: "2025-03-10", completed: false })).toBe(false);
+    expect(isSlip(undefined)).toBe(false);
+  });
+
+  it("fills the days without an entry in as clean", () => {
+    const history = [slip("2025-03-09")];
+    expect(fillCleanDays(history, "2025-03-08", "2025-03-10")).toEqual([
+      clean("2025-03-10"),
+      slip("2025-03-09"),
+      clean("2025-03-08"),
+    ]);
+
+    const full = [clean("2025-03-10")];
+    expect(fillCleanDays(full, "2025-03-10", "2025-03-10")).toBe(full);
+    expect(fillCleanDays(full, null, "2025-03-10")).toBe(full);
+  });
+
+  it("lists slips with the clean run each one ended", () => {
+    const history = [
+      clean("2025-03-10"),
+      slip("2025-03-09"),
+      { ...slip("2025-03-06"), note: "Party" },
+      clean("2025-03-05"),
+      { date: "2025-03-04", completed: false, status: "excused" },
+      clean("2025-03-03"),
+      clean("2025-03-07"),
+      clean("2025-03-08"),
+    ];
+
+    expect(getLastSlip(history)).toBe("2025-03-09");
+    expect(getLastSlip([clean("2025-03-10")])).toBeNull();
+    expect(getRelapseHistory(history)).toEqual([
+      { date: "2025-03-09", cleanDays: 2 },
+      { date: "2025-03-06", cleanDays: 2, note: "Party" },
+    ]);
+  });
+});
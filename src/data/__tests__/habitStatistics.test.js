@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import {
+  getBestAndWorstWeekdays,
+  getCompletionRatesBy,
+  getFirstTrackedDate,
+  getHabitNotes,
+  getRangeCompletionRate,
+  getWeekdayRates,
+} from "../habitStatistics";
+import { SCHEDULE_TYPES } from "../habitSchedule";
+import { configureLocalDate, resetLocalDate } from "../../utils/localDate";
+
+const EVERY_DAY = {
+  type: SCHEDULE_TYPES.WEEKDAYS,
+  days: [0, 1, 2, 3, 4, 5, 6],
+};
+
+const completed = (...dates) =>
+  dates.map((date) => ({ date, completed: true }));
+
+// Monday 10 March 2025; tracked since Monday 3 March
+const today = "2025-03-10";
+const habit = (history) => ({ created: "2025-03-03T08:00:00Z", history });
+
+describe("habitStatistics", () => {
+  beforeEach(() => {
+    configureLocalDate({ timeZone: "UTC" });
+  });
+
+  afterEach(() => {
+    resetLocalDate();
+  });
+
+  it("starts at creation or the earliest history entry", () => {
+    expect(getFirstTrackedDate(habit([]))).toBe("2025-03-03");
+    expect(getFirstTrackedDate(habit(completed("2025-02-20")))).toBe(
+      "2025-02-20"
+    );
+  });
+
+  it("rates completions up to today, leaving out excused days", () => {
+    const history = [
+      ...completed("2025-03-03", "2025-03-04", "2025-03-05"),
+      { date: "2025-03-06", completed: false, status: "skipped" },
+    ];
+    const vacations = [{ start: "2025-03-08", end: "2025-03-09" }];
+
+    // 3 of 4 counted days (3rd-5th and 7th); today isn't done yet
+    expect(
+      getRangeCompletionRate(habit(history), EVERY_DAY, { today, vacations })
+    ).toBe(75);
+    expect(
+      getRangeCompletionRate(habit([]), EVERY_DAY, {
+        from: "2025-03-08",
+        to: "2025-03-09",
+        today,
+        vacations,
+      })
+    ).toBeNull();
+  });
+
+  it("rates each week back to the first tracked one", () => {
+    const rates = getCompletionRatesBy(
+      habit(completed("2025-03-03", "2025-03-04", "2025-03-10")),
+      EVERY_DAY,
+      { unit: "week", count: 12, today, vacations: [] }
+    );
+
+    expect(rates).toEqual([
+      { start: "2025-03-03", end: "2025-03-09", rate: 29 },
+      { start: "2025-03-10", end: "2025-03-16", rate: 100 },
+    ]);
+  });
+
+  it("finds the best and worst weekdays", () => {
+    const rates = getWeekdayRates(
+      habit(completed("2025-03-03", "2025-03-04", "2025-03-05")),
+      EVERY_DAY,
+      { today, vacations: [] }
+    );
+
+    expect(rates[1]).toBe(100);
+    expect(rates[6]).toBe(0);
+    expect(getBestAndWorstWeekdays(rates)).toEqual({ best: 1, worst: 0 });
+    expect(getBestAndWorstWeekdays(Array(7).fill(null))).toEqual({
+      best: null,
+      worst: null,
+    });
+  });
+
+  it("lists notes newest first", () => {
+    expect(
+      getHabitNotes([
+        { date: "2025-03-03", completed: true, note: "First try" },
+        { date: "2025-03-04", completed: true },
+        { date: "2025-03-05", completed: false, note: "Too tired" },
+      ])
+    ).toEqual([
+      { date: "2025-03-05", note: "Too tired" },
+      { date: "2025-03-03", note: "First try" },
+    ]);
+  });
+
+  it("lists moods without a note, with the time they were written", () => {
+    expect(
+      getHabitNotes([
+        {
+          date: "2025-03-04",
+          completed: true,
+          mood: 5,
+          notedAt: "2025-03-04T20:00:00.000Z",
+        },
+      ])
+    ).toEqual([
+      { date: "2025-03-04", mood: 5, notedAt: "2025-03-04T20:00:00.000Z" },
+    ]);
+  });
+});
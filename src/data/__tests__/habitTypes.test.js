@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import {
+  applyGoalToHistory,
+  clampHabitValue,
+  formatHabitValue,
+  getEntryValue,
+  getHabitGoal,
+  isTargetMet,
+  validateHabitGoal,
+} from "../habitTypes";
+
+describe("habitTypes", () => {
+  it("treats habits without a type as checkboxes", () => {
+    const goal = getHabitGoal({ name: "Meditate" });
+
+    expect(goal).toMatchObject({ type: "checkbox", target: 1 });
+    expect(getEntryValue(goal, { date: "2025-03-10", completed: true })).toBe(
+      1
+    );
+    expect(getEntryValue(goal, undefined)).toBe(0);
+  });
+
+  it("fills in defaults for measured habits", () => {
+    expect(getHabitGoal({ type: "duration" })).toMatchObject({
+      target: 30,
+      unit: "min",
+      min: null,
+      max: null,
+      step: 5,
+    });
+  });
+
+  it("meets the target at or above it", () => {
+    const goal = getHabitGoal({ type: "numeric", target: 5, unit: "km" });
+
+    expect(isTargetMet(goal, 4.9)).toBe(false);
+    expect(isTargetMet(goal, 5)).toBe(true);
+    expect(isTargetMet(goal, undefined)).toBe(false);
+  });
+
+  it("keeps values within the bounds", () => {
+    const goal = getHabitGoal({ type: "numeric", target: 5, min: 1, max: 10 });
+
+    expect(clampHabitValue(goal, 0)).toBe(1);
+    expect(clampHabitValue(goal, 12)).toBe(10);
+    expect(clampHabitValue(getHabitGoal({ type: "count" }), -3)).toBe(0);
+  });
+
+  it("re-derives completion of measured entries only", () => {
+    const goal = getHabitGoal({ type: "count", target: 4 });
+    const history = [
+      { date: "2025-03-10", completed: false, value: 4 },
+      { date: "2025-03-09", completed: true, value: 3 },
+      { date: "2025-03-08", completed: true },
+    ];
+
+    expect(
+      applyGoalToHistory(goal, history).map((entry) => entry.completed)
+    ).toEqual([true, false, true]);
+  });
+
+  it("reports invalid goals", () => {
+    expect(validateHabitGoal({ type: "sometimes" })).toEqual([
+      "Unknown habit type: sometimes",
+    ]);
+    expect(validateHabitGoal({ type: "count", target: 3, min: 5 })).toEqual([
+      "Target must be between the minimum and maximum",
+    ]);
+    expect(validateHabitGoal({ type: "checkbox" })).toEqual([]);
+  });
+
+  it("formats values with their unit", () => {
+    expect(formatHabitValue(getHabitGoal({ type: "count" }), 8)).toBe(
+      "8 times"
+    );
+    expect(formatHabitValue(getHabitGoal({ type: "duration" }), 90)).toBe(
+      "1h 30m"
+    );
+    expect(
+      formatHabitValue(getHabitGoal({ type: "numeric", unit: "km" }), 5.25)
+    ).toBe("5.25 km");
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { createMemoryAdapter } from "../memoryAdapter";
+import { STORES } from "../schemaMigrations";
+
+const posts = [
+  { id: "a", title: "Alpha", date: "2025-03-01", tags: ["react"] },
+  { id: "b", title: "Beta", date: "2025-03-03", tags: ["react", "hooks"] },
+  { id: "c", title: "Gamma", date: "2025-03-02", tags: [] },
+];
+
+describe("memory adapter", () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = createMemoryAdapter({ [STORES.POSTS]: posts });
+  });
+
+  it("returns copies so callers cannot mutate stored records", async () => {
+    const post = await adapter.getById(STORES.POSTS, "a");
+    post.title = "Changed";
+
+    expect((await adapter.getById(STORES.POSTS, "a")).title).toBe("Alpha");
+  });
+
+  it("rejects duplicate keys on create", async () => {
+    await expect(
+      adapter.create(STORES.POSTS, { id: "a", title: "Again" })
+    ).rejects.toThrow("already exists");
+  });
+
+  it("queries indexes with ranges and multiEntry keys", async () => {
+    const tagged = await adapter.queryByIndex(STORES.POSTS, "tags", "react");
+    expect(tagged.map((post) => post.id)).toEqual(["a", "b"]);
+
+    const range = await adapter.queryByRange(STORES.POSTS, "date", {
+      lower: "2025-03-02",
+    });
+    expect(range.map((post) => post.id)).toEqual(["c", "b"]);
+  });
+
+  it("pages through an index with a cursor", async () => {
+    const first = await adapter.queryPage(STORES.POSTS, "date", {
+      direction: "prev",
+      limit: 2,
+    });
+    expect(first.items.map((post) => post.id)).toEqual(["b", "c"]);
+
+    const second = await adapter.queryPage(STORES.POSTS, "date", {
+      direction: "prev",
+      limit: 2,
+      after: first.nextCursor,
+    });
+    expect(second.items.map((post) => post.id)).toEqual(["a"]);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  it("rolls back a transaction when the callback throws", async () => {
+    await expect(
+      adapter.transaction(STORES.POSTS, "readwrite", async (tx) => {
+        await adapter.remove(STORES.POSTS, "a", tx);
+        throw new Error("fail");
+      })
+    ).rejects.toThrow("fail");
+
+    expect(await adapter.countRecords(STORES.POSTS)).toBe(3);
+  });
+
+  it("restores the seed data on reset", async () => {
+    await adapter.clearStore(STORES.POSTS);
+    adapter.reset();
+
+    expect(await adapter.countRecords(STORES.POSTS)).toBe(3);
+  });
+});
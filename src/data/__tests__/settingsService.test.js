@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { createMemoryAdapter } from "../memoryAdapter";
+import { storage } from "../storageAdapter";
+import { settingsService, DEFAULT_PREFERENCES } from "../settingsService";
+import { getLocalDatePreferences, resetLocalDate } from "../../utils/localDate";
+
+describe("settingsService", () => {
+  beforeEach(() => {
+    storage.setAdapter(createMemoryAdapter(), "memory");
+  });
+
+  afterEach(() => {
+    resetLocalDate();
+  });
+
+  it("returns the defaults until preferences are saved", async () => {
+    expect(await settingsService.getPreferences()).toEqual(DEFAULT_PREFERENCES);
+  });
+
+  it("saves preferences and applies them to local dates", async () => {
+    await settingsService.updatePreferences({ timeZone: "America/Denver" });
+    const updated = await settingsService.updatePreferences({
+      dayStartHour: 3,
+    });
+
+    expect(updated).toEqual({
+      timeZone: "America/Denver",
+      dayStartHour: 3,
+      backfillDays: 7,
+      vacations: [],
+      remindersEnabled: true,
+      quietHours: null,
+      snoozeMinutes: 10,
+      habitSortMode: "manual",
+    });
+    expect(getLocalDatePreferences()).toEqual({
+      timeZone: "America/Denver",
+      dayStartHour: 3,
+    });
+
+    const record = await storage.getById(
+      storage.STORES.SETTINGS,
+      "preferences"
+    );
+    expect(record.version).toBe(2);
+  });
+
+  it("falls back to defaults for invalid stored preferences", async () => {
+    // e.g. restored from a backup made in a browser with other time zones
+    storage.setAdapter(
+      createMemoryAdapter({
+        [storage.STORES.SETTINGS]: [
+          {
+            id: "preferences",
+            timeZone: "Nowhere/Land",
+            dayStartHour: 3,
+            backfillDays: "lots",
+            habitSortMode: "streak",
+          },
+        ],
+      }),
+      "memory"
+    );
+
+    const preferences = await settingsService.loadPreferences();
+    expect(preferences).toEqual({
+      ...DEFAULT_PREFERENCES,
+      dayStartHour: 3,
+      habitSortMode: "streak",
+    });
+    expect(getLocalDatePreferences()).toEqual({
+      timeZone: null,
+      dayStartHour: 3,
+    });
+  });
+
+  it("rejects invalid preferences", async () => {
+    await expect(
+      settingsService.updatePreferences({ timeZone: "Nowhere/Land" })
+    ).rejects.toThrow("Unknown time zone");
+    await expect(
+      settingsService.updatePreferences({ dayStartHour: 14 })
+    ).rejects.toThrow("Day start hour");
+    await expect(
+      settingsService.updatePreferences({ backfillDays: -1 })
+    ).rejects.toThrow("Backfill window");
+    await expect(
+      settingsService.updatePreferences({
+        vacations: [{ start: "2025-07-14", end: "2025-07-01" }],
+      })
+    ).rejects.toThrow("ends before it starts");
+    await expect(
+      settingsService.updatePreferences({
+        quietHours: { start: "22:00", end: "22:00" },
+      })
+    ).rejects.toThrow("Quiet hours");
+    await expect(
+      settingsService.updatePreferences({ snoozeMinutes: 0 })
+    ).rejects.toThrow("Snooze");
+    await expect(
+      settingsService.updatePreferences({ habitSortMode: "random" })
+    ).rejects.toThrow("Unknown habit sort mode");
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { createMemoryAdapter } from "../memoryAdapter";
+import { storage } from "../storageAdapter";
+import { snapshotService, SNAPSHOT_POLICY } from "../snapshotService";
+import { MIGRATION_RECORD_ID, STORES } from "../schemaMigrations";
+import { createFakeClock, setClock, resetClock } from "../../utils/clock";
+
+const clock = createFakeClock("2025-03-10T12:00:00Z");
+
+const post = (id, title = `Post ${id}`) => ({
+  id,
+  title,
+  content: `# ${title}`,
+  date: "2025-03-01T10:00:00.000Z",
+  tags: [],
+});
+
+describe("snapshotService", () => {
+  beforeEach(() => {
+    clock.set("2025-03-10T12:00:00Z");
+    setClock(clock.now);
+    storage.setAdapter(
+      createMemoryAdapter({
+        [STORES.POSTS]: [post("p1"), post("p2")],
+        [STORES.SETTINGS]: [{ id: MIGRATION_RECORD_ID, applied: [] }],
+      }),
+      "memory"
+    );
+  });
+
+  afterEach(() => {
+    resetClock();
+  });
+
+  it("records counts, size and reason without internal records", async () => {
+    const snapshot = await snapshotService.createSnapshot("manual");
+
+    expect(snapshot.reason).toBe("manual");
+    expect(snapshot.createdAt).toBe("2025-03-10T12:00:00.000Z");
+    expect(snapshot.counts).toEqual({ posts: 2, habits: 0, settings: 0 });
+    expect(snapshot.size).toBeGreaterThan(0);
+    expect(snapshot.data).toBeUndefined();
+  });
+
+  it("skips snapshots when nothing changed unless forced", async () => {
+    await snapshotService.createSnapshot("manual");
+    clock.advance(1000);
+
+    expect(await snapshotService.createSnapshot("shutdown")).toBeNull();
+    expect(
+      await snapshotService.createSnapshot("manual", { force: true })
+    ).not.toBeNull();
+    expect(await snapshotService.listSnapshots()).toHaveLength(2);
+  });
+
+  it("takes the daily snapshot only once a day", async () => {
+    expect(await snapshotService.ensureDailySnapshot()).not.toBeNull();
+
+    clock.advance(60 * 60 * 1000);
+    await storage.create(STORES.POSTS, post("p3"));
+    expect(await snapshotService.ensureDailySnapshot()).toBeNull();
+
+    clock.advanceDays(1);
+    expect(await snapshotService.ensureDailySnapshot()).not.toBeNull();
+  });
+
+  it("prunes by count and age but keeps the newest snapshot", async () => {
+    for (let i = 0; i < SNAPSHOT_POLICY.maxCount + 2; i++) {
+      await snapshotService.createSnapshot("manual", { force: true });
+      clock.advance(1000);
+    }
+    expect(await snapshotService.listSnapshots()).toHaveLength(
+      SNAPSHOT_POLICY.maxCount
+    );
+
+    clock.advanceDays(SNAPSHOT_POLICY.maxAgeDays + 1);
+    await snapshotService.pruneSnapshots();
+
+    const remaining = await snapshotService.listSnapshots();
+    expect(remaining).toHaveLength(1);
+  });
+
+  it("restores a snapshot and keeps the replaced data restorable", async () => {
+    const snapshot = await snapshotService.createSnapshot("manual");
+
+    clock.advance(1000);
+    await storage.remove(STORES.POSTS, "p1");
+    await storage.update(STORES.POSTS, "p2", { title: "Edited" });
+    await storage.create(STORES.POSTS, post("p3"));
+
+    clock.advance(1000);
+    await snapshotService.restoreSnapshot(snapshot.id);
+
+    const posts = await storage.getAll(STORES.POSTS);
+    expect(posts.map((p) => [p.id, p.title])).toEqual([
+      ["p1", "Post p1"],
+      ["p2", "Post p2"],
+    ]);
+    expect(
+      await storage.getById(STORES.SETTINGS, MIGRATION_RECORD_ID)
+    ).not.toBeNull();
+
+    const [latest] = await snapshotService.listSnapshots();
+    expect(latest.reason).toBe("before-restore");
+    expect(latest.counts.posts).toBe(2);
+  });
+});
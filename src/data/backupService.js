@@ -0,0 +1,543 @@
+// Export and import of all application data as a single JSON file
+import { storage } from "./storageAdapter";
+import { changeFeed } from "./changeFeed";
+import { SCHEMA_VERSION, MIGRATION_RECORD_ID } from "./schemaMigrations";
+import { now } from "../utils/clock";
+import { isCalendarDate } from "../utils/localDate";
+import { extractTags } from "../utils/mdParser";
+import { getHabitGrouping } from "./habitCategories";
+import { getHabitNotes } from "./habitStatistics";
+import { getMood } from "./habitJournal";
+import { extractHabitIds } from "./habitReflections";
+import { PREFERENCES_ID, isValidPreferences } from "./settingsService";
+
+/**
+ * Backup Service
+ *
+ * A backup is one JSON document holding every record of every store:
+ *
+ *   {
+ *     format: "blog-habit-tracker-backup",
+ *     formatVersion: 1,
+ *     schemaVersion: 2,
+ *     exportedAt: "2025-03-10T12:00:00.000Z",
+ *     data: { posts: [...], habits: [...], settings: [...] }
+ *   }
+ *
+ * Importing validates the file, previews what would change, and then
+ * writes everything in one multi-store transaction: either the whole
+ * backup is applied or nothing is.
+ *
+ * Import modes:
+ * - merge: add new records and overwrite changed ones, keeping local
+ *   records the backup doesn't contain
+ * - replace: clear every store and load exactly what the backup holds
+ *
+ * Habit notes travel in the backup with the rest of each habit's history;
+ * they can also be exported on their own as a CSV file for reading or
+ * spreadsheets.
+ */
+
+export const BACKUP_FORMAT = "blog-habit-tracker-backup";
+export const BACKUP_FORMAT_VERSION = 1;
+
+// Stores included in a backup, in the order they are written
+const BACKUP_STORES = [
+  storage.STORES.POSTS,
+  storage.STORES.HABITS,
+  storage.STORES.SETTINGS,
+];
+
+// Internal records that describe this database rather than user data
+const EXCLUDED_RECORDS = {
+  [storage.STORES.SETTINGS]: [MIGRATION_RECORD_ID],
+};
+
+const isExcluded = (storeName, record) =>
+  (EXCLUDED_RECORDS[storeName] || []).includes(record.id);
+
+// Minimal shape each store's records must have to be imported; the
+// preferences get the same checks as when they are changed in Settings
+const RECORD_VALIDATORS = {
+  [storage.STORES.POSTS]: (record) =>
+    typeof record.title === "string" && typeof record.content === "string",
+  [storage.STORES.HABITS]: (record) =>
+    typeof record.name === "string" &&
+    Array.isArray(record.targetDays) &&
+    Array.isArray(record.history) &&
+    record.history.every(
+      (entry) =>
+        entry && typeof entry === "object" && isCalendarDate(entry.date)
+    ),
+  [storage.STORES.SETTINGS]: (record) =>
+    record.id !== PREFERENCES_ID || isValidPreferences(record),
+};
+
+// When a record was last changed, used to spot local edits made after export
+function getRecordTimestamp(storeName, record) {
+  const candidates =
+    storeName === storage.STORES.HABITS
+      ? [record.updatedAt, record.lastCompleted, record.created]
+      : [record.updatedAt, record.date];
+
+  const times = candidates
+    .filter(Boolean)
+    .map((value) => new Date(value).getTime())
+    .filter((time) => !isNaN(time));
+
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+// Key order doesn't matter when deciding whether two records differ
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Bring records from an older schema version up to the current layout
+function normalizeRecord(storeName, record) {
+  if (
+    storeName === storage.STORES.POSTS &&
+    (!Array.isArray(record.tags) || !Array.isArray(record.habitIds))
+  ) {
+    return {
+      ...record,
+      tags: Array.isArray(record.tags)
+        ? record.tags
+        : extractTags(record.content),
+      habitIds: Array.isArray(record.habitIds)
+        ? record.habitIds
+        : extractHabitIds(record.content),
+    };
+  }
+  if (
+    storeName === storage.STORES.HABITS &&
+    (typeof record.category !== "string" || !Array.isArray(record.tags))
+  ) {
+    return { ...record, ...getHabitGrouping(record) };
+  }
+  return record;
+}
+
+/**
+ * Wrap store records in the backup format
+ *
+ * @param {Object} data - Records keyed by store name
+ * @param {Object} options - Backup metadata
+ * @param {number} options.schemaVersion - Schema version the data matches
+ * @param {string} options.exportedAt - ISO timestamp the data was captured
+ * @returns {Object} Backup payload
+ */
+function createBackup(
+  data,
+  { schemaVersion = SCHEMA_VERSION, exportedAt = now().toISOString() } = {}
+) {
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    schemaVersion,
+    exportedAt,
+    data,
+  };
+}
+
+/**
+ * Build a backup of every store
+ *
+ * @returns {Promise<Object>} Backup payload
+ */
+async function exportData() {
+  try {
+    const data = await storage.transaction(
+      BACKUP_STORES,
+      "readonly",
+      async (tx) => {
+        const result = {};
+        for (const storeName of BACKUP_STORES) {
+          const records = await storage.getAll(storeName, tx);
+          result[storeName] = records.filter(
+            (record) => !isExcluded(storeName, record)
+          );
+        }
+        return result;
+      }
+    );
+
+    return createBackup(data);
+  } catch (error) {
+    console.error("Error exporting data:", error);
+    throw error;
+  }
+}
+
+// Save text as a file in the browser
+function saveFile(fileName, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export every store and save it as a JSON file in the browser
+ *
+ * @returns {Promise<Object>} The exported backup payload
+ */
+async function downloadBackup() {
+  const backup = await exportData();
+  saveFile(
+    `blog-habit-tracker-backup-${backup.exportedAt.split("T")[0]}.json`,
+    JSON.stringify(backup, null, 2),
+    "application/json"
+  );
+
+  return backup;
+}
+
+// Quote a CSV field when it holds a separator, quote or line break
+const toCsvField = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV file of the notes and moods written on habits
+ *
+ * One row per noted day, grouped by habit and newest first:
+ * habit, date, completed, mood, note, notedAt.
+ *
+ * @param {Array} habits - Habits to export
+ * @returns {Object} { csv, count } with the number of noted days
+ */
+function exportHabitNotes(habits) {
+  const rows = habits.flatMap((habit) => {
+    const completedDates = new Set(
+      habit.history
+        .filter((entry) => entry.completed)
+        .map((entry) => entry.date)
+    );
+    return getHabitNotes(habit.history).map((entry) => [
+      habit.name,
+      entry.date,
+      completedDates.has(entry.date) ? "yes" : "no",
+      getMood(entry.mood)?.label,
+      entry.note,
+      entry.notedAt,
+    ]);
+  });
+
+  const header = ["habit", "date", "completed", "mood", "note", "notedAt"];
+  const csv = [header, ...rows]
+    .map((row) => row.map(toCsvField).join(","))
+    .join("\r\n");
+  return { csv, count: rows.length };
+}
+
+/**
+ * Export the notes of habits and save them as a CSV file in the browser
+ *
+ * @param {Array} habits - Habits to export (by default, every habit)
+ * @returns {Promise<number>} Number of noted days exported
+ */
+async function downloadHabitNotes(habits) {
+  try {
+    const exported = habits || (await storage.getAll(storage.STORES.HABITS));
+    const { csv, count } = exportHabitNotes(exported);
+    saveFile(
+      `habit-notes-${now().toISOString().split("T")[0]}.csv`,
+      csv,
+      "text/csv"
+    );
+    return count;
+  } catch (error) {
+    console.error("Error exporting habit notes:", error);
+    throw error;
+  }
+}
+
+/**
+ * Check that a payload is a backup this version of the app can import
+ *
+ * @param {Object} backup - Parsed backup payload
+ * @returns {Object} { valid, errors }
+ */
+function validateBackup(backup) {
+  const errors = [];
+
+  if (!backup || typeof backup !== "object") {
+    return { valid: false, errors: ["Backup is not a JSON object"] };
+  }
+
+  if (backup.format !== BACKUP_FORMAT) {
+    errors.push("File is not a Blog & Habit Tracker backup");
+  }
+
+  if (
+    !Number.isInteger(backup.formatVersion) ||
+    backup.formatVersion > BACKUP_FORMAT_VERSION
+  ) {
+    errors.push(`Unsupported backup format version: ${backup.formatVersion}`);
+  }
+
+  if (
+    !Number.isInteger(backup.schemaVersion) ||
+    backup.schemaVersion > SCHEMA_VERSION
+  ) {
+    errors.push(
+      `Backup was made by a newer version of the app (schema ${backup.schemaVersion}, this app supports ${SCHEMA_VERSION})`
+    );
+  }
+
+  if (!backup.data || typeof backup.data !== "object") {
+    errors.push("Backup has no data section");
+    return { valid: false, errors };
+  }
+
+  BACKUP_STORES.forEach((storeName) => {
+    const records = backup.data[storeName];
+    if (records === undefined) return;
+
+    if (!Array.isArray(records)) {
+      errors.push(`"${storeName}" must be a list of records`);
+      return;
+    }
+
+    const seen = new Set();
+    records.forEach((record, index) => {
+      if (!record || typeof record !== "object") {
+        errors.push(`${storeName}[${index}] is not a record`);
+      } else if (typeof record.id !== "string" || !record.id) {
+        errors.push(`${storeName}[${index}] has no id`);
+      } else if (seen.has(record.id)) {
+        errors.push(`${storeName}[${index}] duplicates id ${record.id}`);
+      } else if (!RECORD_VALIDATORS[storeName](record)) {
+        errors.push(
+          `${storeName}[${index}] (${record.id}) has missing or invalid fields`
+        );
+      } else {
+        seen.add(record.id);
+      }
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Parse and validate the text of a backup file
+ *
+ * @param {string} text - File contents
+ * @returns {Object} Validated backup payload
+ * @throws {Error} If the file is not valid JSON or not a usable backup
+ */
+function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error("Backup file is not valid JSON");
+  }
+
+  const { valid, errors } = validateBackup(backup);
+  if (!valid) {
+    throw new Error(`Invalid backup: ${errors.join("; ")}`);
+  }
+
+  return backup;
+}
+
+/**
+ * Compare a backup with the current data without changing anything
+ *
+ * Per store, records are classified as:
+ * - added: only in the backup
+ * - updated: differ from the local copy, which hasn't changed since export
+ * - conflicting: differ from a local copy edited after the backup was made
+ * - unchanged: identical in both
+ * - localOnly: only in the current data (removed by a replace import)
+ *
+ * @param {Object} backup - Validated backup payload
+ * @param {Object} tx - Optional transaction to read within
+ * @returns {Promise<Object>} Diff keyed by store name
+ */
+async function diffBackup(backup, tx) {
+  const exportedAt = new Date(backup.exportedAt).getTime();
+
+  const read = async (activeTx) => {
+    const diff = {};
+
+    for (const storeName of BACKUP_STORES) {
+      const incoming = (backup.data[storeName] || [])
+        .filter((record) => !isExcluded(storeName, record))
+        .map((record) => normalizeRecord(storeName, record));
+      const current = (await storage.getAll(storeName, activeTx)).filter(
+        (record) => !isExcluded(storeName, record)
+      );
+      const currentById = new Map(current.map((record) => [record.id, record]));
+      const incomingIds = new Set(incoming.map((record) => record.id));
+
+      const storeDiff = {
+        added: [],
+        updated: [],
+        conflicting: [],
+        unchanged: [],
+        localOnly: current.filter((record) => !incomingIds.has(record.id)),
+      };
+
+      incoming.forEach((record) => {
+        const existing = currentById.get(record.id);
+
+        if (!existing) {
+          storeDiff.added.push(record);
+        } else if (stableStringify(existing) === stableStringify(record)) {
+          storeDiff.unchanged.push(record);
+        } else {
+          const localTime = getRecordTimestamp(storeName, existing);
+          const editedSinceExport =
+            localTime === null || isNaN(exportedAt) || localTime > exportedAt;
+
+          storeDiff[editedSinceExport ? "conflicting" : "updated"].push({
+            local: existing,
+            backup: record,
+          });
+        }
+      });
+
+      diff[storeName] = storeDiff;
+    }
+
+    return diff;
+  };
+
+  return tx ? read(tx) : storage.transaction(BACKUP_STORES, "readonly", read);
+}
+
+/**
+ * Summarize a diff as record counts for display
+ *
+ * @param {Object} diff - Result of diffBackup
+ * @returns {Object} Counts keyed by store name
+ */
+function summarizeDiff(diff) {
+  const summary = {};
+  Object.entries(diff).forEach(([storeName, storeDiff]) => {
+    summary[storeName] = Object.fromEntries(
+      Object.entries(storeDiff).map(([kind, records]) => [kind, records.length])
+    );
+  });
+  return summary;
+}
+
+/**
+ * Import a backup
+ *
+ * @param {Object} backup - Validated backup payload
+ * @param {Object} options - Import options
+ * @param {string} options.mode - "merge" (default) or "replace"
+ * @param {boolean} options.overwriteConflicts - In merge mode, let the
+ *   backup win over records edited locally after it was made (default false)
+ * @returns {Promise<Object>} { mode, written, removed } counts per store
+ */
+async function importBackup(
+  backup,
+  { mode = "merge", overwriteConflicts = false } = {}
+) {
+  const { valid, errors } = validateBackup(backup);
+  if (!valid) {
+    throw new Error(`Invalid backup: ${errors.join("; ")}`);
+  }
+
+  if (mode !== "merge" && mode !== "replace") {
+    throw new Error(`Unknown import mode: ${mode}`);
+  }
+
+  try {
+    const result = await storage.transaction(
+      BACKUP_STORES,
+      "readwrite",
+      async (tx) => {
+        const diff = await diffBackup(backup, tx);
+        const result = { mode, written: {}, removed: {} };
+
+        for (const storeName of BACKUP_STORES) {
+          const storeDiff = diff[storeName];
+          let records;
+
+          if (mode === "replace") {
+            // Clear the user data but keep internal records such as the
+            // migration history, which describe this database
+            for (const record of storeDiff.localOnly) {
+              await storage.remove(storeName, record.id, tx);
+            }
+            records = [
+              ...storeDiff.added,
+              ...storeDiff.updated.map(({ backup: record }) => record),
+              ...storeDiff.conflicting.map(({ backup: record }) => record),
+              ...storeDiff.unchanged,
+            ];
+            result.removed[storeName] = storeDiff.localOnly.length;
+          } else {
+            records = [
+              ...storeDiff.added,
+              ...storeDiff.updated.map(({ backup: record }) => record),
+              ...(overwriteConflicts
+                ? storeDiff.conflicting.map(({ backup: record }) => record)
+                : []),
+            ];
+            result.removed[storeName] = 0;
+          }
+
+          for (const record of records) {
+            const existing = await storage.getById(storeName, record.id, tx);
+            if (existing) {
+              // Replace the whole record so fields missing from the backup go
+              await storage.remove(storeName, record.id, tx);
+            }
+            await storage.create(storeName, record, tx);
+          }
+          result.written[storeName] = records.length;
+        }
+
+        return result;
+      }
+    );
+
+    // Any record may have changed, so announce each store as a bulk change
+    BACKUP_STORES.forEach((storeName) => {
+      changeFeed.publish({ collection: storeName, operation: "bulk" });
+    });
+
+    return result;
+  } catch (error) {
+    console.error("Error importing backup:", error);
+    throw error;
+  }
+}
+
+// Export the backup service
+export const backupService = {
+  createBackup,
+  exportData,
+  downloadBackup,
+  exportHabitNotes,
+  downloadHabitNotes,
+  validateBackup,
+  parseBackup,
+  diffBackup,
+  summarizeDiff,
+  importBackup,
+};
@@ -0,0 +1,74 @@
+// Notifications for every write made by the data services
+
+/**
+ * Change Feed
+ *
+ * The post, habit and backup services publish a change message after each
+ * write commits. The data layer doesn't know who listens; the cross-tab
+ * sync relays changes to other tabs and the data change observer turns
+ * them into lifecycle events.
+ *
+ * Change message shape:
+ *
+ *   {
+ *     collection: "habits",   // Store name
+ *     id: "abc",              // Record ID, or null for bulk changes
+ *     operation: "update",    // create | update | delete | bulk
+ *     version: 4,             // Record version after the write (if any)
+ *     changedFields: ["streak", "history"], // Updates only, else null
+ *     timestamp: "2025-..."   // When the change was published
+ *   }
+ *
+ * Subscribers can rely on these events instead of re-reading collections:
+ * no write through the services goes unannounced.
+ */
+
+const listeners = new Set();
+
+/**
+ * Publish a change to all subscribers
+ *
+ * @param {Object} change - Change details (collection, id, operation,
+ *   version, changedFields)
+ */
+function publishChange({
+  collection,
+  id = null,
+  operation,
+  version = null,
+  changedFields = null,
+}) {
+  const change = {
+    collection,
+    id,
+    operation,
+    version,
+    changedFields,
+    timestamp: new Date().toISOString(),
+  };
+
+  listeners.forEach((listener) => {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error("Error in change feed listener:", error);
+    }
+  });
+}
+
+/**
+ * Subscribe to changes
+ *
+ * @param {Function} listener - Called with each change message
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Export the change feed
+export const changeFeed = {
+  publish: publishChange,
+  subscribe,
+};
@@ -1,4 +1,10 @@
 // IndexedDB-based storage service for enhanced data persistence
+import {
+  STORES,
+  SCHEMA_VERSION,
+  MIGRATION_RECORD_ID,
+  runMigrations,
+} from "./schemaMigrations";
 
 /**
  * IndexedDB database wrapper for storing blog posts and habit data
@@ -11,88 +17,270 @@
 
 // Database configuration
 const DB_NAME = "blog_habit_tracker_db";
-const DB_VERSION = 1;
-const STORES = {
-  POSTS: "posts",
-  HABITS: "habits",
-  SETTINGS: "settings",
+const DB_VERSION = SCHEMA_VERSION;
+
+// Listeners notified while schema migrations run
+const migrationListeners = [];
+
+/**
+ * Register a listener for schema migration progress
+ *
+ * @param {Function} listener - Called with { progress, message, migration }
+ * @returns {Function} - Unsubscribe function
+ */
+function onMigrationProgress(listener) {
+  migrationListeners.push(listener);
+
+  return () => {
+    const index = migrationListeners.indexOf(listener);
+    if (index !== -1) {
+      migrationListeners.splice(index, 1);
+    }
+  };
+}
+
+// Notify migration listeners without letting one failure stop the upgrade
+function reportMigrationProgress(update) {
+  migrationListeners.forEach((listener) => {
+    try {
+      listener(update);
+    } catch (error) {
+      console.error("Error in migration progress listener:", error);
+    }
+  });
+}
+
+// Shared connection, reused by every operation until the browser closes it
+let connectionPromise = null;
+
+// Connection health, exposed for diagnostics during initialization
+const connectionHealth = {
+  status: "closed", // closed | opening | blocked | open | error
+  openedAt: null,
+  openCount: 0,
+  lastClosedAt: null,
+  lastClosedReason: null,
+  lastError: null,
 };
 
+// Listeners notified when the connection status changes
+const connectionListeners = [];
+
+/**
+ * Register a listener for connection status changes
+ *
+ * @param {Function} listener - Called with the current connection health
+ * @returns {Function} - Unsubscribe function
+ */
+function onConnectionChange(listener) {
+  connectionListeners.push(listener);
+
+  return () => {
+    const index = connectionListeners.indexOf(listener);
+    if (index !== -1) {
+      connectionListeners.splice(index, 1);
+    }
+  };
+}
+
+// Update connection health and notify listeners
+function setConnectionStatus(status, details = {}) {
+  Object.assign(connectionHealth, { status, ...details });
+
+  const snapshot = getConnectionHealth();
+  connectionListeners.forEach((listener) => {
+    try {
+      listener(snapshot);
+    } catch (error) {
+      console.error("Error in connection listener:", error);
+    }
+  });
+}
+
+/**
+ * Get a snapshot of the shared connection's health
+ *
+ * @returns {Object} - { status, openedAt, openCount, lastClosedAt, ... }
+ */
+function getConnectionHealth() {
+  return { ...connectionHealth };
+}
+
+// Forget the cached connection so the next operation reopens it
+function dropConnection(reason) {
+  connectionPromise = null;
+  setConnectionStatus("closed", {
+    lastClosedAt: new Date().toISOString(),
+    lastClosedReason: reason,
+  });
+}
+
 // Create and initialize the database
 async function initDB() {
   return new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
+    let appliedMigrations = [];
 
     // Handle database upgrade (called when DB is created or version changes)
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
+      const { oldVersion, newVersion } = event;
+
+      reportMigrationProgress({
+        progress: 0,
+        message: `Upgrading database from version ${oldVersion} to ${newVersion}`,
+      });
+
+      appliedMigrations = runMigrations(db, request.transaction, {
+        oldVersion,
+        newVersion,
+        onProgress: ({ migration, index, total }) => {
+          reportMigrationProgress({
+            migration: migration.name,
+            progress: Math.round((index / total) * 100),
+            message: `Applying migration ${migration.version}: ${migration.description}`,
+          });
+        },
+      });
+    };
 
-      // Create object stores if they don't exist
-      if (!db.objectStoreNames.contains(STORES.POSTS)) {
-        const postsStore = db.createObjectStore(STORES.POSTS, {
-          keyPath: "id",
-        });
-        // Create indexes for efficient queries
-        postsStore.createIndex("date", "date", { unique: false });
-        postsStore.createIndex("title", "title", { unique: false });
-      }
-
-      if (!db.objectStoreNames.contains(STORES.HABITS)) {
-        const habitsStore = db.createObjectStore(STORES.HABITS, {
-          keyPath: "id",
-        });
-        // Create indexes for efficient queries
-        habitsStore.createIndex("name", "name", { unique: false });
-        habitsStore.createIndex("created", "created", { unique: false });
-      }
-
-      if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
-        const settingsStore = db.createObjectStore(STORES.SETTINGS, {
-          keyPath: "id",
-        });
-      }
+    // Another tab holds an older version open and has not released it yet
+    request.onblocked = () => {
+      console.warn("Database upgrade blocked by another open tab");
+      setConnectionStatus("blocked");
+      reportMigrationProgress({
+        progress: 0,
+        message: "Waiting for other open tabs to release the database",
+      });
     };
 
     request.onerror = (event) => {
       console.error("IndexedDB error:", event.target.error);
+      setConnectionStatus("error", { lastError: event.target.error?.message });
       reject(event.target.error);
     };
 
     request.onsuccess = (event) => {
       const db = event.target.result;
+
+      // A newer version is being opened elsewhere: release our connection so
+      // the upgrade can proceed, and reopen lazily on the next operation
+      db.onversionchange = () => {
+        db.close();
+        dropConnection("versionchange");
+      };
+
+      // The browser closed the connection (e.g. storage was cleared)
+      db.onclose = () => {
+        dropConnection("closed-by-browser");
+      };
+
+      setConnectionStatus("open", {
+        openedAt: new Date().toISOString(),
+        openCount: connectionHealth.openCount + 1,
+        lastError: null,
+      });
+
+      if (appliedMigrations.length > 0) {
+        console.log(
+          `Applied ${appliedMigrations.length} schema migration(s), now at version ${DB_VERSION}`
+        );
+        reportMigrationProgress({
+          progress: 100,
+          message: `Database schema is at version ${DB_VERSION}`,
+        });
+      }
+
       resolve(db);
     };
   });
 }
 
-// Get a database connection
+// Get the shared database connection, opening it if needed
 async function getDB() {
+  if (!connectionPromise) {
+    setConnectionStatus("opening");
+    connectionPromise = initDB().catch((error) => {
+      connectionPromise = null;
+      throw error;
+    });
+  }
+
   try {
-    return await initDB();
+    return await connectionPromise;
   } catch (error) {
     console.error("Failed to initialize database:", error);
     throw error;
   }
 }
 
+/**
+ * Close the shared connection (e.g. before deleting the database)
+ *
+ * @returns {Promise} - Resolves once the connection is closed
+ */
+async function closeConnection() {
+  if (!connectionPromise) return;
+
+  try {
+    const db = await connectionPromise;
+    db.close();
+  } catch {
+    // Connection never opened; nothing to close
+  }
+  dropConnection("closed-by-app");
+}
+
+// Start a transaction, reopening once if the cached connection went stale
+async function openTransaction(storeNames, mode) {
+  const db = await getDB();
+
+  try {
+    return db.transaction(storeNames, mode);
+  } catch (error) {
+    if (error.name !== "InvalidStateError") throw error;
+
+    dropConnection("stale");
+    const freshDb = await getDB();
+    return freshDb.transaction(storeNames, mode);
+  }
+}
+
 /**
  * Generic function to execute a database operation
  *
+ * When a transaction context from `transaction()` is passed, the operation
+ * joins that transaction instead of opening its own, so it commits or rolls
+ * back together with the other writes in the callback.
+ *
  * @param {string} storeName - Name of the object store
  * @param {string} mode - Transaction mode (readonly or readwrite)
  * @param {Function} operation - Function that performs the operation
+ * @param {Object} [tx] - Optional transaction context to run inside
  * @returns {Promise} - Resolves with the operation result
  */
-async function executeDBOperation(storeName, mode, operation) {
-  const db = await getDB();
+async function executeDBOperation(storeName, mode, operation, tx) {
+  if (tx) {
+    return new Promise((resolve, reject) => {
+      if (mode === "readwrite" && tx.mode !== "readwrite") {
+        reject(
+          new Error(`Cannot write to ${storeName} in a readonly transaction`)
+        );
+        return;
+      }
+
+      try {
+        operation(tx.objectStore(storeName), resolve, reject);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  const transaction = await openTransaction(storeName, mode);
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction(storeName, mode);
     const store = transaction.objectStore(storeName);
 
-    transaction.oncomplete = () => {
-      db.close();
-    };
-
     transaction.onerror = (event) => {
       console.error("Transaction error:", event.target.error);
       reject(event.target.error);
@@ -106,14 +294,103 @@ async function executeDBOperation(storeName, mode, operation) {
   });
 }
 
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Promise-friendly handle around an object store inside a transaction
+function createStoreHandle(store) {
+  return {
+    get: (id) => requestToPromise(store.get(id)).then((r) => r || null),
+    getAll: (query) => requestToPromise(store.getAll(query)),
+    add: (record) => requestToPromise(store.add(record)).then(() => record),
+    put: (record) => requestToPromise(store.put(record)).then(() => record),
+    delete: (id) => requestToPromise(store.delete(id)).then(() => id),
+    clear: () => requestToPromise(store.clear()),
+    count: (query) => requestToPromise(store.count(query)),
+    index: (indexName) => {
+      const index = store.index(indexName);
+      return {
+        get: (key) => requestToPromise(index.get(key)).then((r) => r || null),
+        getAll: (query) => requestToPromise(index.getAll(query)),
+        count: (query) => requestToPromise(index.count(query)),
+      };
+    },
+  };
+}
+
+/**
+ * Run several operations across one or more stores atomically
+ *
+ * The callback receives a transaction context with promise-friendly store
+ * handles (`tx.stores.posts.get(id)`, `tx.stores.habits.put(habit)`, ...).
+ * The regular helpers also accept the context as their last argument, e.g.
+ * `dbService.update(STORES.HABITS, id, data, tx)`.
+ *
+ * All writes commit together when the callback resolves; if it throws or
+ * any request fails, the whole transaction is rolled back. The callback must
+ * only await requests made through this transaction: awaiting unrelated
+ * async work (fetch, timers) lets IndexedDB auto-commit early.
+ *
+ * @param {string|Array<string>} storeNames - Stores the transaction covers
+ * @param {string} mode - Transaction mode (readonly or readwrite)
+ * @param {Function} callback - async (tx) => result
+ * @returns {Promise} - Resolves with the callback result after commit
+ */
+async function transaction(storeNames, mode, callback) {
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+  const idbTransaction = await openTransaction(names, mode);
+
+  const completion = new Promise((resolve, reject) => {
+    idbTransaction.oncomplete = () => resolve();
+    idbTransaction.onerror = (event) => reject(event.target.error);
+    idbTransaction.onabort = (event) =>
+      reject(event.target.error || new Error("Transaction aborted"));
+  });
+
+  const stores = {};
+  names.forEach((name) => {
+    stores[name] = createStoreHandle(idbTransaction.objectStore(name));
+  });
+
+  const tx = {
+    mode,
+    storeNames: names,
+    stores,
+    objectStore: (name) => idbTransaction.objectStore(name),
+  };
+
+  let result;
+  try {
+    result = await callback(tx);
+  } catch (error) {
+    // Roll back everything written so far
+    completion.catch(() => {});
+    try {
+      idbTransaction.abort();
+    } catch {
+      // Transaction already finished or aborted itself
+    }
+    throw error;
+  }
+
+  await completion;
+  return result;
+}
+
 /**
  * Create a new record in the specified store
  *
  * @param {string} storeName - Name of the object store
  * @param {Object} data - Data to store
+ * @param {Object} [tx] - Optional transaction context from transaction()
  * @returns {Promise} - Resolves with the stored data
  */
-async function create(storeName, data) {
+async function create(storeName, data, tx) {
   return executeDBOperation(
     storeName,
     "readwrite",
@@ -127,7 +404,8 @@ async function create(storeName, data) {
       request.onerror = (event) => {
         reject(event.target.error);
       };
-    }
+    },
+    tx
   );
 }
 
@@ -135,20 +413,26 @@ async function create(storeName, data) {
  * Get all records from the specified store
  *
  * @param {string} storeName - Name of the object store
+ * @param {Object} [tx] - Optional transaction context from transaction()
  * @returns {Promise} - Resolves with an array of records
  */
-async function getAll(storeName) {
-  return executeDBOperation(storeName, "readonly", (store, resolve, reject) => {
-    const request = store.getAll();
+async function getAll(storeName, tx) {
+  return executeDBOperation(
+    storeName,
+    "readonly",
+    (store, resolve, reject) => {
+      const request = store.getAll();
 
-    request.onsuccess = () => {
-      resolve(request.result);
-    };
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
 
-    request.onerror = (event) => {
-      reject(event.target.error);
-    };
-  });
+      request.onerror = (event) => {
+        reject(event.target.error);
+      };
+    },
+    tx
+  );
 }
 
 /**
@@ -156,20 +440,26 @@ async function getAll(storeName) {
  *
  * @param {string} storeName - Name of the object store
  * @param {string} id - Record ID
+ * @param {Object} [tx] - Optional transaction context from transaction()
  * @returns {Promise} - Resolves with the record or null if not found
  */
-async function getById(storeName, id) {
-  return executeDBOperation(storeName, "readonly", (store, resolve, reject) => {
-    const request = store.get(id);
+async function getById(storeName, id, tx) {
+  return executeDBOperation(
+    storeName,
+    "readonly",
+    (store, resolve, reject) => {
+      const request = store.get(id);
 
-    request.onsuccess = () => {
-      resolve(request.result || null);
-    };
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
 
-    request.onerror = (event) => {
-      reject(event.target.error);
-    };
-  });
+      request.onerror = (event) => {
+        reject(event.target.error);
+      };
+    },
+    tx
+  );
 }
 
 /**
@@ -178,9 +468,10 @@ async function getById(storeName, id) {
  * @param {string} storeName - Name of the object store
  * @param {string} id - Record ID
  * @param {Object} data - Updated data
+ * @param {Object} [tx] - Optional transaction context from transaction()
  * @returns {Promise} - Resolves with the updated data
  */
-async function update(storeName, id, data) {
+async function update(storeName, id, data, tx) {
   return executeDBOperation(
     storeName,
     "readwrite",
@@ -216,7 +507,8 @@ async function update(storeName, id, data) {
       getRequest.onerror = (event) => {
         reject(event.target.error);
       };
-    }
+    },
+    tx
   );
 }
 
@@ -225,9 +517,10 @@ async function update(storeName, id, data) {
  *
  * @param {string} storeName - Name of the object store
  * @param {string} id - Record ID
+ * @param {Object} [tx] - Optional transaction context from transaction()
  * @returns {Promise} - Resolves with the ID of the deleted record
  */
-async function remove(storeName, id) {
+async function remove(storeName, id, tx) {
   return executeDBOperation(
     storeName,
     "readwrite",
@@ -241,7 +534,8 @@ async function remove(storeName, id) {
       request.onerror = (event) => {
         reject(event.target.error);
       };
-    }
+    },
+    tx
   );
 }
 
@@ -251,21 +545,27 @@ async function remove(storeName, id) {
  * @param {string} storeName - Name of the object store
  * @param {string} indexName - Name of the index to query
  * @param {any} value - Value to search for
+ * @param {Object} [tx] - Optional transaction context from transaction()
  * @returns {Promise} - Resolves with an array of matching records
  */
-async function queryByIndex(storeName, indexName, value) {
-  return executeDBOperation(storeName, "readonly", (store, resolve, reject) => {
-    const index = store.index(indexName);
-    const request = index.getAll(value);
+async function queryByIndex(storeName, indexName, value, tx) {
+  return executeDBOperation(
+    storeName,
+    "readonly",
+    (store, resolve, reject) => {
+      const index = store.index(indexName);
+      const request = index.getAll(value);
 
-    request.onsuccess = () => {
-      resolve(request.result);
-    };
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
 
-    request.onerror = (event) => {
-      reject(event.target.error);
-    };
-  });
+      request.onerror = (event) => {
+        reject(event.target.error);
+      };
+    },
+    tx
+  );
 }
 
 /**
@@ -274,30 +574,117 @@ async function queryByIndex(storeName, indexName, value) {
  * @param {string} storeName - Name of the object store
  * @param {string} indexName - Name of the index to query
  * @param {IDBKeyRange} range - Key range to search within
+ * @param {Object} [tx] - Optional transaction context from transaction()
  * @returns {Promise} - Resolves with an array of matching records
  */
-async function queryByRange(storeName, indexName, range) {
-  return executeDBOperation(storeName, "readonly", (store, resolve, reject) => {
-    const index = store.index(indexName);
-    const request = index.getAll(range);
+async function queryByRange(storeName, indexName, range, tx) {
+  return executeDBOperation(
+    storeName,
+    "readonly",
+    (store, resolve, reject) => {
+      const index = store.index(indexName);
+      const request = index.getAll(range);
 
-    request.onsuccess = () => {
-      resolve(request.result);
-    };
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
 
-    request.onerror = (event) => {
-      reject(event.target.error);
-    };
-  });
+      request.onerror = (event) => {
+        reject(event.target.error);
+      };
+    },
+    tx
+  );
+}
+
+/**
+ * Read one page of records in index order using a cursor
+ *
+ * Pages are addressed by an opaque cursor ({ key, primaryKey } of the last
+ * record returned), so only `limit` records are read per call regardless of
+ * how large the store is.
+ *
+ * @param {string} storeName - Name of the object store
+ * @param {string|null} indexName - Index to order by (null for primary key)
+ * @param {Object} options - Page options
+ * @param {string} options.direction - Cursor direction ("next" or "prev")
+ * @param {number} options.limit - Maximum number of records to return
+ * @param {Object|null} options.after - nextCursor from the previous page
+ * @param {Object} [tx] - Optional transaction context from transaction()
+ * @returns {Promise} - Resolves with { items, nextCursor }
+ */
+async function queryPage(
+  storeName,
+  indexName,
+  { direction = "next", limit = 20, after = null } = {},
+  tx
+) {
+  const descending = direction.startsWith("prev");
+
+  return executeDBOperation(
+    storeName,
+    "readonly",
+    (store, resolve, reject) => {
+      const source = indexName ? store.index(indexName) : store;
+
+      // Start at the previous page's last key; records sharing that key are
+      // skipped below by comparing primary keys
+      let range = null;
+      if (after) {
+        range = descending
+          ? IDBKeyRange.upperBound(after.key)
+          : IDBKeyRange.lowerBound(after.key);
+      }
+
+      const items = [];
+      let lastPosition = null;
+      const request = source.openCursor(range, direction);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+
+        if (!cursor) {
+          resolve({ items, nextCursor: null });
+          return;
+        }
+
+        if (after) {
+          const comparison =
+            indexedDB.cmp(cursor.key, after.key) ||
+            indexedDB.cmp(cursor.primaryKey, after.primaryKey);
+          if (descending ? comparison >= 0 : comparison <= 0) {
+            cursor.continue();
+            return;
+          }
+        }
+
+        // One record past the limit means there is another page
+        if (items.length >= limit) {
+          resolve({ items, nextCursor: lastPosition });
+          return;
+        }
+
+        items.push(cursor.value);
+        lastPosition = { key: cursor.key, primaryKey: cursor.primaryKey };
+        cursor.continue();
+      };
+
+      request.onerror = (event) => {
+        reject(event.target.error);
+      };
+    },
+    tx
+  );
 }
 
 /**
  * Clear all records from a store
  *
  * @param {string} storeName - Name of the object store
+ * @param {Object} [tx] - Optional transaction context from transaction()
  * @returns {Promise} - Resolves when complete
  */
-async function clearStore(storeName) {
+async function clearStore(storeName, tx) {
   return executeDBOperation(
     storeName,
     "readwrite",
@@ -311,7 +698,8 @@ async function clearStore(storeName) {
       request.onerror = (event) => {
         reject(event.target.error);
       };
-    }
+    },
+    tx
   );
 }
 
@@ -319,20 +707,26 @@ async function clearStore(storeName) {
  * Count the number of records in a store
  *
  * @param {string} storeName - Name of the object store
+ * @param {Object} [tx] - Optional transaction context from transaction()
  * @returns {Promise} - Resolves with the record count
  */
-async function countRecords(storeName) {
-  return executeDBOperation(storeName, "readonly", (store, resolve, reject) => {
-    const request = store.count();
+async function countRecords(storeName, tx) {
+  return executeDBOperation(
+    storeName,
+    "readonly",
+    (store, resolve, reject) => {
+      const request = store.count();
 
-    request.onsuccess = () => {
-      resolve(request.result);
-    };
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
 
-    request.onerror = (event) => {
-      reject(event.target.error);
-    };
-  });
+      request.onerror = (event) => {
+        reject(event.target.error);
+      };
+    },
+    tx
+  );
 }
 
 /**
@@ -347,8 +741,7 @@ async function migrateFromLocalStorage() {
   if (postsString) {
     try {
       const posts = JSON.parse(postsString);
-      const db = await getDB();
-      const transaction = db.transaction(STORES.POSTS, "readwrite");
+      const transaction = await openTransaction(STORES.POSTS, "readwrite");
       const store = transaction.objectStore(STORES.POSTS);
 
       // Wait for all posts to be added
@@ -373,8 +766,7 @@ async function migrateFromLocalStorage() {
   if (habitsString) {
     try {
       const habits = JSON.parse(habitsString);
-      const db = await getDB();
-      const transaction = db.transaction(STORES.HABITS, "readwrite");
+      const transaction = await openTransaction(STORES.HABITS, "readwrite");
       const store = transaction.objectStore(STORES.HABITS);
 
       // Wait for all habits to be added
@@ -397,9 +789,20 @@ async function migrateFromLocalStorage() {
   }
 }
 
+/**
+ * Get the record of schema migrations applied to this database
+ *
+ * @returns {Promise<Object>} - Resolves with { version, applied }
+ */
+async function getMigrationHistory() {
+  const record = await getById(STORES.SETTINGS, MIGRATION_RECORD_ID);
+  return record || { version: 0, applied: [] };
+}
+
 // Export the database service
 export const dbService = {
   STORES,
+  SCHEMA_VERSION,
   create,
   getAll,
   getById,
@@ -407,7 +810,14 @@ export const dbService = {
   remove,
   queryByIndex,
   queryByRange,
+  queryPage,
   clearStore,
   countRecords,
+  transaction,
   migrateFromLocalStorage,
+  getMigrationHistory,
+  onMigrationProgress,
+  getConnectionHealth,
+  onConnectionChange,
+  closeConnection,
 };
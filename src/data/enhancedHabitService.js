@@ -1,6 +1,77 @@
 // Enhanced habit tracking data service using IndexedDB for persistence
 import { v4 as uuidv4 } from "uuid";
-import { dbService } from "./dbService";
+import { storage } from "./storageAdapter";
+import { versionedWrites } from "./versionedWrites";
+import { changeFeed } from "./changeFeed";
+import { now } from "../utils/clock";
+import { settingsService } from "./settingsService";
+import {
+  addDays,
+  getToday,
+  isCalendarDate,
+  toLocalDateString,
+} from "../utils/localDate";
+import {
+  HABIT_TYPES,
+  applyGoalToHistory,
+  clampHabitValue,
+  getEntryValue,
+  getHabitGoal,
+  isMeasured,
+  isTargetMet,
+  validateHabitGoal,
+} from "./habitTypes";
+import {
+  ENTRY_STATUSES,
+  PERIOD_STATUSES,
+  USER_ENTRY_STATUSES,
+  earnStreakFreeze,
+  getExcuse,
+  getHabitVacations,
+  getPeriodStatus,
+  validateVacations,
+} from "./habitExcuses";
+import {
+  SCHEDULE_TYPES,
+  getHabitSchedule,
+  getLatestPeriod,
+  getPreviousPeriod,
+  getScheduleTargetDays,
+  isDueOn,
+  toSchedule,
+  validateSchedule,
+} from "./habitSchedule";
+import { getHabitReminders, validateReminderTimes } from "./habitReminders";
+import {
+  assignOrders,
+  compareByOrder,
+  getNextOrder,
+  getOrderAfter,
+} from "./habitOrder";
+import {
+  AVOID_SCHEDULE,
+  fillCleanDays,
+  getLastSlip,
+  getRelapseHistory,
+  getTrackingStart,
+  isAvoidHabit,
+  isSlip,
+} from "./habitSlips";
+import { getJournal, validateJournal, withJournal } from "./habitJournal";
+import {
+  getHabitGrouping,
+  normalizeCategory,
+  normalizeTags,
+  validateHabitGrouping,
+} from "./habitCategories";
+import {
+  getBestAndWorstWeekdays,
+  getCompletionRatesBy,
+  getFirstTrackedDate,
+  getHabitNotes,
+  getRangeCompletionRate,
+  getWeekdayRates,
+} from "./habitStatistics";
 
 // Example initial habits
 const initialHabits = [
@@ -8,6 +79,8 @@ const initialHabits = [
     id: "1",
     name: "Morning Meditation",
     description: "10 minutes of mindfulness meditation",
+    category: "Mindfulness",
+    tags: ["morning"],
     created: "2025-03-01T08:00:00Z",
     streak: 5,
     targetDays: [0, 1, 2, 3, 4, 5, 6], // Every day
@@ -25,6 +98,8 @@ const initialHabits = [
     id: "2",
     name: "Read for 30 minutes",
     description: "Fiction or non-fiction reading for personal growth",
+    category: "Learning",
+    tags: ["reading"],
     created: "2025-03-01T08:00:00Z",
     streak: 3,
     targetDays: [1, 2, 3, 4, 5], // Weekdays only
@@ -40,53 +115,605 @@ const initialHabits = [
   },
 ];
 
-// Helper function to check if today is a target day for the habit
-const isTodayTargetDay = (targetDays) => {
-  const today = new Date().getDay(); // 0-6, where 0 is Sunday
-  return targetDays.includes(today);
-};
-
-// Helper function to get today's date in YYYY-MM-DD format
-const getTodayFormatted = () => {
-  const today = new Date();
-  return today.toISOString().split("T")[0];
-};
+// Settings record marking the one-time repair of UTC history dates
+export const HISTORY_REPAIR_ID = "habit_history_local_dates";
 
 // Helper function to check if a habit was completed on a specific date
 const wasCompletedOnDate = (history, date) => {
   return history.some((record) => record.date === date && record.completed);
 };
 
-// Helper function to calculate streak based on history
-const calculateStreak = (history, targetDays) => {
-  // Sort history by date (most recent first)
-  const sortedHistory = [...history].sort(
-    (a, b) => new Date(b.date) - new Date(a.date)
+// Schedule to count streaks on, or null if there is nothing to keep a
+// streak on
+const toStreakSchedule = (scheduleOrDays) => {
+  const schedule = toSchedule(scheduleOrDays);
+  if (!schedule || validateSchedule(schedule).length > 0) return null;
+  if (schedule.type === SCHEDULE_TYPES.WEEKDAYS && !schedule.days.length) {
+    return null;
+  }
+  return schedule;
+};
+
+// Earliest date in a habit's history, or the given date if it's earlier
+const getEarliestDate = (history, date) =>
+  history.reduce(
+    (min, record) => (record.date < min ? record.date : min),
+    date
   );
 
+/**
+ * Calculate a habit's streak: consecutive schedule periods whose quota was met
+ *
+ * Depending on the schedule, that's a number of scheduled days, weeks,
+ * months or intervals (see getStreakUnit). Periods excused by skipped,
+ * excused or frozen days or by vacations are passed over (see
+ * habitExcuses). For avoid habits it's the days since the last slip (see
+ * habitSlips).
+ *
+ * @param {Array} history - History entries
+ * @param {Object|Array} schedule - Schedule, or a legacy targetDays array
+ * @param {Array} vacations - Vacation ranges that apply to the habit
+ * @param {string} today - Day to count back from (defaults to today)
+ * @returns {number} Streak
+ */
+export const calculateStreak = (
+  history,
+  schedule,
+  vacations = [],
+  today = getToday()
+) => {
+  schedule = toStreakSchedule(schedule);
+  if (!schedule) return 0;
+
+  const statusOf = (period) => getPeriodStatus(period, history, vacations);
+  const earliest = getEarliestDate(history, today);
+
+  // The period in progress counts once it's met; until then it can't
+  // break the streak, unless a slip already has
+  let period = getLatestPeriod(schedule, today);
+  if (
+    period &&
+    period.end >= today &&
+    statusOf(period) !== PERIOD_STATUSES.MET &&
+    !history.some(
+      (entry) =>
+        isSlip(entry) && entry.date >= period.start && entry.date <= today
+    )
+  ) {
+    period = getPreviousPeriod(schedule, period);
+  }
+
+  // Count back through met periods, passing over excused ones
   let streak = 0;
-  let currentDate = new Date(getTodayFormatted());
-  currentDate.setDate(currentDate.getDate() - 1); // Start from yesterday
-
-  // Check consecutive days
-  while (true) {
-    const dateStr = currentDate.toISOString().split("T")[0];
-    const dayOfWeek = currentDate.getDay();
-
-    // If it's a target day, it should be completed
-    if (targetDays.includes(dayOfWeek)) {
-      if (wasCompletedOnDate(sortedHistory, dateStr)) {
-        streak++;
-      } else {
-        break; // Streak ends
-      }
+  while (period && period.end >= earliest) {
+    const status = statusOf(period);
+    if (status === PERIOD_STATUSES.MISSED) break;
+    if (status === PERIOD_STATUSES.MET) streak++;
+    period = getPreviousPeriod(schedule, period);
+  }
+
+  return streak;
+};
+
+/**
+ * Calculate the longest streak a habit ever had
+ *
+ * Counts schedule periods like calculateStreak, over the whole history.
+ *
+ * @param {Array} history - History entries
+ * @param {Object|Array} schedule - Schedule, or a legacy targetDays array
+ * @param {Array} vacations - Vacation ranges that apply to the habit
+ * @param {string} today - Day to count back from (defaults to today)
+ * @returns {number} Longest streak
+ */
+export const calculateLongestStreak = (
+  history,
+  schedule,
+  vacations = [],
+  today = getToday()
+) => {
+  schedule = toStreakSchedule(schedule);
+  if (!schedule) return 0;
+
+  const earliest = getEarliestDate(history, today);
+
+  let longest = 0;
+  let run = 0;
+  let period = getLatestPeriod(schedule, today);
+  while (period && period.end >= earliest) {
+    const status = getPeriodStatus(period, history, vacations);
+    if (status === PERIOD_STATUSES.MET) {
+      run++;
+      longest = Math.max(longest, run);
+    } else if (status === PERIOD_STATUSES.MISSED && period.end < today) {
+      // The period in progress can't end a run yet
+      run = 0;
     }
+    period = getPreviousPeriod(schedule, period);
+  }
+
+  return longest;
+};
+
+/**
+ * Check whether a habit is archived: put away by hand, or past its end date
+ * @param {Object} habit - Habit
+ * @param {string} today - Today's calendar date
+ * @returns {boolean} True if the habit is no longer tracked
+ */
+export const isHabitArchived = (habit, today = getToday()) =>
+  Boolean(habit.archivedAt) || Boolean(habit.endDate && habit.endDate < today);
+
+/**
+ * Get the last day a habit is tracked: its end date, or the day it was
+ * archived if that came first
+ * @param {Object} habit - Habit
+ * @returns {string|null} Calendar date, or null for a habit with no end
+ */
+export const getHabitEndDate = (habit) =>
+  [habit.endDate, habit.archivedAt && toLocalDateString(habit.archivedAt)]
+    .filter(Boolean)
+    .sort()[0] || null;
+
+/**
+ * Get the day a habit's results are taken on
+ *
+ * That's the day after its end date, so the last day counts in full; or
+ * the day it was archived, which (like today) counts once it's done; or
+ * today while the habit is tracked.
+ *
+ * @param {Object} habit - Habit
+ * @param {string} today - Today's calendar date
+ * @returns {string} Calendar date
+ */
+export const getResultsDate = (habit, today = getToday()) =>
+  [
+    today,
+    habit.endDate && addDays(habit.endDate, 1),
+    habit.archivedAt && toLocalDateString(habit.archivedAt),
+  ]
+    .filter(Boolean)
+    .sort()[0];
+
+/**
+ * Sum up how a habit went, up to its end for archived habits
+ * @param {Object} habit - Habit
+ * @param {Array} globalVacations - Vacations for all habits
+ * @returns {Object} { streak, longestStreak, totalCompletions,
+ *   completionRate }
+ */
+export const getHabitResults = (habit, globalVacations = []) => {
+  const vacations = getHabitVacations(habit, globalVacations);
+  const schedule = getHabitSchedule(habit);
+  const history = habit.history || [];
+  const today = getResultsDate(habit);
 
-    // Move to previous day
-    currentDate.setDate(currentDate.getDate() - 1);
+  return {
+    streak: calculateStreak(history, schedule, vacations, today),
+    longestStreak: calculateLongestStreak(history, schedule, vacations, today),
+    totalCompletions: history.filter((entry) => entry.completed).length,
+    completionRate: getRangeCompletionRate(habit, schedule, {
+      today,
+      vacations,
+    }),
+  };
+};
+
+/**
+ * Check whether a habit is due today under its schedule
+ * @param {Object} habit - Habit
+ * @param {Array} globalVacations - Vacations for all habits
+ * @returns {boolean} True if the habit should be done today and isn't
+ *   skipped, excused or on vacation
+ */
+export const isTodayTargetDay = (habit, globalVacations = []) => {
+  const today = getToday();
+  const history = habit.history || [];
+  const vacations = getHabitVacations(habit, globalVacations);
+
+  return (
+    !getExcuse(history, today, vacations) &&
+    isDueOn(getHabitSchedule(habit), today, history)
+  );
+};
+
+/**
+ * Check whether a habit counts towards today's progress: it is due today
+ * or was done anyway. Dashboard counts of habits due today all use this.
+ * @param {Object} habit - Habit
+ * @param {Array} globalVacations - Vacations for all habits
+ * @returns {boolean} True if the habit counts towards today
+ */
+export const countsForToday = (habit, globalVacations = []) =>
+  habit.completedToday || isTodayTargetDay(habit, globalVacations);
+
+// Recalculate the streak after a history change, earning a streak freeze
+// when it reaches a milestone (except for avoid habits, whose slips always
+// count)
+const withStreak = (habit, changes, globalVacations) => {
+  const streak = calculateStreak(
+    changes.history,
+    getHabitSchedule(habit),
+    getHabitVacations(habit, globalVacations)
+  );
+  return {
+    ...changes,
+    streak,
+    ...(!isAvoidHabit(habit) && earnStreakFreeze(habit, streak, getToday())),
+  };
+};
+
+/**
+ * Find missed periods that streak freezes can cover
+ *
+ * Looks back from the last finished period. Freezes are only worth
+ * spending if all the missed periods since the streak's last met period
+ * can be covered.
+ *
+ * @param {Object} habit - Habit
+ * @param {Array} vacations - Vacation ranges that apply to the habit
+ * @param {string} today - Today's calendar date
+ * @returns {Array} Periods to freeze; empty if freezes wouldn't help
+ */
+const findFreezablePeriods = (habit, vacations, today) => {
+  const tokens = habit.freezeTokens || 0;
+  const schedule = getHabitSchedule(habit);
+  if (!tokens || validateSchedule(schedule).length > 0) return [];
+
+  const history = habit.history || [];
+  const earliest = history.reduce(
+    (min, record) => (record.date < min ? record.date : min),
+    today
+  );
+
+  let period = getLatestPeriod(schedule, today);
+  if (period && period.end >= today) {
+    period = getPreviousPeriod(schedule, period);
   }
 
-  return streak;
+  const missed = [];
+  while (period && period.end >= earliest) {
+    const status = getPeriodStatus(period, history, vacations);
+    if (status === PERIOD_STATUSES.MET) return missed;
+    if (status === PERIOD_STATUSES.MISSED) {
+      missed.push(period);
+      if (missed.length > tokens) return [];
+    }
+    period = getPreviousPeriod(schedule, period);
+  }
+
+  // No streak before the misses to protect
+  return [];
+};
+
+// Mark the last day of each period as frozen
+const freezePeriods = (history, periods, timestamp) => {
+  const frozenDates = new Set(periods.map((period) => period.end));
+  const frozen = history.map((record) =>
+    frozenDates.has(record.date)
+      ? { ...record, status: ENTRY_STATUSES.FROZEN, frozenAt: timestamp }
+      : record
+  );
+
+  frozenDates.forEach((date) => {
+    if (!history.some((record) => record.date === date)) {
+      frozen.push({
+        date,
+        completed: false,
+        status: ENTRY_STATUSES.FROZEN,
+        frozenAt: timestamp,
+      });
+    }
+  });
+
+  return frozen.sort((a, b) => b.date.localeCompare(a.date));
+};
+
+// completedToday is stale once the last completion was on an earlier day
+const isCompletedTodayStale = (habit, today) => {
+  const lastCompletedDate = habit.lastCompleted
+    ? toLocalDateString(habit.lastCompleted)
+    : null;
+  return habit.completedToday && lastCompletedDate !== today;
+};
+
+// Record the days since an avoid habit was last brought up to date as
+// clean; today stays done until a slip is logged
+const getCleanDayChanges = (habit, today) => {
+  const history = fillCleanDays(
+    habit.history || [],
+    getTrackingStart(habit),
+    today
+  );
+  const completedToday = history.some(
+    (record) => record.date === today && record.completed
+  );
+
+  return {
+    ...(history !== habit.history && { history }),
+    ...(completedToday !== habit.completedToday && { completedToday }),
+  };
+};
+
+/**
+ * Build the changes a new day brings to a habit
+ *
+ * Resets a stale completedToday, spends streak freezes on periods missed
+ * since the last visit and brings the stored streak up to date. Avoid
+ * habits instead get the days since as clean days.
+ *
+ * @param {Object} habit - Habit
+ * @param {string} today - Today's calendar date
+ * @param {Array} globalVacations - Vacations for all habits
+ * @returns {Object|null} Changes, or null if the habit is up to date
+ */
+const getRolloverChanges = (habit, today, globalVacations) => {
+  const vacations = getHabitVacations(habit, globalVacations);
+  const changes = {};
+
+  if (isAvoidHabit(habit)) {
+    Object.assign(changes, getCleanDayChanges(habit, today));
+  } else if (isCompletedTodayStale(habit, today)) {
+    changes.completedToday = false;
+  }
+
+  const frozen = isAvoidHabit(habit)
+    ? []
+    : findFreezablePeriods(habit, vacations, today);
+  if (frozen.length) {
+    changes.history = freezePeriods(habit.history, frozen, now().toISOString());
+    changes.freezeTokens = habit.freezeTokens - frozen.length;
+  }
+  const history = changes.history || habit.history || [];
+
+  const streak = calculateStreak(history, getHabitSchedule(habit), vacations);
+  if (streak !== habit.streak) {
+    changes.streak = streak;
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// Check the per-habit vacations of new or edited habit data
+const normalizeVacations = (vacations) => {
+  const errors = validateVacations(vacations);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+  return vacations.map(({ start, end }) => ({ start, end: end || null }));
+};
+
+// Check the reminder times of new or edited habit data; reminderTime keeps
+// the first one for older readers of the habit
+const normalizeReminderFields = (habitData) => {
+  if (Array.isArray(habitData.reminders)) {
+    const errors = validateReminderTimes(habitData.reminders);
+    if (errors.length > 0) {
+      throw new Error(errors.join("; "));
+    }
+  }
+
+  const reminders = getHabitReminders(habitData);
+  return { reminders, reminderTime: reminders[0] || "" };
+};
+
+// Check the category and tags of new or edited habit data, which are
+// stored in the form the habits store indexes
+const normalizeGroupingFields = (habitData) => {
+  const errors = validateHabitGrouping(habitData);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+  return getHabitGrouping(habitData);
+};
+
+// Check the optional end date of new or edited habit data
+const normalizeEndDate = (endDate) => {
+  if (!endDate) return null;
+  if (!isCalendarDate(endDate)) {
+    throw new Error("End date must be a date");
+  }
+  return endDate;
+};
+
+// Fill in and check the schedule of new or edited habit data; targetDays
+// is kept alongside it for older readers of the habit. Avoid habits are
+// tracked every day whatever the data says.
+const normalizeScheduleFields = (
+  habitData,
+  type = getHabitGoal(habitData).type
+) => {
+  const schedule =
+    type === HABIT_TYPES.AVOID ? AVOID_SCHEDULE : getHabitSchedule(habitData);
+  const errors = validateSchedule(schedule);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+
+  return { schedule, targetDays: getScheduleTargetDays(schedule) };
+};
+
+// Goal fields as stored on a habit
+const GOAL_FIELDS = ["type", "target", "unit", "min", "max"];
+
+// Fill in and check the goal fields of new or edited habit data
+const normalizeGoalFields = (habitData) => {
+  const errors = validateHabitGoal(habitData);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+
+  const goal = getHabitGoal(habitData);
+  const { type, target, unit, min, max } = goal;
+  return isMeasured(goal) ? { type, target, unit, min, max } : { type };
+};
+
+// Value an entry change leads to: an explicit value (kept within bounds),
+// or for `completed` alone, nothing or at least the full target; skipped
+// and excused days have nothing done
+const resolveEntryValue = (goal, existing, entry) => {
+  const current = getEntryValue(goal, existing);
+  if (entry.status) return 0;
+  if (typeof entry.value === "number") {
+    return clampHabitValue(goal, entry.value);
+  }
+  if (entry.completed === undefined) return current;
+  return entry.completed ? Math.max(goal.target, current) : 0;
+};
+
+// An avoid habit not done on a day (without a status) slipped that day
+const isSlipRecorded = (goal, completed, status) =>
+  goal.type === HABIT_TYPES.AVOID && !completed && !status;
+
+/**
+ * Build the changes that record today's value for a habit
+ *
+ * Checkbox habits record 1 (done) or 0; measured habits record the value
+ * itself. Completion, completedToday, lastCompleted and the streak all
+ * follow from whether the value meets the target. Avoid habits record 1
+ * for a clean day and 0 for a slip.
+ *
+ * @param {Object} habit - Current habit
+ * @param {number} value - Value to record for today
+ * @param {string} timestamp - ISO time of the recording
+ * @param {Object} options - Options
+ * @param {Array} options.vacations - Vacations for all habits
+ * @param {string} options.status - "skipped" or "excused" to give the day
+ *   a status (only when not completed)
+ * @returns {Object} Changes for versionedWrites.modify
+ */
+const recordTodayValue = (
+  habit,
+  value,
+  timestamp,
+  { vacations = [], status = null } = {}
+) => {
+  const goal = getHabitGoal(habit);
+  const today = toLocalDateString(timestamp);
+  const existing = habit.history.find((record) => record.date === today);
+  const completed = isTargetMet(goal, value);
+  const wasCompleted = Boolean(existing?.completed);
+
+  // Keep the time the target was first met; it lets the entry be re-dated
+  // if the user's time zone settings change
+  const completedAt = wasCompleted
+    ? existing.completedAt || timestamp
+    : timestamp;
+  const todayRecord = {
+    ...getJournal(existing),
+    date: today,
+    completed,
+    ...(isMeasured(goal) && { value }),
+    ...(completed && { completedAt }),
+    ...(!completed && status && { status }),
+    ...(isSlipRecorded(goal, completed, status) && {
+      slipped: true,
+      slippedAt: existing?.slippedAt || timestamp,
+    }),
+  };
+
+  const history = existing
+    ? habit.history.map((record) =>
+        record.date === today ? todayRecord : record
+      )
+    : [todayRecord, ...habit.history];
+
+  // Recalculate streak from the updated history
+  return withStreak(
+    habit,
+    {
+      completedToday: completed,
+      lastCompleted:
+        completed && !wasCompleted ? timestamp : habit.lastCompleted,
+      history,
+    },
+    vacations
+  );
+};
+
+/**
+ * Build the changes that set a past day's history entry
+ *
+ * The entry is marked `backfilled` since it was recorded after its day.
+ * Checkbox habits take `completed`; measured habits take a `value`, or
+ * `completed` alone to switch between nothing and the full target. A
+ * `note` or `mood` replaces the entry's own (see withJournal). A `status`
+ * marks the day skipped or excused; recording progress clears it.
+ *
+ * @param {Object} habit - Current habit
+ * @param {string} date - Calendar date of the entry, before today
+ * @param {Object} entry - { completed, value, note, mood, status }
+ * @param {string} timestamp - ISO time of the change
+ * @param {Array} vacations - Vacations for all habits
+ * @returns {Object} Changes for versionedWrites.modify
+ */
+const recordPastEntry = (habit, date, entry, timestamp, vacations) => {
+  const goal = getHabitGoal(habit);
+  const existing = habit.history.find((record) => record.date === date);
+  const value = resolveEntryValue(goal, existing, entry);
+  const completed = isTargetMet(goal, value);
+
+  // Only an entry that stays completed keeps its completion time
+  const { completedAt } = existing || {};
+  const recordsProgress =
+    entry.completed !== undefined || entry.value !== undefined;
+  const status =
+    entry.status !== undefined
+      ? entry.status
+      : !recordsProgress && existing?.status;
+  const record = {
+    date,
+    completed,
+    ...(isMeasured(goal) && { value }),
+    ...(completed && completedAt && { completedAt }),
+    ...(!completed && status && { status }),
+    ...(isSlipRecorded(goal, completed, status) && { slipped: true }),
+    ...getJournal(existing),
+    backfilled: true,
+    backfilledAt: timestamp,
+  };
+
+  const history = [
+    withJournal(record, entry, timestamp),
+    ...habit.history.filter((other) => other.date !== date),
+  ].sort((a, b) => b.date.localeCompare(a.date));
+
+  return withStreak(habit, { history }, vacations);
+};
+
+/**
+ * Move history entries to the user's calendar date
+ *
+ * Entries used to be dated in UTC. An entry's completion time is known
+ * when it carries `completedAt`, or when it is the entry `lastCompleted`
+ * was recorded with; those entries are re-dated from that time. Others
+ * keep their date. Entries that end up on the same day are merged.
+ *
+ * @param {Object} habit - Habit to repair
+ * @returns {Array} Repaired history, newest first
+ */
+export const rebucketHistory = (habit) => {
+  const byDate = new Map();
+
+  habit.history.forEach((entry) => {
+    const lastCompletedEntry =
+      entry.completed &&
+      habit.lastCompleted &&
+      habit.lastCompleted.split("T")[0] === entry.date;
+    const completedAt =
+      entry.completedAt || (lastCompletedEntry ? habit.lastCompleted : null);
+    const date = completedAt ? toLocalDateString(completedAt) : entry.date;
+
+    const existing = byDate.get(date);
+    byDate.set(date, {
+      ...existing,
+      ...entry,
+      date,
+      completed: Boolean(existing?.completed || entry.completed),
+    });
+  });
+
+  return [...byDate.values()].sort((a, b) => b.date.localeCompare(a.date));
 };
 
 /**
@@ -95,13 +722,28 @@ const calculateStreak = (history, targetDays) => {
  */
 async function initializeHabitsIfEmpty() {
   try {
-    const count = await dbService.countRecords(dbService.STORES.HABITS);
-    if (count === 0) {
-      // No habits exist, add initial habits
-      for (const habit of initialHabits) {
-        await dbService.create(dbService.STORES.HABITS, habit);
+    // Count and seed in one transaction so concurrent callers can't both seed
+    const seeded = await storage.transaction(
+      storage.STORES.HABITS,
+      "readwrite",
+      async (tx) => {
+        const count = await storage.countRecords(storage.STORES.HABITS, tx);
+        if (count > 0) return false;
+
+        // No habits exist, add initial habits
+        for (const habit of initialHabits) {
+          await storage.create(storage.STORES.HABITS, habit, tx);
+        }
+        return true;
       }
+    );
+
+    if (seeded) {
       console.log("Initialized habits database with sample habits");
+      changeFeed.publish({
+        collection: storage.STORES.HABITS,
+        operation: "bulk",
+      });
     }
   } catch (error) {
     console.error("Error initializing habits:", error);
@@ -117,45 +759,96 @@ async function getHabits() {
     // Make sure database is initialized
     await initializeHabitsIfEmpty();
 
-    // Get all habits
-    const habits = await dbService.getAll(dbService.STORES.HABITS);
+    // Get all habits, in the user's order
+    const habits = await storage.getAll(storage.STORES.HABITS);
+    return await bringUpToDate(habits.sort(compareByOrder));
+  } catch (error) {
+    console.error("Error getting habits:", error);
+    return [];
+  }
+}
 
-    // Check if completedToday needs to be reset
-    const today = getTodayFormatted();
-    const updatedHabits = [];
-    let needsUpdate = false;
+/**
+ * Get the habits with a tag, using the tags index
+ * @param {string} tag - Tag to look up (case-insensitive)
+ * @returns {Promise<Array>} Matching habits
+ */
+async function getHabitsByTag(tag) {
+  try {
+    const [normalized] = normalizeTags([tag]);
+    if (!normalized) return [];
 
-    for (const habit of habits) {
-      // Get the date from lastCompleted
-      const lastCompletedDate = habit.lastCompleted
-        ? habit.lastCompleted.split("T")[0]
-        : null;
-
-      // If lastCompleted is not today, reset completedToday
-      if (lastCompletedDate !== today && habit.completedToday) {
-        const updatedHabit = {
-          ...habit,
-          completedToday: false,
-        };
+    const habits = await storage.queryByIndex(
+      storage.STORES.HABITS,
+      "tags",
+      normalized
+    );
+    return await bringUpToDate(habits.sort(compareByOrder));
+  } catch (error) {
+    console.error(`Error getting habits tagged ${tag}:`, error);
+    return [];
+  }
+}
 
-        // Update in database
-        await dbService.update(dbService.STORES.HABITS, habit.id, updatedHabit);
-        updatedHabits.push(updatedHabit);
-        needsUpdate = true;
-      } else {
-        updatedHabits.push(habit);
-      }
-    }
+/**
+ * Get the habits in a category, using the category index
+ * @param {string} category - Category, or "" for habits without one
+ * @returns {Promise<Array>} Matching habits
+ */
+async function getHabitsByCategory(category) {
+  try {
+    const habits = await storage.queryByIndex(
+      storage.STORES.HABITS,
+      "category",
+      normalizeCategory(category)
+    );
+    return await bringUpToDate(habits.sort(compareByOrder));
+  } catch (error) {
+    console.error(`Error getting habits in category ${category}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Bring habits up to date with the new day: reset completedToday, spend
+ * streak freezes and refresh streaks
+ * @param {Array} habits - Habits as stored
+ * @returns {Promise<Array>} Habits as they are today
+ */
+async function bringUpToDate(habits) {
+  const today = getToday();
+  const { vacations } = await settingsService.getPreferences();
+  const updatedHabits = [];
+  let needsUpdate = false;
 
-    if (needsUpdate) {
-      console.log("Reset completedToday for habits");
+  for (const habit of habits) {
+    // Archived habits keep their streak as it was when they ended
+    if (
+      !isHabitArchived(habit, today) &&
+      getRolloverChanges(habit, today, vacations)
+    ) {
+      // Re-check against the stored habit in case another tab just
+      // changed it
+      const updatedHabit = await versionedWrites.modify(
+        storage.STORES.HABITS,
+        habit.id,
+        (current) =>
+          isHabitArchived(current, today)
+            ? null
+            : getRolloverChanges(current, today, vacations)
+      );
+      updatedHabits.push(updatedHabit);
+      needsUpdate = true;
+    } else {
+      updatedHabits.push(habit);
     }
+  }
 
-    return updatedHabits;
-  } catch (error) {
-    console.error("Error getting habits:", error);
-    return [];
+  if (needsUpdate) {
+    console.log("Brought habits up to date for the new day");
   }
+
+  return updatedHabits;
 }
 
 /**
@@ -165,7 +858,7 @@ async function getHabits() {
  */
 async function getHabitById(id) {
   try {
-    return await dbService.getById(dbService.STORES.HABITS, id);
+    return await storage.getById(storage.STORES.HABITS, id);
   } catch (error) {
     console.error(`Error getting habit with ID ${id}:`, error);
     return null;
@@ -179,20 +872,39 @@ async function getHabitById(id) {
  */
 async function createHabit(habitData) {
   try {
-    const now = new Date().toISOString();
+    // New habits go last unless given a place
+    const order =
+      typeof habitData.order === "number"
+        ? habitData.order
+        : getNextOrder(await storage.getAll(storage.STORES.HABITS));
 
     const newHabit = {
       id: uuidv4(),
-      created: now,
+      created: now().toISOString(),
       streak: 0,
       completedToday: false,
       lastCompleted: null,
       history: [],
       ...habitData,
+      ...normalizeGoalFields(habitData),
+      ...normalizeScheduleFields(habitData),
+      ...normalizeReminderFields(habitData),
+      ...normalizeGroupingFields(habitData),
+      vacations: normalizeVacations(habitData.vacations || []),
+      endDate: normalizeEndDate(habitData.endDate),
+      order,
     };
 
-    await dbService.create(dbService.STORES.HABITS, newHabit);
-    return newHabit;
+    // An avoid habit starts out clean today
+    if (isAvoidHabit(newHabit)) {
+      const { vacations } = await settingsService.getPreferences();
+      Object.assign(
+        newHabit,
+        getRolloverChanges(newHabit, getToday(), vacations)
+      );
+    }
+
+    return await versionedWrites.create(storage.STORES.HABITS, newHabit);
   } catch (error) {
     console.error("Error creating habit:", error);
     throw error;
@@ -207,28 +919,247 @@ async function createHabit(habitData) {
  */
 async function updateHabit(id, habitData) {
   try {
-    // Get the current habit to preserve certain fields
-    const currentHabit = await getHabitById(id);
-    if (!currentHabit) {
+    const { vacations: globalVacations } =
+      await settingsService.getPreferences();
+
+    // Preserve fields that shouldn't be overwritten, reading them inside
+    // the write so completions made meanwhile (e.g. in another tab) survive
+    return await versionedWrites.modify(
+      storage.STORES.HABITS,
+      id,
+      (currentHabit) => {
+        const {
+          streak,
+          completedToday,
+          lastCompleted,
+          history,
+          created,
+          freezeTokens,
+          freezeEarnedOn,
+        } = currentHabit;
+
+        const goalChanges = GOAL_FIELDS.some((field) => field in habitData)
+          ? normalizeGoalFields({ ...currentHabit, ...habitData })
+          : {};
+        // Clean days of an avoid habit would turn into completions and
+        // back, so a habit stays one or the other
+        if (
+          isAvoidHabit(currentHabit) !==
+          isAvoidHabit({ ...currentHabit, ...goalChanges })
+        ) {
+          throw new Error("A habit can't be switched to or from avoiding");
+        }
+        // Changing targetDays alone still means a weekdays schedule
+        const scheduleChanges =
+          "schedule" in habitData || "targetDays" in habitData
+            ? normalizeScheduleFields(
+                habitData,
+                getHabitGoal(currentHabit).type
+              )
+            : {};
+        const updated = {
+          ...habitData,
+          ...goalChanges,
+          ...scheduleChanges,
+          ...(("reminders" in habitData || "reminderTime" in habitData) &&
+            normalizeReminderFields(habitData)),
+          ...("vacations" in habitData && {
+            vacations: normalizeVacations(habitData.vacations || []),
+          }),
+          ...(("category" in habitData || "tags" in habitData) &&
+            normalizeGroupingFields({ ...currentHabit, ...habitData })),
+          ...("endDate" in habitData && {
+            endDate: normalizeEndDate(habitData.endDate),
+          }),
+          streak,
+          completedToday,
+          lastCompleted,
+          history,
+          created,
+          freezeTokens,
+          freezeEarnedOn,
+        };
+
+        // A new target can turn recorded values into (non-)completions
+        const goal = getHabitGoal({ ...currentHabit, ...updated });
+        const goalChanged =
+          JSON.stringify(goal) !== JSON.stringify(getHabitGoal(currentHabit));
+        if (goalChanged) {
+          updated.history = applyGoalToHistory(goal, history);
+          updated.completedToday = updated.history.some(
+            (record) => record.date === getToday() && record.completed
+          );
+        }
+
+        // A new goal, schedule or time off changes what the streak counts
+        const schedule = getHabitSchedule({ ...currentHabit, ...updated });
+        const vacations = updated.vacations || currentHabit.vacations;
+        if (
+          goalChanged ||
+          JSON.stringify(schedule) !==
+            JSON.stringify(getHabitSchedule(currentHabit)) ||
+          JSON.stringify(vacations) !== JSON.stringify(currentHabit.vacations)
+        ) {
+          updated.streak = calculateStreak(
+            updated.history,
+            schedule,
+            getHabitVacations({ vacations }, globalVacations)
+          );
+        }
+
+        return updated;
+      }
+    );
+  } catch (error) {
+    console.error(`Error updating habit with ID ${id}:`, error);
+    throw error;
+  }
+}
+
+// Fields of a habit that belong to it alone rather than to its settings:
+// identity, place in the list, progress and streak freezes
+const PROGRESS_FIELDS = [
+  "id",
+  "version",
+  "created",
+  "order",
+  "streak",
+  "completedToday",
+  "lastCompleted",
+  "history",
+  "freezeTokens",
+  "freezeEarnedOn",
+  "archivedAt",
+];
+
+/**
+ * Create a copy of a habit's settings, starting with no history
+ * @param {string} id - Habit ID
+ * @returns {Promise<Object>} The new habit
+ */
+async function duplicateHabit(id) {
+  try {
+    const habit = await getHabitById(id);
+    if (!habit) {
       throw new Error(`Habit with ID ${id} not found`);
     }
 
-    // Preserve fields that shouldn't be overwritten
-    const { streak, completedToday, lastCompleted, history, created } =
-      currentHabit;
+    const settings = Object.fromEntries(
+      Object.entries(habit).filter(
+        ([field]) => !PROGRESS_FIELDS.includes(field)
+      )
+    );
+    // The copy comes right after the original; a copy of a finished
+    // challenge starts over without an end
+    const habits = await storage.getAll(storage.STORES.HABITS);
+    return await createHabit({
+      ...settings,
+      name: `${habit.name} (copy)`,
+      endDate:
+        habit.endDate && habit.endDate >= getToday() ? habit.endDate : null,
+      order: getOrderAfter(habits, habit),
+    });
+  } catch (error) {
+    console.error(`Error duplicating habit with ID ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Put habits in a new order
+ *
+ * The given habits swap among the places they already hold, so a
+ * category (or the habits with a tag) can be reordered on its own.
+ * Only habits whose place changes are written.
+ *
+ * @param {Array<string>} ids - IDs of habits in their new order
+ * @returns {Promise<Array>} All habits with their new order
+ */
+async function reorderHabits(ids) {
+  try {
+    const habits = await storage.getAll(storage.STORES.HABITS);
+    const orders = assignOrders(habits, ids);
 
-    const updatedHabit = {
-      ...habitData,
-      streak,
-      completedToday,
-      lastCompleted,
-      history,
-      created,
-    };
+    const reordered = [];
+    for (const habit of habits) {
+      const order = orders.get(habit.id);
+      if (order === habit.order) {
+        reordered.push(habit);
+        continue;
+      }
 
-    return await dbService.update(dbService.STORES.HABITS, id, updatedHabit);
+      const updatedHabit = await versionedWrites.modify(
+        storage.STORES.HABITS,
+        habit.id,
+        () => ({ order })
+      );
+      reordered.push(updatedHabit);
+    }
+    return await bringUpToDate(reordered.sort(compareByOrder));
   } catch (error) {
-    console.error(`Error updating habit with ID ${id}:`, error);
+    console.error("Error reordering habits:", error);
+    throw error;
+  }
+}
+
+/**
+ * Put back a habit that was just deleted, with its ID and history
+ * @param {Object} habit - The habit as it was before deletion
+ * @returns {Promise<Object>} Restored habit
+ */
+async function undeleteHabit(habit) {
+  try {
+    const { version: _version, ...record } = habit;
+    return await versionedWrites.create(storage.STORES.HABITS, record);
+  } catch (error) {
+    console.error(`Error undeleting habit with ID ${habit.id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Archive a habit: it leaves the tracker and today's statistics, but keeps
+ * its history
+ * @param {string} id - Habit ID
+ * @returns {Promise<Object>} Archived habit
+ */
+async function archiveHabit(id) {
+  try {
+    return await versionedWrites.modify(storage.STORES.HABITS, id, (habit) =>
+      habit.archivedAt ? null : { archivedAt: now().toISOString() }
+    );
+  } catch (error) {
+    console.error(`Error archiving habit with ID ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Bring an archived habit back to the tracker, dropping an end date that
+ * has passed
+ * @param {string} id - Habit ID
+ * @returns {Promise<Object>} Restored habit
+ */
+async function restoreHabit(id) {
+  try {
+    const today = getToday();
+    const { vacations } = await settingsService.getPreferences();
+
+    return await versionedWrites.modify(storage.STORES.HABITS, id, (habit) => {
+      if (!isHabitArchived(habit, today)) return null;
+
+      const changes = {
+        archivedAt: null,
+        endDate: habit.endDate && habit.endDate >= today ? habit.endDate : null,
+      };
+      // Catch up on the days it was put away
+      return {
+        ...changes,
+        ...getRolloverChanges({ ...habit, ...changes }, today, vacations),
+      };
+    });
+  } catch (error) {
+    console.error(`Error restoring habit with ID ${id}:`, error);
     throw error;
   }
 }
@@ -240,7 +1171,7 @@ async function updateHabit(id, habitData) {
  */
 async function deleteHabit(id) {
   try {
-    return await dbService.remove(dbService.STORES.HABITS, id);
+    return await versionedWrites.remove(storage.STORES.HABITS, id);
   } catch (error) {
     console.error(`Error deleting habit with ID ${id}:`, error);
     throw error;
@@ -254,61 +1185,168 @@ async function deleteHabit(id) {
  */
 async function toggleHabitCompletion(id) {
   try {
-    // Get the current habit
-    const habit = await getHabitById(id);
-    if (!habit) {
-      throw new Error(`Habit with ID ${id} not found`);
-    }
+    const { vacations } = await settingsService.getPreferences();
+
+    // Read and write in one transaction so concurrent toggles (e.g. from
+    // two tabs) each start from the other's result
+    return await versionedWrites.modify(storage.STORES.HABITS, id, (habit) => {
+      // Measured habits are toggled between nothing and the full target
+      const value = resolveEntryValue(
+        getHabitGoal(habit),
+        habit.history.find((record) => record.date === getToday()),
+        { completed: !habit.completedToday }
+      );
 
-    const today = getTodayFormatted();
-    const now = new Date().toISOString();
+      return recordTodayValue(habit, value, now().toISOString(), {
+        vacations,
+      });
+    });
+  } catch (error) {
+    console.error(`Error toggling habit completion for ID ${id}:`, error);
+    throw error;
+  }
+}
 
-    // Toggle completion status
-    const newCompletedStatus = !habit.completedToday;
+/**
+ * Record today's value for a measured habit
+ * @param {string} id - Habit ID
+ * @param {number} value - Value reached today (kept within min/max)
+ * @returns {Promise<Object>} Updated habit
+ */
+async function recordHabitValue(id, value) {
+  try {
+    if (typeof value !== "number" || isNaN(value)) {
+      throw new Error("Habit value must be a number");
+    }
 
-    // Update history
-    let history = [...habit.history];
-    const todayHistoryIndex = history.findIndex(
-      (record) => record.date === today
+    const { vacations } = await settingsService.getPreferences();
+    return await versionedWrites.modify(storage.STORES.HABITS, id, (habit) =>
+      recordTodayValue(
+        habit,
+        clampHabitValue(getHabitGoal(habit), value),
+        now().toISOString(),
+        { vacations }
+      )
     );
+  } catch (error) {
+    console.error(`Error recording value for habit with ID ${id}:`, error);
+    throw error;
+  }
+}
 
-    if (todayHistoryIndex !== -1) {
-      // Update existing record for today
-      history[todayHistoryIndex].completed = newCompletedStatus;
-    } else {
-      // Add new record for today
-      history.unshift({
-        date: today,
-        completed: newCompletedStatus,
-      });
+/**
+ * Add to (or subtract from) today's value for a measured habit
+ *
+ * The change is applied to the stored value inside the write, so quick
+ * repeated taps (or taps in two tabs) all add up.
+ *
+ * @param {string} id - Habit ID
+ * @param {number} delta - Amount to add; negative to subtract
+ * @returns {Promise<Object>} Updated habit
+ */
+async function adjustHabitValue(id, delta) {
+  try {
+    const { vacations } = await settingsService.getPreferences();
+    return await versionedWrites.modify(storage.STORES.HABITS, id, (habit) => {
+      const goal = getHabitGoal(habit);
+      const current = getEntryValue(
+        goal,
+        habit.history.find((record) => record.date === getToday())
+      );
+
+      return recordTodayValue(
+        habit,
+        clampHabitValue(goal, current + delta),
+        now().toISOString(),
+        { vacations }
+      );
+    });
+  } catch (error) {
+    console.error(`Error adjusting value for habit with ID ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Set the completion, value, note or mood of a habit on a given day
+ *
+ * Today's entry is recorded like any completion. Past days can be changed
+ * within the backfill window from the user's preferences; their entries
+ * are marked as backfilled. A day can also be marked skipped or excused,
+ * which keeps it from breaking the streak. The streak is recalculated
+ * either way.
+ *
+ * @param {string} id - Habit ID
+ * @param {string} date - Calendar date in YYYY-MM-DD format
+ * @param {Object} entry - Fields to set
+ * @param {boolean} entry.completed - Whether the habit was done
+ * @param {number} entry.value - Value reached (measured habits)
+ * @param {string} entry.note - Note for the day
+ * @param {number|null} entry.mood - Mood rating (see MOODS), or null to
+ *   clear it
+ * @param {string|null} entry.status - "skipped", "excused", or null to
+ *   clear the day's status
+ * @returns {Promise<Object>} Updated habit
+ */
+async function setHabitEntry(id, date, entry = {}) {
+  try {
+    if (!isCalendarDate(date)) {
+      throw new Error(`Invalid date: ${date}`);
+    }
+    if (entry.value !== undefined && typeof entry.value !== "number") {
+      throw new Error("Habit value must be a number");
+    }
+    if (entry.status && !USER_ENTRY_STATUSES.includes(entry.status)) {
+      throw new Error(`Unknown day status: ${entry.status}`);
+    }
+    const journalErrors = validateJournal(entry);
+    if (journalErrors.length > 0) {
+      throw new Error(journalErrors.join("; "));
     }
 
-    // Calculate new streak
-    let streak = habit.streak;
-    if (newCompletedStatus) {
-      // If completing, increment streak if eligible
-      if (isTodayTargetDay(habit.targetDays)) {
-        streak = calculateStreak(
-          [{ date: today, completed: true }, ...habit.history],
-          habit.targetDays
-        );
-      }
-    } else {
-      // If un-completing, recalculate streak
-      streak = calculateStreak(history, habit.targetDays);
+    const today = getToday();
+    const { backfillDays, vacations } = await settingsService.getPreferences();
+    if (date > today) {
+      throw new Error("Habits can't be completed ahead of time");
+    }
+    if (date < addDays(today, -backfillDays)) {
+      throw new Error(
+        `Only the last ${backfillDays} days can be changed (see Settings)`
+      );
     }
 
-    const updatedHabit = {
-      ...habit,
-      completedToday: newCompletedStatus,
-      lastCompleted: newCompletedStatus ? now : habit.lastCompleted,
-      history,
-      streak,
-    };
+    return await versionedWrites.modify(storage.STORES.HABITS, id, (habit) => {
+      const timestamp = now().toISOString();
+      if (date !== today) {
+        return recordPastEntry(habit, date, entry, timestamp, vacations);
+      }
 
-    return await dbService.update(dbService.STORES.HABITS, id, updatedHabit);
+      const value = resolveEntryValue(
+        getHabitGoal(habit),
+        habit.history.find((record) => record.date === today),
+        entry
+      );
+      const existing = habit.history.find((record) => record.date === today);
+      const changes = recordTodayValue(habit, value, timestamp, {
+        vacations,
+        // Keep today's status unless it's changed or progress is recorded
+        status:
+          entry.status !== undefined
+            ? entry.status
+            : entry.completed === undefined &&
+              entry.value === undefined &&
+              existing?.status,
+      });
+      changes.history = changes.history.map((record) =>
+        record.date === today ? withJournal(record, entry, timestamp) : record
+      );
+      return changes;
+    });
   } catch (error) {
-    console.error(`Error toggling habit completion for ID ${id}:`, error);
+    console.error(
+      `Error setting ${date} entry for habit with ID ${id}:`,
+      error
+    );
     throw error;
   }
 }
@@ -319,43 +1357,64 @@ async function toggleHabitCompletion(id) {
  */
 async function getHabitStats() {
   try {
-    const habits = await getHabits();
+    // Archived habits are no longer tracked
+    const habits = (await getHabits()).filter(
+      (habit) => !isHabitArchived(habit)
+    );
 
     if (!habits || habits.length === 0) {
       return {
         totalHabits: 0,
+        dueToday: 0,
         completedToday: 0,
         completionRate: 0,
         totalStreak: 0,
         longestStreak: 0,
         mostConsistentHabit: null,
+        avoidHabits: 0,
+        slippedToday: 0,
+        longestCleanStreak: 0,
       };
     }
 
+    // Habits off schedule today (e.g. a rest day, a weekly quota already
+    // met, a skipped day or a vacation) don't count against today's
+    // completion rate
+    const { vacations } = await settingsService.getPreferences();
+    const completedToday = habits.filter((h) => h.completedToday).length;
+    const avoidHabits = habits.filter(isAvoidHabit);
+    const dueToday = habits.filter((h) => countsForToday(h, vacations)).length;
+
     const stats = {
       totalHabits: habits.length,
-      completedToday: habits.filter((h) => h.completedToday).length,
-      completionRate: Math.round(
-        (habits.filter((h) => h.completedToday).length / habits.length) * 100
-      ),
+      dueToday,
+      completedToday,
+      completionRate: dueToday
+        ? Math.round((completedToday / dueToday) * 100)
+        : 100,
       totalStreak: habits.reduce((sum, h) => sum + h.streak, 0),
       longestStreak: Math.max(...habits.map((h) => h.streak), 0),
       mostConsistentHabit: null,
+      // Habits to avoid count as done today until they slip; their
+      // streaks are days since the last slip
+      avoidHabits: avoidHabits.length,
+      slippedToday: avoidHabits.filter((h) => !h.completedToday).length,
+      longestCleanStreak: Math.max(...avoidHabits.map((h) => h.streak), 0),
     };
 
     // Find most consistent habit
     if (habits.length > 0) {
-      const mostConsistent = habits.reduce((prev, current) => {
-        // Calculate completion rate
-        const prevCompletionRate =
-          prev.history.filter((h) => h.completed).length /
-          (prev.history.length || 1);
-        const currentCompletionRate =
-          current.history.filter((h) => h.completed).length /
-          (current.history.length || 1);
-
-        return prevCompletionRate > currentCompletionRate ? prev : current;
-      });
+      // Skipped, excused and frozen days aren't misses
+      const getCompletionRate = (habit) => {
+        const counted = habit.history.filter((h) => h.completed || !h.status);
+        return (
+          counted.filter((h) => h.completed).length / (counted.length || 1)
+        );
+      };
+
+      const mostConsistent = habits.reduce((prev, current) =>
+        getCompletionRate(prev) > getCompletionRate(current) ? prev : current
+      );
 
       stats.mostConsistentHabit = mostConsistent.name;
     }
@@ -365,12 +1424,71 @@ async function getHabitStats() {
     console.error("Error getting habit stats:", error);
     return {
       totalHabits: 0,
+      dueToday: 0,
       completedToday: 0,
       completionRate: 0,
       totalStreak: 0,
       longestStreak: 0,
       mostConsistentHabit: null,
+      avoidHabits: 0,
+      slippedToday: 0,
+      longestCleanStreak: 0,
+    };
+  }
+}
+
+/**
+ * Get the full statistics of one habit, for its detail page
+ * @param {string} id - Habit ID
+ * @returns {Promise<Object|null>} Statistics, or null if there's no such habit
+ */
+async function getHabitStatistics(id) {
+  try {
+    const habit = await getHabitById(id);
+    if (!habit) return null;
+
+    const { vacations: globalVacations } =
+      await settingsService.getPreferences();
+    const vacations = getHabitVacations(habit, globalVacations);
+    const schedule = getHabitSchedule(habit);
+    // Archived habits are shown as they ended
+    const today = getResultsDate(habit);
+    const options = { today, vacations };
+    const results = getHabitResults(habit, globalVacations);
+
+    // Weekdays over the last year, so old habits reflect current routines
+    const weekdayRates = getWeekdayRates(habit, schedule, {
+      ...options,
+      from: addDays(today, -364),
+    });
+
+    return {
+      currentStreak: results.streak,
+      longestStreak: results.longestStreak,
+      totalCompletions: results.totalCompletions,
+      trackedSince: getFirstTrackedDate(habit),
+      completionRate: results.completionRate,
+      weeklyRates: getCompletionRatesBy(habit, schedule, {
+        ...options,
+        unit: "week",
+        count: 12,
+      }),
+      monthlyRates: getCompletionRatesBy(habit, schedule, {
+        ...options,
+        unit: "month",
+        count: 12,
+      }),
+      weekdayRates,
+      ...getBestAndWorstWeekdays(weekdayRates),
+      notes: getHabitNotes(habit.history),
+      ...(isAvoidHabit(habit) && {
+        lastSlip: getLastSlip(habit.history),
+        relapses: getRelapseHistory(habit.history),
+      }),
     };
+  } catch (error) {
+    console.error(`Error getting statistics of habit with ID ${id}:`, error);
+    return null;
   }
 }
 
@@ -383,16 +1501,35 @@ async function migrateFromLocalStorage() {
     const habitsString = localStorage.getItem("habit_tracker_data");
     if (habitsString) {
       const habits = JSON.parse(habitsString);
-      const count = await dbService.countRecords(dbService.STORES.HABITS);
 
-      // Only migrate if IndexedDB is empty to avoid duplicates
-      if (count === 0 && habits.length > 0) {
-        for (const habit of habits) {
-          await dbService.create(dbService.STORES.HABITS, habit);
+      // Only migrate if IndexedDB is empty to avoid duplicates; all habits are
+      // written in one transaction so a failure leaves nothing half-migrated
+      const migrated = await storage.transaction(
+        storage.STORES.HABITS,
+        "readwrite",
+        async (tx) => {
+          const count = await storage.countRecords(storage.STORES.HABITS, tx);
+          if (count > 0 || habits.length === 0) return false;
+
+          for (const habit of habits) {
+            await storage.create(
+              storage.STORES.HABITS,
+              { ...habit, ...getHabitGrouping(habit) },
+              tx
+            );
+          }
+          return true;
         }
+      );
+
+      if (migrated) {
         console.log(
           "Successfully migrated habits from localStorage to IndexedDB"
         );
+        changeFeed.publish({
+          collection: storage.STORES.HABITS,
+          operation: "bulk",
+        });
       }
     }
   } catch (error) {
@@ -400,14 +1537,102 @@ async function migrateFromLocalStorage() {
   }
 }
 
+/**
+ * Re-date habit history recorded in UTC to the user's calendar dates
+ *
+ * Runs once per database; a settings record marks it as done. Streaks and
+ * completedToday are recalculated for every habit whose history moved.
+ *
+ * @returns {Promise<number>} Number of habits repaired
+ */
+async function repairHistoryDates() {
+  try {
+    const repaired = await storage.transaction(
+      [storage.STORES.HABITS, storage.STORES.SETTINGS],
+      "readwrite",
+      async (tx) => {
+        const done = await storage.getById(
+          storage.STORES.SETTINGS,
+          HISTORY_REPAIR_ID,
+          tx
+        );
+        if (done) return null;
+
+        const today = getToday();
+        const habits = await storage.getAll(storage.STORES.HABITS, tx);
+        let count = 0;
+
+        for (const habit of habits) {
+          const history = rebucketHistory(habit);
+          if (JSON.stringify(history) === JSON.stringify(habit.history)) {
+            continue;
+          }
+
+          await storage.update(
+            storage.STORES.HABITS,
+            habit.id,
+            {
+              history,
+              streak: calculateStreak(
+                history,
+                getHabitSchedule(habit),
+                getHabitVacations(habit)
+              ),
+              completedToday: wasCompletedOnDate(history, today),
+              version: (habit.version || 0) + 1,
+            },
+            tx
+          );
+          count++;
+        }
+
+        await storage.create(
+          storage.STORES.SETTINGS,
+          {
+            id: HISTORY_REPAIR_ID,
+            appliedAt: now().toISOString(),
+            repairedHabits: count,
+          },
+          tx
+        );
+        return count;
+      }
+    );
+
+    if (repaired) {
+      console.log(`Moved history of ${repaired} habits to local dates`);
+      changeFeed.publish({
+        collection: storage.STORES.HABITS,
+        operation: "bulk",
+      });
+    }
+    return repaired || 0;
+  } catch (error) {
+    console.error("Error repairing habit history dates:", error);
+    return 0;
+  }
+}
+
 // Export the enhanced habit service
 export const enhancedHabitService = {
   getHabits,
   getHabitById,
+  getHabitsByTag,
+  getHabitsByCategory,
   createHabit,
   updateHabit,
   deleteHabit,
+  undeleteHabit,
+  duplicateHabit,
+  reorderHabits,
+  archiveHabit,
+  restoreHabit,
   toggleHabitCompletion,
+  recordHabitValue,
+  setHabitEntry,
+  adjustHabitValue,
   getHabitStats,
+  getHabitStatistics,
+  repairHistoryDates,
   migrateFromLocalStorage,
 };
@@ -1,7 +1,11 @@
 // Enhanced blog post data service using IndexedDB for persistence
 import { v4 as uuidv4 } from "uuid";
-import { dbService } from "./dbService";
-import { generateExcerpt } from "../utils/mdParser";
+import { storage } from "./storageAdapter";
+import { versionedWrites } from "./versionedWrites";
+import { changeFeed } from "./changeFeed";
+import { generateExcerpt, extractTags } from "../utils/mdParser";
+import { now } from "../utils/clock";
+import { extractHabitIds } from "./habitReflections";
 
 // Example initial posts
 const initialPosts = [
@@ -34,6 +38,8 @@ ReactDOM.render(<HelloWorld />, document.getElementById('root'));
     `,
     coverImage: "https://source.unsplash.com/random/800x400/?react",
     updatedAt: null,
+    tags: [],
+    habitIds: [],
   },
   {
     id: "2",
@@ -69,6 +75,8 @@ function Counter() {
     `,
     coverImage: "https://source.unsplash.com/random/800x400/?programming",
     updatedAt: null,
+    tags: [],
+    habitIds: [],
   },
 ];
 
@@ -78,36 +86,83 @@ function Counter() {
  */
 async function initializePostsIfEmpty() {
   try {
-    const count = await dbService.countRecords(dbService.STORES.POSTS);
-    if (count === 0) {
-      // No posts exist, add initial posts
-      for (const post of initialPosts) {
-        await dbService.create(dbService.STORES.POSTS, post);
+    // Count and seed in one transaction so concurrent callers can't both seed
+    const seeded = await storage.transaction(
+      storage.STORES.POSTS,
+      "readwrite",
+      async (tx) => {
+        const count = await storage.countRecords(storage.STORES.POSTS, tx);
+        if (count > 0) return false;
+
+        // No posts exist, add initial posts
+        for (const post of initialPosts) {
+          await storage.create(storage.STORES.POSTS, post, tx);
+        }
+        return true;
       }
+    );
+
+    if (seeded) {
       console.log("Initialized posts database with sample posts");
+      changeFeed.publish({
+        collection: storage.STORES.POSTS,
+        operation: "bulk",
+      });
     }
   } catch (error) {
     console.error("Error initializing posts:", error);
   }
 }
 
+// Supported orderings, each backed by an index so sorting happens in the database
+const POST_ORDERS = {
+  newest: { index: "date", direction: "prev" },
+  oldest: { index: "date", direction: "next" },
+  title: { index: "title", direction: "next" },
+};
+
 /**
- * Get all blog posts, sorted by date (newest first)
- * @returns {Promise<Array>} Array of posts
+ * Get blog posts in the requested order (newest first by default)
+ *
+ * Without a limit, resolves with every post as an array. With a limit,
+ * resolves with a single page `{ posts, nextCursor }`; pass `nextCursor`
+ * back as `cursor` to fetch the following page (null means no more posts).
+ *
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Page size (omit to load all posts)
+ * @param {Object|null} options.cursor - nextCursor from the previous page
+ * @param {string} options.order - "newest", "oldest" or "title"
+ * @returns {Promise<Array|Object>} Array of posts, or a page of posts
  */
-async function getPosts() {
+async function getPosts({ limit, cursor = null, order = "newest" } = {}) {
   try {
     // Make sure database is initialized
     await initializePostsIfEmpty();
 
-    // Get all posts
-    const posts = await dbService.getAll(dbService.STORES.POSTS);
+    const { index, direction } = POST_ORDERS[order] || POST_ORDERS.newest;
+    const { items, nextCursor } = await storage.queryPage(
+      storage.STORES.POSTS,
+      index,
+      { direction, limit: limit || Infinity, after: cursor }
+    );
 
-    // Sort by date, newest first
-    return posts.sort((a, b) => new Date(b.date) - new Date(a.date));
+    return limit ? { posts: items, nextCursor } : items;
   } catch (error) {
     console.error("Error getting posts:", error);
-    return [];
+    return limit ? { posts: [], nextCursor: null } : [];
+  }
+}
+
+/**
+ * Count all blog posts without loading them
+ * @returns {Promise<number>} Number of stored posts
+ */
+async function getPostCount() {
+  try {
+    return await storage.countRecords(storage.STORES.POSTS);
+  } catch (error) {
+    console.error("Error counting posts:", error);
+    return 0;
   }
 }
 
@@ -118,7 +173,7 @@ async function getPosts() {
  */
 async function getPostById(id) {
   try {
-    return await dbService.getById(dbService.STORES.POSTS, id);
+    return await storage.getById(storage.STORES.POSTS, id);
   } catch (error) {
     console.error(`Error getting post with ID ${id}:`, error);
     return null;
@@ -132,7 +187,7 @@ async function getPostById(id) {
  */
 async function createPost(postData) {
   try {
-    const now = new Date().toISOString();
+    const timestamp = now().toISOString();
 
     // Generate excerpt if not provided
     let excerpt = postData.excerpt;
@@ -142,14 +197,15 @@ async function createPost(postData) {
 
     const newPost = {
       id: uuidv4(),
-      date: now,
+      date: timestamp,
       updatedAt: null,
       ...postData,
       excerpt,
+      tags: extractTags(postData.content),
+      habitIds: extractHabitIds(postData.content),
     };
 
-    await dbService.create(dbService.STORES.POSTS, newPost);
-    return newPost;
+    return await versionedWrites.create(storage.STORES.POSTS, newPost);
   } catch (error) {
     console.error("Error creating post:", error);
     throw error;
@@ -171,10 +227,18 @@ async function updatePost(id, postData) {
       updateData.excerpt = generateExcerpt(postData.content, 150);
     }
 
-    // Add updated timestamp
-    updateData.updatedAt = new Date().toISOString();
+    // Keep the indexed tag and habit lists in sync with the frontmatter
+    if (postData.content !== undefined) {
+      updateData.tags = extractTags(postData.content);
+      updateData.habitIds = extractHabitIds(postData.content);
+    }
 
-    return await dbService.update(dbService.STORES.POSTS, id, updateData);
+    // Add updated timestamp, unless the update changes nothing
+    return await versionedWrites.modify(storage.STORES.POSTS, id, (current) =>
+      versionedWrites.getChangedFields(current, updateData).length > 0
+        ? { ...updateData, updatedAt: now().toISOString() }
+        : null
+    );
   } catch (error) {
     console.error(`Error updating post with ID ${id}:`, error);
     throw error;
@@ -188,7 +252,7 @@ async function updatePost(id, postData) {
  */
 async function deletePost(id) {
   try {
-    return await dbService.remove(dbService.STORES.POSTS, id);
+    return await versionedWrites.remove(storage.STORES.POSTS, id);
   } catch (error) {
     console.error(`Error deleting post with ID ${id}:`, error);
     throw error;
@@ -225,6 +289,44 @@ async function searchPosts(query) {
   }
 }
 
+/**
+ * Get posts tagged with a frontmatter tag, using the tags index
+ * @param {string} tag - Tag to look up (case-insensitive)
+ * @returns {Promise<Array>} Matching posts, newest first
+ */
+async function getPostsByTag(tag) {
+  try {
+    const posts = await storage.queryByIndex(
+      storage.STORES.POSTS,
+      "tags",
+      tag.trim().toLowerCase()
+    );
+    return posts.sort((a, b) => new Date(b.date) - new Date(a.date));
+  } catch (error) {
+    console.error(`Error getting posts tagged ${tag}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Get posts that link a habit in their frontmatter, using the habitIds index
+ * @param {string} habitId - Habit ID
+ * @returns {Promise<Array>} Linked posts, newest first
+ */
+async function getPostsByHabit(habitId) {
+  try {
+    const posts = await storage.queryByIndex(
+      storage.STORES.POSTS,
+      "habitIds",
+      habitId
+    );
+    return posts.sort((a, b) => new Date(b.date) - new Date(a.date));
+  } catch (error) {
+    console.error(`Error getting posts about habit ${habitId}:`, error);
+    return [];
+  }
+}
+
 /**
  * Get recent posts
  * @param {number} limit - Maximum number of posts to return
@@ -232,8 +334,8 @@ async function searchPosts(query) {
  */
 async function getRecentPosts(limit = 5) {
   try {
-    const posts = await getPosts();
-    return posts.slice(0, limit);
+    const { posts } = await getPosts({ limit, order: "newest" });
+    return posts;
   } catch (error) {
     console.error("Error getting recent posts:", error);
     return [];
@@ -249,16 +351,39 @@ async function migrateFromLocalStorage() {
     const postsString = localStorage.getItem("blog_posts");
     if (postsString) {
       const posts = JSON.parse(postsString);
-      const count = await dbService.countRecords(dbService.STORES.POSTS);
 
-      // Only migrate if IndexedDB is empty to avoid duplicates
-      if (count === 0 && posts.length > 0) {
-        for (const post of posts) {
-          await dbService.create(dbService.STORES.POSTS, post);
+      // Only migrate if IndexedDB is empty to avoid duplicates; all posts are
+      // written in one transaction so a failure leaves nothing half-migrated
+      const migrated = await storage.transaction(
+        storage.STORES.POSTS,
+        "readwrite",
+        async (tx) => {
+          const count = await storage.countRecords(storage.STORES.POSTS, tx);
+          if (count > 0 || posts.length === 0) return false;
+
+          for (const post of posts) {
+            await storage.create(
+              storage.STORES.POSTS,
+              {
+                ...post,
+                tags: extractTags(post.content),
+                habitIds: extractHabitIds(post.content),
+              },
+              tx
+            );
+          }
+          return true;
         }
+      );
+
+      if (migrated) {
         console.log(
           "Successfully migrated posts from localStorage to IndexedDB"
         );
+        changeFeed.publish({
+          collection: storage.STORES.POSTS,
+          operation: "bulk",
+        });
       }
     }
   } catch (error) {
@@ -269,11 +394,14 @@ async function migrateFromLocalStorage() {
 // Export the enhanced post service
 export const enhancedPostService = {
   getPosts,
+  getPostCount,
   getPostById,
   createPost,
   updatePost,
   deletePost,
   searchPosts,
+  getPostsByTag,
+  getPostsByHabit,
   getRecentPosts,
   migrateFromLocalStorage,
 };
@@ -0,0 +1,160 @@
+// Habit categories and tags, and grouping habits by category
+
+/**
+ * Habit Categories
+ *
+ * A habit has at most one category (e.g. "Health") and any number of
+ * free-form tags. Both are indexed on the habits store (see
+ * schemaMigrations), so habits always carry a category string ("" when
+ * there is none) and a tags array. Categories matching a suggested one
+ * take its spelling; tags are kept lowercase like post tags, so "Morning"
+ * and "morning" are the same tag.
+ */
+
+// Categories offered in the habit form and shown first on the dashboard
+export const SUGGESTED_CATEGORIES = [
+  "Health",
+  "Fitness",
+  "Mindfulness",
+  "Learning",
+  "Work",
+  "Home",
+  "Social",
+];
+
+// Heading of the group of habits without a category
+export const UNCATEGORIZED_LABEL = "Uncategorized";
+
+export const MAX_CATEGORY_LENGTH = 40;
+export const MAX_TAG_LENGTH = 30;
+export const MAX_TAGS = 10;
+
+/**
+ * Clean up a category: trimmed, with a suggested category's spelling
+ *
+ * @param {string} category - Category as entered
+ * @returns {string} Category, or "" for none
+ */
+export function normalizeCategory(category) {
+  if (typeof category !== "string") return "";
+
+  const trimmed = category.trim().replace(/\s+/g, " ");
+  const suggested = SUGGESTED_CATEGORIES.find(
+    (name) => name.toLowerCase() === trimmed.toLowerCase()
+  );
+  return suggested || trimmed;
+}
+
+/**
+ * Clean up tags: lowercase, without a leading "#", without duplicates
+ *
+ * @param {Array<string>|string} tags - Tags, or a comma-separated list
+ * @returns {Array<string>} Tags in the order given
+ */
+export function normalizeTags(tags) {
+  const list = typeof tags === "string" ? tags.split(",") : tags;
+  if (!Array.isArray(list)) return [];
+
+  const normalized = list
+    .filter((tag) => typeof tag === "string")
+    .map((tag) => tag.trim().replace(/^#+/, "").replace(/\s+/g, "-"))
+    .map((tag) => tag.toLowerCase())
+    .filter(Boolean);
+  return [...new Set(normalized)];
+}
+
+/**
+ * Get a habit's category and tags in their stored form
+ *
+ * @param {Object} habit - Habit or habit data
+ * @returns {Object} { category, tags }
+ */
+export function getHabitGrouping(habit) {
+  return {
+    category: normalizeCategory(habit?.category),
+    tags: normalizeTags(habit?.tags),
+  };
+}
+
+/**
+ * Validate a habit's category and tags
+ *
+ * @param {Object} habitData - Habit data with category and tags
+ * @returns {Array<string>} Error messages; empty if valid
+ */
+export function validateHabitGrouping(habitData) {
+  const { category, tags } = getHabitGrouping(habitData);
+  const errors = [];
+
+  if (category.length > MAX_CATEGORY_LENGTH) {
+    errors.push(
+      `Category can be at most ${MAX_CATEGORY_LENGTH} characters long`
+    );
+  }
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    errors.push(`Tags can be at most ${MAX_TAG_LENGTH} characters long`);
+  }
+  if (tags.length > MAX_TAGS) {
+    errors.push(`A habit can have at most ${MAX_TAGS} tags`);
+  }
+
+  return errors;
+}
+
+// Suggested categories in their own order, then others alphabetically,
+// then habits without a category
+function compareCategories(a, b) {
+  if (!a || !b) return a ? -1 : b ? 1 : 0;
+
+  const rankA = SUGGESTED_CATEGORIES.indexOf(a);
+  const rankB = SUGGESTED_CATEGORIES.indexOf(b);
+  if (rankA !== -1 || rankB !== -1) {
+    if (rankA === -1) return 1;
+    if (rankB === -1) return -1;
+    return rankA - rankB;
+  }
+  return a.localeCompare(b, undefined, { sensitivity: "base" });
+}
+
+/**
+ * Group habits by category, keeping their order within each group
+ *
+ * @param {Array} habits - Habits
+ * @returns {Array<Object>} { category, habits }; category "" holds the
+ *   habits without one and comes last
+ */
+export function groupHabitsByCategory(habits) {
+  const groups = new Map();
+  habits.forEach((habit) => {
+    const { category } = getHabitGrouping(habit);
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(habit);
+  });
+
+  return [...groups.keys()]
+    .sort(compareCategories)
+    .map((category) => ({ category, habits: groups.get(category) }));
+}
+
+/**
+ * List the categories in use, in dashboard order
+ *
+ * @param {Array} habits - Habits
+ * @returns {Array<string>} Categories, without ""
+ */
+export function getCategories(habits) {
+  return groupHabitsByCategory(habits)
+    .map((group) => group.category)
+    .filter(Boolean);
+}
+
+/**
+ * List the tags in use
+ *
+ * @param {Array} habits - Habits
+ * @returns {Array<string>} Tags, alphabetically
+ */
+export function getAllTags(habits) {
+  const tags = new Set(habits.flatMap((habit) => normalizeTags(habit.tags)));
+  return [...tags].sort();
+}
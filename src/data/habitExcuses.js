@@ -0,0 +1,164 @@
+// Legitimate misses: skipped and excused days, vacations and streak freezes
+import { addDays, isCalendarDate } from "../utils/localDate";
+import { countCompletions } from "./habitSchedule";
+
+/**
+ * Habit Excuses
+ *
+ * Not every missed day should break a streak. A day is excused when:
+ *
+ *   - its history entry has a status: "skipped" (the user chose to rest),
+ *     "excused" (illness, travel...) or "frozen" (a streak freeze covered it)
+ *   - it falls in a vacation: a date range either for all habits (in the
+ *     preferences) or for one habit (its `vacations`)
+ *
+ *   vacation { start: "2025-07-01", end: "2025-07-14" }
+ *            end may be null while the vacation is ongoing
+ *
+ * Excused days lower a schedule period's quota to what fits in the days
+ * that are left, so "3 times a week" with 5 vacation days asks for 2. A
+ * period left with no quota, or covered by a freeze, is neutral: it
+ * neither adds to the streak nor breaks it. Completions always count, even
+ * on excused days.
+ *
+ * Streak freezes are tokens earned by consistency: one for every
+ * FREEZE_EARN_INTERVAL periods of streak, up to MAX_FREEZE_TOKENS. They are
+ * spent automatically when missed periods would otherwise end a streak.
+ */
+
+export const ENTRY_STATUSES = {
+  SKIPPED: "skipped",
+  EXCUSED: "excused",
+  FROZEN: "frozen",
+};
+
+// Statuses the user can give a day themselves
+export const USER_ENTRY_STATUSES = [
+  ENTRY_STATUSES.SKIPPED,
+  ENTRY_STATUSES.EXCUSED,
+];
+
+export const PERIOD_STATUSES = {
+  MET: "met",
+  NEUTRAL: "neutral",
+  MISSED: "missed",
+};
+
+// A streak freeze is earned every this many periods of streak
+export const FREEZE_EARN_INTERVAL = 7;
+
+export const MAX_FREEZE_TOKENS = 2;
+
+/**
+ * Check vacation ranges
+ *
+ * @param {Array} vacations - Vacation ranges
+ * @returns {Array<string>} Problems found; empty when the ranges are valid
+ */
+export function validateVacations(vacations) {
+  if (!Array.isArray(vacations)) return ["Vacations must be a list"];
+
+  const errors = [];
+  vacations.forEach((vacation, index) => {
+    const label = `Vacation ${index + 1}`;
+    if (!isCalendarDate(vacation?.start)) {
+      errors.push(`${label} needs a start date`);
+    } else if (vacation.end != null && !isCalendarDate(vacation.end)) {
+      errors.push(`${label} has an invalid end date`);
+    } else if (vacation.end != null && vacation.end < vacation.start) {
+      errors.push(`${label} ends before it starts`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check whether a date falls in any vacation
+ *
+ * @param {string} date - Calendar date in YYYY-MM-DD format
+ * @param {Array} vacations - Vacation ranges
+ * @returns {boolean} True on vacation days
+ */
+export function isOnVacation(date, vacations = []) {
+  return vacations.some(
+    (vacation) =>
+      date >= vacation.start && (vacation.end == null || date <= vacation.end)
+  );
+}
+
+/**
+ * Get the vacations that apply to a habit
+ *
+ * @param {Object} habit - Habit
+ * @param {Array} globalVacations - Vacations for all habits
+ * @returns {Array} Vacation ranges
+ */
+export function getHabitVacations(habit, globalVacations = []) {
+  return [...globalVacations, ...(habit?.vacations || [])];
+}
+
+/**
+ * Get the reason a day is excused
+ *
+ * @param {Array} history - History entries
+ * @param {string} date - Calendar date in YYYY-MM-DD format
+ * @param {Array} vacations - Vacation ranges that apply
+ * @returns {string|null} Entry status, "vacation", or null if not excused
+ */
+export function getExcuse(history, date, vacations = []) {
+  const entry = history.find((record) => record.date === date);
+  if (entry?.status && Object.values(ENTRY_STATUSES).includes(entry.status)) {
+    return entry.status;
+  }
+  return isOnVacation(date, vacations) ? "vacation" : null;
+}
+
+/**
+ * Judge a schedule period, taking excused days into account
+ *
+ * @param {Object} period - Period from getPeriod
+ * @param {Array} history - History entries
+ * @param {Array} vacations - Vacation ranges that apply
+ * @returns {string} One of PERIOD_STATUSES
+ */
+export function getPeriodStatus(period, history, vacations = []) {
+  const completions = countCompletions(history, period);
+  if (completions >= period.quota) return PERIOD_STATUSES.MET;
+
+  let freeDays = 0;
+  for (let date = period.start; date <= period.end; date = addDays(date, 1)) {
+    const excuse = getExcuse(history, date, vacations);
+    if (excuse === ENTRY_STATUSES.FROZEN) return PERIOD_STATUSES.NEUTRAL;
+    if (!excuse) freeDays++;
+  }
+
+  const quota = Math.min(period.quota, freeDays);
+  if (quota === 0) {
+    return completions > 0 ? PERIOD_STATUSES.MET : PERIOD_STATUSES.NEUTRAL;
+  }
+  return completions >= quota ? PERIOD_STATUSES.MET : PERIOD_STATUSES.MISSED;
+}
+
+/**
+ * Count streak freezes earned by a streak that just grew
+ *
+ * @param {Object} habit - Habit before the change
+ * @param {number} streak - Streak after the change
+ * @param {string} today - Today's calendar date
+ * @returns {Object} Changes for the habit, empty if nothing was earned
+ */
+export function earnStreakFreeze(habit, streak, today) {
+  const tokens = habit.freezeTokens || 0;
+  const reachedMilestone =
+    streak > (habit.streak || 0) && streak % FREEZE_EARN_INTERVAL === 0;
+
+  // One per day, so undoing and redoing a completion doesn't earn twice
+  if (
+    !reachedMilestone ||
+    tokens >= MAX_FREEZE_TOKENS ||
+    habit.freezeEarnedOn === today
+  ) {
+    return {};
+  }
+  return { freezeTokens: tokens + 1, freezeEarnedOn: today };
+}
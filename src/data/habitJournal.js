@@ -0,0 +1,121 @@
+// Notes and moods written on a habit's days
+/**
+ * Habit Journal
+ *
+ * Any history entry can carry a short note ("ran in the rain, knee
+ * sore"), a mood rating from 1 to 5, and the time either was last
+ * written:
+ *
+ *   { date, completed, note: "...", mood: 4, notedAt: "2025-03-10T..." }
+ *
+ * All three are optional and don't affect completion or streaks.
+ */
+
+export const MOODS = [
+  { value: 1, label: "Awful", emoji: "😣" },
+  { value: 2, label: "Low", emoji: "🙁" },
+  { value: 3, label: "Okay", emoji: "😐" },
+  { value: 4, label: "Good", emoji: "🙂" },
+  { value: 5, label: "Great", emoji: "😄" },
+];
+
+export const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Look up a mood rating
+ *
+ * @param {number} value - Mood rating
+ * @returns {Object|null} { value, label, emoji }, or null if unknown
+ */
+export function getMood(value) {
+  return MOODS.find((mood) => mood.value === value) || null;
+}
+
+/**
+ * Check a note and mood before they are written to an entry
+ *
+ * @param {Object} entry - { note, mood }; undefined fields are left alone
+ *   and a null mood clears it
+ * @returns {Array<string>} Error messages, empty if valid
+ */
+export function validateJournal({ note, mood } = {}) {
+  const errors = [];
+  if (note !== undefined && typeof note !== "string") {
+    errors.push("Note must be text");
+  } else if (note && note.trim().length > MAX_NOTE_LENGTH) {
+    errors.push(`Notes can be at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  if (mood !== undefined && mood !== null && !getMood(mood)) {
+    errors.push(`Unknown mood: ${mood}`);
+  }
+  return errors;
+}
+
+/**
+ * Get the journal fields of a history entry
+ *
+ * @param {Object} entry - History entry (or undefined for no entry)
+ * @returns {Object} { note, mood, notedAt }, with only the fields set
+ */
+export function getJournal(entry) {
+  return {
+    ...(entry?.note && { note: entry.note }),
+    ...(entry?.mood && { mood: entry.mood }),
+    ...(entry?.notedAt && { notedAt: entry.notedAt }),
+  };
+}
+
+/**
+ * Set or remove the note and mood of a history entry
+ *
+ * An empty note or null mood removes it. `notedAt` moves to the given
+ * time when either changes, and goes once neither is left.
+ *
+ * @param {Object} record - History entry
+ * @param {Object} entry - { note, mood }; undefined fields are left alone
+ * @param {string} timestamp - ISO time of the change
+ * @returns {Object} Updated entry
+ */
+export function withJournal(record, { note, mood }, timestamp) {
+  const journaled = { ...record };
+
+  if (note !== undefined) {
+    const trimmed = note.trim();
+    if (trimmed) journaled.note = trimmed;
+    else delete journaled.note;
+  }
+  if (mood !== undefined) {
+    if (mood) journaled.mood = mood;
+    else delete journaled.mood;
+  }
+
+  if (!journaled.note && !journaled.mood) {
+    delete journaled.notedAt;
+  } else if (journaled.note !== record.note || journaled.mood !== record.mood) {
+    journaled.notedAt = timestamp;
+  }
+  return journaled;
+}
+
+/**
+ * Find the notes matching a search
+ *
+ * Every word of the query has to appear in the note, the mood's label or
+ * the date, ignoring case.
+ *
+ * @param {Array} notes - Notes from getHabitNotes
+ * @param {string} query - Search text
+ * @returns {Array} Matching notes, in the same order
+ */
+export function searchHabitNotes(notes, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return notes;
+
+  return notes.filter((entry) => {
+    const text = [entry.note, getMood(entry.mood)?.label, entry.date]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    return words.every((word) => text.includes(word));
+  });
+}
@@ -0,0 +1,147 @@
+// The order habits are shown in: the user's own, or sorted automatically
+import { getHabitReminders } from "./habitReminders";
+
+/**
+ * Habit Order
+ *
+ * Each habit stores its place in the user's own order as a number,
+ * `order`. Habits from before there was an order have none; they keep
+ * their creation order ahead of the others until the user first moves a
+ * habit, which numbers every habit afresh. New habits go last.
+ *
+ * The tracker can instead sort habits automatically, with the user's own
+ * order breaking ties.
+ */
+
+export const SORT_MODES = {
+  MANUAL: "manual",
+  TIME_OF_DAY: "timeOfDay",
+  PENDING_FIRST: "pendingFirst",
+  STREAK: "streak",
+};
+
+export const SORT_MODE_OPTIONS = [
+  { value: SORT_MODES.MANUAL, label: "My order" },
+  { value: SORT_MODES.TIME_OF_DAY, label: "Time of day" },
+  { value: SORT_MODES.PENDING_FIRST, label: "Not done first" },
+  { value: SORT_MODES.STREAK, label: "Longest streak first" },
+];
+
+const hasOrder = (habit) => typeof habit.order === "number";
+
+/**
+ * Compare habits by the user's own order
+ *
+ * @param {Object} a - Habit
+ * @param {Object} b - Habit
+ * @returns {number} Negative if a comes first
+ */
+export function compareByOrder(a, b) {
+  if (hasOrder(a) !== hasOrder(b)) return hasOrder(a) ? 1 : -1;
+  if (hasOrder(a) && a.order !== b.order) return a.order - b.order;
+  return (a.created || "").localeCompare(b.created || "");
+}
+
+/**
+ * Get the order value that puts a new habit last
+ *
+ * @param {Array} habits - Existing habits
+ * @returns {number} Order for the new habit
+ */
+export function getNextOrder(habits) {
+  const orders = habits.filter(hasOrder).map((habit) => habit.order);
+  return orders.length > 0 ? Math.max(...orders) + 1 : habits.length;
+}
+
+/**
+ * Get an order value that puts a habit right after another one
+ *
+ * @param {Array} habits - Existing habits
+ * @param {Object} habit - Habit to follow
+ * @returns {number} Order between the habit and the one after it
+ */
+export function getOrderAfter(habits, habit) {
+  if (!hasOrder(habit)) return getNextOrder(habits);
+
+  const next = habits
+    .filter((other) => hasOrder(other) && other.order > habit.order)
+    .reduce((min, other) => Math.min(min, other.order), Infinity);
+  return next === Infinity ? habit.order + 1 : (habit.order + next) / 2;
+}
+
+/**
+ * Number habits so the given ones take the given order
+ *
+ * The given habits (e.g. one category's) swap among the places they
+ * already hold; every other habit keeps its place.
+ *
+ * @param {Array} habits - All habits
+ * @param {Array<string>} ids - IDs of some habits in their new order
+ * @returns {Map<string, number>} New order of every habit by ID
+ */
+export function assignOrders(habits, ids) {
+  const current = [...habits].sort(compareByOrder).map((habit) => habit.id);
+  const moved = new Set(ids);
+  const places = current
+    .map((id, place) => (moved.has(id) ? place : -1))
+    .filter((place) => place !== -1);
+
+  const reordered = [...current];
+  places.forEach((place, index) => {
+    reordered[place] = ids[index];
+  });
+  return new Map(reordered.map((id, order) => [id, order]));
+}
+
+/**
+ * Move an item of a list to another position
+ *
+ * @param {Array} list - List
+ * @param {number} from - Current position
+ * @param {number} to - New position
+ * @returns {Array} New list
+ */
+export function moveItem(list, from, to) {
+  const moved = [...list];
+  const [item] = moved.splice(from, 1);
+  moved.splice(to, 0, item);
+  return moved;
+}
+
+// Earliest reminder time, or null for habits without reminders
+const getTimeOfDay = (habit) => getHabitReminders(habit)[0] || null;
+
+// Not done and due today first, then done today, then the rest
+const getPendingRank = (habit, isDueToday) => {
+  if (habit.completedToday) return 1;
+  return isDueToday(habit) ? 0 : 2;
+};
+
+/**
+ * Sort habits for display
+ *
+ * @param {Array} habits - Habits
+ * @param {string} mode - One of SORT_MODES
+ * @param {Object} options - Options
+ * @param {Function} options.isDueToday - (habit) => whether the habit is
+ *   due today, for SORT_MODES.PENDING_FIRST
+ * @returns {Array} Sorted habits
+ */
+export function sortHabits(habits, mode, { isDueToday = () => true } = {}) {
+  const compare = {
+    [SORT_MODES.TIME_OF_DAY]: (a, b) => {
+      const timeA = getTimeOfDay(a);
+      const timeB = getTimeOfDay(b);
+      if (timeA === timeB) return 0;
+      if (!timeA || !timeB) return timeA ? -1 : 1;
+      return timeA.localeCompare(timeB);
+    },
+    [SORT_MODES.PENDING_FIRST]: (a, b) =>
+      getPendingRank(a, isDueToday) - getPendingRank(b, isDueToday),
+    [SORT_MODES.STREAK]: (a, b) => (b.streak || 0) - (a.streak || 0),
+  }[mode];
+
+  return [...habits].sort(
+    (a, b) => (compare ? compare(a, b) : 0) || compareByOrder(a, b)
+  );
+}
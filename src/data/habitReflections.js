@@ -0,0 +1,243 @@
+// Blog posts written about habits: reflection drafts and habit links
+import {
+  addDays,
+  formatCalendarDate,
+  isCalendarDate,
+} from "../utils/localDate";
+import { extractFrontmatter } from "../utils/mdParser";
+import { formatHabitValue, getHabitGoal, isMeasured } from "./habitTypes";
+import { getDailyWeight, getHabitSchedule } from "./habitSchedule";
+import { getExcuse, getHabitVacations } from "./habitExcuses";
+import { getHabitNotes, getRangeCompletionRate } from "./habitStatistics";
+import { getMood } from "./habitJournal";
+
+/**
+ * Habit Reflections
+ *
+ * A post links the habits it is about in its frontmatter, by ID:
+ *
+ *   ---
+ *   habits: 1, 8f14e45f-ceea-467f-a0e7-6b0ad3e3f2a1
+ *   tags: habits, reflection
+ *   ---
+ *
+ * Posts keep the linked IDs in `habitIds` (indexed like `tags`), so a
+ * habit's page can list the posts written about it. A reflection draft
+ * starts such a post with a table of the period's days.
+ */
+
+// Days covered by a reflection unless another period is asked for
+export const REFLECTION_DAYS = 7;
+
+// Longest period a reflection can cover; the table has a column per day
+export const MAX_REFLECTION_DAYS = 366;
+
+const DATE_LABEL = { month: "short", day: "numeric" };
+
+/**
+ * Parse the habit IDs of a frontmatter list such as "1, 2"
+ *
+ * @param {string|Array} value - Raw frontmatter value
+ * @returns {Array<string>} Unique, trimmed IDs
+ */
+export function parseHabitIds(value) {
+  if (!value) return [];
+
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  const ids = items.map((item) => String(item).trim()).filter(Boolean);
+  return [...new Set(ids)];
+}
+
+/**
+ * Get the IDs of the habits a post links in its frontmatter
+ *
+ * @param {string} markdown - Markdown text with potential frontmatter
+ * @returns {Array<string>} Linked habit IDs
+ */
+export function extractHabitIds(markdown) {
+  const { metadata } = extractFrontmatter(markdown);
+  return parseHabitIds(metadata.habits);
+}
+
+/**
+ * Get the period a reflection covers by default: the last week up to a day
+ *
+ * @param {string} end - Last day (usually today)
+ * @returns {Object} { start, end } calendar dates
+ */
+export function getReflectionPeriod(end) {
+  return { start: addDays(end, -(REFLECTION_DAYS - 1)), end };
+}
+
+/**
+ * Read the period asked for by a reflection link
+ *
+ * @param {string} from - First day, as given in the link
+ * @param {string} to - Last day, as given in the link
+ * @param {string} today - Today's calendar date
+ * @returns {Object} { start, end } calendar dates; the last week up to
+ *   today unless the link gives a valid period of at most
+ *   MAX_REFLECTION_DAYS days
+ */
+export function parseReflectionPeriod(from, to, today) {
+  const valid =
+    isCalendarDate(from) &&
+    isCalendarDate(to) &&
+    from <= to &&
+    to <= addDays(from, MAX_REFLECTION_DAYS - 1);
+
+  return valid ? { start: from, end: to } : getReflectionPeriod(today);
+}
+
+/**
+ * Build the link that opens a reflection draft in the post editor
+ *
+ * @param {Array<string>} habitIds - Habits to reflect on
+ * @param {Object} period - { start, end } calendar dates
+ * @returns {string} Path to the post editor
+ */
+export function getReflectionLink(habitIds, { start, end }) {
+  const params = new URLSearchParams({
+    habits: habitIds.join(","),
+    from: start,
+    to: end,
+  });
+  return `/create?${params}`;
+}
+
+// Keep a table cell from being split by a pipe in the text
+const escapeCell = (text) => String(text).replace(/\|/g, "\\|");
+
+// Show a habit name as written, not as links, emphasis or HTML
+const escapeMarkdown = (text) => String(text).replace(/[\\`*_[\]<>~]/g, "\\$&");
+
+// Keep a note on its list item's line
+const toOneLine = (text) => text.replace(/\s*[\r\n]+\s*/g, " ");
+
+// What a day of a habit looks like in the table: done, excused, not
+// scheduled, or missed (today isn't missed yet)
+const describeDay = (habit, date, { today, vacations }) => {
+  const goal = getHabitGoal(habit);
+  const entry = habit.history.find((record) => record.date === date);
+  const value =
+    isMeasured(goal) && entry?.value
+      ? ` ${formatHabitValue(goal, entry.value)}`
+      : "";
+  const excuse = getExcuse(habit.history, date, vacations);
+
+  if (entry?.completed) return `✓${value}`;
+  if (entry?.slipped) return "✗ slip";
+  if (excuse) return excuse;
+  if (getDailyWeight(getHabitSchedule(habit), date) === 0) return "–";
+  if (date === today) return value.trim();
+  return `✗${value}`;
+};
+
+/**
+ * Build a markdown table of the habits' days over a period
+ *
+ * One row per habit and one column per day, ending with the completion
+ * rate over the period (see getRangeCompletionRate).
+ *
+ * @param {Array} habits - Habits
+ * @param {Object} period - { start, end } calendar dates
+ * @param {Object} options - Options
+ * @param {string} options.today - Today's calendar date
+ * @param {Array} options.vacations - Vacations for all habits
+ * @returns {string} Markdown table
+ */
+export function buildCompletionTable(
+  habits,
+  { start, end },
+  { today = end, vacations = [] } = {}
+) {
+  const dates = [];
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+
+  const header = [
+    "Habit",
+    ...dates.map((date) =>
+      formatCalendarDate(date, { weekday: "short", ...DATE_LABEL }, "en-US")
+    ),
+    "Rate",
+  ];
+  const rows = habits.map((habit) => {
+    const habitVacations = getHabitVacations(habit, vacations);
+    const rate = getRangeCompletionRate(habit, getHabitSchedule(habit), {
+      from: start,
+      to: end,
+      today,
+      vacations: habitVacations,
+    });
+    return [
+      `[${escapeMarkdown(habit.name)}](/habits/${habit.id})`,
+      ...dates.map((date) =>
+        describeDay(habit, date, { today, vacations: habitVacations })
+      ),
+      rate === null ? "–" : `${rate}%`,
+    ];
+  });
+
+  return [header, ["---", ...dates.map(() => ":-:"), "--:"], ...rows]
+    .map((row) => `| ${row.map(escapeCell).join(" | ")} |`)
+    .join("\n");
+}
+
+/**
+ * Start a blog post reflecting on habits over a period
+ *
+ * The draft links the habits in its frontmatter and holds a table of the
+ * period's days, the notes written in it and a heading to write under.
+ * The title goes in the post's own title field.
+ *
+ * @param {Array} habits - Habits to reflect on
+ * @param {Object} period - { start, end } calendar dates
+ * @param {Object} options - Options for buildCompletionTable
+ * @returns {Object} { title, content } for the post editor
+ */
+export function createReflectionDraft(habits, period, options = {}) {
+  const from = formatCalendarDate(period.start, DATE_LABEL, "en-US");
+  const to = formatCalendarDate(
+    period.end,
+    { ...DATE_LABEL, year: "numeric" },
+    "en-US"
+  );
+  const title =
+    habits.length === 1
+      ? `Reflecting on ${habits[0].name}: ${from} – ${to}`
+      : `Habit reflection: ${from} – ${to}`;
+
+  const notes = habits.flatMap((habit) =>
+    getHabitNotes(habit.history)
+      .filter(({ date }) => date >= period.start && date <= period.end)
+      .map(({ date, note, mood }) => {
+        const label = [
+          formatCalendarDate(date, DATE_LABEL, "en-US"),
+          getMood(mood)?.emoji,
+        ]
+          .filter(Boolean)
+          .join(" ");
+        return `- **${escapeMarkdown(habit.name)}**, ${label}${
+          note ? `: ${toOneLine(note)}` : ""
+        }`;
+      })
+  );
+
+  const content = [
+    "---",
+    `habits: ${habits.map((habit) => habit.id).join(", ")}`,
+    "tags: habits, reflection",
+    "---",
+    "",
+    buildCompletionTable(habits, period, options),
+    "",
+    ...(notes.length > 0 ? ["## Notes", "", ...notes, ""] : []),
+    "## How did it go?",
+    "",
+    "",
+  ].join("\n");
+
+  return { title, content };
+}
@@ -0,0 +1,191 @@
+// Reminder times of habits and which reminders are due
+/**
+ * Habit Reminders
+ *
+ * A habit can have several reminder times ("08:00", "20:30"), stored as
+ * `reminders`. Habits saved before that have a single `reminderTime`,
+ * which is still read (and kept in step with the first reminder).
+ *
+ * Each reminder fires at most once per habit day, and only while the habit
+ * is due and not yet done; deciding that is up to the caller, who passes in
+ * the habits that still need doing. On top of that:
+ *
+ *   - quiet hours hold reminders back: one that falls inside them is
+ *     delivered when they end, as long as that is still the same habit day
+ *   - a reminder missed while the app was closed is still delivered if the
+ *     app opens within MISSED_REMINDER_GRACE_MINUTES
+ *   - a snoozed reminder fires again at the time it was snoozed until
+ *
+ * Delivery state (which reminders fired, which are snoozed) is kept per
+ * device by the reminder scheduler and keyed with getReminderKey.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// How late a reminder may still be delivered, e.g. when the app opens after
+// its time has passed
+export const MISSED_REMINDER_GRACE_MINUTES = 60;
+
+export const DEFAULT_SNOOZE_MINUTES = 10;
+
+export const SNOOZE_MINUTE_OPTIONS = [5, 10, 15, 30, 60];
+
+/**
+ * Check whether a value is a HH:MM (24-hour) time
+ *
+ * @param {string} value - Value to check
+ * @returns {boolean} True for valid times
+ */
+export const isReminderTime = (value) =>
+  typeof value === "string" && TIME_PATTERN.test(value);
+
+// "08:30" -> 510
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+// Minutes since the habit day began, so 01:00 comes after 23:00 when days
+// start at 3am
+const toDayMinutes = (time, dayStartHour) =>
+  (toMinutes(time) - dayStartHour * 60 + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+
+/**
+ * Get a habit's reminder times
+ *
+ * @param {Object} habit - Habit or habit data
+ * @returns {Array<string>} Distinct HH:MM times, earliest first
+ */
+export function getHabitReminders(habit) {
+  const times = Array.isArray(habit?.reminders)
+    ? habit.reminders
+    : [habit?.reminderTime];
+  return [...new Set(times.filter(isReminderTime))].sort();
+}
+
+/**
+ * Check a list of reminder times
+ *
+ * @param {Array<string>} times - Reminder times
+ * @returns {Array<string>} Problems found; empty when the times are valid
+ */
+export function validateReminderTimes(times) {
+  if (!Array.isArray(times)) return ["Reminders must be a list of times"];
+
+  const errors = [];
+  times.forEach((time, index) => {
+    if (!isReminderTime(time)) {
+      errors.push(`Reminder ${index + 1} needs a time`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check quiet hours
+ *
+ * @param {Object|null} quietHours - { start, end } in HH:MM, or null for none
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+export function validateQuietHours(quietHours) {
+  if (quietHours === null) return [];
+  if (!isReminderTime(quietHours?.start) || !isReminderTime(quietHours?.end)) {
+    return ["Quiet hours need a start and an end time"];
+  }
+  if (quietHours.start === quietHours.end) {
+    return ["Quiet hours must start and end at different times"];
+  }
+  return [];
+}
+
+/**
+ * Check whether a time falls in quiet hours
+ *
+ * Quiet hours may run past midnight (22:00 to 07:00). The end time itself
+ * is no longer quiet.
+ *
+ * @param {string} time - Time in HH:MM format
+ * @param {Object|null} quietHours - { start, end }, or null for none
+ * @returns {boolean} True if reminders should stay quiet
+ */
+export function isInQuietHours(time, quietHours) {
+  if (!quietHours) return false;
+
+  const minutes = toMinutes(time);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Build the key identifying one reminder on one habit day
+ *
+ * @param {string} habitId - Habit ID
+ * @param {string} date - Habit day in YYYY-MM-DD format
+ * @param {string} time - Reminder time in HH:MM format
+ * @returns {string} Reminder key
+ */
+export const getReminderKey = (habitId, date, time) =>
+  `${habitId}@${date}T${time}`;
+
+/**
+ * Find the reminders to deliver now
+ *
+ * @param {Array} habits - Habits that are due today and not yet done
+ * @param {Object} options - Current moment and delivery state
+ * @param {string} options.date - Today's habit day (YYYY-MM-DD)
+ * @param {string} options.time - Current wall-clock time (HH:MM)
+ * @param {Date} options.now - Current moment, for snoozes
+ * @param {number} options.dayStartHour - Hour at which habit days begin
+ * @param {Object|null} options.quietHours - { start, end }, or null
+ * @param {Array<string>} options.delivered - Keys of reminders already shown
+ * @param {Object} options.snoozes - Snoozed until (ISO string), by key
+ * @returns {Array<Object>} Reminders as { key, habit, time, snoozed }
+ */
+export function getDueReminders(habits, options) {
+  const {
+    date,
+    time,
+    now,
+    dayStartHour = 0,
+    quietHours = null,
+    delivered = [],
+    snoozes = {},
+  } = options;
+
+  if (isInQuietHours(time, quietHours)) return [];
+
+  const current = toDayMinutes(time, dayStartHour);
+  const due = [];
+
+  habits.forEach((habit) => {
+    getHabitReminders(habit).forEach((reminderTime) => {
+      const key = getReminderKey(habit.id, date, reminderTime);
+
+      if (snoozes[key]) {
+        if (new Date(snoozes[key]) <= now) {
+          due.push({ key, habit, time: reminderTime, snoozed: true });
+        }
+        return;
+      }
+      if (delivered.includes(key)) return;
+
+      // Held back until quiet hours end, unless that's already tomorrow
+      const scheduled = toDayMinutes(reminderTime, dayStartHour);
+      const at = isInQuietHours(reminderTime, quietHours)
+        ? toDayMinutes(quietHours.end, dayStartHour)
+        : scheduled;
+      if (at < scheduled) return;
+
+      if (current >= at && current - at <= MISSED_REMINDER_GRACE_MINUTES) {
+        due.push({ key, habit, time: reminderTime, snoozed: false });
+      }
+    });
+  });
+
+  return due;
+}
@@ -0,0 +1,386 @@
+// Habit schedules: when a habit is due and how its streak is measured
+import { addDays, getDayOfWeek, isCalendarDate } from "../utils/localDate";
+
+/**
+ * Habit Schedules
+ *
+ * A schedule splits the calendar into periods, each with a quota of
+ * completions:
+ *
+ *   weekdays       { type: "weekdays", days: [1, 3, 5] }
+ *                  each listed weekday is a one-day period, quota 1
+ *   timesPerWeek   { type: "timesPerWeek", times: 3 }
+ *                  weeks (Monday to Sunday), quota `times`, any days
+ *   interval       { type: "interval", every: 2, startDate: "2025-03-01" }
+ *                  blocks of `every` days from `startDate`, quota 1
+ *   timesPerMonth  { type: "timesPerMonth", times: 2 }
+ *                  calendar months, quota `times`, any days
+ *   monthDays      { type: "monthDays", days: [1, 15] }
+ *                  each listed day of the month is a one-day period;
+ *                  days past the end of a month fall on its last day
+ *
+ * A streak is the number of consecutive periods whose quota was met, so
+ * it is measured in days, weeks, months or intervals depending on the
+ * schedule (see getStreakUnit). The period in progress counts once its
+ * quota is met, and can't break the streak before it is over.
+ *
+ * Habits saved before schedules existed only have `targetDays`, which is
+ * read as a weekdays schedule. `targetDays` is still kept on every habit:
+ * the days a weekdays schedule covers, or every day for other schedules.
+ */
+
+export const SCHEDULE_TYPES = {
+  WEEKDAYS: "weekdays",
+  TIMES_PER_WEEK: "timesPerWeek",
+  INTERVAL: "interval",
+  TIMES_PER_MONTH: "timesPerMonth",
+  MONTH_DAYS: "monthDays",
+};
+
+export const SCHEDULE_TYPE_OPTIONS = {
+  [SCHEDULE_TYPES.WEEKDAYS]: { label: "On specific weekdays", unit: "day" },
+  [SCHEDULE_TYPES.TIMES_PER_WEEK]: { label: "Times per week", unit: "week" },
+  [SCHEDULE_TYPES.INTERVAL]: { label: "Every few days", unit: "interval" },
+  [SCHEDULE_TYPES.TIMES_PER_MONTH]: { label: "Times per month", unit: "month" },
+  [SCHEDULE_TYPES.MONTH_DAYS]: { label: "On days of the month", unit: "day" },
+};
+
+export const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+// Weeks run Monday to Sunday
+const WEEK_STARTS_ON = 1;
+
+// Day-by-day searches never need to look further back than this
+const MAX_DAYS_BETWEEN_PERIODS = 31;
+
+const getDayOfMonth = (dateStr) => Number(dateStr.slice(8, 10));
+
+const getMonthStart = (dateStr) => `${dateStr.slice(0, 8)}01`;
+
+// Day 0 of the next month is the last day of this one
+const getDaysInMonth = (dateStr) =>
+  new Date(
+    Date.UTC(Number(dateStr.slice(0, 4)), Number(dateStr.slice(5, 7)), 0)
+  ).getUTCDate();
+
+const getMonthEnd = (dateStr) =>
+  `${dateStr.slice(0, 8)}${String(getDaysInMonth(dateStr)).padStart(2, "0")}`;
+
+// Whole days from one calendar date to another
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Get a habit's schedule, reading older habits' targetDays as weekdays
+ *
+ * @param {Object} habit - Habit (or habit form data)
+ * @returns {Object} Schedule
+ */
+export function getHabitSchedule(habit) {
+  if (habit?.schedule && SCHEDULE_TYPE_OPTIONS[habit.schedule.type]) {
+    return habit.schedule;
+  }
+  return {
+    type: SCHEDULE_TYPES.WEEKDAYS,
+    days: Array.isArray(habit?.targetDays) ? habit.targetDays : EVERY_DAY,
+  };
+}
+
+/**
+ * Accept either a schedule or a legacy targetDays array
+ *
+ * @param {Object|Array} scheduleOrDays - Schedule or weekday numbers
+ * @returns {Object} Schedule
+ */
+export function toSchedule(scheduleOrDays) {
+  return Array.isArray(scheduleOrDays)
+    ? { type: SCHEDULE_TYPES.WEEKDAYS, days: scheduleOrDays }
+    : scheduleOrDays;
+}
+
+/**
+ * Check whether a schedule is complete and usable
+ *
+ * @param {Object} schedule - Schedule to check
+ * @returns {Array<string>} Problems found; empty when the schedule is valid
+ */
+export function validateSchedule(schedule) {
+  switch (schedule?.type) {
+    case SCHEDULE_TYPES.WEEKDAYS:
+      return Array.isArray(schedule.days) &&
+        schedule.days.every(
+          (day) => Number.isInteger(day) && day >= 0 && day <= 6
+        )
+        ? []
+        : ["Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)"];
+    case SCHEDULE_TYPES.TIMES_PER_WEEK:
+      return isPositiveInteger(schedule.times) && schedule.times <= 7
+        ? []
+        : ["Times per week must be a whole number from 1 to 7"];
+    case SCHEDULE_TYPES.TIMES_PER_MONTH:
+      return isPositiveInteger(schedule.times) && schedule.times <= 31
+        ? []
+        : ["Times per month must be a whole number from 1 to 31"];
+    case SCHEDULE_TYPES.INTERVAL: {
+      const errors = [];
+      if (!isPositiveInteger(schedule.every)) {
+        errors.push("The interval must be a whole number of days");
+      }
+      if (!isCalendarDate(schedule.startDate)) {
+        errors.push("The interval needs a start date");
+      }
+      return errors;
+    }
+    case SCHEDULE_TYPES.MONTH_DAYS:
+      return Array.isArray(schedule.days) &&
+        schedule.days.length > 0 &&
+        schedule.days.every(
+          (day) => Number.isInteger(day) && day >= 1 && day <= 31
+        )
+        ? []
+        : ["Pick at least one day of the month (1-31)"];
+    default:
+      return [`Unknown schedule type: ${schedule?.type}`];
+  }
+}
+
+/**
+ * Weekdays a schedule can fall on, kept on habits as `targetDays`
+ *
+ * @param {Object} schedule - Schedule
+ * @returns {Array<number>} Weekday numbers (0 is Sunday)
+ */
+export function getScheduleTargetDays(schedule) {
+  return schedule.type === SCHEDULE_TYPES.WEEKDAYS
+    ? [...schedule.days].sort((a, b) => a - b)
+    : EVERY_DAY;
+}
+
+// Whether a one-day schedule falls on a date
+function isScheduledDay(schedule, date) {
+  if (schedule.type === SCHEDULE_TYPES.WEEKDAYS) {
+    return schedule.days.includes(getDayOfWeek(date));
+  }
+
+  // monthDays: a day past the end of the month falls on its last day
+  const lastDay = getDaysInMonth(date);
+  const day = getDayOfMonth(date);
+  return schedule.days.some(
+    (scheduled) => Math.min(scheduled, lastDay) === day
+  );
+}
+
+/**
+ * Get the period of a schedule that contains a date
+ *
+ * @param {Object} schedule - Schedule
+ * @param {string} date - Calendar date in YYYY-MM-DD format
+ * @returns {Object|null} { start, end, quota }, or null if no period of
+ *   the schedule contains the date (e.g. a weekday that isn't scheduled)
+ */
+export function getPeriod(schedule, date) {
+  switch (schedule.type) {
+    case SCHEDULE_TYPES.WEEKDAYS:
+    case SCHEDULE_TYPES.MONTH_DAYS:
+      return isScheduledDay(schedule, date)
+        ? { start: date, end: date, quota: 1 }
+        : null;
+
+    case SCHEDULE_TYPES.TIMES_PER_WEEK: {
+      const offset = (getDayOfWeek(date) - WEEK_STARTS_ON + 7) % 7;
+      const start = addDays(date, -offset);
+      return { start, end: addDays(start, 6), quota: schedule.times };
+    }
+
+    case SCHEDULE_TYPES.TIMES_PER_MONTH:
+      return {
+        start: getMonthStart(date),
+        end: getMonthEnd(date),
+        quota: schedule.times,
+      };
+
+    case SCHEDULE_TYPES.INTERVAL: {
+      const elapsed = daysBetween(schedule.startDate, date);
+      if (elapsed < 0) return null;
+
+      const start = addDays(
+        schedule.startDate,
+        elapsed - (elapsed % schedule.every)
+      );
+      return { start, end: addDays(start, schedule.every - 1), quota: 1 };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the latest period that starts on or before a date
+ *
+ * @param {Object} schedule - Schedule
+ * @param {string} date - Calendar date in YYYY-MM-DD format
+ * @returns {Object|null} Period, or null if the schedule has none so far
+ */
+export function getLatestPeriod(schedule, date) {
+  for (let i = 0; i <= MAX_DAYS_BETWEEN_PERIODS; i++) {
+    const period = getPeriod(schedule, addDays(date, -i));
+    if (period) return period;
+    // Nothing before an interval's start date
+    if (schedule.type === SCHEDULE_TYPES.INTERVAL) return null;
+  }
+  return null;
+}
+
+/**
+ * Get the period before a given one
+ *
+ * @param {Object} schedule - Schedule
+ * @param {Object} period - Period from getPeriod
+ * @returns {Object|null} Previous period, or null if there is none
+ */
+export function getPreviousPeriod(schedule, period) {
+  return getLatestPeriod(schedule, addDays(period.start, -1));
+}
+
+/**
+ * Count completions within a period
+ *
+ * @param {Array} history - History entries
+ * @param {Object} period - Period from getPeriod
+ * @returns {number} Completed days in the period
+ */
+export function countCompletions(history, period) {
+  return history.filter(
+    (entry) =>
+      entry.completed && entry.date >= period.start && entry.date <= period.end
+  ).length;
+}
+
+/**
+ * Check whether a habit still needs doing on a date
+ *
+ * One-day schedules are due on their scheduled days. Quota schedules are
+ * due on any day of a period whose quota isn't met yet (or that already
+ * has a completion on that day).
+ *
+ * @param {Object|Array} scheduleOrDays - Schedule, or legacy targetDays
+ * @param {string} date - Calendar date in YYYY-MM-DD format
+ * @param {Array} history - History entries
+ * @returns {boolean} True if the habit is due on the date
+ */
+export function isDueOn(scheduleOrDays, date, history = []) {
+  const schedule = toSchedule(scheduleOrDays);
+  const period = getPeriod(schedule, date);
+  if (!period) return false;
+  if (period.quota === 1 && period.start === period.end) return true;
+
+  const completedThatDay = history.some(
+    (entry) => entry.date === date && entry.completed
+  );
+  return completedThatDay || countCompletions(history, period) < period.quota;
+}
+
+/**
+ * How many completions a schedule expects on a date, on average
+ *
+ * One-day schedules expect 1 on scheduled days and 0 otherwise; the
+ * others spread their quota over the days of each period.
+ *
+ * @param {Object|Array} scheduleOrDays - Schedule, or legacy targetDays
+ * @param {string} date - Calendar date in YYYY-MM-DD format
+ * @returns {number} Expected completions (0 to 1)
+ */
+export function getDailyWeight(scheduleOrDays, date) {
+  const schedule = toSchedule(scheduleOrDays);
+  const period = getPeriod(schedule, date);
+  if (!period) return 0;
+
+  return Math.min(
+    1,
+    period.quota / (daysBetween(period.start, period.end) + 1)
+  );
+}
+
+/**
+ * Share of the expected completions achieved over a range of dates
+ *
+ * @param {Object|Array} scheduleOrDays - Schedule, or legacy targetDays
+ * @param {Array} history - History entries
+ * @param {Array<string>} dates - Calendar dates to consider
+ * @returns {number} Completion rate from 0 to 100
+ */
+export function getCompletionRate(scheduleOrDays, history, dates) {
+  const expected = dates.reduce(
+    (sum, date) => sum + getDailyWeight(scheduleOrDays, date),
+    0
+  );
+  if (expected === 0) return 0;
+
+  const range = new Set(dates);
+  const completed = history.filter(
+    (entry) => entry.completed && range.has(entry.date)
+  ).length;
+
+  return Math.min(100, Math.round((completed / expected) * 100));
+}
+
+/**
+ * Unit a schedule's streak is counted in
+ *
+ * @param {Object} schedule - Schedule
+ * @returns {string} "day", "week", "month" or "interval"
+ */
+export function getStreakUnit(schedule) {
+  return SCHEDULE_TYPE_OPTIONS[schedule.type]?.unit || "day";
+}
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// 1 -> "1st", 22 -> "22nd"
+const toOrdinal = (day) => {
+  const suffixes = { 1: "st", 2: "nd", 3: "rd" };
+  const suffix = day >= 11 && day <= 13 ? "th" : suffixes[day % 10] || "th";
+  return `${day}${suffix}`;
+};
+
+/**
+ * Describe a schedule in words, e.g. "3 times a week" or "on the 1st and 15th"
+ *
+ * @param {Object} schedule - Schedule
+ * @returns {string} Description
+ */
+export function describeSchedule(schedule) {
+  switch (schedule.type) {
+    case SCHEDULE_TYPES.WEEKDAYS:
+      if (schedule.days.length === 7) return "Every day";
+      return [...schedule.days]
+        .sort()
+        .map((day) => WEEKDAY_NAMES[day])
+        .join(", ");
+    case SCHEDULE_TYPES.TIMES_PER_WEEK:
+      return schedule.times === 1
+        ? "Once a week"
+        : `${schedule.times} times a week`;
+    case SCHEDULE_TYPES.TIMES_PER_MONTH:
+      return schedule.times === 1
+        ? "Once a month"
+        : `${schedule.times} times a month`;
+    case SCHEDULE_TYPES.INTERVAL:
+      return schedule.every === 1
+        ? "Every day"
+        : `Every ${schedule.every} days`;
+    case SCHEDULE_TYPES.MONTH_DAYS: {
+      const days = [...schedule.days].sort((a, b) => a - b).map(toOrdinal);
+      const list =
+        days.length > 1
+          ? `${days.slice(0, -1).join(", ")} and ${days[days.length - 1]}`
+          : days[0];
+      return `On the ${list}`;
+    }
+    default:
+      return "";
+  }
+}
@@ -0,0 +1,123 @@
+// Avoid habits: days count as done unless the user logs a slip
+import { addDays, toLocalDateString } from "../utils/localDate";
+import { HABIT_TYPES, getHabitGoal } from "./habitTypes";
+import { EVERY_DAY, SCHEDULE_TYPES } from "./habitSchedule";
+
+/**
+ * Habit Slips
+ *
+ * An avoid habit ("no sugar", "no social media after 10pm") succeeds by
+ * default: every day it is tracked counts as done unless the user logs a
+ * slip. Clean days are written into the history as completed entries as
+ * the days come round (see fillCleanDays), so streaks, charts and
+ * statistics treat them like any other completion, and the streak is the
+ * number of days since the last slip. A slip is the day's entry:
+ *
+ *   { date, completed: false, slipped: true, slippedAt }
+ *
+ * Avoid habits are tracked every day and don't earn or spend streak
+ * freezes: a slip always ends the streak, even on the day it happens.
+ */
+
+// Avoid habits are tracked every day
+export const AVOID_SCHEDULE = {
+  type: SCHEDULE_TYPES.WEEKDAYS,
+  days: EVERY_DAY,
+};
+
+/**
+ * Check whether a habit is something to avoid
+ *
+ * @param {Object} habit - Habit (or habit form data)
+ * @returns {boolean} True for avoid habits
+ */
+export function isAvoidHabit(habit) {
+  return getHabitGoal(habit).type === HABIT_TYPES.AVOID;
+}
+
+/**
+ * Check whether a history entry records a slip
+ *
+ * @param {Object} entry - History entry (or undefined for no entry)
+ * @returns {boolean} True if the habit slipped that day
+ */
+export function isSlip(entry) {
+  return Boolean(entry?.slipped) && !entry.completed;
+}
+
+/**
+ * Get the first day an avoid habit counts: the day it was created
+ *
+ * @param {Object} habit - Habit
+ * @returns {string|null} Calendar date, or null if unknown
+ */
+export function getTrackingStart(habit) {
+  return habit.created ? toLocalDateString(habit.created) : null;
+}
+
+/**
+ * Record every day without an entry as clean
+ *
+ * @param {Array} history - History entries
+ * @param {string|null} start - First day to fill in
+ * @param {string} today - Last day to fill in
+ * @returns {Array} History with the clean days, newest first; the same
+ *   array if there was nothing to fill in
+ */
+export function fillCleanDays(history, start, today) {
+  if (!start) return history;
+
+  const recorded = new Set(history.map((entry) => entry.date));
+  const clean = [];
+  for (let date = start; date <= today; date = addDays(date, 1)) {
+    if (!recorded.has(date)) clean.push({ date, completed: true });
+  }
+  if (clean.length === 0) return history;
+
+  return [...history, ...clean].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Get the day of the last slip
+ *
+ * @param {Array} history - History entries
+ * @returns {string|null} Calendar date, or null if there was no slip
+ */
+export function getLastSlip(history) {
+  return (
+    history
+      .filter(isSlip)
+      .map((entry) => entry.date)
+      .sort()
+      .pop() || null
+  );
+}
+
+/**
+ * List the slips of an avoid habit with the clean run each one ended
+ *
+ * @param {Array} history - History entries
+ * @returns {Array<Object>} { date, note, cleanDays }, newest first;
+ *   cleanDays counts the clean days since the slip before (or since the
+ *   habit was started)
+ */
+export function getRelapseHistory(history) {
+  const oldestFirst = [...history].sort((a, b) => a.date.localeCompare(b.date));
+
+  const relapses = [];
+  let cleanDays = 0;
+  oldestFirst.forEach((entry) => {
+    if (isSlip(entry)) {
+      relapses.push({
+        date: entry.date,
+        cleanDays,
+        ...(entry.note && { note: entry.note }),
+      });
+      cleanDays = 0;
+    } else if (entry.completed) {
+      cleanDays++;
+    }
+  });
+
+  return relapses.reverse();
+}
@@ -0,0 +1,184 @@
+// Completion rates and other statistics of a single habit
+import { addDays, getDayOfWeek, toLocalDateString } from "../utils/localDate";
+import { SCHEDULE_TYPES, getDailyWeight, getPeriod } from "./habitSchedule";
+import { getExcuse } from "./habitExcuses";
+import { getJournal } from "./habitJournal";
+
+/**
+ * Habit Statistics
+ *
+ * Rates compare completions with what the schedule expected (see
+ * getDailyWeight), so "3 times a week" done 3 times is 100% even though
+ * most days stay empty. Excused days are left out unless the habit was done
+ * anyway, and days only count from when the habit was created (or its
+ * earliest history entry) up to today; today only once it's done.
+ *
+ * A rate is null when nothing was expected at all, e.g. a week spent on
+ * vacation, so it can be told apart from 0%.
+ */
+
+// Calendar ranges for rates by week (Monday to Sunday) and by month
+const RANGE_SCHEDULES = {
+  week: { type: SCHEDULE_TYPES.TIMES_PER_WEEK, times: 1 },
+  month: { type: SCHEDULE_TYPES.TIMES_PER_MONTH, times: 1 },
+};
+
+/**
+ * Get the first day a habit was tracked
+ *
+ * @param {Object} habit - Habit
+ * @returns {string} Calendar date in YYYY-MM-DD format
+ */
+export function getFirstTrackedDate(habit) {
+  const created = habit.created ? toLocalDateString(habit.created) : null;
+  return (habit.history || []).reduce(
+    (min, record) => (!min || record.date < min ? record.date : min),
+    created
+  );
+}
+
+// Dates in a range that count towards rates
+function getCountedDates(habit, { from, to, today, vacations }) {
+  const history = habit.history || [];
+  const firstTracked = getFirstTrackedDate(habit);
+  if (!firstTracked) return { dates: [], completed: new Set() };
+
+  const start = from && from > firstTracked ? from : firstTracked;
+  const end = to < today ? to : today;
+
+  const completed = new Set(
+    history.filter((entry) => entry.completed).map((entry) => entry.date)
+  );
+  const dates = [];
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    if (completed.has(date)) {
+      dates.push(date);
+    } else if (date < today && !getExcuse(history, date, vacations)) {
+      dates.push(date);
+    }
+  }
+  return { dates, completed };
+}
+
+// Completions over expected completions, as a percentage
+function toRate(dates, completed, schedule) {
+  const expected = dates.reduce(
+    (sum, date) => sum + getDailyWeight(schedule, date),
+    0
+  );
+  if (expected === 0) return null;
+
+  const done = dates.filter((date) => completed.has(date)).length;
+  return Math.min(100, Math.round((done / expected) * 100));
+}
+
+/**
+ * Completion rate over a range of dates
+ *
+ * @param {Object} habit - Habit
+ * @param {Object} schedule - The habit's schedule
+ * @param {Object} options - Range and excuses
+ * @param {string} options.from - First date (defaults to the first tracked)
+ * @param {string} options.to - Last date (defaults to today)
+ * @param {string} options.today - Today's calendar date
+ * @param {Array} options.vacations - Vacation ranges that apply
+ * @returns {number|null} Rate from 0 to 100, or null if nothing was expected
+ */
+export function getRangeCompletionRate(habit, schedule, options) {
+  const { dates, completed } = getCountedDates(habit, {
+    to: options.today,
+    ...options,
+  });
+  return toRate(dates, completed, schedule);
+}
+
+/**
+ * Completion rates of the most recent weeks or months
+ *
+ * @param {Object} habit - Habit
+ * @param {Object} schedule - The habit's schedule
+ * @param {Object} options - Ranges and excuses
+ * @param {string} options.unit - "week" or "month"
+ * @param {number} options.count - How many weeks or months
+ * @param {string} options.today - Today's calendar date
+ * @param {Array} options.vacations - Vacation ranges that apply
+ * @returns {Array<Object>} { start, end, rate }, oldest first
+ */
+export function getCompletionRatesBy(habit, schedule, options) {
+  const { unit, count, today, vacations } = options;
+  const firstTracked = getFirstTrackedDate(habit);
+
+  const ranges = [];
+  let range = getPeriod(RANGE_SCHEDULES[unit], today);
+  while (ranges.length < count && range && range.end >= firstTracked) {
+    ranges.unshift({
+      start: range.start,
+      end: range.end,
+      rate: getRangeCompletionRate(habit, schedule, {
+        from: range.start,
+        to: range.end,
+        today,
+        vacations,
+      }),
+    });
+    range = getPeriod(RANGE_SCHEDULES[unit], addDays(range.start, -1));
+  }
+  return ranges;
+}
+
+/**
+ * Completion rate on each day of the week
+ *
+ * @param {Object} habit - Habit
+ * @param {Object} schedule - The habit's schedule
+ * @param {Object} options - Range and excuses
+ * @param {string} options.from - First date (defaults to the first tracked)
+ * @param {string} options.today - Today's calendar date
+ * @param {Array} options.vacations - Vacation ranges that apply
+ * @returns {Array<number|null>} Rates indexed by weekday (0 is Sunday)
+ */
+export function getWeekdayRates(habit, schedule, options) {
+  const { dates, completed } = getCountedDates(habit, {
+    to: options.today,
+    ...options,
+  });
+
+  return Array.from({ length: 7 }, (_, weekday) =>
+    toRate(
+      dates.filter((date) => getDayOfWeek(date) === weekday),
+      completed,
+      schedule
+    )
+  );
+}
+
+/**
+ * Pick the weekdays with the highest and lowest completion rate
+ *
+ * @param {Array<number|null>} rates - Rates from getWeekdayRates
+ * @returns {Object} { best, worst } weekday numbers, null without rates
+ */
+export function getBestAndWorstWeekdays(rates) {
+  let best = null;
+  let worst = null;
+  rates.forEach((rate, weekday) => {
+    if (rate === null) return;
+    if (best === null || rate > rates[best]) best = weekday;
+    if (worst === null || rate < rates[worst]) worst = weekday;
+  });
+  return { best, worst };
+}
+
+/**
+ * List the notes and moods written on a habit's days
+ *
+ * @param {Array} history - History entries
+ * @returns {Array<Object>} { date, note, mood, notedAt } with only the
+ *   fields set, newest first
+ */
+export function getHabitNotes(history = []) {
+  return history
+    .filter((entry) => entry.note || entry.mood)
+    .map((entry) => ({ date: entry.date, ...getJournal(entry) }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
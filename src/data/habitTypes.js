@@ -0,0 +1,215 @@
+// Habit types and the daily goals they measure
+
+/**
+ * Habit Types
+ *
+ * A habit is either a plain checkbox or measures a quantity each day:
+ *
+ *   checkbox  - done or not done
+ *   count     - a number of times or items ("drink 8 glasses")
+ *   duration  - minutes spent ("read 30 minutes")
+ *   numeric   - any measured value with a unit ("run 5 km")
+ *   avoid     - something to stop doing ("no sugar"); every day counts as
+ *               done unless the user logs a slip (see habitSlips)
+ *
+ * The goal fields live on the habit itself:
+ *
+ *   { type, target, unit, min, max }
+ *
+ * `target` is the daily amount that counts as completing the habit.
+ * `min` and `max` optionally bound the values that can be recorded (e.g. a
+ * rating from 1 to 10); they don't change when the target is met.
+ *
+ * History entries of measured habits store the recorded `value`, and
+ * `completed` is derived from it whenever the value or the goal changes,
+ * so streaks, charts and statistics keep working on `completed` alone.
+ * Checkbox and avoid entries have no value.
+ */
+
+export const HABIT_TYPES = {
+  CHECKBOX: "checkbox",
+  COUNT: "count",
+  DURATION: "duration",
+  NUMERIC: "numeric",
+  AVOID: "avoid",
+};
+
+// Display and input defaults for each type
+export const HABIT_TYPE_OPTIONS = {
+  [HABIT_TYPES.CHECKBOX]: {
+    label: "Checkbox",
+    description: "Done or not done",
+    defaultTarget: 1,
+    defaultUnit: "",
+    step: 1,
+  },
+  [HABIT_TYPES.COUNT]: {
+    label: "Count",
+    description: "How many times, e.g. 8 glasses of water",
+    defaultTarget: 1,
+    defaultUnit: "times",
+    step: 1,
+  },
+  [HABIT_TYPES.DURATION]: {
+    label: "Duration",
+    description: "Minutes spent, e.g. 30 minutes of reading",
+    defaultTarget: 30,
+    defaultUnit: "min",
+    step: 5,
+  },
+  [HABIT_TYPES.NUMERIC]: {
+    label: "Measurement",
+    description: "Any value with a unit, e.g. 5 km run",
+    defaultTarget: 1,
+    defaultUnit: "",
+    step: 1,
+  },
+  [HABIT_TYPES.AVOID]: {
+    label: "Avoid",
+    description: "Something to stop doing, e.g. no sugar; log the slips",
+    defaultTarget: 1,
+    defaultUnit: "",
+    step: 1,
+  },
+};
+
+const isNumber = (value) => typeof value === "number" && !isNaN(value);
+
+/**
+ * Check whether a goal measures a quantity, rather than done or not done
+ *
+ * @param {Object} goal - Goal from getHabitGoal
+ * @returns {boolean} True for count, duration and numeric habits
+ */
+export function isMeasured(goal) {
+  return goal.type !== HABIT_TYPES.CHECKBOX && goal.type !== HABIT_TYPES.AVOID;
+}
+
+/**
+ * Get a habit's goal, filling in defaults for habits created before types
+ *
+ * @param {Object} habit - Habit (or habit form data)
+ * @returns {Object} { type, target, unit, min, max, step }
+ */
+export function getHabitGoal(habit) {
+  const type = HABIT_TYPE_OPTIONS[habit?.type]
+    ? habit.type
+    : HABIT_TYPES.CHECKBOX;
+  const options = HABIT_TYPE_OPTIONS[type];
+
+  if (!isMeasured({ type })) {
+    return { type, target: 1, unit: "", min: null, max: null, step: 1 };
+  }
+
+  return {
+    type,
+    target: isNumber(habit.target) ? habit.target : options.defaultTarget,
+    unit: habit.unit ?? options.defaultUnit,
+    min: isNumber(habit.min) ? habit.min : null,
+    max: isNumber(habit.max) ? habit.max : null,
+    step: options.step,
+  };
+}
+
+/**
+ * Check whether a habit's goal fields are usable
+ *
+ * @param {Object} habit - Habit (or habit changes) with goal fields
+ * @returns {Array<string>} Problems found; empty when the goal is valid
+ */
+export function validateHabitGoal(habit) {
+  const errors = [];
+
+  if (habit.type !== undefined && !HABIT_TYPE_OPTIONS[habit.type]) {
+    errors.push(`Unknown habit type: ${habit.type}`);
+    return errors;
+  }
+
+  const goal = getHabitGoal(habit);
+  const { target, min, max } = goal;
+  if (!isMeasured(goal)) return errors;
+
+  if (habit.target !== undefined && !isNumber(habit.target)) {
+    errors.push("Target must be a number");
+  } else if (target <= 0) {
+    errors.push("Target must be greater than zero");
+  }
+  if (min !== null && max !== null && min > max) {
+    errors.push("Minimum can't be greater than maximum");
+  }
+  if ((min !== null && target < min) || (max !== null && target > max)) {
+    errors.push("Target must be between the minimum and maximum");
+  }
+
+  return errors;
+}
+
+/**
+ * Keep a recorded value within the goal's bounds (never below zero)
+ *
+ * @param {Object} goal - Goal from getHabitGoal
+ * @param {number} value - Value to record
+ * @returns {number} Value within bounds
+ */
+export function clampHabitValue(goal, value) {
+  let clamped = Math.max(goal.min ?? 0, value);
+  if (goal.max !== null) clamped = Math.min(goal.max, clamped);
+  return clamped;
+}
+
+/**
+ * Check whether a recorded value meets the daily target
+ *
+ * @param {Object} goal - Goal from getHabitGoal
+ * @param {number} value - Recorded value
+ * @returns {boolean} True when the habit counts as completed
+ */
+export function isTargetMet(goal, value) {
+  return isNumber(value) && value >= goal.target;
+}
+
+/**
+ * Get the value recorded in a history entry
+ *
+ * @param {Object} goal - Goal from getHabitGoal
+ * @param {Object} entry - History entry (or undefined for no entry)
+ * @returns {number} Recorded value; checkbox entries count as 0 or 1
+ */
+export function getEntryValue(goal, entry) {
+  if (!entry) return 0;
+  if (isNumber(entry.value)) return entry.value;
+  return entry.completed ? goal.target : 0;
+}
+
+/**
+ * Re-derive `completed` for measured history entries after a goal change
+ *
+ * @param {Object} goal - Goal from getHabitGoal
+ * @param {Array} history - History entries
+ * @returns {Array} History with completion matching the goal
+ */
+export function applyGoalToHistory(goal, history) {
+  return history.map((entry) =>
+    isNumber(entry.value)
+      ? { ...entry, completed: isTargetMet(goal, entry.value) }
+      : entry
+  );
+}
+
+/**
+ * Format a value with the goal's unit, e.g. "5 km" or "1h 30m"
+ *
+ * @param {Object} goal - Goal from getHabitGoal
+ * @param {number} value - Value to format
+ * @returns {string} Formatted value
+ */
+export function formatHabitValue(goal, value) {
+  if (goal.type === HABIT_TYPES.DURATION && value >= 60) {
+    const hours = Math.floor(value / 60);
+    const minutes = Math.round(value % 60);
+    return minutes ? `${hours}h ${minutes}m` : `${hours}h`;
+  }
+
+  const number = Number.isInteger(value) ? value : Number(value.toFixed(2));
+  return goal.unit ? `${number} ${goal.unit}` : `${number}`;
+}
@@ -0,0 +1,42 @@
+// localStorage-backed storage adapter used when IndexedDB is unavailable
+import { createRecordStoreAdapter } from "./recordStoreAdapter";
+
+/**
+ * Fallback storage for private browsing modes and locked-down browsers
+ * where IndexedDB cannot be opened. Each object store is kept as one JSON
+ * array under its own localStorage key, so capacity is limited to the
+ * browser's localStorage quota (typically around 5MB).
+ */
+
+// Prefix shared by every store key written by this adapter
+const KEY_PREFIX = "blog_habit_tracker_db:";
+
+/**
+ * Create a localStorage storage adapter
+ *
+ * @param {Storage} storageArea - Storage to use (defaults to localStorage)
+ * @returns {Object} Storage adapter with the dbService contract
+ */
+export function createLocalStorageAdapter(storageArea = window.localStorage) {
+  return createRecordStoreAdapter({
+    name: "localStorage",
+
+    readStore(storeName) {
+      const stored = storageArea.getItem(KEY_PREFIX + storeName);
+      if (!stored) return [];
+
+      try {
+        const records = JSON.parse(stored);
+        return Array.isArray(records) ? records : [];
+      } catch (error) {
+        console.error(`Corrupt localStorage data for ${storeName}:`, error);
+        return [];
+      }
+    },
+
+    writeStore(storeName, records) {
+      // Throws QuotaExceededError when localStorage is full
+      storageArea.setItem(KEY_PREFIX + storeName, JSON.stringify(records));
+    },
+  });
+}
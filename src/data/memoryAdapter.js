@@ -0,0 +1,50 @@
+// In-memory storage adapter for tests and demo mode
+import { createRecordStoreAdapter } from "./recordStoreAdapter";
+import { STORES } from "./schemaMigrations";
+
+/**
+ * Keeps every store in a plain in-memory array, so nothing survives a page
+ * reload. Used by the test suite (no browser APIs required) and as the
+ * demo/fallback backend when neither IndexedDB nor localStorage works.
+ *
+ * Records are deep-cloned on the way in and out, so callers can never
+ * mutate stored data without going through the adapter, just like a real
+ * database.
+ */
+
+const cloneRecords = (records) =>
+  records.map((record) => structuredClone(record));
+
+/**
+ * Create an in-memory storage adapter
+ *
+ * @param {Object} seed - Optional initial records keyed by store name
+ * @returns {Object} Storage adapter with the dbService contract plus reset()
+ */
+export function createMemoryAdapter(seed = {}) {
+  let data = {};
+
+  // Restore every store to the seed records
+  const reset = () => {
+    data = {};
+    Object.values(STORES).forEach((storeName) => {
+      data[storeName] = cloneRecords(seed[storeName] || []);
+    });
+  };
+
+  reset();
+
+  const adapter = createRecordStoreAdapter({
+    name: "memory",
+
+    readStore(storeName) {
+      return cloneRecords(data[storeName] || []);
+    },
+
+    writeStore(storeName, records) {
+      data[storeName] = cloneRecords(records);
+    },
+  });
+
+  return { ...adapter, reset };
+}
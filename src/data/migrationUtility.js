@@ -1,6 +1,7 @@
 // Utility for migrating data from localStorage to IndexedDB
 import { enhancedPostService } from './enhancedPostService';
 import { enhancedHabitService } from './enhancedHabitService';
+import { settingsService } from './settingsService';
 
 /**
  * This utility handles the migration of data from localStorage to IndexedDB.
@@ -70,17 +71,25 @@ export async function migrateDataToIndexedDB() {
 export async function initializeDataServices() {
   try {
     console.log('Initializing data services...');
+    const startTime = performance.now();
     
     // Perform migration if needed
     await migrateDataToIndexedDB();
     
+    // Apply the user's time zone and day-start hour before any habit
+    // dates are calculated, then move old UTC-dated history (once)
+    await settingsService.loadPreferences();
+    await enhancedHabitService.repairHistoryDates();
+    
     // Initialize data services
     await Promise.all([
       enhancedPostService.getPosts(), // This will initialize posts if empty
       enhancedHabitService.getHabits() // This will initialize habits if empty
     ]);
     
-    console.log('Data services initialized successfully');
+    console.log(
+      `Data services initialized successfully in ${(performance.now() - startTime).toFixed(2)} ms`
+    );
   } catch (error) {
     console.error('Error initializing data services:', error);
   }
@@ -0,0 +1,438 @@
+// Storage adapter for backends that hold whole stores as plain record lists
+import { STORES, STORE_INDEXES } from "./schemaMigrations";
+
+/**
+ * Record Store Adapter
+ *
+ * Implements the same contract as dbService (create, getAll, getById,
+ * update, remove, queryByIndex, queryByRange, queryPage, clearStore,
+ * countRecords, transaction) on top of any backend that can read and write
+ * a store's records as an array, such as localStorage.
+ *
+ * Indexes are evaluated from STORE_INDEXES and follow IndexedDB semantics:
+ * records are ordered by index key then primary key, keys compare
+ * number < Date < string < array, and multiEntry indexes match each element
+ * of an array value. Key ranges may be IDBKeyRange instances or plain
+ * `{ lower, upper, lowerOpen, upperOpen }` objects.
+ *
+ * Transactions work on a private copy of the touched records and only
+ * write their changes back when the callback resolves, so a failing
+ * callback leaves the backend untouched. Like IndexedDB, readwrite
+ * transactions run one at a time, so a read-modify-write never works from
+ * data another write is about to replace. (A readwrite callback must not
+ * wait on a second readwrite transaction; pass its `tx` along instead.)
+ */
+
+// Ordering of key types, matching IndexedDB's key comparison
+function getKeyTypeRank(key) {
+  if (typeof key === "number") return 1;
+  if (key instanceof Date) return 2;
+  if (typeof key === "string") return 3;
+  if (Array.isArray(key)) return 4;
+  return 0;
+}
+
+/**
+ * Compare two keys the way indexedDB.cmp does
+ *
+ * @param {any} a - First key
+ * @param {any} b - Second key
+ * @returns {number} -1, 0 or 1
+ */
+export function compareKeys(a, b) {
+  const rankA = getKeyTypeRank(a);
+  const rankB = getKeyTypeRank(b);
+  if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+
+  if (rankA === 4) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const comparison = compareKeys(a[i], b[i]);
+      if (comparison !== 0) return comparison;
+    }
+    return a.length === b.length ? 0 : a.length < b.length ? -1 : 1;
+  }
+
+  const valueA = rankA === 2 ? a.getTime() : a;
+  const valueB = rankB === 2 ? b.getTime() : b;
+  if (valueA === valueB) return 0;
+  return valueA < valueB ? -1 : 1;
+}
+
+// Only numbers, dates, strings and arrays of those are valid keys
+function isValidKey(key) {
+  if (Array.isArray(key)) return key.every(isValidKey);
+  if (key instanceof Date) return !isNaN(key.getTime());
+  if (typeof key === "number") return !isNaN(key);
+  return typeof key === "string";
+}
+
+// Read a (possibly dotted) key path from a record
+function getValueAtPath(record, keyPath) {
+  return keyPath
+    .split(".")
+    .reduce((value, part) => (value == null ? undefined : value[part]), record);
+}
+
+// Keys a record contributes to an index (each distinct element for multiEntry)
+function getIndexKeys(value, multiEntry) {
+  if (multiEntry && Array.isArray(value)) {
+    return value.filter(
+      (key, position) =>
+        isValidKey(key) &&
+        value.findIndex((other) => compareKeys(other, key) === 0) === position
+    );
+  }
+
+  return isValidKey(value) ? [value] : [];
+}
+
+/**
+ * Check whether a key falls within a key range
+ *
+ * @param {any} key - Key to test
+ * @param {Object} range - IDBKeyRange or { lower, upper, lowerOpen, upperOpen }
+ * @returns {boolean} True if the key is in range
+ */
+export function isKeyInRange(key, range) {
+  if (range == null) return true;
+
+  // A bare key behaves like IDBKeyRange.only(key)
+  if (
+    typeof range !== "object" ||
+    range instanceof Date ||
+    Array.isArray(range)
+  ) {
+    return compareKeys(key, range) === 0;
+  }
+
+  if (range.lower !== undefined) {
+    const comparison = compareKeys(key, range.lower);
+    if (comparison < 0 || (comparison === 0 && range.lowerOpen)) return false;
+  }
+
+  if (range.upper !== undefined) {
+    const comparison = compareKeys(key, range.upper);
+    if (comparison > 0 || (comparison === 0 && range.upperOpen)) return false;
+  }
+
+  return true;
+}
+
+// Sort records by primary key, like IndexedDB getAll()
+function sortByPrimaryKey(records) {
+  return [...records].sort((a, b) => compareKeys(a.id, b.id));
+}
+
+/**
+ * Create a storage adapter over a record-list backend
+ *
+ * @param {Object} backend - Backend implementation
+ * @param {string} backend.name - Adapter name for diagnostics
+ * @param {Function} backend.readStore - (storeName) => Array of records
+ * @param {Function} backend.writeStore - (storeName, records) => void
+ * @returns {Object} Storage adapter with the dbService contract
+ */
+export function createRecordStoreAdapter({ name, readStore, writeStore }) {
+  // Tail of the chain of readwrite transactions waiting to run
+  let writeQueue = Promise.resolve();
+
+  // Build the sorted entries of an index (or the primary key when null)
+  function getIndexEntries(storeName, indexName, records) {
+    if (!indexName) {
+      return sortByPrimaryKey(records).map((record) => ({
+        key: record.id,
+        primaryKey: record.id,
+        record,
+      }));
+    }
+
+    const indexDefinition = (STORE_INDEXES[storeName] || {})[indexName];
+    if (!indexDefinition) {
+      throw new Error(`Index ${indexName} not found on store ${storeName}`);
+    }
+
+    const entries = [];
+    records.forEach((record) => {
+      const value = getValueAtPath(record, indexDefinition.keyPath);
+      const keys = getIndexKeys(value, indexDefinition.multiEntry);
+
+      keys.forEach((key) =>
+        entries.push({ key, primaryKey: record.id, record })
+      );
+    });
+
+    return entries.sort(
+      (a, b) =>
+        compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey)
+    );
+  }
+
+  // Open a transaction context over private copies of the given stores
+  function beginTransaction(storeNames, mode) {
+    const records = {};
+    const changes = {};
+    const cleared = {};
+
+    storeNames.forEach((storeName) => {
+      if (!Object.values(STORES).includes(storeName)) {
+        throw new Error(`Object store ${storeName} not found`);
+      }
+      records[storeName] = new Map(
+        readStore(storeName).map((record) => [record.id, record])
+      );
+      changes[storeName] = new Map();
+      cleared[storeName] = false;
+    });
+
+    const getStore = (storeName, write = false) => {
+      if (!records[storeName]) {
+        throw new Error(`Store ${storeName} is not part of this transaction`);
+      }
+      if (write && mode !== "readwrite") {
+        throw new Error(
+          `Cannot write to ${storeName} in a readonly transaction`
+        );
+      }
+      return records[storeName];
+    };
+
+    const context = {
+      mode,
+      storeNames,
+      stores: {},
+
+      // Record-level primitives shared by the helpers and store handles
+      read: (storeName) => [...getStore(storeName).values()],
+      get: (storeName, id) => getStore(storeName).get(id) || null,
+      put: (storeName, record) => {
+        getStore(storeName, true).set(record.id, record);
+        changes[storeName].set(record.id, record);
+        return record;
+      },
+      delete: (storeName, id) => {
+        getStore(storeName, true).delete(id);
+        changes[storeName].set(id, null);
+        return id;
+      },
+      clear: (storeName) => {
+        getStore(storeName, true).clear();
+        changes[storeName].clear();
+        cleared[storeName] = true;
+      },
+
+      // Apply the changes on top of the latest backend state
+      commit: () => {
+        if (mode !== "readwrite") return;
+
+        storeNames.forEach((storeName) => {
+          if (!cleared[storeName] && changes[storeName].size === 0) return;
+
+          const latest = new Map(
+            cleared[storeName]
+              ? []
+              : readStore(storeName).map((record) => [record.id, record])
+          );
+          changes[storeName].forEach((record, id) => {
+            if (record === null) {
+              latest.delete(id);
+            } else {
+              latest.set(id, record);
+            }
+          });
+          writeStore(storeName, [...latest.values()]);
+        });
+      },
+    };
+
+    storeNames.forEach((storeName) => {
+      context.stores[storeName] = createStoreHandle(context, storeName);
+    });
+
+    return context;
+  }
+
+  // Promise-friendly store handle matching dbService's tx.stores handles
+  function createStoreHandle(tx, storeName) {
+    return {
+      get: async (id) => tx.get(storeName, id),
+      getAll: async (query) =>
+        sortByPrimaryKey(tx.read(storeName)).filter((record) =>
+          isKeyInRange(record.id, query)
+        ),
+      add: async (record) => addRecord(tx, storeName, record),
+      put: async (record) => tx.put(storeName, record),
+      delete: async (id) => tx.delete(storeName, id),
+      clear: async () => tx.clear(storeName),
+      count: async (query) =>
+        tx.read(storeName).filter((record) => isKeyInRange(record.id, query))
+          .length,
+      index: (indexName) => ({
+        get: async (key) =>
+          queryIndex(tx, storeName, indexName, key)[0] || null,
+        getAll: async (query) => queryIndex(tx, storeName, indexName, query),
+        count: async (query) =>
+          queryIndex(tx, storeName, indexName, query).length,
+      }),
+    };
+  }
+
+  function addRecord(tx, storeName, record) {
+    if (tx.get(storeName, record.id)) {
+      const error = new Error(
+        `Key ${record.id} already exists in ${storeName}`
+      );
+      error.name = "ConstraintError";
+      throw error;
+    }
+    return tx.put(storeName, record);
+  }
+
+  function queryIndex(tx, storeName, indexName, range) {
+    return getIndexEntries(storeName, indexName, tx.read(storeName))
+      .filter((entry) => isKeyInRange(entry.key, range))
+      .map((entry) => entry.record);
+  }
+
+  // Run an operation inside the given transaction or a new single-store one
+  async function run(storeName, mode, operation, tx) {
+    if (tx) {
+      if (mode === "readwrite" && tx.mode !== "readwrite") {
+        throw new Error(
+          `Cannot write to ${storeName} in a readonly transaction`
+        );
+      }
+      return operation(tx);
+    }
+
+    return transaction([storeName], mode, async (ownTx) => operation(ownTx));
+  }
+
+  /**
+   * Run several operations across one or more stores atomically
+   *
+   * @param {string|Array<string>} storeNames - Stores the transaction covers
+   * @param {string} mode - Transaction mode (readonly or readwrite)
+   * @param {Function} callback - async (tx) => result
+   * @returns {Promise} - Resolves with the callback result after commit
+   */
+  async function transaction(storeNames, mode, callback) {
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+    const execute = async () => {
+      const tx = beginTransaction(names, mode);
+      const result = await callback(tx);
+      tx.commit();
+      return result;
+    };
+
+    if (mode !== "readwrite") {
+      return execute();
+    }
+
+    // Queue behind earlier writes; a failed write doesn't block later ones
+    const pending = writeQueue.then(execute);
+    writeQueue = pending.catch(() => {});
+    return pending;
+  }
+
+  return {
+    name,
+    STORES,
+
+    create: (storeName, data, tx) =>
+      run(storeName, "readwrite", (t) => addRecord(t, storeName, data), tx),
+
+    getAll: (storeName, tx) =>
+      run(
+        storeName,
+        "readonly",
+        (t) => sortByPrimaryKey(t.read(storeName)),
+        tx
+      ),
+
+    getById: (storeName, id, tx) =>
+      run(storeName, "readonly", (t) => t.get(storeName, id), tx),
+
+    update: (storeName, id, data, tx) =>
+      run(
+        storeName,
+        "readwrite",
+        (t) => {
+          const existing = t.get(storeName, id);
+          if (!existing) {
+            throw new Error(`Record with ID ${id} not found`);
+          }
+          return t.put(storeName, { ...existing, ...data, id });
+        },
+        tx
+      ),
+
+    remove: (storeName, id, tx) =>
+      run(storeName, "readwrite", (t) => t.delete(storeName, id), tx),
+
+    queryByIndex: (storeName, indexName, value, tx) =>
+      run(
+        storeName,
+        "readonly",
+        (t) => queryIndex(t, storeName, indexName, value),
+        tx
+      ),
+
+    queryByRange: (storeName, indexName, range, tx) =>
+      run(
+        storeName,
+        "readonly",
+        (t) => queryIndex(t, storeName, indexName, range),
+        tx
+      ),
+
+    queryPage: (
+      storeName,
+      indexName,
+      { direction = "next", limit = 20, after = null } = {},
+      tx
+    ) =>
+      run(
+        storeName,
+        "readonly",
+        (t) => {
+          const descending = direction.startsWith("prev");
+          let entries = getIndexEntries(
+            storeName,
+            indexName,
+            t.read(storeName)
+          );
+          if (descending) entries.reverse();
+
+          if (after) {
+            entries = entries.filter((entry) => {
+              const comparison =
+                compareKeys(entry.key, after.key) ||
+                compareKeys(entry.primaryKey, after.primaryKey);
+              return descending ? comparison < 0 : comparison > 0;
+            });
+          }
+
+          const page = entries.slice(0, limit);
+          const last = page[page.length - 1];
+
+          return {
+            items: page.map((entry) => entry.record),
+            nextCursor:
+              entries.length > page.length && last
+                ? { key: last.key, primaryKey: last.primaryKey }
+                : null,
+          };
+        },
+        tx
+      ),
+
+    clearStore: (storeName, tx) =>
+      run(storeName, "readwrite", (t) => t.clear(storeName), tx),
+
+    countRecords: (storeName, tx) =>
+      run(storeName, "readonly", (t) => t.read(storeName).length, tx),
+
+    transaction,
+  };
+}
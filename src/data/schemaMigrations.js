@@ -0,0 +1,358 @@
+// Versioned schema migrations for the IndexedDB database
+import { extractTags } from "../utils/mdParser";
+import { getHabitGrouping } from "./habitCategories";
+import { extractHabitIds } from "./habitReflections";
+
+/**
+ * Declarative, ordered list of schema migrations.
+ *
+ * Each migration upgrades the database from `version - 1` to `version`.
+ * When the database is opened, every migration between the stored version
+ * and SCHEMA_VERSION runs in order inside the single `versionchange`
+ * transaction, so either all of them apply or none do.
+ *
+ * Rules for writing migrations:
+ * - Append new migrations with the next version number; never edit or
+ *   reorder a migration that has already shipped
+ * - Only issue IndexedDB requests against the provided transaction
+ *   (awaiting unrelated promises lets the transaction auto-commit)
+ * - Keep structural changes idempotent, since databases created by older
+ *   builds may already contain some stores
+ * - Mirror new or removed indexes in STORE_INDEXES
+ */
+
+// Object store names shared by the migrations and dbService
+export const STORES = {
+  POSTS: "posts",
+  HABITS: "habits",
+  SETTINGS: "settings",
+  SNAPSHOTS: "snapshots",
+};
+
+// Current index layout of each store, i.e. the net result of MIGRATIONS.
+// Storage backends without native indexes (localStorage, memory) use this
+// to answer index queries; keep it in sync when adding a migration.
+export const STORE_INDEXES = {
+  [STORES.POSTS]: {
+    date: { keyPath: "date" },
+    title: { keyPath: "title" },
+    tags: { keyPath: "tags", multiEntry: true },
+    habitIds: { keyPath: "habitIds", multiEntry: true },
+  },
+  [STORES.HABITS]: {
+    name: { keyPath: "name" },
+    created: { keyPath: "created" },
+    category: { keyPath: "category" },
+    tags: { keyPath: "tags", multiEntry: true },
+  },
+  [STORES.SETTINGS]: {},
+  [STORES.SNAPSHOTS]: {
+    createdAt: { keyPath: "createdAt" },
+  },
+};
+
+// Settings record that tracks which migrations have been applied
+export const MIGRATION_RECORD_ID = "schema_migrations";
+
+// Stores whose contents a snapshot captures (everything but snapshots)
+export const SNAPSHOT_SOURCE_STORES = [
+  STORES.POSTS,
+  STORES.HABITS,
+  STORES.SETTINGS,
+];
+
+// Simple string hash used to tell whether two snapshots hold the same data
+function hashString(value) {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash << 5) - hash + value.charCodeAt(i);
+    hash = hash & hash; // Convert to 32bit integer
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Build a snapshot record from the contents of the source stores
+ *
+ * The migration history record is left out: it describes the database
+ * itself, and restoring an old copy of it would make migrations re-run.
+ *
+ * @param {string} reason - What triggered the snapshot (daily, migration...)
+ * @param {Object} data - Records keyed by store name
+ * @param {Object} options - Snapshot metadata
+ * @param {number} options.schemaVersion - Schema version the data matches
+ * @param {string} options.createdAt - ISO timestamp
+ * @returns {Object} Snapshot record for the snapshots store
+ */
+export function createSnapshotRecord(
+  reason,
+  data,
+  { schemaVersion, createdAt }
+) {
+  const snapshotData = {};
+  const counts = {};
+
+  SNAPSHOT_SOURCE_STORES.forEach((storeName) => {
+    snapshotData[storeName] = (data[storeName] || []).filter(
+      (record) => record.id !== MIGRATION_RECORD_ID
+    );
+    counts[storeName] = snapshotData[storeName].length;
+  });
+
+  const json = JSON.stringify(snapshotData);
+
+  return {
+    id: `snapshot-${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt,
+    reason,
+    schemaVersion,
+    counts,
+    size: new TextEncoder().encode(json).length,
+    fingerprint: hashString(json),
+    data: snapshotData,
+  };
+}
+
+/**
+ * Queue a snapshot of the source stores inside the versionchange transaction
+ *
+ * Requests in a transaction run in the order they are made, so the reads
+ * queued here see the data as it was before any later migration changes it.
+ *
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} schemaVersion - Version the captured data matches
+ */
+function snapshotBeforeMigration(transaction, schemaVersion) {
+  const data = {};
+  let remaining = SNAPSHOT_SOURCE_STORES.length;
+
+  SNAPSHOT_SOURCE_STORES.forEach((storeName) => {
+    const request = transaction.objectStore(storeName).getAll();
+    request.onsuccess = () => {
+      data[storeName] = request.result;
+      remaining--;
+
+      if (remaining === 0) {
+        transaction.objectStore(STORES.SNAPSHOTS).put(
+          createSnapshotRecord("migration", data, {
+            schemaVersion,
+            createdAt: new Date().toISOString(),
+          })
+        );
+      }
+    };
+  });
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create-initial-stores",
+    description: "Create posts, habits and settings stores",
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORES.POSTS)) {
+        const postsStore = db.createObjectStore(STORES.POSTS, {
+          keyPath: "id",
+        });
+        postsStore.createIndex("date", "date", { unique: false });
+        postsStore.createIndex("title", "title", { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(STORES.HABITS)) {
+        const habitsStore = db.createObjectStore(STORES.HABITS, {
+          keyPath: "id",
+        });
+        habitsStore.createIndex("name", "name", { unique: false });
+        habitsStore.createIndex("created", "created", { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
+        db.createObjectStore(STORES.SETTINGS, { keyPath: "id" });
+      }
+    },
+  },
+  {
+    version: 2,
+    name: "add-post-tags-index",
+    description: "Index posts by their frontmatter tags",
+    upgrade(db, transaction) {
+      const postsStore = transaction.objectStore(STORES.POSTS);
+
+      if (!postsStore.indexNames.contains("tags")) {
+        postsStore.createIndex("tags", "tags", {
+          unique: false,
+          multiEntry: true,
+        });
+      }
+
+      // Backfill the indexed field for posts written before this version
+      const cursorRequest = postsStore.openCursor();
+      cursorRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const post = cursor.value;
+        if (!Array.isArray(post.tags)) {
+          cursor.update({ ...post, tags: extractTags(post.content) });
+        }
+        cursor.continue();
+      };
+    },
+  },
+  {
+    version: 3,
+    name: "add-snapshots-store",
+    description: "Store rolling point-in-time snapshots of all data",
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORES.SNAPSHOTS)) {
+        const snapshotsStore = db.createObjectStore(STORES.SNAPSHOTS, {
+          keyPath: "id",
+        });
+        snapshotsStore.createIndex("createdAt", "createdAt", {
+          unique: false,
+        });
+      }
+    },
+  },
+  {
+    version: 4,
+    name: "add-habit-category-and-tags-indexes",
+    description: "Index habits by category and by tags",
+    upgrade(db, transaction) {
+      const habitsStore = transaction.objectStore(STORES.HABITS);
+
+      if (!habitsStore.indexNames.contains("category")) {
+        habitsStore.createIndex("category", "category", { unique: false });
+      }
+      if (!habitsStore.indexNames.contains("tags")) {
+        habitsStore.createIndex("tags", "tags", {
+          unique: false,
+          multiEntry: true,
+        });
+      }
+
+      // Backfill the indexed fields for habits written before this version
+      const cursorRequest = habitsStore.openCursor();
+      cursorRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const habit = cursor.value;
+        if (typeof habit.category !== "string" || !Array.isArray(habit.tags)) {
+          cursor.update({ ...habit, ...getHabitGrouping(habit) });
+        }
+        cursor.continue();
+      };
+    },
+  },
+  {
+    version: 5,
+    name: "add-post-habit-ids-index",
+    description: "Index posts by the habits their frontmatter links",
+    upgrade(db, transaction) {
+      const postsStore = transaction.objectStore(STORES.POSTS);
+
+      if (!postsStore.indexNames.contains("habitIds")) {
+        postsStore.createIndex("habitIds", "habitIds", {
+          unique: false,
+          multiEntry: true,
+        });
+      }
+
+      // Backfill the indexed field for posts written before this version
+      const cursorRequest = postsStore.openCursor();
+      cursorRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const post = cursor.value;
+        if (!Array.isArray(post.habitIds)) {
+          cursor.update({ ...post, habitIds: extractHabitIds(post.content) });
+        }
+        cursor.continue();
+      };
+    },
+  },
+];
+
+// Target schema version is always the newest migration
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Append the migrations that just ran to the settings record
+ *
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {Array} applied - Migrations that were applied
+ */
+function recordAppliedMigrations(transaction, applied) {
+  const settingsStore = transaction.objectStore(STORES.SETTINGS);
+  const getRequest = settingsStore.get(MIGRATION_RECORD_ID);
+
+  getRequest.onsuccess = () => {
+    const existing = getRequest.result || {
+      id: MIGRATION_RECORD_ID,
+      applied: [],
+    };
+    const appliedAt = new Date().toISOString();
+
+    settingsStore.put({
+      ...existing,
+      version: applied[applied.length - 1].version,
+      applied: [
+        ...existing.applied,
+        ...applied.map(({ version, name }) => ({ version, name, appliedAt })),
+      ],
+    });
+  };
+}
+
+/**
+ * Run every migration between the stored version and the target version
+ *
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {Object} options - Migration options
+ * @param {number} options.oldVersion - Version the database is upgrading from
+ * @param {number} options.newVersion - Version the database is upgrading to
+ * @param {Function} options.onProgress - Called before each migration runs
+ * @returns {Array} Migrations that were applied
+ */
+export function runMigrations(
+  db,
+  transaction,
+  { oldVersion, newVersion = SCHEMA_VERSION, onProgress = () => {} }
+) {
+  const pending = MIGRATIONS.filter(
+    (migration) =>
+      migration.version > oldVersion && migration.version <= newVersion
+  );
+
+  // Existing data is snapshotted once, as soon as the snapshots store exists
+  // (before the first pending migration, or right after the one creating it)
+  let snapshotTaken = oldVersion === 0;
+  const takeSnapshot = (version) => {
+    if (!snapshotTaken && db.objectStoreNames.contains(STORES.SNAPSHOTS)) {
+      snapshotBeforeMigration(transaction, version);
+      snapshotTaken = true;
+    }
+  };
+
+  pending.forEach((migration, index) => {
+    takeSnapshot(migration.version - 1);
+    onProgress({
+      migration,
+      index,
+      total: pending.length,
+      fromVersion: oldVersion,
+      toVersion: newVersion,
+    });
+    migration.upgrade(db, transaction, { oldVersion, newVersion });
+  });
+
+  if (pending.length > 0) {
+    takeSnapshot(pending[pending.length - 1].version);
+    recordAppliedMigrations(transaction, pending);
+  }
+
+  return pending;
+}
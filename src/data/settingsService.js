@@ -0,0 +1,246 @@
+// User preferences stored in the settings store
+import { storage } from "./storageAdapter";
+import { versionedWrites } from "./versionedWrites";
+import {
+  DEFAULT_LOCAL_DATE_PREFERENCES,
+  configureLocalDate,
+  isValidTimeZone,
+} from "../utils/localDate";
+import { validateVacations } from "./habitExcuses";
+import { DEFAULT_SNOOZE_MINUTES, validateQuietHours } from "./habitReminders";
+import { SORT_MODES } from "./habitOrder";
+
+/**
+ * Settings Service
+ *
+ * Preferences live in a single record of the settings store, so they are
+ * versioned, synced across tabs and included in backups like any other
+ * data. Loading them applies the calendar date preferences (time zone and
+ * day-start hour) to the local date module used by habit tracking.
+ */
+
+export const PREFERENCES_ID = "preferences";
+
+// Furthest back (in days) a backfill window can reach
+export const MAX_BACKFILL_DAYS = 365;
+
+export const DEFAULT_PREFERENCES = {
+  ...DEFAULT_LOCAL_DATE_PREFERENCES,
+  // How many days before today habit completions can be filled in
+  backfillDays: 7,
+  // Date ranges when no habit is expected ({ start, end }; end null while
+  // the vacation is ongoing)
+  vacations: [],
+  // Whether habit reminders are shown on this device's notifications
+  remindersEnabled: true,
+  // Time range ({ start, end } in HH:MM) without reminders, or null
+  quietHours: null,
+  // How long "Snooze" puts a reminder off
+  snoozeMinutes: DEFAULT_SNOOZE_MINUTES,
+  // How the habit tracker sorts habits (see habitOrder)
+  habitSortMode: SORT_MODES.MANUAL,
+};
+
+// Keep only known preferences, with valid values
+function validatePreferences(preferences) {
+  const {
+    timeZone,
+    dayStartHour,
+    backfillDays,
+    vacations,
+    remindersEnabled,
+    quietHours,
+    snoozeMinutes,
+    habitSortMode,
+  } = preferences;
+
+  if (timeZone != null && !isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+  if (
+    dayStartHour !== undefined &&
+    (!Number.isInteger(dayStartHour) || dayStartHour < 0 || dayStartHour > 11)
+  ) {
+    throw new Error("Day start hour must be a whole hour from 0 to 11");
+  }
+  if (
+    backfillDays !== undefined &&
+    (!Number.isInteger(backfillDays) ||
+      backfillDays < 0 ||
+      backfillDays > MAX_BACKFILL_DAYS)
+  ) {
+    throw new Error(
+      `Backfill window must be a whole number of days from 0 to ${MAX_BACKFILL_DAYS}`
+    );
+  }
+
+  if (vacations !== undefined) {
+    const errors = validateVacations(vacations);
+    if (errors.length > 0) {
+      throw new Error(errors.join("; "));
+    }
+  }
+
+  if (remindersEnabled !== undefined && typeof remindersEnabled !== "boolean") {
+    throw new Error("Reminders must be turned on or off");
+  }
+  if (quietHours !== undefined) {
+    const errors = validateQuietHours(quietHours);
+    if (errors.length > 0) {
+      throw new Error(errors.join("; "));
+    }
+  }
+  if (
+    snoozeMinutes !== undefined &&
+    (!Number.isInteger(snoozeMinutes) ||
+      snoozeMinutes < 1 ||
+      snoozeMinutes > 240)
+  ) {
+    throw new Error("Snooze must be a whole number of minutes from 1 to 240");
+  }
+  if (
+    habitSortMode !== undefined &&
+    !Object.values(SORT_MODES).includes(habitSortMode)
+  ) {
+    throw new Error(`Unknown habit sort mode: ${habitSortMode}`);
+  }
+
+  const validated = {};
+  if (timeZone !== undefined) validated.timeZone = timeZone || null;
+  if (dayStartHour !== undefined) validated.dayStartHour = dayStartHour;
+  if (backfillDays !== undefined) validated.backfillDays = backfillDays;
+  if (vacations !== undefined) {
+    validated.vacations = vacations.map(({ start, end }) => ({
+      start,
+      end: end || null,
+    }));
+  }
+  if (remindersEnabled !== undefined) {
+    validated.remindersEnabled = remindersEnabled;
+  }
+  if (quietHours !== undefined) {
+    validated.quietHours = quietHours && {
+      start: quietHours.start,
+      end: quietHours.end,
+    };
+  }
+  if (snoozeMinutes !== undefined) validated.snoozeMinutes = snoozeMinutes;
+  if (habitSortMode !== undefined) validated.habitSortMode = habitSortMode;
+  return validated;
+}
+
+/**
+ * Check a stored preferences record, such as one in a backup, with the
+ * same rules as updatePreferences
+ *
+ * @param {Object} record - Preferences record
+ * @returns {boolean} True if every preference it holds is valid
+ */
+export function isValidPreferences(record) {
+  try {
+    validatePreferences(record);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Keep the valid preferences of a stored record, one by one, using the
+// default for any that is missing or invalid (e.g. a time zone this
+// browser doesn't know)
+function sanitizePreferences(record) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_PREFERENCES).map(([key, fallback]) => {
+      if (record[key] === undefined) return [key, fallback];
+      try {
+        return [key, validatePreferences({ [key]: record[key] })[key]];
+      } catch (error) {
+        console.warn(`Ignoring stored preference ${key}:`, error.message);
+        return [key, fallback];
+      }
+    })
+  );
+}
+
+/**
+ * Get the user's preferences, filling in defaults
+ *
+ * @returns {Promise<Object>} Preferences
+ */
+async function getPreferences() {
+  try {
+    const record = await storage.getById(
+      storage.STORES.SETTINGS,
+      PREFERENCES_ID
+    );
+    return sanitizePreferences(record || {});
+  } catch (error) {
+    console.error("Error getting preferences:", error);
+    return { ...DEFAULT_PREFERENCES };
+  }
+}
+
+/**
+ * Load the stored preferences and apply them
+ *
+ * @returns {Promise<Object>} Preferences now in effect
+ */
+async function loadPreferences() {
+  const preferences = await getPreferences();
+  const { timeZone, dayStartHour } = preferences;
+  configureLocalDate({ timeZone, dayStartHour });
+  return preferences;
+}
+
+/**
+ * Change some preferences, save them and apply them
+ *
+ * @param {Object} changes - Preferences to change
+ * @param {string|null} changes.timeZone - IANA time zone, or null for the
+ *   system time zone
+ * @param {number} changes.dayStartHour - Hour (0-11) at which a day begins
+ * @param {number} changes.backfillDays - Days before today whose habit
+ *   completions can still be changed
+ * @param {Array} changes.vacations - Vacation ranges for all habits
+ * @param {boolean} changes.remindersEnabled - Whether to show reminders
+ * @param {Object|null} changes.quietHours - { start, end } in HH:MM during
+ *   which no reminders are shown, or null for none
+ * @param {number} changes.snoozeMinutes - Minutes a snoozed reminder waits
+ * @param {string} changes.habitSortMode - How the tracker sorts habits
+ * @returns {Promise<Object>} Preferences now in effect
+ */
+async function updatePreferences(changes) {
+  try {
+    const validated = validatePreferences(changes);
+    const existing = await storage.getById(
+      storage.STORES.SETTINGS,
+      PREFERENCES_ID
+    );
+
+    if (existing) {
+      await versionedWrites.modify(
+        storage.STORES.SETTINGS,
+        PREFERENCES_ID,
+        () => validated
+      );
+    } else {
+      await versionedWrites.create(storage.STORES.SETTINGS, {
+        id: PREFERENCES_ID,
+        ...DEFAULT_PREFERENCES,
+        ...validated,
+      });
+    }
+
+    return await loadPreferences();
+  } catch (error) {
+    console.error("Error updating preferences:", error);
+    throw error;
+  }
+}
+
+// Export the settings service
+export const settingsService = {
+  getPreferences,
+  loadPreferences,
+  updatePreferences,
+};
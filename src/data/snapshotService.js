@@ -0,0 +1,240 @@
+// Rolling point-in-time snapshots of all application data
+import { storage } from "./storageAdapter";
+import {
+  SCHEMA_VERSION,
+  SNAPSHOT_SOURCE_STORES,
+  createSnapshotRecord,
+} from "./schemaMigrations";
+import { backupService } from "./backupService";
+import { now } from "../utils/clock";
+
+/**
+ * Snapshot Service
+ *
+ * Keeps a rolling set of full copies of the posts, habits and settings
+ * stores in the snapshots store, so a bad edit, import or migration can be
+ * undone locally without a manual backup. Snapshots are taken:
+ *
+ * - daily, when the app starts or stays open across a day
+ * - on shutdown (the SHUTDOWN_START lifecycle event)
+ * - before every schema migration (inside the upgrade, see schemaMigrations)
+ * - before a restore, so the restore itself can be undone
+ * - on demand from the settings screen
+ *
+ * A new snapshot is skipped when the data is identical to the latest one,
+ * and old snapshots are pruned by count and age.
+ */
+
+export const SNAPSHOT_POLICY = {
+  maxCount: 10,
+  maxAgeDays: 30,
+  dailyIntervalHours: 24,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Snapshot metadata without the (large) copy of the data
+function summarizeSnapshot(snapshot) {
+  const { data: _data, ...summary } = snapshot;
+  return summary;
+}
+
+/**
+ * List snapshots, newest first, without their data
+ *
+ * @returns {Promise<Array>} Snapshot summaries
+ */
+async function listSnapshots() {
+  try {
+    const snapshots = await storage.queryByIndex(
+      storage.STORES.SNAPSHOTS,
+      "createdAt",
+      null
+    );
+
+    return snapshots.reverse().map(summarizeSnapshot);
+  } catch (error) {
+    console.error("Error listing snapshots:", error);
+    return [];
+  }
+}
+
+/**
+ * Get the most recent snapshot
+ *
+ * @param {Object} tx - Optional transaction to read within
+ * @returns {Promise<Object|null>} Latest snapshot or null
+ */
+async function getLatestSnapshot(tx) {
+  const { items } = await storage.queryPage(
+    storage.STORES.SNAPSHOTS,
+    "createdAt",
+    { direction: "prev", limit: 1 },
+    tx
+  );
+  return items[0] || null;
+}
+
+/**
+ * Delete snapshots beyond the count limit or older than the age limit.
+ * The newest snapshot is always kept.
+ *
+ * @param {Object} policy - Retention policy (defaults to SNAPSHOT_POLICY)
+ * @param {Object} tx - Optional transaction to write within
+ * @returns {Promise<number>} Number of snapshots deleted
+ */
+async function pruneSnapshots(policy = SNAPSHOT_POLICY, tx) {
+  const prune = async (activeTx) => {
+    const snapshots = await storage.queryByIndex(
+      storage.STORES.SNAPSHOTS,
+      "createdAt",
+      null,
+      activeTx
+    );
+    const oldestAllowed = now().getTime() - policy.maxAgeDays * DAY_MS;
+
+    const expired = snapshots
+      .reverse()
+      .filter(
+        (snapshot, index) =>
+          index > 0 &&
+          (index >= policy.maxCount ||
+            new Date(snapshot.createdAt).getTime() < oldestAllowed)
+      );
+
+    for (const snapshot of expired) {
+      await storage.remove(storage.STORES.SNAPSHOTS, snapshot.id, activeTx);
+    }
+    return expired.length;
+  };
+
+  try {
+    return tx
+      ? await prune(tx)
+      : await storage.transaction(storage.STORES.SNAPSHOTS, "readwrite", prune);
+  } catch (error) {
+    console.error("Error pruning snapshots:", error);
+    return 0;
+  }
+}
+
+/**
+ * Take a snapshot of all data
+ *
+ * @param {string} reason - What triggered the snapshot
+ * @param {Object} options - Snapshot options
+ * @param {boolean} options.force - Save even if nothing changed since the
+ *   latest snapshot
+ * @returns {Promise<Object|null>} Snapshot summary, or null if skipped
+ */
+async function createSnapshot(reason = "manual", { force = false } = {}) {
+  try {
+    return await storage.transaction(
+      [...SNAPSHOT_SOURCE_STORES, storage.STORES.SNAPSHOTS],
+      "readwrite",
+      async (tx) => {
+        const data = {};
+        for (const storeName of SNAPSHOT_SOURCE_STORES) {
+          data[storeName] = await storage.getAll(storeName, tx);
+        }
+
+        const snapshot = createSnapshotRecord(reason, data, {
+          schemaVersion: SCHEMA_VERSION,
+          createdAt: now().toISOString(),
+        });
+
+        const latest = await getLatestSnapshot(tx);
+        if (!force && latest && latest.fingerprint === snapshot.fingerprint) {
+          return null;
+        }
+
+        await storage.create(storage.STORES.SNAPSHOTS, snapshot, tx);
+        await pruneSnapshots(SNAPSHOT_POLICY, tx);
+
+        return summarizeSnapshot(snapshot);
+      }
+    );
+  } catch (error) {
+    console.error(`Error creating ${reason} snapshot:`, error);
+    return null;
+  }
+}
+
+/**
+ * Take the daily snapshot if the latest one is older than a day
+ *
+ * @returns {Promise<Object|null>} Snapshot summary, or null if not needed
+ */
+async function ensureDailySnapshot() {
+  try {
+    const latest = await getLatestSnapshot();
+    const interval = SNAPSHOT_POLICY.dailyIntervalHours * 60 * 60 * 1000;
+
+    if (
+      latest &&
+      now().getTime() - new Date(latest.createdAt).getTime() < interval
+    ) {
+      return null;
+    }
+
+    return await createSnapshot("daily");
+  } catch (error) {
+    console.error("Error checking daily snapshot:", error);
+    return null;
+  }
+}
+
+/**
+ * Replace all current data with the contents of a snapshot
+ *
+ * The current data is snapshotted first so the restore can be undone.
+ *
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<Object>} Import result from the backup service
+ */
+async function restoreSnapshot(id) {
+  try {
+    const snapshot = await storage.getById(storage.STORES.SNAPSHOTS, id);
+    if (!snapshot) {
+      throw new Error(`Snapshot with ID ${id} not found`);
+    }
+
+    await createSnapshot("before-restore");
+
+    return await backupService.importBackup(
+      backupService.createBackup(snapshot.data, {
+        schemaVersion: snapshot.schemaVersion,
+        exportedAt: snapshot.createdAt,
+      }),
+      { mode: "replace" }
+    );
+  } catch (error) {
+    console.error(`Error restoring snapshot with ID ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a snapshot
+ *
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<string>} Deleted snapshot ID
+ */
+async function deleteSnapshot(id) {
+  try {
+    return await storage.remove(storage.STORES.SNAPSHOTS, id);
+  } catch (error) {
+    console.error(`Error deleting snapshot with ID ${id}:`, error);
+    throw error;
+  }
+}
+
+// Export the snapshot service
+export const snapshotService = {
+  listSnapshots,
+  createSnapshot,
+  ensureDailySnapshot,
+  pruneSnapshots,
+  restoreSnapshot,
+  deleteSnapshot,
+};
@@ -0,0 +1,90 @@
+// Storage adapter selection shared by the data services
+import { dbService } from "./dbService";
+import { createLocalStorageAdapter } from "./localStorageAdapter";
+import { createMemoryAdapter } from "./memoryAdapter";
+
+/**
+ * Storage Adapter
+ *
+ * The post and habit services talk to `storage` rather than to a specific
+ * backend. Every adapter implements the dbService contract:
+ *
+ *   create, getAll, getById, update, remove, queryByIndex, queryByRange,
+ *   queryPage, clearStore, countRecords, transaction
+ *
+ * IndexedDB (dbService) is the default. During initialization the feature
+ * flags pick a fallback when IndexedDB is unavailable, so the rest of the
+ * application works the same regardless of where data lives. The memory
+ * adapter backs demo mode and is the last resort when nothing persists.
+ *
+ * Tests inject their own adapter with `setAdapter(createMemoryAdapter())`.
+ */
+
+const ADAPTER_NAMES = {
+  INDEXED_DB: "indexedDB",
+  LOCAL_STORAGE: "localStorage",
+  MEMORY: "memory",
+};
+
+let activeAdapter = dbService;
+let activeAdapterName = ADAPTER_NAMES.INDEXED_DB;
+
+/**
+ * Replace the active storage adapter
+ *
+ * @param {Object} adapter - Adapter implementing the dbService contract
+ * @param {string} name - Adapter name for diagnostics
+ */
+function setAdapter(adapter, name = adapter.name || "custom") {
+  activeAdapter = adapter;
+  activeAdapterName = name;
+}
+
+/**
+ * Select the storage adapter from the initialization feature flags
+ *
+ * @param {Object} features - Feature flags from the app initializer
+ * @param {boolean} features.useIndexedDB - IndexedDB is available and working
+ * @param {boolean} features.useLocalStorage - localStorage is available
+ * @param {boolean} features.demoMode - Keep all data in memory only
+ * @returns {string} Name of the selected adapter
+ */
+function selectAdapter({ useIndexedDB, useLocalStorage, demoMode = false }) {
+  if (demoMode) {
+    setAdapter(createMemoryAdapter(), ADAPTER_NAMES.MEMORY);
+  } else if (useIndexedDB) {
+    setAdapter(dbService, ADAPTER_NAMES.INDEXED_DB);
+  } else if (useLocalStorage) {
+    setAdapter(createLocalStorageAdapter(), ADAPTER_NAMES.LOCAL_STORAGE);
+  } else {
+    console.warn("No persistent storage available; data will not be saved");
+    setAdapter(createMemoryAdapter(), ADAPTER_NAMES.MEMORY);
+  }
+
+  return activeAdapterName;
+}
+
+// Forward a call to whichever adapter is active at call time
+const forward =
+  (method) =>
+  (...args) =>
+    activeAdapter[method](...args);
+
+export const storage = {
+  STORES: dbService.STORES,
+  ADAPTER_NAMES,
+  create: forward("create"),
+  getAll: forward("getAll"),
+  getById: forward("getById"),
+  update: forward("update"),
+  remove: forward("remove"),
+  queryByIndex: forward("queryByIndex"),
+  queryByRange: forward("queryByRange"),
+  queryPage: forward("queryPage"),
+  clearStore: forward("clearStore"),
+  countRecords: forward("countRecords"),
+  transaction: forward("transaction"),
+  setAdapter,
+  selectAdapter,
+  getAdapterName: () => activeAdapterName,
+};
@@ -0,0 +1,120 @@
+// Record writes that bump a version number and publish the change
+import { storage } from "./storageAdapter";
+import { changeFeed } from "./changeFeed";
+
+/**
+ * Versioned Writes
+ *
+ * Every post and habit carries a `version` that increases by one on each
+ * write. Updates are read-modify-write inside a single readwrite
+ * transaction, so two tabs changing the same record can't overwrite each
+ * other's changes: the second writer always starts from the first
+ * writer's result. Each committed write is published on the change feed,
+ * with the names of the fields an update actually changed. An update that
+ * changes nothing is skipped entirely.
+ */
+
+/**
+ * List the fields whose values differ between a record and a set of changes
+ *
+ * @param {Object} current - Current record
+ * @param {Object} changes - Changes to compare against it
+ * @returns {Array<string>} Changed field names (never id or version)
+ */
+function getChangedFields(current, changes) {
+  return Object.keys(changes).filter(
+    (field) =>
+      field !== "id" &&
+      field !== "version" &&
+      JSON.stringify(current[field]) !== JSON.stringify(changes[field])
+  );
+}
+
+/**
+ * Create a record at version 1
+ *
+ * @param {string} storeName - Object store name
+ * @param {Object} record - Record to create
+ * @returns {Promise<Object>} Created record
+ */
+async function createRecord(storeName, record) {
+  const created = { ...record, version: 1 };
+  await storage.create(storeName, created);
+
+  changeFeed.publish({
+    collection: storeName,
+    id: created.id,
+    operation: "create",
+    version: created.version,
+  });
+  return created;
+}
+
+/**
+ * Atomically update a record from its current stored state
+ *
+ * @param {string} storeName - Object store name
+ * @param {string} id - Record ID
+ * @param {Function} modify - (current) => changes to merge, or null to
+ *   leave the record as it is
+ * @returns {Promise<Object>} The record after the update
+ */
+async function modifyRecord(storeName, id, modify) {
+  const { record, changedFields } = await storage.transaction(
+    storeName,
+    "readwrite",
+    async (tx) => {
+      const current = await storage.getById(storeName, id, tx);
+      if (!current) {
+        throw new Error(`Record with ID ${id} not found`);
+      }
+
+      const changes = modify(current);
+      const fields = changes ? getChangedFields(current, changes) : [];
+      if (fields.length === 0) {
+        return { record: current, changedFields: fields };
+      }
+
+      const updated = await storage.update(
+        storeName,
+        id,
+        { ...changes, version: (current.version || 0) + 1 },
+        tx
+      );
+      return { record: updated, changedFields: fields };
+    }
+  );
+
+  if (changedFields.length > 0) {
+    changeFeed.publish({
+      collection: storeName,
+      id,
+      operation: "update",
+      version: record.version,
+      changedFields,
+    });
+  }
+  return record;
+}
+
+/**
+ * Delete a record
+ *
+ * @param {string} storeName - Object store name
+ * @param {string} id - Record ID
+ * @returns {Promise<string>} Deleted record ID
+ */
+async function removeRecord(storeName, id) {
+  await storage.remove(storeName, id);
+
+  changeFeed.publish({ collection: storeName, id, operation: "delete" });
+  return id;
+}
+
+// Export the versioned write helpers
+export const versionedWrites = {
+  create: createRecord,
+  modify: modifyRecord,
+  remove: removeRecord,
+  getChangedFields,
+};
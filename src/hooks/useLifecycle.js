@@ -81,20 +81,30 @@ export function useAppFocus() {
 /**
  * Custom hook for tracking data changes
  *
+ * The callback receives the change event: `id`, `operation` (create,
+ * update, delete, bulk or reconcile), `version`, `changedFields` for
+ * updates, and `remote` when the change came from another tab.
+ *
  * @param {string} collection - Data collection to watch
  * @param {Function} callback - Callback function for changes
  * @param {Array} deps - Dependencies array for callback
+ * @param {Object} options - Subscription options
+ * @param {string} options.id - Only report changes to this record (changes
+ *   without a record ID, such as imports, are always reported)
  */
-export function useDataChanges(collection, callback, deps = []) {
+export function useDataChanges(collection, callback, deps = [], { id } = {}) {
   useLifecycleEvent(
     lifecycleEvents.EVENTS.DATA_CHANGED,
     (data) => {
       // Only call callback if the change is for the watched collection
-      if (data.collection === collection && data.hasChanged) {
-        callback(data);
-      }
+      if (data.collection !== collection || !data.hasChanged) return;
+
+      // ...and, when watching one record, for that record
+      if (id != null && data.id != null && data.id !== id) return;
+
+      callback(data);
     },
-    deps
+    [id, ...deps]
   );
 
   // Return function to force refresh
@@ -106,10 +116,16 @@ export function useDataChanges(collection, callback, deps = []) {
 /**
  * Custom hook that refreshes component when specific data changes
  *
+ * The refresh token goes up whenever a change to the collection (or to
+ * the record given by `id`) is announced, so listing it in an effect's
+ * dependencies re-runs the effect.
+ *
  * @param {string} collection - Data collection to watch
- * @returns {Function} Force refresh function
+ * @param {Object} options - Subscription options
+ * @param {string} options.id - Only refresh for changes to this record
+ * @returns {Array} [refreshToken, forceRefresh]
  */
-export function useDataRefresh(collection) {
+export function useDataRefresh(collection, { id } = {}) {
   const [refreshToken, setRefreshToken] = useState(0);
 
   useDataChanges(
@@ -118,14 +134,17 @@ export function useDataRefresh(collection) {
       // Update state to trigger re-render
       setRefreshToken((prev) => prev + 1);
     },
-    []
+    [],
+    { id }
   );
 
-  // Return function to force refresh
-  return useCallback(() => {
-    dataChangeObserver.notifyChange(collection);
+  // Function to force refresh
+  const forceRefresh = useCallback(() => {
+    dataChangeObserver.notifyChange(collection, { id: id ?? null });
     setRefreshToken((prev) => prev + 1);
-  }, [collection]);
+  }, [collection, id]);
+
+  return [refreshToken, forceRefresh];
 }
 
 /**
@@ -15,6 +15,7 @@
  */
 
 import { dbService } from '../data/dbService';
+import { storage } from '../data/storageAdapter';
 import { 
   initializeDataServices, 
   migrateDataToIndexedDB, 
@@ -47,6 +48,8 @@ function configureFeatureFlags(environment) {
     useLocalStorage: environment.localStorageSupported,
     enableOfflineMode: environment.serviceWorkerSupported,
     enableHighPerformanceMode: environment.screenSize.width > 1024,
+    // ?demo keeps everything in memory so visitors can try the app safely
+    demoMode: new URLSearchParams(window.location.search).has('demo'),
     // More feature flags could be defined here
   };
   
@@ -99,16 +102,34 @@ function setupPerformanceMonitoring() {
  * Main initialization function
  * This orchestrates the entire initialization process
  * 
+ * @param {Object} options - Initialization options
+ * @param {Function} options.onProgress - Called with (stage, progress, message)
+ *   as each phase runs, including individual schema migrations
  * @returns {Promise<Object>} Initialization result with app context
  */
-export async function initializeApplication() {
+export async function initializeApplication({ onProgress = () => {} } = {}) {
   // Start performance monitoring
   const perfMonitoring = setupPerformanceMonitoring();
   
+  // Forward schema migration progress while the database is opened
+  const stopMigrationProgress = dbService.onMigrationProgress(
+    ({ progress, message }) => {
+      onProgress('migration', 40 + Math.round(progress * 0.2), message);
+    }
+  );
+  
+  // Surface a blocked upgrade (another tab still holds an older version)
+  const stopConnectionWatch = dbService.onConnectionChange(({ status }) => {
+    if (status === 'blocked') {
+      onProgress('storage', 30, 'Waiting for other tabs to close the previous version', 'warning');
+    }
+  });
+  
   try {
     console.log('Starting application initialization...');
     
     // Phase 1: Environment Detection
+    onProgress('environment', 10, 'Detecting browser capabilities');
     const environment = detectEnvironment();
     
     // Phase 2: Feature Configuration
@@ -119,12 +140,13 @@ export async function initializeApplication() {
     
     // Phase 4: Storage Preparation
     console.log('Preparing storage systems...');
+    onProgress('storage', 30, 'Setting up storage systems');
     
     if (features.useIndexedDB) {
       try {
-        // Test IndexedDB connectivity
+        // Test IndexedDB connectivity (this also runs pending schema migrations)
         await dbService.countRecords(dbService.STORES.SETTINGS);
-        console.log('IndexedDB is working correctly');
+        console.log('IndexedDB is working correctly', dbService.getConnectionHealth());
       } catch (dbError) {
         console.error('IndexedDB error:', dbError);
         // Fall back to localStorage if IndexedDB fails
@@ -132,13 +154,18 @@ export async function initializeApplication() {
       }
     }
     
+    // Route the data services to the backend the feature flags allow
+    features.storageAdapter = storage.selectAdapter(features);
+    
     // Phase 5: Data Migration
-    if (features.useIndexedDB) {
+    onProgress('migration', 60, 'Checking for data migration needs');
+    if (features.useIndexedDB && !features.demoMode) {
       await migrateDataToIndexedDB();
     }
     
     // Phase 6: Service Initialization
     console.log('Initializing data services...');
+    onProgress('services', 70, 'Initializing application services');
     await initializeDataServices();
     
     // Phase 7: Compatibility Layer
@@ -148,6 +175,8 @@ export async function initializeApplication() {
     const appContext = {
       environment,
       features,
+      schemaVersion: dbService.SCHEMA_VERSION,
+      storageHealth: features.useIndexedDB ? dbService.getConnectionHealth() : null,
       initialized: true,
       initTime: new Date().toISOString()
     };
@@ -170,6 +199,9 @@ export async function initializeApplication() {
       error: error.message,
       details: error
     };
+  } finally {
+    stopMigrationProgress();
+    stopConnectionWatch();
   }
 }
 
@@ -18,78 +18,100 @@ import { useDataRefresh } from "../hooks/useLifecycle";
  * This is like a diverse section of forest with many types of plants (posts)
  * organized in ways that invite exploration and discovery.
  */
+// Number of posts fetched per page when browsing
+const PAGE_SIZE = 12;
+
+// Sort an in-memory list of posts (used for search results)
+const sortPosts = (posts, sortOption) => {
+  const sorted = [...posts];
+
+  switch (sortOption) {
+    case "oldest":
+      return sorted.sort((a, b) => new Date(a.date) - new Date(b.date));
+    case "title":
+      return sorted.sort((a, b) => a.title.localeCompare(b.title));
+    case "newest":
+    default:
+      return sorted.sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+};
+
 const BlogPage = () => {
   // State management - like the soil conditions in this section of forest
   const [posts, setPosts] = useState([]);
-  const [filteredPosts, setFilteredPosts] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalPosts, setTotalPosts] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [searchTerm, setSearchTerm] = useState("");
   const [sortOption, setSortOption] = useState("newest");
 
   // Get refresh trigger from our lifecycle hook
-  const refreshData = useDataRefresh("posts");
+  const [postsVersion] = useDataRefresh("posts");
 
-  // Fetch posts - like gathering nutrients from the soil
+  const isSearching = searchTerm.trim() !== "";
+
+  // Fetch the first page - like gathering nutrients from the soil.
+  // Browsing reads one page at a time from the sorted index; searching
+  // scans all posts, so it is debounced while the user types.
   useEffect(() => {
-    const fetchPosts = async () => {
+    let cancelled = false;
+
+    const fetchFirstPage = async () => {
       setIsLoading(true);
       try {
-        const allPosts = await enhancedPostService.getPosts();
-        setPosts(allPosts);
-        setFilteredPosts(allPosts);
+        const count = await enhancedPostService.getPostCount();
+
+        if (searchTerm.trim()) {
+          const matches = await enhancedPostService.searchPosts(searchTerm);
+          if (cancelled) return;
+          setPosts(sortPosts(matches, sortOption));
+          setNextCursor(null);
+        } else {
+          const page = await enhancedPostService.getPosts({
+            limit: PAGE_SIZE,
+            order: sortOption,
+          });
+          if (cancelled) return;
+          setPosts(page.posts);
+          setNextCursor(page.nextCursor);
+        }
+
+        setTotalPosts(count);
       } catch (error) {
         console.error("Error fetching blog posts:", error);
       } finally {
-        setIsLoading(false);
+        if (!cancelled) setIsLoading(false);
       }
     };
 
-    fetchPosts();
-  }, [refreshData]); // Re-fetch when data changes
-
-  // Search and filter logic - like how animals search for specific plants
-  useEffect(() => {
-    if (!searchTerm.trim()) {
-      setFilteredPosts(posts);
-      return;
-    }
-
-    const normalized = searchTerm.toLowerCase().trim();
-    const filtered = posts.filter((post) => {
-      const titleMatch =
-        post.title && post.title.toLowerCase().includes(normalized);
-      const excerptMatch =
-        post.excerpt && post.excerpt.toLowerCase().includes(normalized);
-      const contentMatch =
-        post.content && post.content.toLowerCase().includes(normalized);
+    const timerId = setTimeout(fetchFirstPage, searchTerm.trim() ? 250 : 0);
 
-      return titleMatch || excerptMatch || contentMatch;
-    });
-
-    setFilteredPosts(filtered);
-  }, [searchTerm, posts]);
-
-  // Sort logic - like organizing plants by different characteristics
-  useEffect(() => {
-    const sorted = [...filteredPosts];
-
-    switch (sortOption) {
-      case "newest":
-        sorted.sort((a, b) => new Date(b.date) - new Date(a.date));
-        break;
-      case "oldest":
-        sorted.sort((a, b) => new Date(a.date) - new Date(b.date));
-        break;
-      case "title":
-        sorted.sort((a, b) => a.title.localeCompare(b.title));
-        break;
-      default:
-        // Default to newest
-        sorted.sort((a, b) => new Date(b.date) - new Date(a.date));
+    return () => {
+      cancelled = true;
+      clearTimeout(timerId);
+    };
+  }, [postsVersion, searchTerm, sortOption]); // Re-fetch when data changes
+
+  // Load the next page - like venturing deeper into the grove
+  const loadMorePosts = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return;
+
+    setIsLoadingMore(true);
+    try {
+      const page = await enhancedPostService.getPosts({
+        limit: PAGE_SIZE,
+        cursor: nextCursor,
+        order: sortOption,
+      });
+      setPosts((prev) => [...prev, ...page.posts]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error("Error loading more posts:", error);
+    } finally {
+      setIsLoadingMore(false);
     }
-
-    setFilteredPosts(sorted);
-  }, [sortOption, posts, searchTerm]);
+  }, [nextCursor, isLoadingMore, sortOption]);
 
   // Handle search input - like developing sensitivity to different plant traits
   const handleSearchChange = (e) => {
@@ -163,25 +185,34 @@ const BlogPage = () => {
             <div className="loading-indicator"></div>
             <p>Gathering knowledge artifacts...</p>
           </div>
-        ) : filteredPosts.length > 0 ? (
+        ) : posts.length > 0 ? (
           <>
             {/* Post count - Like a species count in this area */}
             <div className="post-count">
-              {filteredPosts.length === posts.length ? (
-                <span>Showing all {posts.length} posts</span>
+              {isSearching ? (
+                <span>
+                  Found {posts.length} of {totalPosts} posts
+                </span>
+              ) : posts.length === totalPosts ? (
+                <span>Showing all {totalPosts} posts</span>
               ) : (
                 <span>
-                  Showing {filteredPosts.length} of {posts.length} posts
+                  Showing {posts.length} of {totalPosts} posts
                 </span>
               )}
             </div>
 
             {/* Post list - The collection of plant species */}
-            <PostList posts={filteredPosts} />
+            <PostList
+              posts={posts}
+              hasMore={!isSearching && nextCursor !== null}
+              isLoadingMore={isLoadingMore}
+              onLoadMore={loadMorePosts}
+            />
           </>
         ) : (
           <div className="empty-state">
-            {posts.length > 0 ? (
+            {totalPosts > 0 ? (
               <>
                 <h2>No matching posts</h2>
                 <p>Try adjusting your search criteria</p>
@@ -1,9 +1,17 @@
 // Content creation environment for the digital ecosystem
 
 import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import Layout from "../components/layout/Layout";
 import { enhancedPostService } from "../data/enhancedPostService";
+import { enhancedHabitService } from "../data/enhancedHabitService";
+import { settingsService } from "../data/settingsService";
+import {
+  createReflectionDraft,
+  parseHabitIds,
+  parseReflectionPeriod,
+} from "../data/habitReflections";
+import { getToday } from "../utils/localDate";
 import { useMarkdown } from "../hooks/useMarkdown";
 
 /**
@@ -22,10 +30,15 @@ import { useMarkdown } from "../hooks/useMarkdown";
  * - Preview Synchronization Pattern (shows real-time results)
  * - Content Transformation Pattern (converts markdown to HTML)
  * - Data Persistence Pattern (saves content to storage)
+ *
+ * Opened as /create?habits=1,2&from=2025-03-03&to=2025-03-09 it starts a
+ * reflection on those habits (see habitReflections.js), like a seed
+ * gathered from trees already growing.
  */
 const CreatePostPage = () => {
   // Navigation function (for redirecting after creation)
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
 
   // Form state management (like the seed's developing structure)
   const [formData, setFormData] = useState({
@@ -46,6 +59,55 @@ const CreatePostPage = () => {
     content: false,
   });
 
+  // Prefill a reflection on the habits in the address (like seeds gathered
+  // from the trees it describes)
+  const reflectOn = searchParams.get("habits");
+  const from = searchParams.get("from");
+  const to = searchParams.get("to");
+  useEffect(() => {
+    const habitIds = parseHabitIds(reflectOn);
+    if (habitIds.length === 0) return;
+
+    let cancelled = false;
+    const prefillReflection = async () => {
+      try {
+        const [habits, preferences] = await Promise.all([
+          Promise.all(habitIds.map(enhancedHabitService.getHabitById)),
+          settingsService.getPreferences(),
+        ]);
+        const found = habits.filter(Boolean);
+        if (found.length === 0) {
+          throw new Error("the habits no longer exist");
+        }
+
+        const today = getToday();
+        const period = parseReflectionPeriod(from, to, today);
+        const draft = createReflectionDraft(found, period, {
+          today,
+          vacations: preferences.vacations,
+        });
+        if (cancelled) return;
+
+        // Keep anything already typed
+        setFormData((prev) => ({
+          ...prev,
+          title: prev.title || draft.title,
+          content: prev.content || draft.content,
+        }));
+      } catch (err) {
+        console.error("Error preparing reflection:", err);
+        if (!cancelled) {
+          setError(`Couldn't prepare the reflection: ${err.message}`);
+        }
+      }
+    };
+
+    prefillReflection();
+    return () => {
+      cancelled = true;
+    };
+  }, [reflectOn, from, to]);
+
   // Process markdown for preview (like visualizing future growth)
   const { html, metadata } = useMarkdown(formData.content, {
     extractMeta: true,
@@ -198,6 +260,22 @@ const CreatePostPage = () => {
             </ul>
           </div>
 
+          <div className="guide-section">
+            <h4>Habit Widgets</h4>
+            <p>Live charts of a habit, each on a line of its own:</p>
+            <ul>
+              <li>
+                <code>{"::habit-heatmap{id=1 range=90d}"}</code>
+              </li>
+              <li>
+                <code>{"::habit-chart{id=1 range=30d}"}</code>
+              </li>
+              <li>
+                <code>{"::habit-streak{id=1}"}</code>
+              </li>
+            </ul>
+          </div>
+
           <div className="guide-section">
             <h4>Frontmatter</h4>
             <p>Add metadata at the top of your post:</p>
@@ -206,6 +284,7 @@ const CreatePostPage = () => {
 author: Your Name
 category: Technology
 tags: react, markdown, blog
+habits: habit IDs this post is about
 ---`}
             </pre>
           </div>
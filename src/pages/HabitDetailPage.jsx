@@ -0,0 +1,518 @@
+// Page for one habit: its full history and statistics
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import Layout from "../components/layout/Layout";
+import HabitForm from "../components/habits/HabitForm";
+import HabitHeatmap from "../components/habits/HabitHeatmap";
+import {
+  enhancedHabitService,
+  getHabitEndDate,
+  isHabitArchived,
+} from "../data/enhancedHabitService";
+import { settingsService } from "../data/settingsService";
+import { backupService } from "../data/backupService";
+import { enhancedPostService } from "../data/enhancedPostService";
+import { getHabitGoal } from "../data/habitTypes";
+import {
+  describeSchedule,
+  getHabitSchedule,
+  getStreakUnit,
+} from "../data/habitSchedule";
+import { getHabitVacations } from "../data/habitExcuses";
+import { isAvoidHabit } from "../data/habitSlips";
+import { getMood, searchHabitNotes } from "../data/habitJournal";
+import {
+  getReflectionLink,
+  getReflectionPeriod,
+} from "../data/habitReflections";
+import { formatCalendarDate, getToday } from "../utils/localDate";
+import { formatDate, formatDateTime } from "../utils/dateFormatter";
+import { useDataRefresh } from "../hooks/useLifecycle";
+
+const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// Rates are null when nothing was expected, e.g. a week on vacation
+const formatRate = (rate) => (rate === null ? "–" : `${rate}%`);
+
+const formatWeek = ({ start }) =>
+  formatCalendarDate(start, { month: "short", day: "numeric" }, "en-US");
+
+const formatMonth = ({ start }) =>
+  formatCalendarDate(start, { month: "short", year: "2-digit" }, "en-US");
+
+/**
+ * Rates drawn as a row of bars, oldest first
+ */
+const RateBars = ({ rates, formatLabel }) => (
+  <div className="rate-bars">
+    {rates.map((range) => (
+      <div
+        key={range.start}
+        className="rate-bar"
+        title={`${formatLabel(range)}: ${formatRate(range.rate)}`}
+      >
+        <div className="rate-bar-track">
+          <div
+            className="rate-bar-fill"
+            style={{ height: `${range.rate ?? 0}%` }}
+          ></div>
+        </div>
+        <span className="rate-bar-label">{formatLabel(range)}</span>
+      </div>
+    ))}
+  </div>
+);
+
+/**
+ * HabitDetailPage Component
+ *
+ * A clearing around a single tree: everything a habit has grown into
+ * since it was planted. Shows a year-long heatmap, current and longest
+ * streaks, completion rates by week and month, the best and worst days of
+ * the week, the notes written along the way and the posts written about
+ * it, with actions to edit, archive or delete the habit or to write a
+ * reflection on its last week.
+ */
+const HabitDetailPage = () => {
+  const { id } = useParams();
+
+  const [habit, setHabit] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [vacations, setVacations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isEditing, setIsEditing] = useState(false);
+  const [error, setError] = useState(null);
+  const [deletedHabit, setDeletedHabit] = useState(null);
+  const [notesQuery, setNotesQuery] = useState("");
+  const [posts, setPosts] = useState([]);
+
+  // Refresh when this habit, its posts or the preferences it depends on
+  // (vacations, day start) change, here or in another tab
+  const [habitVersion] = useDataRefresh("habits", { id });
+  const [postsVersion] = useDataRefresh("posts");
+  const [settingsVersion] = useDataRefresh("settings");
+
+  // An undo notice belongs to the habit it was shown for
+  useEffect(() => {
+    setDeletedHabit(null);
+  }, [id]);
+
+  useEffect(() => {
+    // A deleted habit is gone until it's undone; don't report it missing
+    if (deletedHabit) return undefined;
+    let cancelled = false;
+
+    const fetchHabit = async () => {
+      setError(null);
+
+      try {
+        const [habitData, statistics, preferences, linkedPosts] =
+          await Promise.all([
+            enhancedHabitService.getHabitById(id),
+            enhancedHabitService.getHabitStatistics(id),
+            settingsService.getPreferences(),
+            enhancedPostService.getPostsByHabit(id),
+          ]);
+        if (cancelled) return;
+
+        if (!habitData) {
+          setError("Habit not found");
+        }
+        setHabit(habitData);
+        setStats(statistics);
+        setVacations(preferences.vacations);
+        setPosts(linkedPosts);
+      } catch (err) {
+        console.error("Error fetching habit:", err);
+        if (!cancelled) setError(`Failed to load habit: ${err.message}`);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchHabit();
+    return () => {
+      cancelled = true;
+    };
+  }, [id, deletedHabit, habitVersion, postsVersion, settingsVersion]);
+
+  const runAction = async (action, failure) => {
+    try {
+      setError(null);
+      await action();
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      setError(`${failure}: ${err.message}`);
+    }
+  };
+
+  const handleSave = (habitData) =>
+    runAction(async () => {
+      setHabit(await enhancedHabitService.updateHabit(id, habitData));
+      setIsEditing(false);
+    }, "Failed to update habit");
+
+  const handleArchive = () =>
+    runAction(async () => {
+      setHabit(
+        isHabitArchived(habit)
+          ? await enhancedHabitService.restoreHabit(id)
+          : await enhancedHabitService.archiveHabit(id)
+      );
+    }, "Failed to archive habit");
+
+  // Deleting keeps the habit around so it can be brought back
+  const handleDelete = () =>
+    runAction(async () => {
+      await enhancedHabitService.deleteHabit(id);
+      setDeletedHabit(habit);
+      // A refetch started by the deletion may have found the habit missing
+      setError(null);
+    }, "Failed to delete habit");
+
+  const handleExportNotes = () =>
+    runAction(
+      () => backupService.downloadHabitNotes([habit]),
+      "Failed to export notes"
+    );
+
+  const handleUndoDelete = () =>
+    runAction(async () => {
+      setHabit(await enhancedHabitService.undeleteHabit(deletedHabit));
+      setDeletedHabit(null);
+    }, "Failed to restore habit");
+
+  if (isLoading) {
+    return (
+      <Layout>
+        <div className="loading-state">
+          <div className="loading-spinner"></div>
+          <p>Loading habit...</p>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (deletedHabit) {
+    return (
+      <Layout>
+        <div className="habit-detail">
+          <Link to="/habits" className="back-link">
+            ← All habits
+          </Link>
+          <div className="undo-notice" role="status">
+            <p>Deleted "{deletedHabit.name}".</p>
+            <button onClick={handleUndoDelete}>Undo</button>
+          </div>
+          {error && (
+            <div className="error-message">
+              <p>{error}</p>
+            </div>
+          )}
+        </div>
+      </Layout>
+    );
+  }
+
+  if (!habit) {
+    return (
+      <Layout>
+        <div className="habit-detail">
+          <Link to="/habits" className="back-link">
+            ← All habits
+          </Link>
+          <div className="error-message">
+            <p>{error || "Habit not found"}</p>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  const schedule = getHabitSchedule(habit);
+  const unit = getStreakUnit(schedule);
+  const avoid = isAvoidHabit(habit);
+  const filteredNotes = stats ? searchHabitNotes(stats.notes, notesQuery) : [];
+
+  return (
+    <Layout>
+      <div className="habit-detail">
+        <Link to="/habits" className="back-link">
+          ← All habits
+        </Link>
+
+        <div className="habit-detail-header">
+          <div>
+            <h1>{habit.name}</h1>
+            {habit.description && (
+              <p className="habit-description">{habit.description}</p>
+            )}
+            {(habit.category || habit.tags?.length > 0) && (
+              <div className="habit-schedule">
+                {[habit.category, ...(habit.tags || []).map((tag) => `#${tag}`)]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </div>
+            )}
+            <div className="habit-schedule">
+              {describeSchedule(schedule)}
+              {habit.endDate &&
+                ` · ${habit.endDate < getToday() ? "Ended" : "Ends"} on ${formatDate(habit.endDate)}`}
+              {habit.archivedAt &&
+                ` · Archived on ${formatDate(habit.archivedAt)}`}
+            </div>
+          </div>
+
+          <div className="habit-detail-actions">
+            <button onClick={() => setIsEditing(true)} disabled={isEditing}>
+              Edit
+            </button>
+            <Link to={getReflectionLink([id], getReflectionPeriod(getToday()))}>
+              Write a reflection
+            </Link>
+            <button onClick={handleArchive}>
+              {isHabitArchived(habit) ? "Restore" : "Archive"}
+            </button>
+            <button className="danger" onClick={handleDelete}>
+              Delete
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="error-message">
+            <p>{error}</p>
+            <button onClick={() => setError(null)}>Dismiss</button>
+          </div>
+        )}
+
+        {isEditing && (
+          <div className="habit-form-container">
+            <h2>Edit Habit</h2>
+            <HabitForm
+              habit={habit}
+              onSave={handleSave}
+              onCancel={() => setIsEditing(false)}
+            />
+          </div>
+        )}
+
+        {stats && (
+          <>
+            <div className="habit-stats">
+              <div className="stat-card">
+                <span className="stat-value">{stats.currentStreak}</span>
+                <span className="stat-label">
+                  {avoid
+                    ? `${isHabitArchived(habit) ? "Final days" : "Days"} clean`
+                    : `${isHabitArchived(habit) ? "Final" : "Current"} ${unit} streak`}
+                </span>
+              </div>
+              <div className="stat-card">
+                <span className="stat-value">{stats.longestStreak}</span>
+                <span className="stat-label">
+                  {avoid ? "Longest clean run" : `Longest ${unit} streak`}
+                </span>
+              </div>
+              <div className="stat-card">
+                <span className="stat-value">
+                  {formatRate(stats.completionRate)}
+                </span>
+                <span className="stat-label">
+                  {avoid ? "Clean days" : "Completion rate"}
+                  {stats.trackedSince &&
+                    ` since ${formatCalendarDate(
+                      stats.trackedSince,
+                      { month: "short", day: "numeric", year: "numeric" },
+                      "en-US"
+                    )}`}
+                </span>
+              </div>
+              {avoid ? (
+                <div className="stat-card">
+                  <span className="stat-value">{stats.relapses.length}</span>
+                  <span className="stat-label">Slips</span>
+                </div>
+              ) : (
+                <div className="stat-card">
+                  <span className="stat-value">{stats.totalCompletions}</span>
+                  <span className="stat-label">Times done</span>
+                </div>
+              )}
+            </div>
+
+            <section className="habit-detail-section">
+              <h2>Past year</h2>
+              <HabitHeatmap
+                history={habit.history}
+                goal={getHabitGoal(habit)}
+                schedule={schedule}
+                vacations={getHabitVacations(habit, vacations)}
+                endDate={getHabitEndDate(habit)}
+              />
+            </section>
+
+            <section className="habit-detail-section">
+              <h2>Completion rate</h2>
+              <div className="habit-detail-columns">
+                <div>
+                  <h3>By week</h3>
+                  <RateBars
+                    rates={stats.weeklyRates}
+                    formatLabel={formatWeek}
+                  />
+                </div>
+                <div>
+                  <h3>By month</h3>
+                  <RateBars
+                    rates={stats.monthlyRates}
+                    formatLabel={formatMonth}
+                  />
+                </div>
+              </div>
+            </section>
+
+            <section className="habit-detail-section">
+              <h2>Days of the week</h2>
+              {stats.best === null ? (
+                <p className="habit-detail-empty">Not enough days yet.</p>
+              ) : (
+                <>
+                  <p>
+                    Best on <strong>{WEEKDAY_NAMES[stats.best]}s</strong> (
+                    {formatRate(stats.weekdayRates[stats.best])}), hardest on{" "}
+                    <strong>{WEEKDAY_NAMES[stats.worst]}s</strong> (
+                    {formatRate(stats.weekdayRates[stats.worst])}).
+                  </p>
+                  <ul className="weekday-rates">
+                    {[1, 2, 3, 4, 5, 6, 0].map((weekday) => (
+                      <li key={weekday}>
+                        <span>{WEEKDAY_NAMES[weekday].slice(0, 3)}</span>
+                        <span>{formatRate(stats.weekdayRates[weekday])}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </section>
+
+            {avoid && (
+              <section className="habit-detail-section">
+                <h2>Slips</h2>
+                {stats.relapses.length === 0 ? (
+                  <p className="habit-detail-empty">No slips so far.</p>
+                ) : (
+                  <ul className="habit-notes">
+                    {stats.relapses.map(({ date, cleanDays, note }) => (
+                      <li key={date}>
+                        <span className="habit-note-date">
+                          {formatCalendarDate(
+                            date,
+                            { month: "short", day: "numeric", year: "numeric" },
+                            "en-US"
+                          )}
+                        </span>
+                        <p>
+                          After {cleanDays} clean{" "}
+                          {cleanDays === 1 ? "day" : "days"}
+                          {note && ` · ${note}`}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+            )}
+
+            <section className="habit-detail-section">
+              <h2>Notes</h2>
+              {stats.notes.length === 0 ? (
+                <p className="habit-detail-empty">No notes yet.</p>
+              ) : (
+                <>
+                  <div className="habit-notes-toolbar">
+                    <input
+                      type="search"
+                      value={notesQuery}
+                      onChange={(e) => setNotesQuery(e.target.value)}
+                      placeholder="Search notes"
+                      aria-label="Search notes"
+                    />
+                    <button onClick={handleExportNotes}>Export CSV</button>
+                  </div>
+                  {filteredNotes.length === 0 ? (
+                    <p className="habit-detail-empty">
+                      No notes match "{notesQuery}".
+                    </p>
+                  ) : (
+                    <ul className="habit-notes">
+                      {filteredNotes.map(({ date, note, mood, notedAt }) => {
+                        const moodOption = getMood(mood);
+                        return (
+                          <li key={date}>
+                            <span
+                              className="habit-note-date"
+                              title={
+                                notedAt && `Written ${formatDateTime(notedAt)}`
+                              }
+                            >
+                              {formatCalendarDate(
+                                date,
+                                {
+                                  month: "short",
+                                  day: "numeric",
+                                  year: "numeric",
+                                },
+                                "en-US"
+                              )}
+                            </span>
+                            {moodOption && (
+                              <span className="habit-note-mood">
+                                {moodOption.emoji} {moodOption.label}
+                              </span>
+                            )}
+                            {note && <p>{note}</p>}
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+                </>
+              )}
+            </section>
+
+            <section className="habit-detail-section">
+              <h2>Posts</h2>
+              {posts.length === 0 ? (
+                <p className="habit-detail-empty">
+                  No posts about this habit yet.
+                </p>
+              ) : (
+                <ul className="habit-posts">
+                  {posts.map((post) => (
+                    <li key={post.id}>
+                      <Link to={`/blog/${post.id}`}>{post.title}</Link>
+                      <span className="habit-note-date">
+                        {formatDate(post.date)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default HabitDetailPage;
@@ -24,11 +24,14 @@ const HomePage = () => {
     total: 0,
     completedToday: 0,
     streakSum: 0,
+    avoidHabits: 0,
+    slippedToday: 0,
+    longestCleanStreak: 0,
   });
   const [isLoading, setIsLoading] = useState(true);
 
   // Use our custom hook to refresh when blog data changes
-  const refreshData = useDataRefresh("posts");
+  const [postsVersion] = useDataRefresh("posts");
 
   // Fetch data on component mount and when data changes
   useEffect(() => {
@@ -45,6 +48,9 @@ const HomePage = () => {
           total: stats.totalHabits || 0,
           completedToday: stats.completedToday || 0,
           streakSum: stats.totalStreak || 0,
+          avoidHabits: stats.avoidHabits || 0,
+          slippedToday: stats.slippedToday || 0,
+          longestCleanStreak: stats.longestCleanStreak || 0,
         });
       } catch (error) {
         console.error("Error fetching homepage data:", error);
@@ -54,7 +60,7 @@ const HomePage = () => {
     };
 
     fetchData();
-  }, [refreshData]); // Refetch when data changes
+  }, [postsVersion]); // Refetch when data changes
 
   // Calculate completion percentage
   const completionPercentage =
@@ -140,6 +146,20 @@ const HomePage = () => {
                 <div className="stat-value">{habitStats.streakSum}</div>
                 <div className="stat-label">Total Streak Days</div>
               </div>
+
+              {/* Habits to avoid - like keeping invasive species out */}
+              {habitStats.avoidHabits > 0 && (
+                <div className="stat-card">
+                  <div className="stat-value">
+                    {habitStats.longestCleanStreak}
+                  </div>
+                  <div className="stat-label">
+                    Longest Clean Run
+                    {habitStats.slippedToday > 0 &&
+                      ` (${habitStats.slippedToday} slipped today)`}
+                  </div>
+                </div>
+              )}
             </div>
           ) : (
             <div className="empty-state">
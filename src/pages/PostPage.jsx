@@ -35,8 +35,8 @@ const PostPage = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Use our custom hook to refresh when data changes
-  const refreshData = useDataRefresh("posts");
+  // Use our custom hook to refresh when this post changes
+  const [postVersion] = useDataRefresh("posts", { id });
 
   // Fetch post data when component mounts or data refreshes
   useEffect(() => {
@@ -74,7 +74,7 @@ const PostPage = () => {
     };
 
     fetchPost();
-  }, [id, refreshData]); // Re-fetch when ID changes or data refreshes
+  }, [id, postVersion]); // Re-fetch when ID changes or data refreshes
 
   // Handle navigation back to blog listing
   const handleBackClick = () => {
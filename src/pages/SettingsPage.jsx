@@ -0,0 +1,25 @@
+// Page for application settings and data management
+import React from "react";
+import Layout from "../components/layout/Layout";
+import BackupPanel from "../components/settings/BackupPanel";
+import SnapshotPanel from "../components/settings/SnapshotPanel";
+import DayPreferencesPanel from "../components/settings/DayPreferencesPanel";
+import VacationPanel from "../components/settings/VacationPanel";
+import ReminderPanel from "../components/settings/ReminderPanel";
+
+const SettingsPage = () => {
+  return (
+    <Layout>
+      <div className="settings-page">
+        <h1>Settings</h1>
+        <DayPreferencesPanel />
+        <VacationPanel />
+        <ReminderPanel />
+        <BackupPanel />
+        <SnapshotPanel />
+      </div>
+    </Layout>
+  );
+};
+
+export default SettingsPage;
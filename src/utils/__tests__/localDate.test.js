@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import {
+  addDays,
+  configureLocalDate,
+  formatCalendarDate,
+  getDayOfWeek,
+  getRecentDates,
+  getToday,
+  isValidTimeZone,
+  resetLocalDate,
+  toLocalDateString,
+  toLocalTimeString,
+} from "../localDate";
+import { setClock, resetClock } from "../clock";
+
+describe("localDate", () => {
+  beforeEach(() => {
+    configureLocalDate({ timeZone: "UTC" });
+  });
+
+  afterEach(() => {
+    resetClock();
+    resetLocalDate();
+  });
+
+  it("maps a moment to the calendar date in the configured time zone", () => {
+    const moment = "2025-03-11T02:30:00Z";
+
+    expect(toLocalDateString(moment)).toBe("2025-03-11");
+    expect(toLocalDateString(moment, { timeZone: "America/Denver" })).toBe(
+      "2025-03-10"
+    );
+    expect(toLocalDateString(moment, { timeZone: "Asia/Tokyo" })).toBe(
+      "2025-03-11"
+    );
+  });
+
+  it("starts the day at the configured hour", () => {
+    configureLocalDate({ dayStartHour: 3 });
+
+    expect(toLocalDateString("2025-03-11T02:59:00Z")).toBe("2025-03-10");
+    expect(toLocalDateString("2025-03-11T03:00:00Z")).toBe("2025-03-11");
+  });
+
+  it("reads the wall-clock time without the day-start shift", () => {
+    configureLocalDate({ dayStartHour: 3 });
+
+    expect(toLocalTimeString("2025-03-11T01:05:00Z")).toBe("01:05");
+    expect(toLocalTimeString("2025-03-11T00:30:00Z")).toBe("00:30");
+    expect(
+      toLocalTimeString("2025-03-11T02:30:00Z", { timeZone: "America/Denver" })
+    ).toBe("20:30");
+  });
+
+  it("reads today from the injected clock", () => {
+    setClock("2025-03-11T02:30:00Z");
+    configureLocalDate({ timeZone: "America/Denver" });
+
+    expect(getToday()).toBe("2025-03-10");
+  });
+
+  it("does calendar arithmetic without time zone shifts", () => {
+    configureLocalDate({ timeZone: "America/Denver" });
+
+    // Across the start of daylight saving time (9 March 2025 in the US)
+    expect(addDays("2025-03-08", 1)).toBe("2025-03-09");
+    expect(addDays("2025-03-09", 1)).toBe("2025-03-10");
+    expect(addDays("2025-03-01", -1)).toBe("2025-02-28");
+    expect(getDayOfWeek("2025-03-10")).toBe(1);
+    expect(getRecentDates(3, "2025-03-01")).toEqual([
+      "2025-02-27",
+      "2025-02-28",
+      "2025-03-01",
+    ]);
+  });
+
+  it("formats a calendar date as that day everywhere", () => {
+    configureLocalDate({ timeZone: "America/Denver" });
+
+    expect(
+      formatCalendarDate(
+        "2025-03-10",
+        { month: "long", day: "numeric" },
+        "en-US"
+      )
+    ).toBe("March 10");
+  });
+
+  it("recognizes valid time zones", () => {
+    expect(isValidTimeZone("Europe/Berlin")).toBe(true);
+    expect(isValidTimeZone("Mars/Olympus_Mons")).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import {
+  generateExcerpt,
+  parseHabitDirective,
+  parseHabitWidget,
+} from "../mdParser";
+import { marked } from "marked";
+
+describe("habit widget directives", () => {
+  it("parses a directive and its attributes", () => {
+    expect(parseHabitDirective("::habit-heatmap{id=1 range=90d}")).toEqual({
+      widget: "habit-heatmap",
+      id: "1",
+      days: 90,
+    });
+    expect(
+      parseHabitDirective('::habit-chart{range="30" id="8f14e45f-ceea"}\n')
+    ).toEqual({ widget: "habit-chart", id: "8f14e45f-ceea", days: 30 });
+    expect(parseHabitDirective("::habit-streak{id=abc}")).toEqual({
+      widget: "habit-streak",
+      id: "abc",
+    });
+  });
+
+  it("uses default ranges and keeps them within bounds", () => {
+    expect(parseHabitWidget({ widget: "habit-chart", id: "1" }).days).toBe(14);
+    expect(
+      parseHabitWidget({ widget: "habit-chart", id: "1", range: "365d" }).days
+    ).toBe(90);
+    expect(
+      parseHabitWidget({ widget: "habit-heatmap", id: "1", range: "0d" }).days
+    ).toBe(1);
+    expect(
+      parseHabitWidget({ widget: "habit-heatmap", id: "1", range: "soon" })
+        .days
+    ).toBe(90);
+  });
+
+  it("rejects unknown widgets and unsafe IDs", () => {
+    expect(parseHabitDirective("::habit-pie{id=1}")).toBeNull();
+    expect(parseHabitDirective("::habit-streak{}")).toBeNull();
+    expect(parseHabitDirective('::habit-streak{id="1 onclick"}')).toBeNull();
+    expect(parseHabitWidget({ widget: "habit-chart", id: '1"><b' })).toBeNull();
+    expect(parseHabitDirective("Try ::habit-streak{id=1}")).toBeNull();
+  });
+
+  it("renders directives as placeholders with a static description", () => {
+    const html = marked.parse(
+      "Intro\n\n::habit-heatmap{id=1 range=90d}\n\n::habit-streak{id=2}\n\n::habit-pie{id=3}"
+    );
+
+    expect(html).toContain(
+      '<div class="habit-widget" data-habit-widget="habit-heatmap" data-habit-id="1" data-range="90"><p class="habit-widget-fallback">Habit heatmap, last 90 days</p></div>'
+    );
+    expect(html).toContain(
+      '<div class="habit-widget" data-habit-widget="habit-streak" data-habit-id="2"><p class="habit-widget-fallback">Habit streak</p></div>'
+    );
+    expect(html).toContain("<p>::habit-pie{id=3}</p>");
+  });
+
+  it("leaves directives out of excerpts", () => {
+    expect(
+      generateExcerpt("::habit-heatmap{id=1 range=90d}\n\nNinety days in.")
+    ).toBe("Ninety days in.");
+  });
+});
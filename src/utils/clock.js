@@ -0,0 +1,65 @@
+// Injectable clock so date-dependent logic can be tested deterministically
+
+/**
+ * All "what time is it" questions in the data services go through `now()`
+ * instead of `new Date()`. Tests and demo mode can swap in a fixed or
+ * manually advanced clock with `setClock`, and `resetClock` restores the
+ * real system time.
+ */
+
+const systemTime = () => new Date();
+
+let currentTime = systemTime;
+
+/**
+ * Get the current time from the active clock
+ *
+ * @returns {Date} A fresh Date for the current moment
+ */
+export const now = () => new Date(currentTime().getTime());
+
+/**
+ * Replace the active clock
+ *
+ * @param {Function|Date|string} source - Function returning a Date, or a fixed time
+ */
+export const setClock = (source) => {
+  if (typeof source === "function") {
+    currentTime = source;
+  } else {
+    const fixed = new Date(source);
+    currentTime = () => fixed;
+  }
+};
+
+/**
+ * Restore the real system clock
+ */
+export const resetClock = () => {
+  currentTime = systemTime;
+};
+
+/**
+ * Create a manually controlled clock for tests
+ *
+ * @param {Date|string} start - Starting time
+ * @returns {Object} { now, set, advance, advanceDays }
+ */
+export const createFakeClock = (start) => {
+  let time = new Date(start).getTime();
+
+  return {
+    now: () => new Date(time),
+    set: (date) => {
+      time = new Date(date).getTime();
+    },
+    advance: (milliseconds) => {
+      time += milliseconds;
+    },
+    advanceDays: (days) => {
+      const date = new Date(time);
+      date.setDate(date.getDate() + days);
+      time = date.getTime();
+    },
+  };
+};
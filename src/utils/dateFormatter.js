@@ -1,14 +1,39 @@
 // Utility functions for consistent date formatting
+import {
+  formatCalendarDate,
+  getLocalDatePreferences,
+  isCalendarDate,
+} from "./localDate";
+
+// Show timestamps in the user's configured time zone (system by default)
+const getTimeZoneOption = () => {
+  const { timeZone } = getLocalDatePreferences();
+  return timeZone ? { timeZone } : {};
+};
 
 /**
  * Format a date string to a readable format (e.g., "March 5, 2025")
  *
+ * Calendar dates ("2025-03-05") are shown as that day everywhere; full
+ * timestamps are shown in the user's time zone.
+ *
  * @param {string} dateString - ISO date string (e.g., "2025-03-05T12:00:00Z")
  * @returns {string} Formatted date
  */
 export const formatDate = (dateString) => {
   if (!dateString) return "";
 
+  const options = {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  };
+
+  // A calendar date has no time zone to convert from
+  if (isCalendarDate(dateString)) {
+    return formatCalendarDate(dateString, options);
+  }
+
   const date = new Date(dateString);
 
   // Check if date is valid
@@ -16,13 +41,10 @@ export const formatDate = (dateString) => {
     return "";
   }
 
-  const options = {
-    year: "numeric",
-    month: "long",
-    day: "numeric",
-  };
-
-  return date.toLocaleDateString(undefined, options);
+  return date.toLocaleDateString(undefined, {
+    ...options,
+    ...getTimeZoneOption(),
+  });
 };
 
 /**
@@ -53,8 +75,14 @@ export const formatDateTime = (dateString) => {
     hour12: true,
   };
 
-  const formattedDate = date.toLocaleDateString(undefined, dateOptions);
-  const formattedTime = date.toLocaleTimeString(undefined, timeOptions);
+  const formattedDate = date.toLocaleDateString(undefined, {
+    ...dateOptions,
+    ...getTimeZoneOption(),
+  });
+  const formattedTime = date.toLocaleTimeString(undefined, {
+    ...timeOptions,
+    ...getTimeZoneOption(),
+  });
 
   return `${formattedDate} at ${formattedTime}`;
 };
@@ -0,0 +1,233 @@
+// Local calendar dates for habit tracking
+import { now } from "./clock";
+
+/**
+ * Habit history is kept as calendar dates ("2025-03-10"), and which
+ * calendar date a moment belongs to depends on where the user lives and
+ * when their day ends. `toISOString()` answers in UTC, so an evening
+ * completion west of Greenwich used to count for the next day.
+ *
+ * Every "which day is it" question goes through this module instead:
+ *
+ * - `toLocalDateString(date)` maps a moment to the user's calendar date,
+ *   in the configured time zone (the system one by default) and shifted
+ *   by the day-start hour, so with `dayStartHour: 3` a completion at
+ *   1:30am still counts for the previous day
+ * - `addDays`, `getDayOfWeek` and `getRecentDates` do arithmetic on
+ *   calendar date strings and never touch a time zone
+ *
+ * The preferences are set once at startup from the settings service and
+ * whenever the user changes them.
+ */
+
+export const DEFAULT_LOCAL_DATE_PREFERENCES = {
+  timeZone: null, // IANA name, or null for the system time zone
+  dayStartHour: 0, // Hour (0-11) at which a new day begins
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+let preferences = { ...DEFAULT_LOCAL_DATE_PREFERENCES };
+
+// Intl formatters are expensive to create, so keep one per time zone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  const key = timeZone || "";
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timeZone || undefined,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+      })
+    );
+  }
+  return formatters.get(key);
+};
+
+/**
+ * Check whether a time zone name is supported by this browser
+ *
+ * @param {string} timeZone - IANA time zone name (e.g. "America/Denver")
+ * @returns {boolean} True if the time zone can be used
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the time zone the browser reports for this device
+ *
+ * @returns {string} IANA time zone name
+ */
+export const getSystemTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Set the time zone and day-start hour used for calendar dates
+ *
+ * @param {Object} options - Preferences to change (others are kept)
+ * @param {string|null} options.timeZone - IANA name, or null for the system
+ * @param {number} options.dayStartHour - Hour (0-11) at which a day begins
+ */
+export const configureLocalDate = (options = {}) => {
+  preferences = { ...preferences, ...options };
+};
+
+/**
+ * Restore the default preferences (system time zone, midnight rollover)
+ */
+export const resetLocalDate = () => {
+  preferences = { ...DEFAULT_LOCAL_DATE_PREFERENCES };
+};
+
+/**
+ * Get the active calendar date preferences
+ *
+ * @returns {Object} { timeZone, dayStartHour }
+ */
+export const getLocalDatePreferences = () => ({ ...preferences });
+
+/**
+ * Get the user's calendar date for a moment
+ *
+ * @param {Date|string} date - Moment to convert (defaults to now)
+ * @param {Object} options - Overrides for the active preferences
+ * @returns {string} Calendar date in YYYY-MM-DD format
+ */
+export const toLocalDateString = (date = now(), options = {}) => {
+  const { timeZone, dayStartHour } = { ...preferences, ...options };
+  const moment = new Date(new Date(date).getTime() - dayStartHour * HOUR_MS);
+
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(moment)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Clock time formatters, kept apart from the date ones above
+const timeFormatters = new Map();
+
+const getTimeFormatter = (timeZone) => {
+  const key = timeZone || "";
+  if (!timeFormatters.has(key)) {
+    timeFormatters.set(
+      key,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timeZone || undefined,
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+    );
+  }
+  return timeFormatters.get(key);
+};
+
+/**
+ * Get the user's wall-clock time for a moment
+ *
+ * Unlike calendar dates, clock times are not shifted by the day-start hour:
+ * 1:30am is "01:30" even when it still belongs to the previous day.
+ *
+ * @param {Date|string} date - Moment to convert (defaults to now)
+ * @param {Object} options - Overrides for the active preferences
+ * @returns {string} Time in HH:MM (24-hour) format
+ */
+export const toLocalTimeString = (date = now(), options = {}) => {
+  const { timeZone } = { ...preferences, ...options };
+
+  const parts = {};
+  getTimeFormatter(timeZone)
+    .formatToParts(new Date(date))
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return `${parts.hour}:${parts.minute}`;
+};
+
+/**
+ * Get today's calendar date for the user
+ *
+ * @returns {string} Calendar date in YYYY-MM-DD format
+ */
+export const getToday = () => toLocalDateString(now());
+
+// Calendar date string to a Date at UTC midnight, for date arithmetic only
+const toUTCDate = (dateStr) => {
+  const [, year, month, day] = DATE_PATTERN.exec(dateStr);
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+};
+
+/**
+ * Check whether a string is a YYYY-MM-DD calendar date
+ *
+ * @param {string} value - Value to check
+ * @returns {boolean} True for calendar date strings
+ */
+export const isCalendarDate = (value) =>
+  typeof value === "string" && DATE_PATTERN.test(value);
+
+/**
+ * Add (or subtract) days to a calendar date
+ *
+ * @param {string} dateStr - Calendar date in YYYY-MM-DD format
+ * @param {number} days - Days to add; negative moves back in time
+ * @returns {string} Resulting calendar date
+ */
+export const addDays = (dateStr, days) => {
+  const date = toUTCDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
+
+/**
+ * Get the day of the week of a calendar date
+ *
+ * @param {string} dateStr - Calendar date in YYYY-MM-DD format
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+export const getDayOfWeek = (dateStr) => toUTCDate(dateStr).getUTCDay();
+
+/**
+ * List the most recent calendar dates, oldest first
+ *
+ * @param {number} days - Number of dates to list
+ * @param {string} endDate - Last date in the list (defaults to today)
+ * @returns {Array<string>} Calendar dates in YYYY-MM-DD format
+ */
+export const getRecentDates = (days, endDate = getToday()) => {
+  const dates = [];
+  for (let i = days - 1; i >= 0; i--) {
+    dates.push(addDays(endDate, -i));
+  }
+  return dates;
+};
+
+/**
+ * Format a calendar date for display without shifting it across time zones
+ *
+ * @param {string} dateStr - Calendar date in YYYY-MM-DD format
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @param {string} locale - Locale to format for (defaults to the browser's)
+ * @returns {string} Formatted date
+ */
+export const formatCalendarDate = (dateStr, options = {}, locale) =>
+  toUTCDate(dateStr).toLocaleDateString(locale, {
+    ...options,
+    timeZone: "UTC",
+  });
@@ -8,6 +8,14 @@ import DOMPurify from "dompurify"; // You'll need to install this
  * 2. HTML sanitization to prevent XSS attacks
  * 3. Auto-linking of URLs
  * 4. Support for task lists
+ * 5. Live habit widgets, written as directives on a line of their own:
+ *
+ *      ::habit-heatmap{id=1 range=90d}
+ *      ::habit-chart{id=1 range=30d}
+ *      ::habit-streak{id=1}
+ *
+ *    Each becomes a placeholder holding a static description, which
+ *    PostContent fills in with the habit's live data
  */
 
 // Configure marked options
@@ -59,8 +67,110 @@ renderer.image = function (href, title, text) {
   return `<img src="${href}" alt="${text}"${title} class="responsive-image" loading="lazy" />`;
 };
 
-// Apply the custom renderer
-marked.use({ renderer });
+// Live habit widgets a post can embed; ranges are in days
+export const HABIT_WIDGETS = {
+  "habit-chart": { label: "Habit chart", defaultDays: 14, maxDays: 90 },
+  "habit-heatmap": { label: "Habit heatmap", defaultDays: 90, maxDays: 371 },
+  "habit-streak": { label: "Habit streak" },
+};
+
+const HABIT_DIRECTIVE = /^::(habit-[a-z]+)\{([^}\n]*)\}[ \t]*(?:\n+|$)/;
+const DIRECTIVE_ATTRIBUTE = /(\w+)=("[^"]*"|'[^']*'|[^\s"']+)/g;
+
+/**
+ * Check the settings of a habit widget
+ *
+ * Used both on directives and on the placeholders they render into, so a
+ * placeholder written by hand as HTML gets the same checks.
+ *
+ * @param {Object} settings - { widget, id, range } as written, e.g.
+ *   { widget: "habit-heatmap", id: "1", range: "90d" }
+ * @returns {Object|null} { widget, id, days } (days only for widgets with
+ *   a range, kept within its bounds), or null if the widget is unknown or
+ *   the ID isn't a plain habit ID
+ */
+export const parseHabitWidget = ({ widget, id, range } = {}) => {
+  const type = HABIT_WIDGETS[widget];
+  if (!type || !/^[\w-]+$/.test(id || "")) return null;
+  if (!type.maxDays) return { widget, id };
+
+  const match = /^(\d+)d?$/.exec(range || "");
+  const days = match
+    ? Math.min(Math.max(Number(match[1]), 1), type.maxDays)
+    : type.defaultDays;
+  return { widget, id, days };
+};
+
+/**
+ * Parse a habit widget directive such as "::habit-streak{id=1}"
+ *
+ * @param {string} text - Text starting with the directive
+ * @returns {Object|null} Widget from parseHabitWidget, or null
+ */
+export const parseHabitDirective = (text) => {
+  const match = HABIT_DIRECTIVE.exec(text);
+  if (!match) return null;
+
+  const attributes = {};
+  for (const [, key, value] of match[2].matchAll(DIRECTIVE_ATTRIBUTE)) {
+    attributes[key] = value.replace(/^["'](.*)["']$/, "$1");
+  }
+  return parseHabitWidget({ ...attributes, widget: match[1] });
+};
+
+/**
+ * Render the placeholder of a habit widget
+ *
+ * The values are safe to put in attributes as they are: parseHabitWidget
+ * only lets through known widgets, word-character IDs and numbers.
+ *
+ * @param {Object} widget - Widget from parseHabitWidget
+ * @returns {string} Placeholder HTML
+ */
+export const renderHabitWidget = ({ widget, id, days }) => {
+  const { label } = HABIT_WIDGETS[widget];
+  const range = days ? ` data-range="${days}"` : "";
+  const description = days ? `${label}, last ${days} days` : label;
+
+  return `<div class="habit-widget" data-habit-widget="${widget}" data-habit-id="${id}"${range}><p class="habit-widget-fallback">${description}</p></div>\n`;
+};
+
+// Block-level extension for habit widget directives; anything that doesn't
+// parse stays ordinary text
+const habitWidgetExtension = {
+  name: "habitWidget",
+  level: "block",
+  start(src) {
+    return src.match(/^::habit-/m)?.index;
+  },
+  tokenizer(src) {
+    const match = HABIT_DIRECTIVE.exec(src);
+    const widget = match && parseHabitDirective(match[0]);
+    if (!widget) return undefined;
+    return { type: "habitWidget", raw: match[0], widget };
+  },
+  renderer(token) {
+    return renderHabitWidget(token.widget);
+  },
+};
+
+// Apply the custom renderer and extensions
+marked.use({ renderer, extensions: [habitWidgetExtension] });
+
+// Sanitizer settings. Of the data attributes only the habit widgets' are
+// kept, so a post can't hand other scripts on the page data to act on.
+const SANITIZE_OPTIONS = {
+  USE_PROFILES: { html: true },
+  ADD_ATTR: [
+    "target", // Allow target="_blank"
+    "loading", // Allow loading="lazy"
+    "data-habit-widget",
+    "data-habit-id",
+    "data-range",
+  ],
+  ALLOW_DATA_ATTR: false,
+  ADD_CLASS: { "*": ["responsive-*"] }, // Allow responsive classes
+};
 
 /**
  * Process markdown text into sanitized HTML
@@ -75,11 +185,7 @@ export const processMarkdown = (markdown) => {
   const rawHtml = marked(markdown);
 
   // Sanitize HTML to prevent XSS attacks
-  const sanitizedHtml = DOMPurify.sanitize(rawHtml, {
-    USE_PROFILES: { html: true },
-    ADD_ATTR: ["target", "loading"], // Allow target="_blank" and loading="lazy"
-    ADD_CLASS: { "*": ["responsive-*"] }, // Allow responsive classes
-  });
+  const sanitizedHtml = DOMPurify.sanitize(rawHtml, SANITIZE_OPTIONS);
 
   return sanitizedHtml;
 };
@@ -209,6 +315,7 @@ export const generateExcerpt = (markdown, length = 150) => {
     .replace(/\[(.*?)\]\(.*?\)/g, "$1") // Remove links
     .replace(/!\[(.*?)\]\(.*?\)/g, "") // Remove images
     .replace(/```[\s\S]*?```/g, "") // Remove code blocks
+    .replace(/^::habit-[a-z]+\{[^}\n]*\}[ \t]*$/gm, "") // Remove habit widgets
     .replace(/`(.*?)`/g, "$1") // Remove inline code
     .replace(/\n/g, " ") // Replace newlines with spaces
     .replace(/\s+/g, " ") // Replace multiple spaces with single space
@@ -221,3 +328,32 @@ export const generateExcerpt = (markdown, length = 150) => {
 
   return plainText;
 };
+
+/**
+ * Parse a comma-separated frontmatter list (e.g. "react, markdown") into an
+ * array of unique, trimmed, lowercased values
+ *
+ * @param {string|Array} value - Raw frontmatter value
+ * @returns {Array<string>} - Normalized list values
+ */
+export const parseTagList = (value) => {
+  if (!value) return [];
+
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  const normalized = items
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(normalized)];
+};
+
+/**
+ * Extract the normalized tag list from a markdown document's frontmatter
+ *
+ * @param {string} markdown - Markdown text with potential frontmatter
+ * @returns {Array<string>} - Tags declared in the frontmatter
+ */
+export const extractTags = (markdown) => {
+  const { metadata } = extractFrontmatter(markdown);
+  return parseTagList(metadata.tags);
+};